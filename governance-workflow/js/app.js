@@ -155,6 +155,29 @@ class DataGovernanceApp {
                 RecommendationEngine.init();
             }
 
+            // Initialize workflow engine and its assessment panel
+            if (typeof WorkflowEngine !== 'undefined') {
+                WorkflowEngine.init();
+            }
+
+            if (typeof WorkflowPanel !== 'undefined') {
+                WorkflowPanel.init();
+            }
+
+            // Live rule results while the assessment is answered
+            if (typeof LiveRulePanel !== 'undefined') {
+                LiveRulePanel.init();
+            }
+
+            // Initialize notification delivery and the notification center
+            if (typeof NotificationService !== 'undefined') {
+                NotificationService.init();
+            }
+
+            if (typeof NotificationCenter !== 'undefined') {
+                NotificationCenter.init();
+            }
+
             // Initialize analytics
             if (typeof DashboardController !== 'undefined') {
                 DashboardController.init();
@@ -607,6 +630,8 @@ class DataGovernanceApp {
         this.currentAssessment = {
             id: this.generateAssessmentId(),
             userId: this.currentUser.id,
+            organization: this.currentUser.organization || '',
+            department: this.currentUser.department || '',
             created: new Date().toISOString(),
             modified: new Date().toISOString(),
             status: 'in_progress',
@@ -686,6 +711,23 @@ class DataGovernanceApp {
                 return;
             }
 
+            // Business validations configured as rules
+            if (typeof RulesEngine !== 'undefined') {
+                const validation = RulesEngine.validateAnswers(
+                    this.currentAssessment.answers,
+                    this.currentAssessment.id
+                );
+                if (!validation.isValid) {
+                    const [firstError] = validation.errors;
+                    this.hideLoading();
+                    if (typeof QuestionRenderer !== 'undefined') {
+                        QuestionRenderer.showQuestionError(firstError.field, [firstError.message]);
+                    }
+                    this.showToast(firstError.message, 'error');
+                    return;
+                }
+            }
+
             // Generate recommendations
             const recommendations = await this.generateRecommendations();
             
@@ -693,6 +735,8 @@ class DataGovernanceApp {
             this.currentAssessment.status = 'completed';
             this.currentAssessment.completed = new Date().toISOString();
             this.currentAssessment.recommendations = recommendations;
+            this.currentAssessment.ruleVersions = recommendations.ruleVersions ||
+                (typeof RulesEngine !== 'undefined' ? RulesEngine.getRuleVersions() : {});
 
             // Save completed assessment
             this.saveCompletedAssessment();
@@ -765,6 +809,30 @@ class DataGovernanceApp {
         
         if (!modal || !resultsContent) return;
 
+        // Results saved before structured recommendations hold plain text
+        if (typeof RecommendationModel !== 'undefined') {
+            recommendations = RecommendationModel.migrateResult(recommendations);
+        }
+
+        // Results saved before roadmaps were generated get one now
+        if (!recommendations.roadmap && typeof RoadmapGenerator !== 'undefined' && this.getResultSections(recommendations)) {
+            recommendations = {
+                ...recommendations,
+                roadmap: RoadmapGenerator.generate(recommendations, { start: this.currentAssessment?.completed || new Date() })
+            };
+        }
+
+        // Results saved before gap analysis get one from their score breakdown
+        if (!recommendations.gapAnalysis && recommendations.scoreBreakdown && typeof GapAnalyzer !== 'undefined') {
+            recommendations = {
+                ...recommendations,
+                gapAnalysis: GapAnalyzer.analyze(
+                    { breakdown: recommendations.scoreBreakdown },
+                    GapAnalyzer.getTargets(this.currentAssessment || {})
+                )
+            };
+        }
+
         // Generate results HTML
         const resultsHTML = this.generateResultsHTML(recommendations);
         resultsContent.innerHTML = resultsHTML;
@@ -781,6 +849,14 @@ class DataGovernanceApp {
      * Generate HTML for assessment results
      */
     generateResultsHTML(recommendations) {
+        const sectionHeadings = {
+            placement: 'Data Placement Recommendations',
+            controls: 'Governance Controls',
+            sharing: 'Data Sharing Strategy',
+            compliance: 'Compliance Requirements',
+            rules: 'Rule-Based Recommendations'
+        };
+
         return `
             <div class="results-summary">
                 <div class="results-score">${recommendations.score}/100</div>
@@ -789,48 +865,39 @@ class DataGovernanceApp {
             
             <div class="results-section">
                 <h3>Executive Summary</h3>
-                <p>${recommendations.summary}</p>
-            </div>
-            
-            <div class="results-section">
-                <h3>Data Placement Recommendations</h3>
-                ${recommendations.sections.placement.map(item => `
-                    <div class="recommendation">
-                        <div class="recommendation-title">Data Placement Strategy</div>
-                        <div class="recommendation-description">${item}</div>
-                    </div>
-                `).join('')}
-            </div>
-            
-            <div class="results-section">
-                <h3>Governance Controls</h3>
-                ${recommendations.sections.controls.map(item => `
-                    <div class="recommendation">
-                        <div class="recommendation-title">Control Implementation</div>
-                        <div class="recommendation-description">${item}</div>
-                    </div>
-                `).join('')}
-            </div>
-            
-            <div class="results-section">
-                <h3>Data Sharing Strategy</h3>
-                ${recommendations.sections.sharing.map(item => `
-                    <div class="recommendation">
-                        <div class="recommendation-title">Sharing Protocol</div>
-                        <div class="recommendation-description">${item}</div>
-                    </div>
-                `).join('')}
+                <p>${this.getResultSummary(recommendations)}</p>
             </div>
+
+            ${this.generateGapAnalysisHTML(recommendations.gapAnalysis)}
             
-            <div class="results-section">
-                <h3>Compliance Requirements</h3>
-                ${recommendations.sections.compliance.map(item => `
-                    <div class="recommendation">
-                        <div class="recommendation-title">Compliance Action</div>
-                        <div class="recommendation-description">${item}</div>
+            ${Object.entries(this.getResultSections(recommendations)).map(([sectionName, items]) => {
+                const heading = sectionHeadings[sectionName] ||
+                    sectionName.charAt(0).toUpperCase() + sectionName.slice(1).replace('_', ' ');
+                return `
+                    <div class="results-section">
+                        <h3>${heading}</h3>
+                        ${(items || []).map(item => `
+                            <div class="recommendation priority-${this.escapeHTML(item.priority)}">
+                                <div class="recommendation-title">
+                                    ${this.escapeHTML(item.title)}
+                                    <span class="priority-badge priority-${this.escapeHTML(item.priority)}">${this.escapeHTML(item.priority)}</span>
+                                </div>
+                                ${item.description !== item.title ? `<div class="recommendation-description">${this.escapeHTML(item.description)}</div>` : ''}
+                                <div class="recommendation-meta">${this.escapeHTML(this.describeRecommendationDetails(item))}</div>
+                                ${item.rationale ? `<div class="recommendation-rationale">${this.escapeHTML(item.rationale)}</div>` : ''}
+                                ${item.relatedControls.length > 0 ? `
+                                    <div class="recommendation-controls">
+                                        ${item.relatedControls.map(control => `<span class="tag">${this.escapeHTML(control)}</span>`).join('')}
+                                    </div>
+                                ` : ''}
+                                ${this.generateExplanationHTML(this.getRecommendationExplanation(recommendations, sectionName, item))}
+                            </div>
+                        `).join('')}
                     </div>
-                `).join('')}
-            </div>
+                `;
+            }).join('')}
+
+            ${this.generateRoadmapHTML(recommendations.roadmap)}
             
             <div class="results-section">
                 <h3>Assessment Details</h3>
@@ -843,11 +910,188 @@ class DataGovernanceApp {
         `;
     }
 
+    /**
+     * Get recommendation sections from either result shape
+     */
+    getResultSections(recommendations) {
+        return recommendations.recommendations?.sections || recommendations.sections || {};
+    }
+
+    /**
+     * Generate the gap analysis: radar chart of current vs. target maturity and ranked gaps
+     */
+    generateGapAnalysisHTML(gapAnalysis) {
+        if (!gapAnalysis || typeof RadarChart === 'undefined') return '';
+
+        const sources = {
+            assessment: 'this assessment',
+            organization: gapAnalysis.organization || 'the organization',
+            default: 'the default profile'
+        };
+
+        return `
+            <div class="results-section gap-analysis-section">
+                <div class="gap-analysis-header">
+                    <h3>Maturity Gap Analysis</h3>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="editMaturityTargets()">Edit Targets</button>
+                </div>
+                <p class="gap-analysis-source">Targets set for ${this.escapeHTML(sources[gapAnalysis.source] || sources.default)}</p>
+                ${RadarChart.renderLegend()}
+                <div class="radar-chart">${RadarChart.renderSVG(gapAnalysis)}</div>
+                <table class="gap-analysis-table">
+                    <thead>
+                        <tr><th>Rank</th><th>Category</th><th>Current</th><th>Target</th><th>Gap</th><th>Weight</th><th>Weighted Gap</th></tr>
+                    </thead>
+                    <tbody>
+                        ${gapAnalysis.categories.map(entry => `
+                            <tr class="${gapAnalysis.focus.includes(entry.category) ? 'gap-focus' : ''}">
+                                <td>${entry.rank}</td>
+                                <td>${this.escapeHTML(entry.name)}</td>
+                                <td>${entry.current} (${entry.currentPercentage}%)</td>
+                                <td>${entry.target} – ${this.escapeHTML(GapAnalyzer.getLevelName(entry.target))}</td>
+                                <td>${entry.gap}</td>
+                                <td>${Math.round(entry.weight * 100)}%</td>
+                                <td>${entry.weightedGap}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${gapAnalysis.focus.length > 0 ? `
+                    <p class="gap-analysis-focus">Recommendations focus on: ${gapAnalysis.categories
+                        .filter(entry => gapAnalysis.focus.includes(entry.category))
+                        .map(entry => this.escapeHTML(entry.name)).join(', ')}</p>
+                ` : '<p class="gap-analysis-focus">All categories meet their targets.</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Edit the maturity targets of the current assessment and regenerate its results
+     */
+    editMaturityTargets() {
+        if (!this.currentAssessment || typeof MaturityTargetEditor === 'undefined') return;
+
+        MaturityTargetEditor.open({
+            assessment: this.currentAssessment,
+            onSave: async () => {
+                try {
+                    this.showLoading('Updating recommendations...');
+                    const recommendations = await this.generateRecommendations();
+                    this.currentAssessment.recommendations = recommendations;
+                    this.saveCompletedAssessment();
+                    this.showAssessmentResults(recommendations);
+                    this.hideLoading();
+                } catch (error) {
+                    this.hideLoading();
+                    console.error('Failed to update recommendations:', error);
+                    this.showToast('Failed to update recommendations', 'error');
+                }
+            }
+        });
+    }
+
+    /**
+     * Generate the implementation roadmap: Gantt chart, effort per phase and warnings
+     */
+    generateRoadmapHTML(roadmap) {
+        if (!roadmap || typeof RoadmapChart === 'undefined') return '';
+
+        return `
+            <div class="results-section roadmap-section">
+                <h3>Implementation Roadmap</h3>
+                ${RoadmapChart.renderLegend()}
+                <div class="roadmap-chart">${RoadmapChart.renderSVG(roadmap)}</div>
+                <table class="roadmap-budget">
+                    <thead>
+                        <tr><th>Phase</th><th>Dates</th><th>Recommendations</th><th>Estimated Effort</th></tr>
+                    </thead>
+                    <tbody>
+                        ${roadmap.phases.map((phase, index) => `
+                            <tr>
+                                <td>${this.escapeHTML(phase.name)}</td>
+                                <td>${new Date(phase.start).toLocaleDateString()} – ${new Date(phase.end).toLocaleDateString()}</td>
+                                <td>${phase.items.length}</td>
+                                <td>${roadmap.budget.phases[index].personWeeks} ${roadmap.budget.unit}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${roadmap.warnings.length > 0 ? `
+                    <ul class="roadmap-warnings">
+                        ${roadmap.warnings.map(warning => `<li>${this.escapeHTML(warning)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * One line of effort, impact, owner and due date for a recommendation
+     */
+    describeRecommendationDetails(recommendation) {
+        const dueDate = RecommendationModel.getDueDate(recommendation, this.currentAssessment?.completed || new Date());
+        return [
+            `Effort: ${recommendation.effort}`,
+            `Impact: ${recommendation.impact}`,
+            recommendation.ownerRole ? `Owner: ${recommendation.ownerRole}` : null,
+            `Due within ${recommendation.dueWindow}${dueDate ? ` (by ${dueDate.toLocaleDateString()})` : ''}`,
+            `Source: ${recommendation.source}`
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Get executive summary from either result shape
+     */
+    getResultSummary(recommendations) {
+        return recommendations.recommendations?.summary || recommendations.summary || '';
+    }
+
+    /**
+     * Get the "Why?" explanation recorded for a recommendation
+     */
+    getRecommendationExplanation(recommendations, sectionName, item) {
+        if (typeof RecommendationEngine !== 'undefined' && RecommendationEngine.getExplanation) {
+            return RecommendationEngine.getExplanation(recommendations, sectionName, item);
+        }
+        return null;
+    }
+
+    /**
+     * Generate expandable "Why?" explanation for a recommendation
+     */
+    generateExplanationHTML(explanation) {
+        if (!explanation) return '';
+
+        const reasons = explanation.reasons || [];
+        return `
+            <details class="recommendation-why">
+                <summary>Why?</summary>
+                <p>${this.escapeHTML(explanation.summary)}</p>
+                ${reasons.length > 0 ? `
+                    <ul>
+                        ${reasons.map(reason => `<li>${this.escapeHTML(reason)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </details>
+        `;
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHTML(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
     /**
      * Set up export handlers for results
      */
     setupResultsExportHandlers(recommendations) {
         const exportPdfBtn = document.getElementById('export-pdf');
+        const exportExcelBtn = document.getElementById('export-excel');
         const exportJsonBtn = document.getElementById('export-json');
         const emailResultsBtn = document.getElementById('email-results');
 
@@ -855,6 +1099,10 @@ class DataGovernanceApp {
             exportPdfBtn.onclick = () => this.exportResultsPDF(recommendations);
         }
 
+        if (exportExcelBtn) {
+            exportExcelBtn.onclick = () => this.exportResultsExcel(recommendations);
+        }
+
         if (exportJsonBtn) {
             exportJsonBtn.onclick = () => this.exportResultsJSON(recommendations);
         }
@@ -872,7 +1120,9 @@ class DataGovernanceApp {
             this.showLoading('Generating PDF...');
             
             if (typeof PDFGenerator !== 'undefined') {
-                await PDFGenerator.generateAssessmentReport(this.currentAssessment, recommendations, this.currentUser);
+                const generator = new PDFGenerator();
+                const doc = await generator.generateAssessmentReport(this.buildReportData(recommendations));
+                doc.save(`governance-assessment-report-${this.currentAssessment.id}.pdf`);
             } else {
                 // Fallback: download HTML version
                 this.downloadHTMLReport(recommendations);
@@ -894,6 +1144,70 @@ class DataGovernanceApp {
         }
     }
 
+    /**
+     * Export results as an Excel workbook
+     */
+    async exportResultsExcel(recommendations) {
+        try {
+            this.showLoading('Generating Excel workbook...');
+
+            const generator = new ExcelGenerator();
+            const blob = await generator.generateAssessmentReport(this.buildReportData(recommendations));
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `governance-assessment-report-${this.currentAssessment.id}.xlsx`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            this.hideLoading();
+            this.showToast('Excel workbook exported successfully', 'success');
+
+            UsageTracker.trackEvent('export_excel', {
+                assessmentId: this.currentAssessment.id,
+                userId: this.currentUser.id,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to export Excel workbook:', error);
+            this.showToast('Failed to export Excel workbook', 'error');
+        }
+    }
+
+    /**
+     * Assessment data in the shape the PDF and Excel generators read
+     */
+    buildReportData(recommendations) {
+        const questions = StateManager.getState('config.questions') || [];
+        const breakdown = recommendations.scoreBreakdown || {};
+
+        return {
+            id: this.currentAssessment.id,
+            organization: this.currentUser.organization || '',
+            department: this.currentUser.department || '',
+            timestamp: this.currentAssessment.completed || new Date().toISOString(),
+            maturityScore: `${recommendations.score}/100`,
+            riskLevel: recommendations.level,
+            summary: this.getResultSummary(recommendations),
+            responses: questions
+                .filter(question => this.currentAssessment.answers[question.id] !== undefined)
+                .map(question => ({
+                    questionId: question.id,
+                    question: question.title || question.id,
+                    category: question.category || 'general',
+                    answer: this.currentAssessment.answers[question.id],
+                    score: breakdown[question.category || 'general']?.percentage ?? null
+                })),
+            categoryScores: breakdown,
+            recommendations: recommendations,
+            roadmap: recommendations.roadmap || null
+        };
+    }
+
     /**
      * Export results as JSON
      */
@@ -974,13 +1288,13 @@ GOVERNANCE MATURITY SCORE: ${recommendations.score}/100
 MATURITY LEVEL: ${recommendations.level}
 
 EXECUTIVE SUMMARY:
-${recommendations.summary}
+${this.getResultSummary(recommendations)}
 
 KEY RECOMMENDATIONS:
-- ${recommendations.sections.placement[0]}
-- ${recommendations.sections.controls[0]}
-- ${recommendations.sections.sharing[0]}
-- ${recommendations.sections.compliance[0]}
+${RecommendationModel.flatten(recommendations)
+    .slice(0, 5)
+    .map(item => `- [${item.priority.toUpperCase()}] ${item.title} (${item.ownerRole || 'unassigned'}, within ${item.dueWindow})`)
+    .join('\n')}
 
 For detailed recommendations and action items, please refer to the complete assessment report.
 
@@ -1030,7 +1344,14 @@ Generated by Data Governance Decision Tool v${this.version}
     isAssessmentComplete() {
         if (!this.currentAssessment) return false;
         
-        const questions = StorageManager.getItem('governance_questions') || [];
+        let questions = StorageManager.getItem('governance_questions') || [];
+
+        // Questions a route action skipped are not required
+        if (typeof QuestionRenderer !== 'undefined' && QuestionRenderer.questions.length > 0) {
+            questions = QuestionRenderer.getQuestionPath(this.currentAssessment.answers).path
+                .map(index => QuestionRenderer.questions[index]);
+        }
+
         const requiredQuestions = questions.filter(q => q.required !== false);
         
         return requiredQuestions.every(q => 
@@ -1737,6 +2058,10 @@ Generated by Data Governance Decision Tool v${this.version}
                 category: "basic",
                 version: "1.0.0",
                 tags: ["starter", "basic", "foundation"],
+                selection: {
+                    priority: 0,
+                    conditions: { operator: "AND", rules: [] }
+                },
                 recommendation: {
                     title: "Basic Data Governance Framework",
                     summary: "Establish foundational data governance practices to improve data quality and compliance.",
@@ -1813,6 +2138,13 @@ Generated by Data Governance Decision Tool v${this.version}
                 category: "advanced",
                 version: "1.0.0",
                 tags: ["advanced", "enterprise", "comprehensive"],
+                selection: {
+                    priority: 20,
+                    conditions: {
+                        operator: "AND",
+                        rules: [{ field: "question-2", operator: "in_list", value: ["defined", "managed"] }]
+                    }
+                },
                 recommendation: {
                     title: "Enterprise Data Governance Framework",
                     summary: "Deploy advanced governance capabilities with automation and continuous improvement.",
@@ -1859,6 +2191,13 @@ Generated by Data Governance Decision Tool v${this.version}
                 category: "simplified",
                 version: "1.0.0",
                 tags: ["simple", "small-business", "cost-effective"],
+                selection: {
+                    priority: 30,
+                    conditions: {
+                        operator: "AND",
+                        rules: [{ field: "question-5", operator: "equals", value: "small" }]
+                    }
+                },
                 recommendation: {
                     title: "Streamlined Data Governance",
                     summary: "Implement essential governance practices with minimal overhead and maximum impact.",
@@ -1966,6 +2305,10 @@ Generated by Data Governance Decision Tool v${this.version}
                 .section { margin-bottom: 30px; }
                 .section h2 { color: #1f2937; border-bottom: 1px solid #e5e7eb; padding-bottom: 10px; }
                 .recommendation { background: #f9fafb; padding: 15px; margin: 10px 0; border-radius: 8px; }
+                .why, .details { color: #6b7280; font-size: 14px; margin-top: 8px; }
+                .priority { display: inline-block; padding: 2px 8px; border-radius: 9999px; font-size: 12px; text-transform: uppercase; background: #e5e7eb; }
+                .priority-critical { background: #fee2e2; color: #991b1b; }
+                .priority-high { background: #ffedd5; color: #9a3412; }
                 .meta { background: #f3f4f6; padding: 15px; border-radius: 8px; margin-top: 30px; }
             </style>
         </head>
@@ -1978,14 +2321,51 @@ Generated by Data Governance Decision Tool v${this.version}
             
             <div class="section">
                 <h2>Executive Summary</h2>
-                <p>${recommendations.summary}</p>
+                <p>${this.getResultSummary(recommendations)}</p>
             </div>
             
+            ${recommendations.gapAnalysis && typeof RadarChart !== 'undefined' ? `
+                <div class="section">
+                    <h2>Maturity Gap Analysis</h2>
+                    ${RadarChart.renderSVG(recommendations.gapAnalysis)}
+                    ${recommendations.gapAnalysis.categories.map(entry => `
+                        <p><strong>${entry.rank}. ${this.escapeHTML(entry.name)}</strong>: level ${entry.current} of target ${entry.target}
+                            (gap ${entry.gap}, weighted ${entry.weightedGap})</p>
+                    `).join('')}
+                </div>
+            ` : ''}
+
+            ${recommendations.roadmap && typeof RoadmapChart !== 'undefined' ? `
+                <div class="section">
+                    <h2>Implementation Roadmap</h2>
+                    ${RoadmapChart.renderSVG(recommendations.roadmap)}
+                    ${recommendations.roadmap.phases.map((phase, index) => `
+                        <p><strong>${this.escapeHTML(phase.name)}</strong> (${new Date(phase.start).toLocaleDateString()} – ${new Date(phase.end).toLocaleDateString()}):
+                            ${phase.items.length} recommendations, about ${recommendations.roadmap.budget.phases[index].personWeeks} ${recommendations.roadmap.budget.unit}</p>
+                    `).join('')}
+                </div>
+            ` : ''}
+
             <div class="section">
                 <h2>Recommendations</h2>
-                ${Object.entries(recommendations.sections).map(([key, items]) => `
+                ${Object.entries(this.getResultSections(recommendations)).map(([key, items]) => `
                     <h3>${key.charAt(0).toUpperCase() + key.slice(1).replace('_', ' ')}</h3>
-                    ${items.map(item => `<div class="recommendation">${item}</div>`).join('')}
+                    ${items.map(item => {
+                        const explanation = this.getRecommendationExplanation(recommendations, key, item);
+                        return `
+                            <div class="recommendation">
+                                <strong>${this.escapeHTML(item.title)}</strong>
+                                <span class="priority priority-${this.escapeHTML(item.priority)}">${this.escapeHTML(item.priority)}</span>
+                                ${item.description !== item.title ? `<p>${this.escapeHTML(item.description)}</p>` : ''}
+                                <div class="details">${this.escapeHTML(this.describeRecommendationDetails(item))}</div>
+                                ${item.relatedControls.length > 0 ? `<div class="details"><strong>Related controls:</strong> ${this.escapeHTML(item.relatedControls.join(', '))}</div>` : ''}
+                                ${item.rationale ? `<div class="details"><strong>Rationale:</strong> ${this.escapeHTML(item.rationale)}</div>` : ''}
+                                ${explanation && typeof ExplanationBuilder !== 'undefined' ? `
+                                    <div class="why"><strong>Why?</strong> ${this.escapeHTML(ExplanationBuilder.toText(explanation))}</div>
+                                ` : ''}
+                            </div>
+                        `;
+                    }).join('')}
                 `).join('')}
             </div>
             
@@ -2068,6 +2448,12 @@ window.exportAuditLog = function() {
     }
 };
 
+window.editMaturityTargets = function() {
+    if (window.app) {
+        window.app.editMaturityTargets();
+    }
+};
+
 window.logout = function() {
     if (window.app) {
         window.app.logout();
@@ -0,0 +1,574 @@
+// js/config/decision-table-editor.js - Decision Table Editor
+
+/**
+ * Decision Table Editor for Data Governance Decision Tool
+ * Spreadsheet-style editing of decision tables in the Rules tab, with
+ * CSV/XLSX import and export and compilation into rules
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class DecisionTableEditor {
+    static modal = null;
+    static editingTable = null;
+    static excelGenerator = null;
+
+    /**
+     * Open the decision table modal
+     */
+    static open() {
+        if (typeof DecisionTable === 'undefined') {
+            alert('Decision tables not available');
+            return;
+        }
+
+        this.close();
+        this.editingTable = null;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show decision-table-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Decision Tables</h2>
+                    <button class="modal-close" onclick="DecisionTableEditor.close()">&times;</button>
+                </div>
+                <div class="modal-body" id="decision-table-body"></div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    /**
+     * Close the modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Render the modal body
+     */
+    static render() {
+        const body = document.getElementById('decision-table-body');
+        if (!body) return;
+
+        body.innerHTML = this.editingTable
+            ? this.renderEditor(this.editingTable)
+            : this.renderList();
+    }
+
+    /**
+     * Render the saved tables
+     */
+    static renderList() {
+        const tables = DecisionTable.getTables();
+
+        return `
+            <div class="decision-table-toolbar">
+                <button type="button" class="btn btn-primary btn-sm" onclick="DecisionTableEditor.newTable()">New Table</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="DecisionTableEditor.importTable()">Import CSV / XLSX</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="DecisionTableEditor.fromRules()"
+                        title="Show the current rules as a decision table">From Current Rules</button>
+            </div>
+
+            ${tables.length === 0 ? `
+                <div class="empty-state">
+                    <h3>No Decision Tables</h3>
+                    <p>Author rules as a table with one column per question and one row per outcome.</p>
+                </div>
+            ` : `
+                <div class="decision-table-list">
+                    ${tables.map(table => `
+                        <div class="decision-table-item">
+                            <div>
+                                <div class="decision-table-item-title">${this.escapeHTML(table.name)}</div>
+                                <div class="decision-table-item-meta">
+                                    Hit policy: ${table.hitPolicy} &middot; ${table.inputs.length} input${table.inputs.length === 1 ? '' : 's'}
+                                    &middot; ${table.rows.length} row${table.rows.length === 1 ? '' : 's'}
+                                </div>
+                            </div>
+                            <div class="decision-table-item-actions">
+                                <button type="button" class="btn btn-secondary btn-sm" onclick="DecisionTableEditor.editTable('${table.id}')">Edit</button>
+                                <button type="button" class="btn btn-secondary btn-sm" onclick="DecisionTableEditor.exportCSV('${table.id}')">CSV</button>
+                                <button type="button" class="btn btn-secondary btn-sm" onclick="DecisionTableEditor.exportXLSX('${table.id}')">XLSX</button>
+                                <button type="button" class="btn btn-danger btn-sm" onclick="DecisionTableEditor.deleteTable('${table.id}')">Delete</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Render the table editor grid
+     */
+    static renderEditor(table) {
+        const questions = DecisionTable.getQuestions();
+        const questionOptions = selected => `
+            <option value="">Select question...</option>
+            ${questions.map(question => `
+                <option value="${this.escapeHTML(question.id)}" ${question.id === selected ? 'selected' : ''}>
+                    ${this.escapeHTML(question.title || question.id)}
+                </option>
+            `).join('')}
+            ${selected && !questions.some(question => question.id === selected) ? `
+                <option value="${this.escapeHTML(selected)}" selected>${this.escapeHTML(selected)} (missing)</option>
+            ` : ''}
+        `;
+
+        return `
+            <div class="decision-table-settings">
+                <div class="form-group">
+                    <label class="form-label" for="decision-table-name">Name</label>
+                    <input type="text" id="decision-table-name" class="form-input" value="${this.escapeHTML(table.name)}"
+                           onchange="DecisionTableEditor.updateSetting('name', this.value)">
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="decision-table-policy">Hit Policy</label>
+                    <select id="decision-table-policy" class="form-select"
+                            onchange="DecisionTableEditor.updateSetting('hitPolicy', this.value)">
+                        <option value="first" ${table.hitPolicy === 'first' ? 'selected' : ''}>First – only the first matching row</option>
+                        <option value="unique" ${table.hitPolicy === 'unique' ? 'selected' : ''}>Unique – rows may not overlap</option>
+                        <option value="collect" ${table.hitPolicy === 'collect' ? 'selected' : ''}>Collect – every matching row</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="decision-table-priority">Priority</label>
+                    <input type="number" id="decision-table-priority" class="form-input" min="1" max="10"
+                           value="${table.priority}" onchange="DecisionTableEditor.updateSetting('priority', this.value)">
+                </div>
+            </div>
+
+            <p class="decision-table-help">
+                Cells: <code>-</code> any, <code>small</code>, <code>not small</code>, <code>small, medium</code>,
+                <code>&gt;= 5</code>, <code>[5..10]</code>, <code>empty</code>. Rules compiled from this table are
+                replaced every time it is saved.
+            </p>
+
+            <div class="decision-table-grid">
+                <table>
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Rule</th>
+                            ${table.inputs.map((input, column) => `
+                                <th class="decision-table-input">
+                                    <select class="form-select" onchange="DecisionTableEditor.updateInput(${column}, this.value)">
+                                        ${questionOptions(input.questionId)}
+                                    </select>
+                                    <button type="button" class="btn-icon" title="Remove column"
+                                            onclick="DecisionTableEditor.removeInput(${column})">&times;</button>
+                                </th>
+                            `).join('')}
+                            <th class="decision-table-output">Score</th>
+                            <th class="decision-table-output">Recommendation</th>
+                            ${table.variables.map(name => `
+                                <th class="decision-table-output">
+                                    ${this.escapeHTML(name)}
+                                    <button type="button" class="btn-icon" title="Remove column"
+                                            onclick="DecisionTableEditor.removeVariable('${this.escapeHTML(name)}')">&times;</button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${table.rows.map((row, index) => `
+                            <tr>
+                                <td class="decision-table-row-actions">
+                                    <button type="button" class="btn-icon" title="Move up" ${index === 0 ? 'disabled' : ''}
+                                            onclick="DecisionTableEditor.moveRow(${index}, -1)">↑</button>
+                                    <button type="button" class="btn-icon" title="Move down" ${index === table.rows.length - 1 ? 'disabled' : ''}
+                                            onclick="DecisionTableEditor.moveRow(${index}, 1)">↓</button>
+                                    <button type="button" class="btn-icon" title="Remove row"
+                                            onclick="DecisionTableEditor.removeRow(${index})">🗑️</button>
+                                </td>
+                                <td>${this.renderCell(index, 'label', null, row.label)}</td>
+                                ${row.inputs.map((text, column) => `
+                                    <td>${this.renderCell(index, 'input', column, text)}</td>
+                                `).join('')}
+                                <td>${this.renderCell(index, 'score', null, row.score)}</td>
+                                <td>${this.renderCell(index, 'recommendation', null, row.recommendation)}</td>
+                                ${table.variables.map(name => `
+                                    <td>${this.renderCell(index, 'variable', name, row.variables[name])}</td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="decision-table-toolbar">
+                <button type="button" class="btn btn-secondary btn-sm" onclick="DecisionTableEditor.addRow()">Add Row</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="DecisionTableEditor.addInput()">Add Question Column</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="DecisionTableEditor.addVariable()">Add Variable Column</button>
+            </div>
+
+            <div class="rule-form-actions">
+                <button type="button" class="btn btn-primary" onclick="DecisionTableEditor.saveTable()">Save &amp; Compile Rules</button>
+                <button type="button" class="btn btn-secondary" onclick="DecisionTableEditor.exportCSV()">Export CSV</button>
+                <button type="button" class="btn btn-secondary" onclick="DecisionTableEditor.exportXLSX()">Export XLSX</button>
+                <button type="button" class="btn btn-secondary" onclick="DecisionTableEditor.cancelEdit()">Back</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render an editable grid cell
+     */
+    static renderCell(rowIndex, kind, key, value) {
+        const keyArg = key === null ? 'null' : typeof key === 'number' ? key : `'${this.escapeHTML(key)}'`;
+        return `
+            <input type="text" class="form-input decision-table-cell" value="${this.escapeHTML(value)}"
+                   onchange="DecisionTableEditor.updateCell(${rowIndex}, '${kind}', ${keyArg}, this.value)">
+        `;
+    }
+
+    /**
+     * Start a new table
+     */
+    static newTable() {
+        this.editingTable = DecisionTable.create();
+        this.render();
+    }
+
+    /**
+     * Edit a saved table
+     */
+    static editTable(tableId) {
+        const table = DecisionTable.getTable(tableId);
+        if (!table) return;
+
+        this.editingTable = JSON.parse(JSON.stringify(table));
+        this.render();
+    }
+
+    /**
+     * Leave the editor without saving
+     */
+    static cancelEdit() {
+        this.editingTable = null;
+        this.render();
+    }
+
+    /**
+     * Update a table-level setting
+     */
+    static updateSetting(key, value) {
+        if (!this.editingTable) return;
+        this.editingTable[key] = key === 'priority' ? parseInt(value) || 1 : value;
+    }
+
+    /**
+     * Update a grid cell
+     */
+    static updateCell(rowIndex, kind, key, value) {
+        const row = this.editingTable?.rows[rowIndex];
+        if (!row) return;
+
+        if (kind === 'input') {
+            row.inputs[key] = value;
+        } else if (kind === 'variable') {
+            row.variables[key] = value;
+        } else {
+            row[kind] = value;
+        }
+    }
+
+    /**
+     * Change the question of an input column
+     */
+    static updateInput(column, questionId) {
+        if (!this.editingTable) return;
+        this.editingTable.inputs[column].questionId = questionId;
+    }
+
+    /**
+     * Add a row
+     */
+    static addRow() {
+        const table = this.editingTable;
+        table.rows.push({
+            label: '',
+            inputs: table.inputs.map(() => '-'),
+            score: '',
+            recommendation: '',
+            variables: {}
+        });
+        this.editingTable = DecisionTable.normalize(table);
+        this.render();
+    }
+
+    /**
+     * Remove a row
+     */
+    static removeRow(rowIndex) {
+        this.editingTable.rows.splice(rowIndex, 1);
+        this.render();
+    }
+
+    /**
+     * Move a row up or down; order matters for the first hit policy
+     */
+    static moveRow(rowIndex, offset) {
+        const rows = this.editingTable.rows;
+        const target = rowIndex + offset;
+        if (target < 0 || target >= rows.length) return;
+
+        [rows[rowIndex], rows[target]] = [rows[target], rows[rowIndex]];
+        this.render();
+    }
+
+    /**
+     * Add a question column
+     */
+    static addInput() {
+        this.editingTable.inputs.push({ questionId: '' });
+        this.editingTable.rows.forEach(row => row.inputs.push('-'));
+        this.render();
+    }
+
+    /**
+     * Remove a question column
+     */
+    static removeInput(column) {
+        this.editingTable.inputs.splice(column, 1);
+        this.editingTable.rows.forEach(row => row.inputs.splice(column, 1));
+        this.render();
+    }
+
+    /**
+     * Add a variable output column
+     */
+    static addVariable() {
+        const name = prompt('Variable name:');
+        if (!name || !name.trim()) return;
+
+        const variable = name.trim();
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(variable)) {
+            alert('Variable names may only contain letters, digits and underscores');
+            return;
+        }
+        if (this.editingTable.variables.includes(variable)) {
+            alert(`The table already has a "${variable}" column`);
+            return;
+        }
+
+        this.editingTable.variables.push(variable);
+        this.editingTable.rows.forEach(row => {
+            row.variables[variable] = '';
+        });
+        this.render();
+    }
+
+    /**
+     * Remove a variable output column
+     */
+    static removeVariable(name) {
+        this.editingTable.variables = this.editingTable.variables.filter(variable => variable !== name);
+        this.editingTable.rows.forEach(row => delete row.variables[name]);
+        this.render();
+    }
+
+    /**
+     * Save the table and replace its compiled rules
+     */
+    static saveTable() {
+        const table = DecisionTable.normalize(this.editingTable);
+        const validation = DecisionTable.validate(table);
+
+        if (!validation.isValid) {
+            alert('Please fix the following problems:\n\n' + validation.errors.join('\n'));
+            return;
+        }
+        if (validation.warnings.length > 0 &&
+            !confirm(`${validation.warnings.join('\n')}\n\nSave anyway?`)) {
+            return;
+        }
+
+        try {
+            const rules = DecisionTable.compile(table);
+            const saved = DecisionTable.saveTable(table);
+            if (typeof RuleBuilder !== 'undefined') {
+                RuleBuilder.applyDecisionTableRules(saved.id, rules);
+            }
+            this.editingTable = null;
+            this.render();
+            alert(`Saved "${saved.name}" and compiled ${rules.length} rule${rules.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Failed to save decision table:', error);
+            alert('Failed to save decision table: ' + error.message);
+        }
+    }
+
+    /**
+     * Delete a table and the rules compiled from it
+     */
+    static deleteTable(tableId) {
+        const table = DecisionTable.getTable(tableId);
+        if (!table || !confirm(`Delete "${table.name}" and the rules compiled from it?`)) {
+            return;
+        }
+
+        DecisionTable.deleteTable(tableId);
+        if (typeof RuleBuilder !== 'undefined') {
+            RuleBuilder.applyDecisionTableRules(tableId, []);
+        }
+        this.render();
+    }
+
+    /**
+     * Open the current rules as a new (unsaved) collect table
+     */
+    static fromRules() {
+        const rules = typeof RuleBuilder !== 'undefined' ? RuleBuilder.rules : RulesEngine.rules;
+        const { table, skipped } = DecisionTable.fromRules(rules);
+
+        if (skipped.length > 0) {
+            alert(`${skipped.length} rule${skipped.length === 1 ? '' : 's'} cannot be shown as table rows:\n\n` +
+                skipped.map(entry => `${entry.ruleName}: ${entry.reason}`).join('\n'));
+        }
+        if (table.rows.length === 0) {
+            return;
+        }
+
+        this.editingTable = table;
+        this.render();
+    }
+
+    /**
+     * Import a table from a CSV or XLSX file
+     */
+    static importTable() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.xlsx';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.processImport(file);
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Parse an imported file and open it in the editor
+     */
+    static async processImport(file) {
+        try {
+            const defaults = { name: file.name.replace(/\.(csv|xlsx)$/i, '') };
+            let table;
+
+            if (/\.xlsx$/i.test(file.name)) {
+                const sheets = await this.getExcelGenerator().readWorkbook(file);
+                const [sheetName, rows] = Object.entries(sheets)[0] || [];
+                if (!rows) {
+                    throw new Error('The workbook has no sheets');
+                }
+                table = DecisionTable.fromRows(rows, { ...defaults, name: sheetName || defaults.name });
+            } else {
+                table = DecisionTable.fromCSV(await file.text(), defaults);
+            }
+
+            this.editingTable = table;
+            this.render();
+        } catch (error) {
+            console.error('Failed to import decision table:', error);
+            alert('Failed to import decision table: ' + error.message);
+        }
+    }
+
+    /**
+     * Get the table being edited or a saved table
+     */
+    static getExportTable(tableId) {
+        return tableId ? DecisionTable.getTable(tableId) : DecisionTable.normalize(this.editingTable);
+    }
+
+    /**
+     * Download a table as CSV
+     */
+    static exportCSV(tableId = null) {
+        const table = this.getExportTable(tableId);
+        if (!table) return;
+
+        this.download(new Blob([DecisionTable.toCSV(table)], { type: 'text/csv' }), `${this.getFileName(table)}.csv`);
+    }
+
+    /**
+     * Download a table as XLSX
+     */
+    static async exportXLSX(tableId = null) {
+        const table = this.getExportTable(tableId);
+        if (!table) return;
+
+        try {
+            const blob = await this.getExcelGenerator().generateWorkbook({ [table.name]: DecisionTable.toRows(table) });
+            this.download(blob, `${this.getFileName(table)}.xlsx`);
+        } catch (error) {
+            console.error('Failed to export decision table:', error);
+            alert('Failed to export decision table: ' + error.message);
+        }
+    }
+
+    /**
+     * Shared Excel generator, which loads SheetJS on first use
+     */
+    static getExcelGenerator() {
+        if (typeof ExcelGenerator === 'undefined') {
+            throw new Error('Excel support not available');
+        }
+        if (!this.excelGenerator) {
+            this.excelGenerator = new ExcelGenerator();
+        }
+        return this.excelGenerator;
+    }
+
+    /**
+     * File name for a table export
+     */
+    static getFileName(table) {
+        return 'decision-table-' + table.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Trigger a file download
+     */
+    static download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DecisionTableEditor;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DecisionTableEditor = DecisionTableEditor;
+}
@@ -0,0 +1,271 @@
+// js/config/maturity-target-editor.js - Maturity Target Editor
+
+/**
+ * Maturity Target Editor for Data Governance Decision Tool
+ * Modal for setting the target maturity level (1-5) of each question
+ * category, as the default profile, for one organization, or for a single
+ * assessment (see GapAnalyzer)
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class MaturityTargetEditor {
+    static modal = null;
+    static scope = 'default';
+    static organization = '';
+    static assessment = null;
+    static onSave = null;
+
+    /**
+     * Open the editor
+     * @param {Object} options - { assessment: edit this assessment's targets too,
+     *                             onSave: called with the assessment after saving }
+     */
+    static open(options = {}) {
+        if (typeof GapAnalyzer === 'undefined') {
+            alert('Gap analysis not available');
+            return;
+        }
+
+        this.close();
+        this.assessment = options.assessment || null;
+        this.onSave = options.onSave || null;
+        this.organization = GapAnalyzer.getOrganization(this.assessment || {});
+        this.scope = this.assessment ? GapAnalyzer.getTargets(this.assessment).source : 'default';
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show maturity-target-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Maturity Targets</h2>
+                    <button class="modal-close" onclick="MaturityTargetEditor.close()">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    /**
+     * Close the modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Render the scope choice and one target per category
+     */
+    static render() {
+        const body = this.modal?.querySelector('.modal-body');
+        if (!body) return;
+
+        const targets = this.getScopeTargets();
+        const scopes = [
+            { value: 'default', label: 'Default (all organizations)' },
+            { value: 'organization', label: 'Organization' },
+            ...(this.assessment ? [{ value: 'assessment', label: 'This assessment only' }] : [])
+        ];
+
+        body.innerHTML = `
+            <p class="form-help">
+                Targets are looked up for the assessment first, then its organization, then the default.
+                Categories below target are ranked by gap times category weight, and recommendations
+                for the biggest gaps are raised in priority.
+            </p>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="maturity-target-scope" class="form-label">Applies To</label>
+                    <select id="maturity-target-scope" class="form-select" onchange="MaturityTargetEditor.setScope(this.value)">
+                        ${scopes.map(scope => `
+                            <option value="${scope.value}" ${this.scope === scope.value ? 'selected' : ''}>${scope.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                ${this.scope === 'organization' ? `
+                    <div class="form-group">
+                        <label for="maturity-target-organization" class="form-label">Organization</label>
+                        <input type="text" id="maturity-target-organization" class="form-input"
+                               value="${this.escapeHTML(this.organization)}"
+                               onchange="MaturityTargetEditor.setOrganization(this.value)">
+                    </div>
+                ` : ''}
+            </div>
+            <table class="maturity-target-table">
+                <thead>
+                    <tr><th>Category</th><th>Weight</th><th>Target Level</th></tr>
+                </thead>
+                <tbody>
+                    ${this.getCategories(targets).map(category => this.renderRow(category, targets)).join('')}
+                </tbody>
+            </table>
+            <div class="snippet-toolbar">
+                <button type="button" class="btn btn-primary btn-sm" onclick="MaturityTargetEditor.save()">Save Targets</button>
+                ${this.scope !== 'default' ? `
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="MaturityTargetEditor.clear()">Use Default</button>
+                ` : ''}
+                <button type="button" class="btn btn-secondary btn-sm" onclick="MaturityTargetEditor.close()">Cancel</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the target select for a category
+     */
+    static renderRow(category, targets) {
+        const target = GapAnalyzer.getCategoryTarget(targets, category);
+        return `
+            <tr>
+                <td>${this.escapeHTML(GapAnalyzer.getCategoryName(category))}</td>
+                <td>${Math.round(GapAnalyzer.getWeight(category) * 100)}%</td>
+                <td>
+                    <select class="form-select maturity-target-level" data-category="${this.escapeHTML(category)}">
+                        <option value="" ${target === null ? 'selected' : ''}>Not tracked</option>
+                        ${GapAnalyzer.LEVELS.map(entry => `
+                            <option value="${entry.level}" ${target === entry.level ? 'selected' : ''}>${entry.level} - ${entry.name}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Targets currently stored for the selected scope
+     */
+    static getScopeTargets() {
+        const profiles = GapAnalyzer.getProfiles();
+
+        if (this.scope === 'assessment') {
+            return this.assessment?.targetProfile?.categories || GapAnalyzer.getTargets({ organization: this.organization }).categories;
+        }
+        if (this.scope === 'organization') {
+            const stored = profiles.organizations[GapAnalyzer.getOrganizationKey(this.organization)];
+            return stored ? stored.categories : profiles.default.categories;
+        }
+        return profiles.default.categories;
+    }
+
+    /**
+     * Question categories, plus any only present in the targets
+     */
+    static getCategories(targets) {
+        const questions = StateManager?.getState('config.questions') || [];
+        const categories = questions.map(question => question.category || 'general');
+        return [...new Set([...categories, ...Object.keys(targets || {})])];
+    }
+
+    /**
+     * Read the selected targets from the form
+     */
+    static readTargets() {
+        const categories = {};
+        this.modal.querySelectorAll('.maturity-target-level').forEach(select => {
+            categories[select.dataset.category] = select.value === '' ? null : Number(select.value);
+        });
+        return categories;
+    }
+
+    /**
+     * Change the scope being edited
+     */
+    static setScope(scope) {
+        this.scope = scope;
+        this.render();
+    }
+
+    /**
+     * Change the organization being edited
+     */
+    static setOrganization(organization) {
+        this.organization = organization.trim();
+        this.render();
+    }
+
+    /**
+     * Save the targets for the selected scope
+     */
+    static save() {
+        const categories = this.readTargets();
+
+        try {
+            if (this.scope === 'assessment') {
+                const errors = GapAnalyzer.validateTargets(categories);
+                if (errors.length > 0) throw new Error(errors.join('; '));
+                this.assessment.targetProfile = { categories, modified: new Date().toISOString() };
+            } else if (this.scope === 'organization') {
+                if (!this.organization) {
+                    alert('Enter the organization the targets apply to');
+                    return;
+                }
+                GapAnalyzer.saveTargets(this.organization, categories);
+            } else {
+                GapAnalyzer.saveTargets(null, categories);
+            }
+        } catch (error) {
+            alert('Failed to save targets: ' + error.message);
+            return;
+        }
+
+        this.finish();
+    }
+
+    /**
+     * Remove the organization's or assessment's own targets
+     */
+    static clear() {
+        if (!confirm('Remove these targets and use the default profile instead?')) {
+            return;
+        }
+
+        if (this.scope === 'assessment') {
+            delete this.assessment.targetProfile;
+        } else if (this.scope === 'organization') {
+            GapAnalyzer.deleteTargets(this.organization);
+        }
+
+        this.finish();
+    }
+
+    /**
+     * Close and let the caller refresh its results
+     */
+    static finish() {
+        const onSave = this.onSave;
+        const assessment = this.assessment;
+        this.close();
+
+        if (typeof RecommendationEngine !== 'undefined') {
+            RecommendationEngine.clearCache();
+        }
+        if (onSave) {
+            onSave(assessment);
+        }
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaturityTargetEditor;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.MaturityTargetEditor = MaturityTargetEditor;
+}
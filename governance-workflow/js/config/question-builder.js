@@ -407,6 +407,7 @@ class QuestionBuilder {
                         <button type="button" id="add-option" class="btn-secondary">Add Option</button>
                     </div>
                 </div>
+                ${question.type === 'text-input' ? this.renderTextScoring(question) : ''}
                 <div class="form-group">
                     <label for="question-validation" class="form-label">Validation</label>
                     <textarea id="question-validation" class="form-textarea" rows="2"
@@ -422,6 +423,51 @@ class QuestionBuilder {
         // Setup event listeners for editor
         this.setupQuestionEditorListeners(question);
     }
+    /**
+     * Render the scoring method fields for text-input questions
+     */
+    static renderTextScoring(question) {
+        const scoring = question.scoring || {};
+        const method = scoring.method || 'length';
+        const keywords = (Array.isArray(scoring.keywords) ? scoring.keywords : [])
+            .map(keyword => `${keyword.term} = ${keyword.score}`)
+            .join('\n');
+        const references = (Array.isArray(scoring.references) ? scoring.references : []).join('\n');
+
+        return `
+            <div class="form-group text-scoring">
+                <label for="question-scoring-method" class="form-label">Answer Scoring</label>
+                <select id="question-scoring-method" class="form-select">
+                    <option value="length" ${method === 'length' ? 'selected' : ''}>By answer length</option>
+                    <option value="keywords" ${method === 'keywords' ? 'selected' : ''}>By keywords mentioned</option>
+                    <option value="similarity" ${method === 'similarity' ? 'selected' : ''}>By similarity to reference answers</option>
+                </select>
+                <textarea id="question-scoring-keywords" class="form-textarea" rows="3"
+                          placeholder="One keyword or phrase per line, optionally with a score: encryption = 3">${this.escapeHTML(keywords)}</textarea>
+                <textarea id="question-scoring-references" class="form-textarea" rows="3"
+                          placeholder="One reference answer per line">${this.escapeHTML(references)}</textarea>
+                <small class="form-help">Negated mentions ("we do not encrypt") earn no points. Scores are scaled to 0-10.</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the text scoring fields, or null when the editor has none
+     */
+    static readTextScoring() {
+        const methodField = document.getElementById('question-scoring-method');
+        if (!methodField) return null;
+
+        return {
+            method: methodField.value,
+            keywords: TextAnalyzer.parseKeywords(document.getElementById('question-scoring-keywords').value),
+            references: document.getElementById('question-scoring-references').value
+                .split('\n')
+                .map(reference => reference.trim())
+                .filter(Boolean)
+        };
+    }
+
     /**
      * Setup event listeners for question editor
      */
@@ -448,6 +494,11 @@ class QuestionBuilder {
             question.weight = parseInt(weightField.value, 10);
             question.validation = JSON.parse(validationField.value || '{}');
 
+            const scoring = question.type === 'text-input' ? this.readTextScoring() : null;
+            if (scoring) {
+                question.scoring = scoring;
+            }
+
             this.saveQuestions();
             this.isDirty = false;
             this.renderQuestionList();
@@ -14,6 +14,18 @@ class RuleBuilder {
     static isInitialized = false;
     static isDirty = false;
 
+    // Operators that also work without a value (changed_from: from any value)
+    static OPTIONAL_VALUE_OPERATORS = ['changed_from', 'increased', 'decreased', 'is_empty', 'is_not_empty'];
+    static COUNT_OPERATORS = ['count_equals', 'count_at_least', 'count_at_most'];
+
+    static SAMPLE_TEST_DATA = {
+        'question-1': 'financial_data',
+        'question-2': 'basic',
+        'question-3': ['gdpr', 'sox'],
+        'question-4': 'basic_permissions',
+        'question-5': 'medium'
+    };
+
     /**
      * Initialize rule builder
      */
@@ -55,7 +67,11 @@ class RuleBuilder {
         // Import/Export buttons
         const importBtn = document.getElementById('import-rules');
         const exportBtn = document.getElementById('export-rules');
+        const exportDMNBtn = document.getElementById('export-dmn');
         const testBtn = document.getElementById('test-rules');
+        const dependenciesBtn = document.getElementById('rule-dependencies');
+        const coverageBtn = document.getElementById('rule-coverage');
+        const decisionTablesBtn = document.getElementById('decision-tables');
 
         if (importBtn) {
             importBtn.addEventListener('click', () => this.importRules());
@@ -65,12 +81,29 @@ class RuleBuilder {
             exportBtn.addEventListener('click', () => this.exportRules());
         }
 
+        if (exportDMNBtn) {
+            exportDMNBtn.addEventListener('click', () => this.exportDMN());
+        }
+
         if (testBtn) {
             testBtn.addEventListener('click', () => this.testRules());
         }
 
+        if (dependenciesBtn) {
+            dependenciesBtn.addEventListener('click', () => this.showDependencies());
+        }
+
+        if (coverageBtn) {
+            coverageBtn.addEventListener('click', () => this.showCoverage());
+        }
+
+        if (decisionTablesBtn) {
+            decisionTablesBtn.addEventListener('click', () => this.showDecisionTables());
+        }
+
         // Rule form handlers
         const saveRuleBtn = document.getElementById('save-rule');
+        const simulateRuleBtn = document.getElementById('simulate-rule');
         const cancelRuleBtn = document.getElementById('cancel-rule');
         const addConditionBtn = document.getElementById('add-condition');
         const addActionBtn = document.getElementById('add-action');
@@ -79,6 +112,10 @@ class RuleBuilder {
             saveRuleBtn.addEventListener('click', () => this.saveCurrentRule());
         }
 
+        if (simulateRuleBtn) {
+            simulateRuleBtn.addEventListener('click', () => this.simulateCurrentRule());
+        }
+
         if (cancelRuleBtn) {
             cancelRuleBtn.addEventListener('click', () => this.cancelRuleEdit());
         }
@@ -125,6 +162,9 @@ class RuleBuilder {
                 <div class="rule-item-meta">
                     <span class="rule-priority">Priority: ${rule.priority || 1}</span>
                     <span class="rule-category">${rule.category || 'General'}</span>
+                    ${rule.version ? `<span class="rule-version">v${rule.version}</span>` : ''}
+                    ${this.renderEffectiveWindow(rule)}
+                    ${rule.decisionTable ? `<span class="rule-decision-table" title="Compiled from a decision table">Table: ${this.escapeHTML(rule.decisionTable.name)}</span>` : ''}
                 </div>
                 <div class="rule-item-actions">
                     <button type="button" class="btn-icon" onclick="RuleBuilder.editRule('${rule.id}')" 
@@ -139,6 +179,10 @@ class RuleBuilder {
                             title="Duplicate rule">
                         📋
                     </button>
+                    <button type="button" class="btn-icon" onclick="RuleBuilder.showHistory('${rule.id}')" 
+                            title="Version history">
+                        🕘
+                    </button>
                     <button type="button" class="btn-icon" onclick="RuleBuilder.deleteRule('${rule.id}')" 
                             title="Delete rule">
                         🗑️
@@ -158,6 +202,22 @@ class RuleBuilder {
         });
     }
 
+    /**
+     * Render a rule's effective-date window for the rule list
+     */
+    static renderEffectiveWindow(rule) {
+        if (!rule.effectiveFrom && !rule.effectiveUntil) return '';
+
+        const reason = typeof RulesEngine !== 'undefined'
+            ? RulesEngine.getIneffectiveReason(rule, { now: new Date() })
+            : null;
+        const window = rule.effectiveFrom && rule.effectiveUntil
+            ? `${rule.effectiveFrom} – ${rule.effectiveUntil}`
+            : rule.effectiveFrom ? `From ${rule.effectiveFrom}` : `Until ${rule.effectiveUntil}`;
+
+        return `<span class="rule-effective ${reason ? 'rule-effective-out' : ''}" title="${this.escapeHTML(reason || 'In effect')}">${this.escapeHTML(window)}</span>`;
+    }
+
     /**
      * Render rule editor
      */
@@ -215,21 +275,33 @@ class RuleBuilder {
                                ${rule.active !== false ? 'checked' : ''}>
                     </div>
                 </div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rule-effective-from" class="form-label">Effective From</label>
+                        <input type="date" id="rule-effective-from" class="form-input"
+                               value="${this.escapeHTML(rule.effectiveFrom || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule-effective-until" class="form-label">Effective Until</label>
+                        <input type="date" id="rule-effective-until" class="form-input"
+                               value="${this.escapeHTML(rule.effectiveUntil || '')}">
+                    </div>
+                </div>
                 
                 <div class="conditions-section">
                     <h4>Conditions</h4>
                     <div class="operator-select">
                         <label>Logical Operator:</label>
                         <select id="conditions-operator" class="form-select">
-                            <option value="AND" ${rule.conditions?.operator === 'AND' ? 'selected' : ''}>AND</option>
-                            <option value="OR" ${rule.conditions?.operator === 'OR' ? 'selected' : ''}>OR</option>
-                            <option value="NOT" ${rule.conditions?.operator === 'NOT' ? 'selected' : ''}>NOT</option>
+                            ${this.renderLogicalOperatorOptions((rule.conditions?.operator || 'AND').toUpperCase())}
                         </select>
                     </div>
                     <div id="conditions-container" class="conditions-container">
                         ${this.renderConditions(rule.conditions?.rules || [])}
                     </div>
                     <button type="button" id="add-condition" class="btn btn-secondary btn-sm">Add Condition</button>
+                    <button type="button" id="add-condition-group" class="btn btn-secondary btn-sm">Add Group</button>
                 </div>
 
                 <div class="actions-section">
@@ -242,6 +314,8 @@ class RuleBuilder {
 
                 <div class="rule-form-actions">
                     <button type="button" id="save-rule" class="btn btn-primary">Save Rule</button>
+                    <button type="button" id="simulate-rule" class="btn btn-secondary"
+                            title="Compare this edit with the live rules over completed assessments">Simulate</button>
                     <button type="button" id="cancel-rule" class="btn btn-secondary">Cancel</button>
                     <button type="button" id="delete-rule" class="btn btn-danger">Delete Rule</button>
                 </div>
@@ -253,33 +327,238 @@ class RuleBuilder {
 
     /**
      * Render conditions
+     * Nested groups are rendered recursively with their own logical operator.
      */
     static renderConditions(conditions) {
-        return conditions.map((condition, index) => `
+        return conditions.map((condition, index) => {
+            if (this.isConditionGroup(condition)) {
+                return this.renderConditionGroup(condition, index);
+            }
+
+            return `
             <div class="condition-item" data-index="${index}">
                 <div class="condition-form">
                     <select class="condition-field form-select">
                         <option value="">Select Field</option>
-                        <option value="question-1" ${condition.field === 'question-1' ? 'selected' : ''}>Data Type</option>
-                        <option value="question-2" ${condition.field === 'question-2' ? 'selected' : ''}>Governance Maturity</option>
-                        <option value="question-3" ${condition.field === 'question-3' ? 'selected' : ''}>Compliance</option>
-                        <option value="question-4" ${condition.field === 'question-4' ? 'selected' : ''}>Access Control</option>
-                        <option value="question-5" ${condition.field === 'question-5' ? 'selected' : ''}>Organization Size</option>
+                        ${this.renderFieldOptions(condition.field)}
                     </select>
                     <select class="condition-operator form-select">
                         <option value="equals" ${condition.operator === 'equals' ? 'selected' : ''}>Equals</option>
                         <option value="not_equals" ${condition.operator === 'not_equals' ? 'selected' : ''}>Not Equals</option>
                         <option value="contains" ${condition.operator === 'contains' ? 'selected' : ''}>Contains</option>
                         <option value="not_contains" ${condition.operator === 'not_contains' ? 'selected' : ''}>Not Contains</option>
+                        <option value="in_list" ${condition.operator === 'in_list' ? 'selected' : ''}>In List</option>
+                        <option value="is_empty" ${condition.operator === 'is_empty' ? 'selected' : ''}>Is Empty</option>
+                        <option value="is_not_empty" ${condition.operator === 'is_not_empty' ? 'selected' : ''}>Is Not Empty</option>
+                        <option value="regex_match" ${condition.operator === 'regex_match' ? 'selected' : ''}>Matches Pattern</option>
+                        <option value="contains_any" ${condition.operator === 'contains_any' ? 'selected' : ''}>Contains Any Of</option>
+                        <option value="contains_all" ${condition.operator === 'contains_all' ? 'selected' : ''}>Contains All Of</option>
+                        <option value="contains_none" ${condition.operator === 'contains_none' ? 'selected' : ''}>Contains None Of</option>
+                        <option value="subset_of" ${condition.operator === 'subset_of' ? 'selected' : ''}>Only From</option>
+                        <option value="superset_of" ${condition.operator === 'superset_of' ? 'selected' : ''}>Superset Of</option>
+                        <option value="count_equals" ${condition.operator === 'count_equals' ? 'selected' : ''}>Selected Count Equals</option>
+                        <option value="count_at_least" ${condition.operator === 'count_at_least' ? 'selected' : ''}>Selected Count At Least</option>
+                        <option value="count_at_most" ${condition.operator === 'count_at_most' ? 'selected' : ''}>Selected Count At Most</option>
+                        <option value="score_at_least" ${condition.operator === 'score_at_least' ? 'selected' : ''}>Score Sum At Least</option>
+                        <option value="score_at_most" ${condition.operator === 'score_at_most' ? 'selected' : ''}>Score Sum At Most</option>
+                        <option value="greater_than" ${condition.operator === 'greater_than' ? 'selected' : ''}>Greater Than</option>
+                        <option value="greater_than_or_equal" ${condition.operator === 'greater_than_or_equal' ? 'selected' : ''}>Greater Than or Equal</option>
+                        <option value="less_than" ${condition.operator === 'less_than' ? 'selected' : ''}>Less Than</option>
+                        <option value="less_than_or_equal" ${condition.operator === 'less_than_or_equal' ? 'selected' : ''}>Less Than or Equal</option>
+                        <option value="between" ${condition.operator === 'between' ? 'selected' : ''}>Between</option>
+                        <option value="before" ${condition.operator === 'before' ? 'selected' : ''}>Date Before</option>
+                        <option value="after" ${condition.operator === 'after' ? 'selected' : ''}>Date After</option>
+                        <option value="within" ${condition.operator === 'within' ? 'selected' : ''}>Date Within</option>
+                        <option value="older_than" ${condition.operator === 'older_than' ? 'selected' : ''}>Date Older Than</option>
+                        <option value="mentions_any" ${condition.operator === 'mentions_any' ? 'selected' : ''}>Text Mentions Any Of</option>
+                        <option value="mentions_all" ${condition.operator === 'mentions_all' ? 'selected' : ''}>Text Mentions All Of</option>
+                        <option value="mentions_none" ${condition.operator === 'mentions_none' ? 'selected' : ''}>Text Mentions None Of</option>
+                        <option value="negates_any" ${condition.operator === 'negates_any' ? 'selected' : ''}>Text Rules Out</option>
+                        <option value="similar_to" ${condition.operator === 'similar_to' ? 'selected' : ''}>Text Similar To</option>
+                        <option value="changed_from" ${condition.operator === 'changed_from' ? 'selected' : ''}>Changed From (Previous)</option>
+                        <option value="increased" ${condition.operator === 'increased' ? 'selected' : ''}>Increased Since Previous</option>
+                        <option value="decreased" ${condition.operator === 'decreased' ? 'selected' : ''}>Decreased Since Previous</option>
+                        <option value="delta_greater_than" ${condition.operator === 'delta_greater_than' ? 'selected' : ''}>Change Greater Than</option>
+                        <option value="delta_less_than" ${condition.operator === 'delta_less_than' ? 'selected' : ''}>Change Less Than</option>
+                    </select>
+                    <span class="condition-value-fields">
+                        ${this.renderConditionValue(condition)}
+                    </span>
+                    <input type="text" class="condition-expression form-input" 
+                           value="${this.escapeAttribute(condition.expression)}" 
+                           placeholder="Expression (optional), e.g. count(answer('question-3'))">
+                    <button type="button" class="btn-icon remove-condition" onclick="RuleBuilder.removeCondition(this)">🗑️</button>
+                </div>
+            </div>
+        `;
+        }).join('');
+    }
+
+    /**
+     * Render the value inputs of a condition for its operator
+     * Ranges get a min and a max, count operators a count and an optional list
+     * of options to count among, text lists a comma-separated text, and any
+     * other structured value is edited as JSON so it is saved back unchanged.
+     */
+    static renderConditionValue(condition) {
+        const value = condition.value ?? '';
+        const input = (className, fieldValue, placeholder, attributes = '') => `
+            <input type="text" class="${className} form-input" value="${this.escapeAttribute(fieldValue)}"
+                   placeholder="${placeholder}" ${attributes}>
+        `;
+
+        if (condition.operator === 'between') {
+            const [min, max] = Array.isArray(value) ? value : [value, ''];
+            return input('condition-value-min', min, 'Min') + input('condition-value-max', max, 'Max');
+        }
+
+        if (this.COUNT_OPERATORS.includes(condition.operator)) {
+            const { count, of } = this.splitCountValue(value);
+            return input('condition-value-count', count, 'Count') +
+                input('condition-value-of', of.join(', '), 'Of options (optional), e.g. gdpr, hipaa');
+        }
+
+        if (condition.operator === 'in_list' && (!Array.isArray(value) || value.every(item => typeof item === 'string'))) {
+            return input('condition-value', Array.isArray(value) ? value.join(', ') : value, 'Values, e.g. gdpr, hipaa', 'data-format="list"');
+        }
+
+        if (typeof value === 'object') {
+            return input('condition-value', JSON.stringify(value), 'Value (JSON)', 'data-format="json"');
+        }
+
+        return input('condition-value', value, 'Value',
+            'title="Lists: gdpr, hipaa; dates: 2026-12-31, now, today + 30 days or a deadline field; durations: 30 days, 12 months; changes since the previous assessment: an old value, or a minimum amount; text: encryption, access review or 0.6: reference answer | another"');
+    }
+
+    /**
+     * Split a count operator value into a count and the options it counts among
+     * Accepts 2, { count: 2, of: [...] } and "2 of a, b, c".
+     */
+    static splitCountValue(value) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const of = value.of ?? [];
+            return { count: value.count, of: Array.isArray(of) ? of : String(of).split(',').map(item => item.trim()) };
+        }
+
+        const match = String(value).trim().match(/^(\d+)\s+of\s+(.+)$/i);
+        if (match) {
+            return { count: match[1], of: match[2].split(',').map(item => item.trim()) };
+        }
+        return { count: value, of: [] };
+    }
+
+    /**
+     * Read the value of a condition item back in the shape its inputs were rendered for
+     * Returns '' when nothing was entered.
+     */
+    static collectConditionValue(item) {
+        const text = selector => item.querySelector(selector)?.value.trim() ?? '';
+        const toNumber = fieldValue => (fieldValue !== '' && !isNaN(Number(fieldValue)) ? Number(fieldValue) : fieldValue);
+        const toList = fieldValue => fieldValue.split(',').map(entry => entry.trim()).filter(Boolean);
+
+        if (item.querySelector('.condition-value-min')) {
+            const min = text('.condition-value-min');
+            const max = text('.condition-value-max');
+            return min === '' && max === '' ? '' : [toNumber(min), toNumber(max)];
+        }
+
+        if (item.querySelector('.condition-value-count')) {
+            const count = text('.condition-value-count');
+            const of = toList(text('.condition-value-of'));
+            if (count === '') return '';
+            return of.length > 0 ? { count: toNumber(count), of } : toNumber(count);
+        }
+
+        const input = item.querySelector('.condition-value');
+        const value = input?.value ?? '';
+        if (value.trim() === '') return '';
+
+        if (input.dataset.format === 'list') {
+            return toList(value);
+        }
+        if (input.dataset.format === 'json') {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Re-render the value inputs of a condition after its operator changed,
+     * keeping what was entered so far
+     */
+    static updateConditionValueFields(item) {
+        const fields = item?.querySelector(':scope > .condition-form > .condition-value-fields');
+        if (!fields) return;
+
+        const operator = item.querySelector('.condition-operator')?.value;
+        fields.innerHTML = this.renderConditionValue({ operator, value: this.collectConditionValue(item) });
+    }
+
+    /**
+     * Render the configured questions as condition field options
+     * Date and free-text questions are labelled so the date and text operators
+     * can be matched to them. A field that is not a question (e.g. a variable set by another rule) is
+     * kept as its own option so editing the rule does not drop it.
+     */
+    static renderFieldOptions(selected) {
+        const questions = (typeof StateManager !== 'undefined' && StateManager.getState('config.questions')) || [];
+        const typeLabels = { 'date-input': 'date', 'text-input': 'free text' };
+        const options = questions.map(question => {
+            const typeLabel = typeLabels[question.type] ? ` (${typeLabels[question.type]})` : '';
+            return `<option value="${this.escapeHTML(question.id)}" ${question.id === selected ? 'selected' : ''}>${this.escapeHTML((question.title || question.id) + typeLabel)}</option>`;
+        });
+
+        if (selected && !questions.some(question => question.id === selected)) {
+            options.push(`<option value="${this.escapeHTML(selected)}" selected>${this.escapeHTML(selected)}</option>`);
+        }
+
+        return options.join('');
+    }
+
+    /**
+     * Render a nested condition group
+     */
+    static renderConditionGroup(group, index) {
+        const operator = (group.operator || 'AND').toUpperCase();
+
+        return `
+            <div class="condition-group" data-index="${index}">
+                <div class="condition-group-header">
+                    <select class="condition-group-operator form-select">
+                        ${this.renderLogicalOperatorOptions(operator)}
                     </select>
-                    <input type="text" class="condition-value form-input" 
-                           value="${this.escapeHTML(condition.value || '')}" placeholder="Value">
-                    <button type="button" class="btn-icon remove-condition" onclick="RuleBuilder.removeCondition(${index})">🗑️</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="RuleBuilder.addCondition(this)">Add Condition</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="RuleBuilder.addConditionGroup(this)">Add Group</button>
+                    <button type="button" class="btn-icon remove-condition-group" onclick="RuleBuilder.removeCondition(this)" 
+                            title="Remove group">🗑️</button>
+                </div>
+                <div class="condition-group-body">
+                    ${this.renderConditions(group.rules || [])}
                 </div>
             </div>
+        `;
+    }
+
+    /**
+     * Render logical operator options
+     */
+    static renderLogicalOperatorOptions(selected) {
+        return ['AND', 'OR', 'NOT', 'XOR'].map(operator => `
+            <option value="${operator}" ${selected === operator ? 'selected' : ''}>${operator}</option>
         `).join('');
     }
 
+    /**
+     * Check whether a condition node is a nested group
+     */
+    static isConditionGroup(condition) {
+        return !!condition && typeof condition === 'object' && Array.isArray(condition.rules);
+    }
+
     /**
      * Render actions
      */
@@ -291,7 +570,10 @@ class RuleBuilder {
                         <option value="recommend" ${action.type === 'recommend' ? 'selected' : ''}>Recommend Template</option>
                         <option value="score" ${action.type === 'score' ? 'selected' : ''}>Adjust Score</option>
                         <option value="notify" ${action.type === 'notify' ? 'selected' : ''}>Send Notification</option>
-                        <option value="route" ${action.type === 'route' ? 'selected' : ''}>Route to Section</option>
+                        <option value="route" ${action.type === 'route' ? 'selected' : ''}>Route Questionnaire</option>
+                        <option value="validate" ${action.type === 'validate' ? 'selected' : ''}>Validate Answer</option>
+                        <option value="set_variable" ${action.type === 'set_variable' ? 'selected' : ''}>Set Variable</option>
+                        <option value="trigger_workflow" ${action.type === 'trigger_workflow' ? 'selected' : ''}>Trigger Workflow</option>
                     </select>
                     <input type="text" class="action-parameters form-input" 
                            value="${this.escapeHTML(JSON.stringify(action.parameters || {}))}" 
@@ -308,6 +590,7 @@ class RuleBuilder {
     static setupRuleEditorListeners() {
         // Rule form handlers
         const saveRuleBtn = document.getElementById('save-rule');
+        const simulateRuleBtn = document.getElementById('simulate-rule');
         const cancelRuleBtn = document.getElementById('cancel-rule');
         const deleteRuleBtn = document.getElementById('delete-rule');
 
@@ -315,6 +598,10 @@ class RuleBuilder {
             saveRuleBtn.addEventListener('click', () => this.saveCurrentRule());
         }
 
+        if (simulateRuleBtn) {
+            simulateRuleBtn.addEventListener('click', () => this.simulateCurrentRule());
+        }
+
         if (cancelRuleBtn) {
             cancelRuleBtn.addEventListener('click', () => this.cancelRuleEdit());
         }
@@ -325,15 +612,30 @@ class RuleBuilder {
 
         // Add condition/action handlers
         const addConditionBtn = document.getElementById('add-condition');
+        const addConditionGroupBtn = document.getElementById('add-condition-group');
         const addActionBtn = document.getElementById('add-action');
 
         if (addConditionBtn) {
             addConditionBtn.addEventListener('click', () => this.addCondition());
         }
 
+        if (addConditionGroupBtn) {
+            addConditionGroupBtn.addEventListener('click', () => this.addConditionGroup());
+        }
+
         if (addActionBtn) {
             addActionBtn.addEventListener('click', () => this.addAction());
         }
+
+        // Value inputs follow the operator (a range has two, a count two)
+        const conditionsContainer = document.getElementById('conditions-container');
+        if (conditionsContainer) {
+            conditionsContainer.addEventListener('change', (e) => {
+                if (e.target.classList.contains('condition-operator')) {
+                    this.updateConditionValueFields(e.target.closest('.condition-item'));
+                }
+            });
+        }
     }
 
     /**
@@ -374,11 +676,10 @@ class RuleBuilder {
     }
 
     /**
-     * Save current rule
+     * Read the rule form into a copy of the current rule
+     * Returns null (after telling the user) when the form is incomplete.
      */
-    static saveCurrentRule() {
-        if (!this.currentRule) return;
-
+    static readRuleForm() {
         // Collect form data
         const nameField = document.getElementById('rule-name');
         const descField = document.getElementById('rule-description');
@@ -386,31 +687,75 @@ class RuleBuilder {
         const priorityField = document.getElementById('rule-priority');
         const activeField = document.getElementById('rule-active');
         const operatorField = document.getElementById('conditions-operator');
+        const effectiveFromField = document.getElementById('rule-effective-from');
+        const effectiveUntilField = document.getElementById('rule-effective-until');
 
         if (!nameField?.value.trim()) {
             alert('Rule name is required');
-            return;
+            return null;
         }
 
-        // Update rule
-        this.currentRule.name = nameField.value.trim();
-        this.currentRule.description = descField?.value.trim() || '';
-        this.currentRule.category = categoryField?.value || 'general';
-        this.currentRule.priority = parseInt(priorityField?.value) || 1;
-        this.currentRule.active = activeField?.checked !== false;
-        this.currentRule.modified = new Date().toISOString();
+        // Empty date inputs remove the window
+        const effectiveFrom = effectiveFromField ? effectiveFromField.value : this.currentRule.effectiveFrom;
+        const effectiveUntil = effectiveUntilField ? effectiveUntilField.value : this.currentRule.effectiveUntil;
+        if (effectiveFrom && effectiveUntil && effectiveUntil < effectiveFrom) {
+            alert('Effective Until must not be before Effective From');
+            return null;
+        }
 
-        // Collect conditions
-        this.currentRule.conditions = {
+        // Collect conditions and actions
+        const conditions = {
             operator: operatorField?.value || 'AND',
             rules: this.collectConditions()
         };
+        const actions = this.collectActions();
 
-        // Collect actions
-        this.currentRule.actions = this.collectActions();
+        // Refuse expressions that do not parse
+        const expressionErrors = this.checkExpressions(conditions, actions);
+        if (expressionErrors.length > 0) {
+            alert('Please fix the following expressions:\n\n' + expressionErrors.join('\n'));
+            return null;
+        }
+
+        return {
+            ...this.currentRule,
+            name: nameField.value.trim(),
+            description: descField?.value.trim() || '',
+            category: categoryField?.value || 'general',
+            priority: parseInt(priorityField?.value) || 1,
+            active: activeField?.checked !== false,
+            effectiveFrom: effectiveFrom || undefined,
+            effectiveUntil: effectiveUntil || undefined,
+            modified: new Date().toISOString(),
+            conditions: conditions,
+            actions: actions
+        };
+    }
+
+    /**
+     * Save current rule
+     */
+    static saveCurrentRule() {
+        if (!this.currentRule) return;
+
+        const candidate = this.readRuleForm();
+        if (!candidate) return;
+
+        // Static checks: contradictions, dead references, duplicates and conflicts
+        if (typeof RuleLinter !== 'undefined') {
+            const otherRules = this.rules.filter(rule => rule.id !== candidate.id);
+            const report = RuleLinter.lint([...otherRules, candidate], { ruleIds: [candidate.id] });
+            if (report.issues.length > 0 &&
+                !confirm(`This rule has ${report.issues.length} issue(s):\n\n${RuleLinter.formatIssues(report.issues)}\n\nSave anyway?`)) {
+                return;
+            }
+        }
+
+        this.currentRule = candidate;
 
         // Save to rules array
         const existingIndex = this.rules.findIndex(r => r.id === this.currentRule.id);
+        RulesEngine.recordRuleVersion(this.currentRule, { changeType: existingIndex >= 0 ? 'updated' : 'created' });
         if (existingIndex >= 0) {
             this.rules[existingIndex] = this.currentRule;
         } else {
@@ -424,19 +769,58 @@ class RuleBuilder {
         this.isDirty = false;
     }
 
+    /**
+     * Simulate the rule being edited against the live rules without saving it
+     */
+    static simulateCurrentRule() {
+        if (!this.currentRule) return;
+
+        const candidate = this.readRuleForm();
+        if (!candidate) return;
+
+        if (typeof RuleSimulationView === 'undefined') {
+            alert('Rule simulation not available');
+            return;
+        }
+
+        const draftRules = this.rules.some(rule => rule.id === candidate.id)
+            ? this.rules.map(rule => rule.id === candidate.id ? candidate : rule)
+            : [...this.rules, candidate];
+        RuleSimulationView.open(draftRules, `Simulate "${candidate.name}"`);
+    }
+
     /**
      * Collect conditions from form
+     * Walks the direct children of a container so nested groups keep their shape.
      */
-    static collectConditions() {
-        const conditionItems = document.querySelectorAll('.condition-item');
+    static collectConditions(container = document.getElementById('conditions-container')) {
         const conditions = [];
+        if (!container) return conditions;
+
+        Array.from(container.children).forEach(item => {
+            if (item.classList.contains('condition-group')) {
+                const rules = this.collectConditions(item.querySelector(':scope > .condition-group-body'));
+                if (rules.length > 0) {
+                    conditions.push({
+                        operator: item.querySelector(':scope > .condition-group-header .condition-group-operator')?.value || 'AND',
+                        rules: rules
+                    });
+                }
+                return;
+            }
+
+            if (!item.classList.contains('condition-item')) return;
 
-        conditionItems.forEach(item => {
             const field = item.querySelector('.condition-field')?.value;
             const operator = item.querySelector('.condition-operator')?.value;
-            const value = item.querySelector('.condition-value')?.value;
-
-            if (field && operator && value) {
+            const value = this.collectConditionValue(item);
+            const expression = item.querySelector('.condition-expression')?.value.trim();
+            const hasValue = value !== '' || this.OPTIONAL_VALUE_OPERATORS.includes(operator);
+
+            // A computed expression takes the place of the field
+            if (expression && operator && hasValue) {
+                conditions.push({ expression, operator, value, weight: 1 });
+            } else if (field && operator && hasValue) {
                 conditions.push({ field, operator, value, weight: 1 });
             }
         });
@@ -444,6 +828,42 @@ class RuleBuilder {
         return conditions;
     }
 
+    /**
+     * Check condition and action expressions for parse errors
+     */
+    static checkExpressions(conditions, actions) {
+        if (typeof ExpressionEvaluator === 'undefined') {
+            return [];
+        }
+
+        const errors = [];
+        const check = (expression, label) => {
+            const result = ExpressionEvaluator.validate(expression);
+            if (!result.isValid) {
+                errors.push(`${label}: "${expression}" - ${result.error}`);
+            }
+        };
+
+        const walk = (group) => {
+            (group.rules || []).forEach(condition => {
+                if (this.isConditionGroup(condition)) {
+                    walk(condition);
+                } else if (condition.expression) {
+                    check(condition.expression, 'Condition');
+                }
+            });
+        };
+        walk(conditions);
+
+        actions.forEach((action, index) => {
+            if (action.parameters?.expression !== undefined) {
+                check(String(action.parameters.expression), `Action ${index + 1} (${action.type})`);
+            }
+        });
+
+        return errors;
+    }
+
     /**
      * Collect actions from form
      */
@@ -473,20 +893,53 @@ class RuleBuilder {
     /**
      * Add condition
      */
-    static addCondition() {
-        const container = document.getElementById('conditions-container');
+    static addCondition(trigger = null) {
+        const container = this.getConditionContainer(trigger);
         if (!container) return;
 
-        const index = container.children.length;
         const conditionHTML = this.renderConditions([{ field: '', operator: 'equals', value: '' }]);
         container.insertAdjacentHTML('beforeend', conditionHTML);
     }
 
     /**
-     * Remove condition
+     * Add nested condition group
+     */
+    static addConditionGroup(trigger = null) {
+        const container = this.getConditionContainer(trigger);
+        if (!container) return;
+
+        const groupHTML = this.renderConditionGroup({
+            operator: 'AND',
+            rules: [{ field: '', operator: 'equals', value: '' }]
+        }, container.children.length);
+        container.insertAdjacentHTML('beforeend', groupHTML);
+    }
+
+    /**
+     * Resolve the container a new condition should be added to
+     */
+    static getConditionContainer(trigger) {
+        const group = trigger?.closest?.('.condition-group');
+        if (group) {
+            return group.querySelector(':scope > .condition-group-body');
+        }
+        return document.getElementById('conditions-container');
+    }
+
+    /**
+     * Remove condition or group
      */
-    static removeCondition(index) {
-        const conditionItem = document.querySelector(`.condition-item[data-index="${index}"]`);
+    static removeCondition(target) {
+        let conditionItem = null;
+
+        if (typeof target === 'number') {
+            conditionItem = document.querySelector(`#conditions-container > [data-index="${target}"]`);
+        } else if (target?.closest('.condition-group-header')) {
+            conditionItem = target.closest('.condition-group');
+        } else {
+            conditionItem = target?.closest('.condition-item');
+        }
+
         if (conditionItem) {
             conditionItem.remove();
         }
@@ -523,6 +976,7 @@ class RuleBuilder {
 
         rule.active = !rule.active;
         rule.modified = new Date().toISOString();
+        RulesEngine.recordRuleVersion(rule, { changeType: 'updated' });
         
         this.saveRules();
         this.renderRulesList();
@@ -542,7 +996,9 @@ class RuleBuilder {
             created: new Date().toISOString(),
             modified: new Date().toISOString()
         };
+        delete duplicatedRule.version;
 
+        RulesEngine.recordRuleVersion(duplicatedRule, { changeType: 'created' });
         this.rules.push(duplicatedRule);
         this.saveRules();
         this.renderRulesList();
@@ -556,6 +1012,7 @@ class RuleBuilder {
         if (!rule) return;
 
         if (confirm(`Are you sure you want to delete "${rule.name}"?`)) {
+            RulesEngine.recordRuleVersion(rule, { changeType: 'deleted' });
             this.rules = this.rules.filter(r => r.id !== ruleId);
             
             if (this.currentRule?.id === ruleId) {
@@ -579,19 +1036,22 @@ class RuleBuilder {
 
     /**
      * Test rules
+     * Opens the saved test suite; falls back to a single sample run.
      */
     static testRules() {
+        if (typeof RuleTestEditor !== 'undefined' && typeof RuleTestRunner !== 'undefined') {
+            RuleTestEditor.open();
+        } else {
+            this.runSampleTest();
+        }
+    }
+
+    /**
+     * Run rules once against the sample answers
+     */
+    static runSampleTest() {
         if (typeof RulesEngine !== 'undefined') {
-            // Create test data
-            const testData = {
-                'question-1': 'financial_data',
-                'question-2': 'basic',
-                'question-3': ['gdpr', 'sox'],
-                'question-4': 'basic_permissions',
-                'question-5': 'medium'
-            };
-
-            const results = RulesEngine.testRules(testData, this.rules);
+            const results = RulesEngine.testRules({ ...this.SAMPLE_TEST_DATA }, this.rules);
             this.showTestResults(results);
         } else {
             alert('Rules Engine not available for testing');
@@ -633,6 +1093,7 @@ class RuleBuilder {
     static exportRules() {
         const exportData = {
             rules: this.rules,
+            testSuite: typeof RuleTestRunner !== 'undefined' ? RuleTestRunner.exportTestCases() : [],
             exportDate: new Date().toISOString(),
             version: '1.0.0'
         };
@@ -648,13 +1109,49 @@ class RuleBuilder {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Export rules as a DMN 1.3 document
+     */
+    static exportDMN() {
+        if (typeof RulesEngine === 'undefined') {
+            alert('Rules engine not available');
+            return;
+        }
+
+        try {
+            const { xml, tables, skipped } = RulesEngine.exportDMN(this.rules);
+            if (tables.length === 0) {
+                alert('None of the rules can be exported as DMN decision tables');
+                return;
+            }
+            if (skipped.length > 0 &&
+                !confirm(`${skipped.length} rule(s) cannot be written as DMN and will be left out:\n\n` +
+                    skipped.map(entry => `${entry.ruleName}: ${entry.reason}`).join('\n') + '\n\nExport anyway?')) {
+                return;
+            }
+
+            const blob = new Blob([xml], { type: 'application/xml' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `governance-rules-${new Date().toISOString().split('T')[0]}.dmn`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Failed to export DMN:', error);
+            alert('Failed to export DMN: ' + error.message);
+        }
+    }
+
     /**
      * Import rules
      */
     static importRules() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = '.json,.dmn,.xml';
         input.onchange = (e) => {
             const file = e.target.files[0];
             if (file) {
@@ -666,30 +1163,144 @@ class RuleBuilder {
 
     /**
      * Process rules import
+     * The rules engine validates, versions and lints the rules and imports the
+     * test suite and decision tables that come with them; the result is reported here.
      */
     static async processRulesImport(file) {
+        if (typeof RulesEngine === 'undefined') {
+            alert('Rules engine not available');
+            return;
+        }
+
         try {
             const text = await file.text();
-            const importData = JSON.parse(text);
-            
-            if (importData.rules && Array.isArray(importData.rules)) {
-                if (confirm(`Import ${importData.rules.length} rules? This will replace existing rules.`)) {
-                    this.rules = importData.rules;
-                    this.saveRules();
-                    this.renderRulesList();
-                    this.currentRule = null;
-                    this.renderRuleEditor();
-                    alert('Rules imported successfully');
-                }
-            } else {
+            // DMN documents are handed over as XML text
+            const data = /\.(dmn|xml)$/i.test(file.name) ? text : JSON.parse(text);
+            if (typeof data !== 'string' && !Array.isArray(data?.rules)) {
                 alert('Invalid rules file format');
+                return;
             }
+
+            const replace = confirm('Replace the existing rules with this file?\n\nOK replaces them; Cancel merges the file into them (rules with the same ID are updated).');
+            const result = RulesEngine.importRules(data, { merge: !replace });
+
+            this.loadRules();
+            this.renderRulesList();
+            this.currentRule = null;
+            this.renderRuleEditor();
+            alert(this.formatImportResult(result));
         } catch (error) {
             console.error('Failed to import rules:', error);
             alert('Failed to import rules: ' + error.message);
         }
     }
 
+    /**
+     * Summarize a RulesEngine.importRules result for the user
+     */
+    static formatImportResult(result) {
+        const unsupported = result.unsupported || [];
+        const issues = result.lint?.issues || [];
+        let message = `Imported ${result.imported} rules`;
+
+        if (unsupported.length > 0 && typeof DMNConverter !== 'undefined') {
+            message += `\n\n${unsupported.length} DMN construct(s) are not supported and were left out:\n${DMNConverter.formatUnsupported(unsupported)}`;
+        }
+        if (issues.length > 0) {
+            message += `\n\nThe rule check found ${issues.length} issue(s):\n${RuleLinter.formatIssues(issues)}`;
+        }
+
+        return message;
+    }
+
+    /**
+     * Show how rules depend on each other's variables
+     */
+    static showDependencies() {
+        if (typeof RuleDependencyView !== 'undefined') {
+            RuleDependencyView.open(this.rules);
+        } else {
+            alert('Rule dependency graph not available');
+        }
+    }
+
+    /**
+     * Show rule coverage over completed assessments
+     */
+    static showCoverage() {
+        if (typeof RuleCoverageView !== 'undefined') {
+            RuleCoverageView.open(this.rules);
+        } else {
+            alert('Rule coverage analysis not available');
+        }
+    }
+
+    /**
+     * Show the decision table editor
+     */
+    static showDecisionTables() {
+        if (typeof DecisionTableEditor !== 'undefined') {
+            DecisionTableEditor.open();
+        } else {
+            alert('Decision tables not available');
+        }
+    }
+
+    /**
+     * Replace the rules compiled from a decision table
+     * Rows that no longer exist are recorded as deleted; the new rules take the
+     * place of the old ones in the list.
+     */
+    static applyDecisionTableRules(tableId, compiledRules) {
+        const previous = this.rules.filter(rule => rule.decisionTable?.id === tableId);
+        const previousIds = new Set(previous.map(rule => rule.id));
+        const compiledIds = new Set(compiledRules.map(rule => rule.id));
+        const comment = 'Compiled from decision table';
+
+        previous
+            .filter(rule => !compiledIds.has(rule.id))
+            .forEach(rule => RulesEngine.recordRuleVersion(rule, { changeType: 'deleted', comment }));
+        compiledRules.forEach(rule => {
+            RulesEngine.recordRuleVersion(rule, { changeType: previousIds.has(rule.id) ? 'updated' : 'created', comment });
+        });
+
+        const insertAt = previous.length > 0 ? this.rules.indexOf(previous[0]) : this.rules.length;
+        const remaining = this.rules.filter(rule => rule.decisionTable?.id !== tableId);
+        remaining.splice(insertAt, 0, ...compiledRules);
+        this.rules = remaining;
+
+        if (this.currentRule && previousIds.has(this.currentRule.id)) {
+            this.currentRule = null;
+            this.renderRuleEditor();
+        }
+
+        this.saveRules();
+        this.renderRulesList();
+    }
+
+    /**
+     * Show version history for a rule
+     */
+    static showHistory(ruleId) {
+        if (typeof RuleHistoryViewer !== 'undefined') {
+            RuleHistoryViewer.open(ruleId);
+        } else {
+            alert('Rule history not available');
+        }
+    }
+
+    /**
+     * Show a rule restored by RulesEngine.rollbackRule
+     */
+    static refreshAfterRollback(ruleId) {
+        this.loadRules();
+        if (this.currentRule?.id === ruleId) {
+            this.currentRule = null;
+            this.renderRuleEditor();
+        }
+        this.renderRulesList();
+    }
+
     /**
      * Save rules to storage
      */
@@ -725,6 +1336,14 @@ class RuleBuilder {
         return div.innerHTML;
     }
 
+    /**
+     * Escape a value for a double-quoted attribute
+     * escapeHTML leaves quotes alone, which expressions and JSON values are full of.
+     */
+    static escapeAttribute(value) {
+        return this.escapeHTML(String(value ?? '')).replace(/"/g, '&quot;');
+    }
+
     /**
      * Load rules list
      */
@@ -0,0 +1,182 @@
+// js/config/rule-coverage-view.js - Rule Coverage Report View
+
+/**
+ * Rule Coverage View for Data Governance Decision Tool
+ * Shows how often rules and their conditions matched across completed
+ * assessments and exports the report as CSV
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleCoverageView {
+    static modal = null;
+    static report = null;
+
+    /**
+     * Run the coverage analysis and open the report modal
+     */
+    static open(rules) {
+        if (typeof RuleCoverageAnalyzer === 'undefined') {
+            alert('Rule coverage analysis not available');
+            return;
+        }
+
+        try {
+            this.report = RuleCoverageAnalyzer.analyze(rules.filter(rule => rule.active !== false));
+        } catch (error) {
+            console.error('Failed to analyse rule coverage:', error);
+            alert('Failed to analyse rule coverage: ' + error.message);
+            return;
+        }
+
+        this.close();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show rule-coverage-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Rule Coverage</h2>
+                    <button class="modal-close" onclick="RuleCoverageView.close()">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${this.renderReport(this.report)}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+    }
+
+    /**
+     * Close the modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Render summary, flagged rules and the per-rule table
+     */
+    static renderReport(report) {
+        if (report.assessmentCount === 0) {
+            return `
+                <div class="empty-state">
+                    <h3>No Completed Assessments</h3>
+                    <p>Coverage is measured by replaying completed assessments. Submit an assessment first.</p>
+                </div>
+            `;
+        }
+
+        const rulesById = new Map(report.rules.map(rule => [rule.ruleId, rule]));
+        const listRules = ids => ids.map(id => `<li>${this.escapeHTML(rulesById.get(id)?.ruleName || id)}</li>`).join('');
+
+        return `
+            <div class="rule-coverage-summary">
+                <span>Replayed <strong>${report.assessmentCount}</strong> completed assessment${report.assessmentCount === 1 ? '' : 's'}
+                    through <strong>${report.rules.length}</strong> active rule${report.rules.length === 1 ? '' : 's'}.</span>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="RuleCoverageView.exportCSV()">Export CSV</button>
+            </div>
+
+            ${report.neverMatched.length > 0 ? `
+                <div class="rule-coverage-flag never">
+                    <strong>Never matched (${report.neverMatched.length})</strong>
+                    <p>These rules did not fire for any completed assessment.</p>
+                    <ul>${listRules(report.neverMatched)}</ul>
+                </div>
+            ` : ''}
+            ${report.alwaysMatched.length > 0 ? `
+                <div class="rule-coverage-flag always">
+                    <strong>Always matched (${report.alwaysMatched.length})</strong>
+                    <p>These rules fired for every completed assessment, so they do not tell assessments apart.</p>
+                    <ul>${listRules(report.alwaysMatched)}</ul>
+                </div>
+            ` : ''}
+
+            <table class="rule-coverage-table">
+                <thead>
+                    <tr><th>Rule / Condition</th><th>Matched</th><th>Rate</th></tr>
+                </thead>
+                <tbody>
+                    ${report.rules.map(rule => this.renderRuleRows(rule)).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render a rule row followed by its condition rows
+     */
+    static renderRuleRows(rule) {
+        return `
+            <tr class="rule-coverage-rule">
+                <td>
+                    ${this.escapeHTML(rule.ruleName)}
+                    ${rule.errors > 0 ? `<span class="rule-coverage-errors">${rule.errors} error${rule.errors === 1 ? '' : 's'}</span>` : ''}
+                </td>
+                <td>${rule.matched} / ${rule.evaluated}</td>
+                <td>${this.renderRate(rule.matchRate)}</td>
+            </tr>
+            ${rule.conditions.map(condition => `
+                <tr class="rule-coverage-condition">
+                    <td style="padding-left: ${1.5 + condition.depth * 1.25}rem">${this.escapeHTML(condition.label)}</td>
+                    <td>${condition.matched} / ${condition.evaluated}</td>
+                    <td>${this.renderRate(condition.hitRate)}</td>
+                </tr>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Render a rate as a bar with its percentage
+     */
+    static renderRate(rate) {
+        if (rate === null) {
+            return '<span class="rule-coverage-rate">–</span>';
+        }
+        return `
+            <span class="rule-coverage-bar"><span style="width: ${rate}%"></span></span>
+            <span class="rule-coverage-rate">${rate}%</span>
+        `;
+    }
+
+    /**
+     * Download the current report as CSV
+     */
+    static exportCSV() {
+        if (!this.report) return;
+
+        const blob = new Blob([RuleCoverageAnalyzer.toCSV(this.report)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `rule-coverage-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleCoverageView;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleCoverageView = RuleCoverageView;
+}
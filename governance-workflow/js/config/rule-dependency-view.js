@@ -0,0 +1,267 @@
+// js/config/rule-dependency-view.js - Rule Dependency Graph View
+
+/**
+ * Rule Dependency View for Data Governance Decision Tool
+ * Draws which rules feed variables into which other rules, highlights
+ * cycles and sets the rules engine evaluation mode
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleDependencyView {
+    static modal = null;
+
+    static NODE_WIDTH = 180;
+    static NODE_HEIGHT = 48;
+    static COLUMN_GAP = 90;
+    static ROW_GAP = 24;
+    static PADDING = 20;
+
+    /**
+     * Open the dependency graph modal
+     */
+    static open(rules) {
+        if (typeof RuleDependencyGraph === 'undefined') {
+            alert('Rule dependency graph not available');
+            return;
+        }
+
+        this.close();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show rule-dependency-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Rule Dependencies</h2>
+                    <button class="modal-close" onclick="RuleDependencyView.close()">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${this.renderSettings()}
+                    ${this.renderGraph(rules.filter(rule => rule.active !== false))}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+    }
+
+    /**
+     * Close the modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Render evaluation mode settings
+     */
+    static renderSettings() {
+        if (typeof RulesEngine === 'undefined') return '';
+
+        const mode = RulesEngine.evaluationMode;
+        return `
+            <div class="rule-dependency-settings">
+                <label for="rule-evaluation-mode" class="form-label">Evaluation Mode</label>
+                <select id="rule-evaluation-mode" class="form-select"
+                        onchange="RuleDependencyView.updateSettings()">
+                    <option value="sequential" ${mode === 'sequential' ? 'selected' : ''}>Single pass in priority order</option>
+                    <option value="forward_chaining" ${mode === 'forward_chaining' ? 'selected' : ''}>Forward chaining (dependency order)</option>
+                </select>
+                <label for="rule-max-iterations" class="form-label">Max Iterations</label>
+                <input type="number" id="rule-max-iterations" class="form-input" min="1" max="100"
+                       value="${RulesEngine.maxChainingIterations}"
+                       onchange="RuleDependencyView.updateSettings()">
+            </div>
+        `;
+    }
+
+    /**
+     * Save evaluation mode settings
+     */
+    static updateSettings() {
+        const mode = document.getElementById('rule-evaluation-mode')?.value;
+        const maxIterations = document.getElementById('rule-max-iterations')?.value;
+
+        try {
+            RulesEngine.setEvaluationMode(mode, maxIterations);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Render the graph, cycle warnings and evaluation order
+     */
+    static renderGraph(rules) {
+        const graph = RuleDependencyGraph.build(rules);
+        const connected = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]));
+
+        if (graph.edges.length === 0) {
+            return `
+                <div class="empty-state">
+                    <h3>No Dependencies</h3>
+                    <p>No active rule reads a variable set by another rule's Set Variable action.</p>
+                </div>
+            `;
+        }
+
+        const rulesById = new Map(graph.nodes.map(node => [node.id, node]));
+        const cycleText = graph.cycles.map(cycle =>
+            [...cycle, cycle[0]].map(id => this.escapeHTML(rulesById.get(id)?.name || id)).join(' &rarr; ')
+        );
+
+        return `
+            ${cycleText.length > 0 ? `
+                <div class="rule-dependency-warning">
+                    <strong>Dependency cycles found.</strong>
+                    Forward chaining re-runs these rules until their variables stop changing,
+                    up to the maximum number of iterations:
+                    <ul>${cycleText.map(text => `<li>${text}</li>`).join('')}</ul>
+                </div>
+            ` : ''}
+            <div class="rule-dependency-graph">
+                ${this.renderSVG(graph, connected)}
+            </div>
+            <h4>Evaluation Order (forward chaining)</h4>
+            <ol class="rule-dependency-order">
+                ${graph.order.map(id => {
+                    const node = rulesById.get(id);
+                    return `
+                        <li>
+                            ${this.escapeHTML(node.name)}
+                            ${node.writes.length > 0 ? `<span class="rule-dependency-vars">sets ${this.escapeHTML(node.writes.join(', '))}</span>` : ''}
+                            ${node.reads.length > 0 ? `<span class="rule-dependency-vars">reads ${this.escapeHTML(node.reads.join(', '))}</span>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Draw connected rules as an SVG, one column per dependency level
+     */
+    static renderSVG(graph, connected) {
+        const levels = RuleDependencyGraph.getLevels(graph);
+        const cyclic = new Set(graph.cycles.flat());
+        const columns = [];
+
+        graph.order
+            .filter(id => connected.has(id))
+            .forEach(id => {
+                const level = levels.get(id) || 0;
+                if (!columns[level]) columns[level] = [];
+                columns[level].push(id);
+            });
+
+        const positions = new Map();
+        columns.forEach((column, columnIndex) => {
+            (column || []).forEach((id, rowIndex) => {
+                positions.set(id, {
+                    x: this.PADDING + columnIndex * (this.NODE_WIDTH + this.COLUMN_GAP),
+                    y: this.PADDING + rowIndex * (this.NODE_HEIGHT + this.ROW_GAP)
+                });
+            });
+        });
+
+        const rows = Math.max(...columns.map(column => (column || []).length), 1);
+        const width = this.PADDING * 2 + columns.length * this.NODE_WIDTH + (columns.length - 1) * this.COLUMN_GAP;
+        const height = this.PADDING * 2 + rows * this.NODE_HEIGHT + (rows - 1) * this.ROW_GAP;
+        const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+
+        // One arrow per rule pair, labelled with every variable passed along it
+        const links = new Map();
+        graph.edges.forEach(edge => {
+            const key = `${edge.from}|${edge.to}`;
+            if (!links.has(key)) links.set(key, { ...edge, variables: [] });
+            links.get(key).variables.push(edge.variable);
+        });
+
+        const edgesSVG = Array.from(links.values()).map(link => {
+            const from = positions.get(link.from);
+            const to = positions.get(link.to);
+            const isCycle = cyclic.has(link.from) && cyclic.has(link.to);
+            const label = this.escapeHTML(link.variables.join(', '));
+
+            if (link.from === link.to) {
+                const x = from.x + this.NODE_WIDTH / 2;
+                return `
+                    <path d="M ${x - 20} ${from.y} C ${x - 30} ${from.y - 30}, ${x + 30} ${from.y - 30}, ${x + 20} ${from.y}"
+                          class="dependency-edge cycle" marker-end="url(#dependency-arrow-cycle)"></path>
+                    <text x="${x}" y="${from.y - 24}" class="dependency-edge-label" text-anchor="middle">${label}</text>
+                `;
+            }
+
+            const backwards = to.x <= from.x;
+            const x1 = backwards ? from.x : from.x + this.NODE_WIDTH;
+            const y1 = from.y + this.NODE_HEIGHT / 2;
+            const x2 = backwards ? to.x + this.NODE_WIDTH : to.x;
+            const y2 = to.y + this.NODE_HEIGHT / 2;
+            const bend = backwards ? -this.COLUMN_GAP : this.COLUMN_GAP / 2;
+
+            return `
+                <path d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}"
+                      class="dependency-edge ${isCycle ? 'cycle' : ''}"
+                      marker-end="url(#dependency-arrow${isCycle ? '-cycle' : ''})"></path>
+                <text x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2 - 6}" class="dependency-edge-label"
+                      text-anchor="middle">${label}</text>
+            `;
+        }).join('');
+
+        const nodesSVG = Array.from(positions.entries()).map(([id, position]) => {
+            const node = nodesById.get(id);
+            const name = node.name.length > 24 ? node.name.slice(0, 23) + '…' : node.name;
+            return `
+                <g class="dependency-node ${cyclic.has(id) ? 'cycle' : ''}">
+                    <title>${this.escapeHTML(node.name)}</title>
+                    <rect x="${position.x}" y="${position.y}" width="${this.NODE_WIDTH}" height="${this.NODE_HEIGHT}" rx="6"></rect>
+                    <text x="${position.x + this.NODE_WIDTH / 2}" y="${position.y + this.NODE_HEIGHT / 2 + 4}"
+                          text-anchor="middle">${this.escapeHTML(name)}</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="dependency-svg" width="${width}" height="${height + this.PADDING}"
+                 viewBox="0 ${-this.PADDING} ${width} ${height + this.PADDING}" role="img"
+                 aria-label="Rule dependency graph">
+                <defs>
+                    <marker id="dependency-arrow" viewBox="0 0 10 10" refX="10" refY="5"
+                            markerWidth="8" markerHeight="8" orient="auto">
+                        <path d="M 0 0 L 10 5 L 0 10 z" class="dependency-arrow"></path>
+                    </marker>
+                    <marker id="dependency-arrow-cycle" viewBox="0 0 10 10" refX="10" refY="5"
+                            markerWidth="8" markerHeight="8" orient="auto">
+                        <path d="M 0 0 L 10 5 L 0 10 z" class="dependency-arrow cycle"></path>
+                    </marker>
+                </defs>
+                ${edgesSVG}
+                ${nodesSVG}
+            </svg>
+        `;
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleDependencyView;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleDependencyView = RuleDependencyView;
+}
@@ -0,0 +1,262 @@
+// js/config/rule-history-viewer.js - Rule Version History Viewer
+
+/**
+ * Rule History Viewer for Data Governance Decision Tool
+ * Lists saved revisions of a rule, compares any two side by side
+ * and restores earlier versions
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleHistoryViewer {
+    static modal = null;
+    static ruleId = null;
+    static fromVersion = null;
+    static toVersion = null;
+
+    static CHANGE_LABELS = {
+        baseline: 'Baseline',
+        created: 'Created',
+        updated: 'Edited',
+        imported: 'Imported',
+        rollback: 'Rolled back',
+        deleted: 'Deleted'
+    };
+
+    static FIELD_LABELS = {
+        name: 'Name',
+        description: 'Description',
+        category: 'Category',
+        priority: 'Priority',
+        active: 'Active',
+        effectiveFrom: 'Effective From',
+        effectiveUntil: 'Effective Until'
+    };
+
+    /**
+     * Open the history modal for a rule
+     */
+    static open(ruleId) {
+        if (typeof RuleVersionStore === 'undefined') {
+            alert('Rule history not available');
+            return;
+        }
+
+        const history = RuleVersionStore.getHistory(ruleId);
+        if (history.length === 0) {
+            alert('No saved versions for this rule yet');
+            return;
+        }
+
+        this.close();
+        this.ruleId = ruleId;
+        this.toVersion = history[history.length - 1].version;
+        this.fromVersion = history.length > 1 ? history[history.length - 2].version : this.toVersion;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show rule-history-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Version History</h2>
+                    <button class="modal-close" onclick="RuleHistoryViewer.close()">&times;</button>
+                </div>
+                <div class="modal-body" id="rule-history-body"></div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    /**
+     * Close the history modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Render version list and comparison
+     */
+    static render() {
+        const body = document.getElementById('rule-history-body');
+        if (!body) return;
+
+        const history = RuleVersionStore.getHistory(this.ruleId);
+        const latest = history[history.length - 1];
+
+        body.innerHTML = `
+            <h3>${this.escapeHTML(latest.rule.name)}</h3>
+            <table class="rule-history-table">
+                <thead>
+                    <tr>
+                        <th>From</th><th>To</th><th>Version</th><th>Saved</th>
+                        <th>Author</th><th>Effective</th><th>Change</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${[...history].reverse().map(entry => `
+                        <tr>
+                            <td><input type="radio" name="rule-history-from" value="${entry.version}"
+                                       ${entry.version === this.fromVersion ? 'checked' : ''}
+                                       onchange="RuleHistoryViewer.selectVersions(this.value, null)"></td>
+                            <td><input type="radio" name="rule-history-to" value="${entry.version}"
+                                       ${entry.version === this.toVersion ? 'checked' : ''}
+                                       onchange="RuleHistoryViewer.selectVersions(null, this.value)"></td>
+                            <td>v${entry.version}</td>
+                            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                            <td>${this.escapeHTML(entry.author)}</td>
+                            <td>${this.escapeHTML(this.formatEffectiveWindow(entry.rule))}</td>
+                            <td>
+                                ${this.CHANGE_LABELS[entry.changeType] || this.escapeHTML(entry.changeType)}
+                                ${entry.comment ? `<div class="rule-history-comment">${this.escapeHTML(entry.comment)}</div>` : ''}
+                            </td>
+                            <td>
+                                ${entry !== latest || latest.changeType === 'deleted' ? `
+                                    <button type="button" class="btn btn-secondary btn-sm"
+                                            onclick="RuleHistoryViewer.rollback(${entry.version})">Restore</button>
+                                ` : '<span class="rule-history-current">Current</span>'}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            ${this.renderDiff()}
+        `;
+    }
+
+    /**
+     * Change the compared versions
+     */
+    static selectVersions(fromVersion, toVersion) {
+        if (fromVersion !== null) this.fromVersion = Number(fromVersion);
+        if (toVersion !== null) this.toVersion = Number(toVersion);
+        this.render();
+    }
+
+    /**
+     * Render a side-by-side diff of the selected versions
+     */
+    static renderDiff() {
+        if (this.fromVersion === this.toVersion) {
+            return '<p class="rule-history-note">Select two different versions to compare them.</p>';
+        }
+
+        const diff = RuleVersionStore.diffVersions(this.ruleId, this.fromVersion, this.toVersion);
+        if (!diff.hasChanges) {
+            return `<p class="rule-history-note">v${this.fromVersion} and v${this.toVersion} are identical.</p>`;
+        }
+
+        return `
+            <div class="rule-diff">
+                <h4>Changes from v${this.fromVersion} to v${this.toVersion}</h4>
+                ${diff.fields.length > 0 ? `
+                    <table class="rule-diff-table">
+                        <thead><tr><th>Field</th><th>v${this.fromVersion}</th><th>v${this.toVersion}</th></tr></thead>
+                        <tbody>
+                            ${diff.fields.map(change => `
+                                <tr class="rule-diff-changed">
+                                    <td>${this.FIELD_LABELS[change.field] || this.escapeHTML(change.field)}</td>
+                                    <td>${this.escapeHTML(this.formatValue(change.from))}</td>
+                                    <td>${this.escapeHTML(this.formatValue(change.to))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+                ${this.renderLineDiff('Conditions', diff.conditions)}
+                ${this.renderLineDiff('Actions', diff.actions)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render line diff rows as a two-column table
+     */
+    static renderLineDiff(title, rows) {
+        if (rows.length === 0) return '';
+
+        return `
+            <h5>${title}</h5>
+            <table class="rule-diff-table rule-diff-lines">
+                <thead><tr><th>v${this.fromVersion}</th><th>v${this.toVersion}</th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="rule-diff-${row.type}">
+                            <td><pre>${this.escapeHTML(row.left ?? '')}</pre></td>
+                            <td><pre>${this.escapeHTML(row.right ?? '')}</pre></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Restore the rule to a version
+     */
+    static rollback(version) {
+        if (!confirm(`Restore this rule to version ${version}? The current version stays in the history.`)) {
+            return;
+        }
+
+        try {
+            RulesEngine.rollbackRule(this.ruleId, version);
+            if (typeof RuleBuilder !== 'undefined') {
+                RuleBuilder.refreshAfterRollback(this.ruleId);
+            }
+        } catch (error) {
+            console.error('Failed to roll back rule:', error);
+            alert('Failed to roll back rule: ' + error.message);
+            return;
+        }
+
+        const history = RuleVersionStore.getHistory(this.ruleId);
+        this.toVersion = history[history.length - 1].version;
+        this.fromVersion = Number(version);
+        this.render();
+    }
+
+    /**
+     * Format the effective-date window of a rule version; empty when it is always in effect
+     */
+    static formatEffectiveWindow(rule) {
+        if (rule.effectiveFrom && rule.effectiveUntil) return `${rule.effectiveFrom} – ${rule.effectiveUntil}`;
+        if (rule.effectiveFrom) return `From ${rule.effectiveFrom}`;
+        if (rule.effectiveUntil) return `Until ${rule.effectiveUntil}`;
+        return '';
+    }
+
+    /**
+     * Format a field value for display
+     */
+    static formatValue(value) {
+        if (value === undefined || value === null) return '';
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleHistoryViewer;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleHistoryViewer = RuleHistoryViewer;
+}
@@ -0,0 +1,192 @@
+// js/config/rule-simulation-view.js - Rule Simulation Report View
+
+/**
+ * Rule Simulation View for Data Governance Decision Tool
+ * Shows how a rule edit would change past assessments before it is saved
+ * and exports the comparison as CSV
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleSimulationView {
+    static modal = null;
+    static report = null;
+
+    /**
+     * Simulate the draft rules and open the report modal
+     */
+    static async open(draftRules, title = 'Rule Simulation') {
+        if (typeof RuleSimulator === 'undefined') {
+            alert('Rule simulation not available');
+            return;
+        }
+
+        try {
+            this.report = await RuleSimulator.simulate(draftRules);
+        } catch (error) {
+            console.error('Failed to simulate rules:', error);
+            alert('Failed to simulate rules: ' + error.message);
+            return;
+        }
+
+        this.close();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show rule-simulation-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>${this.escapeHTML(title)}</h2>
+                    <button class="modal-close" onclick="RuleSimulationView.close()">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${this.renderReport(this.report)}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+    }
+
+    /**
+     * Close the modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Render summary and the changed assessments
+     */
+    static renderReport(report) {
+        if (report.assessmentCount === 0) {
+            return `
+                <div class="empty-state">
+                    <h3>No Completed Assessments</h3>
+                    <p>Simulations replay completed assessments. Submit an assessment first.</p>
+                </div>
+            `;
+        }
+
+        const { summary } = report;
+        const changed = report.assessments.filter(result => result.changed || result.error);
+
+        return `
+            <div class="rule-simulation-summary">
+                <span>The draft changes <strong>${report.changedCount}</strong> of
+                    <strong>${report.assessmentCount}</strong> completed assessment${report.assessmentCount === 1 ? '' : 's'}.
+                    Nothing has been saved.</span>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="RuleSimulationView.exportCSV()">Export CSV</button>
+            </div>
+
+            <div class="rule-simulation-stats">
+                <div><strong>${summary.levelChanges}</strong> governance level change${summary.levelChanges === 1 ? '' : 's'}</div>
+                <div><strong>${summary.scoreChanges}</strong> score change${summary.scoreChanges === 1 ? '' : 's'}</div>
+                <div><strong>+${summary.recommendationsGained}</strong> / <strong>−${summary.recommendationsLost}</strong> recommendations</div>
+                ${summary.errors > 0 ? `<div class="rule-simulation-error"><strong>${summary.errors}</strong> failed</div>` : ''}
+            </div>
+
+            ${changed.length === 0 ? `
+                <p class="rule-simulation-none">No completed assessment would get a different result.</p>
+            ` : `
+                <table class="rule-simulation-table">
+                    <thead>
+                        <tr><th>Assessment</th><th>Level</th><th>Score</th><th>Rule Score</th><th>Recommendations</th></tr>
+                    </thead>
+                    <tbody>
+                        ${changed.map(result => this.renderResultRow(result)).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+
+    /**
+     * Render one assessment's comparison
+     */
+    static renderResultRow(result) {
+        const label = `
+            ${this.escapeHTML(result.assessmentId)}
+            ${result.completed ? `<div class="rule-simulation-date">${new Date(result.completed).toLocaleDateString()}</div>` : ''}
+        `;
+
+        if (result.error) {
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td colspan="4" class="rule-simulation-error">${this.escapeHTML(result.error)}</td>
+                </tr>
+            `;
+        }
+
+        return `
+            <tr>
+                <td>${label}</td>
+                <td>${result.levelChanged
+                    ? `${this.escapeHTML(result.live.level)} → <strong>${this.escapeHTML(result.draft.level)}</strong>`
+                    : this.escapeHTML(result.live.level)}</td>
+                <td>${this.renderDelta(result.live.score, result.scoreDelta)}</td>
+                <td>${this.renderDelta(result.live.ruleScore, result.ruleScoreDelta)}</td>
+                <td>
+                    ${result.gained.map(item => `
+                        <div class="rule-simulation-gained">+ ${this.escapeHTML(item.text)}</div>
+                    `).join('')}
+                    ${result.lost.map(item => `
+                        <div class="rule-simulation-lost">− ${this.escapeHTML(item.text)}</div>
+                    `).join('')}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render a value with the draft's change
+     */
+    static renderDelta(value, delta) {
+        if (!delta) {
+            return String(value ?? 0);
+        }
+        const className = delta > 0 ? 'rule-simulation-gained' : 'rule-simulation-lost';
+        return `${value ?? 0} → <strong>${(value ?? 0) + delta}</strong> <span class="${className}">(${delta > 0 ? '+' : ''}${delta})</span>`;
+    }
+
+    /**
+     * Download the current report as CSV
+     */
+    static exportCSV() {
+        if (!this.report) return;
+
+        const blob = new Blob([RuleSimulator.toCSV(this.report)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `rule-simulation-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleSimulationView;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleSimulationView = RuleSimulationView;
+}
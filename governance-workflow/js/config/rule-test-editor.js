@@ -0,0 +1,417 @@
+// js/config/rule-test-editor.js - Rule Test Suite Editor
+
+/**
+ * Rule Test Editor for Data Governance Decision Tool
+ * Authoring and running saved rule test cases from the Rules tab
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleTestEditor {
+    static modal = null;
+    static editingTestCase = null;
+    static lastReport = null;
+
+    /**
+     * Open the test suite modal
+     */
+    static open() {
+        if (typeof RuleTestRunner === 'undefined') {
+            alert('Rule test runner not available');
+            return;
+        }
+
+        this.close();
+        this.editingTestCase = null;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show rule-test-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Rule Test Suite</h2>
+                    <button class="modal-close" onclick="RuleTestEditor.close()">&times;</button>
+                </div>
+                <div class="modal-body" id="rule-test-body"></div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    /**
+     * Close the test suite modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Render the modal body
+     */
+    static render() {
+        const body = document.getElementById('rule-test-body');
+        if (!body) return;
+
+        body.innerHTML = this.editingTestCase
+            ? this.renderEditor(this.editingTestCase)
+            : this.renderSuite();
+    }
+
+    /**
+     * Render the list of test cases with their last results
+     */
+    static renderSuite() {
+        const testCases = RuleTestRunner.getTestCases();
+        const report = this.lastReport;
+
+        return `
+            <div class="rule-test-toolbar">
+                <button type="button" class="btn btn-primary btn-sm" onclick="RuleTestEditor.runAll()"
+                        ${testCases.length === 0 ? 'disabled' : ''}>Run All Tests</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="RuleTestEditor.newTestCase()">New Test Case</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="RuleBuilder.runSampleTest()">Quick Sample Run</button>
+            </div>
+
+            ${report ? `
+                <div class="rule-test-summary ${report.failed > 0 ? 'failed' : 'passed'}">
+                    ${report.passed} of ${report.total} passed
+                    ${report.failed > 0 ? `&middot; ${report.failed} failed` : ''}
+                    &middot; ${new Date(report.runAt).toLocaleTimeString()}
+                </div>
+            ` : ''}
+
+            ${testCases.length === 0 ? `
+                <div class="empty-state">
+                    <h3>No Test Cases</h3>
+                    <p>Save an answer set with the outcomes you expect so rule changes cannot silently break it.</p>
+                </div>
+            ` : `
+                <div class="rule-test-list">
+                    ${testCases.map(testCase => this.renderTestCase(testCase)).join('')}
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Render a test case row
+     */
+    static renderTestCase(testCase) {
+        const result = this.lastReport?.results.find(r => r.testCaseId === testCase.id);
+        const status = result ? (result.passed ? 'passed' : 'failed') : 'not-run';
+        const statusLabels = { passed: 'Passed', failed: 'Failed', 'not-run': 'Not run' };
+
+        return `
+            <div class="rule-test-item rule-test-${status}">
+                <div class="rule-test-item-header">
+                    <div class="rule-test-item-title">${this.escapeHTML(testCase.name)}</div>
+                    <div class="rule-test-item-status">${statusLabels[status]}</div>
+                </div>
+                ${testCase.description ? `
+                    <div class="rule-test-item-description">${this.escapeHTML(testCase.description)}</div>
+                ` : ''}
+                ${result && !result.passed ? this.renderFailures(result) : ''}
+                <div class="rule-test-item-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="RuleTestEditor.runOne('${testCase.id}')">Run</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="RuleTestEditor.editTestCase('${testCase.id}')">Edit</button>
+                    ${result && !result.passed ? `
+                        <button type="button" class="btn btn-secondary btn-sm" onclick="RuleTestEditor.acceptActual('${testCase.id}')"
+                                title="Replace the expected outcomes with the current output">Accept Current Output</button>
+                    ` : ''}
+                    <button type="button" class="btn btn-danger btn-sm" onclick="RuleTestEditor.deleteTestCase('${testCase.id}')">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render expected/actual differences for a failed test
+     */
+    static renderFailures(result) {
+        return `
+            <table class="rule-test-diff">
+                <thead>
+                    <tr><th>Check</th><th>Expected</th><th>Actual</th></tr>
+                </thead>
+                <tbody>
+                    ${result.failures.map(failure => `
+                        <tr title="${this.escapeHTML(failure.message)}">
+                            <td>${this.escapeHTML(failure.check)}</td>
+                            <td class="rule-test-expected">${this.escapeHTML(this.formatValue(failure.expected))}</td>
+                            <td class="rule-test-actual">${this.escapeHTML(this.formatValue(failure.actual))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the test case editor form
+     */
+    static renderEditor(testCase) {
+        const expected = RuleTestRunner.normalizeExpected(testCase.expected);
+        const rules = RuleBuilder.rules || [];
+
+        return `
+            <div class="rule-test-editor">
+                <div class="form-group">
+                    <label for="rule-test-name" class="form-label">Test Case Name *</label>
+                    <input type="text" id="rule-test-name" class="form-input" value="${this.escapeHTML(testCase.name || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="rule-test-description" class="form-label">Description</label>
+                    <input type="text" id="rule-test-description" class="form-input"
+                           value="${this.escapeHTML(testCase.description || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="rule-test-answers" class="form-label">Answers (JSON, keyed by question ID) *</label>
+                    <textarea id="rule-test-answers" class="form-textarea rule-test-json" rows="7">${this.escapeHTML(JSON.stringify(testCase.answers || {}, null, 2))}</textarea>
+                </div>
+
+                <h4>Expected Outcome</h4>
+                <div class="form-group">
+                    <label class="form-label">Rules</label>
+                    ${rules.length === 0 ? '<p>No rules configured.</p>' : `
+                        <div class="rule-test-rule-expectations">
+                            ${rules.map(rule => `
+                                <div class="rule-test-rule-expectation">
+                                    <span>${this.escapeHTML(rule.name)}${rule.active === false ? ' (inactive)' : ''}</span>
+                                    <select class="form-select" data-rule-id="${rule.id}">
+                                        <option value="">Don't care</option>
+                                        <option value="match" ${expected.matchedRules.includes(rule.id) ? 'selected' : ''}>Must match</option>
+                                        <option value="no-match" ${expected.unmatchedRules.includes(rule.id) ? 'selected' : ''}>Must not match</option>
+                                    </select>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
+                </div>
+                <div class="form-group">
+                    <label for="rule-test-recommendations" class="form-label">Recommendations (one per line, must all be produced)</label>
+                    <textarea id="rule-test-recommendations" class="form-textarea" rows="3">${this.escapeHTML(expected.recommendations.join('\n'))}</textarea>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rule-test-score-min" class="form-label">Minimum Score</label>
+                        <input type="number" id="rule-test-score-min" class="form-input" value="${expected.score.min ?? ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule-test-score-max" class="form-label">Maximum Score</label>
+                        <input type="number" id="rule-test-score-max" class="form-input" value="${expected.score.max ?? ''}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="rule-test-variables" class="form-label">Variables (JSON)</label>
+                    <textarea id="rule-test-variables" class="form-textarea rule-test-json" rows="3">${this.escapeHTML(JSON.stringify(expected.variables, null, 2))}</textarea>
+                </div>
+
+                <div class="rule-form-actions">
+                    <button type="button" class="btn btn-primary" onclick="RuleTestEditor.saveFromForm()">Save Test Case</button>
+                    <button type="button" class="btn btn-secondary" onclick="RuleTestEditor.cancelEdit()">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Start a new test case from the sample answers
+     */
+    static newTestCase() {
+        this.editingTestCase = {
+            name: '',
+            description: '',
+            answers: { ...RuleBuilder.SAMPLE_TEST_DATA },
+            expected: {}
+        };
+        this.render();
+    }
+
+    /**
+     * Edit an existing test case
+     */
+    static editTestCase(testCaseId) {
+        const testCase = RuleTestRunner.getTestCase(testCaseId);
+        if (!testCase) return;
+
+        this.editingTestCase = JSON.parse(JSON.stringify(testCase));
+        this.render();
+    }
+
+    /**
+     * Leave the editor without saving
+     */
+    static cancelEdit() {
+        this.editingTestCase = null;
+        this.render();
+    }
+
+    /**
+     * Save the test case in the editor form
+     */
+    static saveFromForm() {
+        const body = document.getElementById('rule-test-body');
+        if (!body || !this.editingTestCase) return;
+
+        let answers;
+        let variables;
+        try {
+            answers = JSON.parse(body.querySelector('#rule-test-answers').value || '{}');
+        } catch (error) {
+            alert('Answers are not valid JSON: ' + error.message);
+            return;
+        }
+        try {
+            variables = JSON.parse(body.querySelector('#rule-test-variables').value || '{}');
+        } catch (error) {
+            alert('Variables are not valid JSON: ' + error.message);
+            return;
+        }
+
+        const matchedRules = [];
+        const unmatchedRules = [];
+        body.querySelectorAll('.rule-test-rule-expectation select').forEach(select => {
+            if (select.value === 'match') matchedRules.push(select.dataset.ruleId);
+            if (select.value === 'no-match') unmatchedRules.push(select.dataset.ruleId);
+        });
+
+        const testCase = {
+            ...this.editingTestCase,
+            name: body.querySelector('#rule-test-name').value.trim(),
+            description: body.querySelector('#rule-test-description').value.trim(),
+            answers: answers,
+            expected: {
+                matchedRules: matchedRules,
+                unmatchedRules: unmatchedRules,
+                recommendations: body.querySelector('#rule-test-recommendations').value
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(Boolean),
+                score: {
+                    min: body.querySelector('#rule-test-score-min').value,
+                    max: body.querySelector('#rule-test-score-max').value
+                },
+                variables: variables
+            }
+        };
+
+        try {
+            RuleTestRunner.saveTestCase(testCase);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.editingTestCase = null;
+        this.render();
+    }
+
+    /**
+     * Delete a test case
+     */
+    static deleteTestCase(testCaseId) {
+        const testCase = RuleTestRunner.getTestCase(testCaseId);
+        if (!testCase || !confirm(`Delete test case "${testCase.name}"?`)) return;
+
+        RuleTestRunner.deleteTestCase(testCaseId);
+        if (this.lastReport) {
+            this.lastReport.results = this.lastReport.results.filter(r => r.testCaseId !== testCaseId);
+        }
+        this.render();
+    }
+
+    /**
+     * Run the whole suite against the rules in the builder
+     */
+    static runAll() {
+        try {
+            this.lastReport = RuleTestRunner.runSuite(RuleBuilder.rules);
+        } catch (error) {
+            alert('Failed to run tests: ' + error.message);
+        }
+        this.render();
+    }
+
+    /**
+     * Run a single test case
+     */
+    static runOne(testCaseId) {
+        const testCase = RuleTestRunner.getTestCase(testCaseId);
+        if (!testCase) return;
+
+        try {
+            const result = RuleTestRunner.runTestCase(testCase, RuleBuilder.rules);
+            const results = (this.lastReport?.results || []).filter(r => r.testCaseId !== testCaseId);
+            results.push(result);
+
+            const passed = results.filter(r => r.passed).length;
+            this.lastReport = {
+                total: results.length,
+                passed: passed,
+                failed: results.length - passed,
+                results: results,
+                runAt: new Date().toISOString()
+            };
+        } catch (error) {
+            alert('Failed to run test: ' + error.message);
+        }
+        this.render();
+    }
+
+    /**
+     * Replace expected outcomes with the output of the last run
+     */
+    static acceptActual(testCaseId) {
+        const testCase = RuleTestRunner.getTestCase(testCaseId);
+        const result = this.lastReport?.results.find(r => r.testCaseId === testCaseId);
+        if (!testCase || !result) return;
+
+        if (!confirm(`Replace the expected outcomes of "${testCase.name}" with the current output?`)) return;
+
+        RuleTestRunner.saveTestCase({
+            ...testCase,
+            expected: {
+                matchedRules: result.actual.matchedRules,
+                unmatchedRules: result.actual.evaluatedRules.filter(id => !result.actual.matchedRules.includes(id)),
+                recommendations: result.actual.recommendations.filter(Boolean),
+                score: { min: result.actual.score, max: result.actual.score },
+                variables: result.actual.variables
+            }
+        });
+        this.runOne(testCaseId);
+    }
+
+    /**
+     * Format an expected/actual value for display
+     */
+    static formatValue(value) {
+        if (value === undefined) return '(none)';
+        if (typeof value === 'string') return value;
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleTestEditor;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleTestEditor = RuleTestEditor;
+}
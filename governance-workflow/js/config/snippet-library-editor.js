@@ -0,0 +1,453 @@
+// js/config/snippet-library-editor.js - Snippet Library Editor
+
+/**
+ * Snippet Library Editor for Data Governance Decision Tool
+ * Modal for managing contextual recommendation snippets: target section,
+ * trigger conditions, priority, tags and localized text, with JSON
+ * import/export
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class SnippetLibraryEditor {
+    static modal = null;
+    static editingId = null;
+    static filter = { section: '', search: '' };
+
+    /**
+     * Open the library
+     */
+    static open() {
+        if (typeof SnippetLibrary === 'undefined') {
+            alert('Snippet library not available');
+            return;
+        }
+
+        this.close();
+        this.editingId = null;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show snippet-library-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Recommendation Snippets</h2>
+                    <button class="modal-close" onclick="SnippetLibraryEditor.close()">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    /**
+     * Close the modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Render the list or the snippet form
+     */
+    static render() {
+        const body = this.modal?.querySelector('.modal-body');
+        if (!body) return;
+
+        if (this.editingId !== null) {
+            const snippet = this.editingId === 'new'
+                ? { section: this.filter.section || 'controls', priority: 0, tags: [], text: { en: '' }, conditions: { operator: 'AND', rules: [] }, active: true }
+                : SnippetLibrary.getSnippet(this.editingId);
+            body.innerHTML = this.renderForm(snippet);
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="snippet-toolbar">
+                <select class="form-select" onchange="SnippetLibraryEditor.setFilter('section', this.value)">
+                    <option value="">All sections</option>
+                    ${SnippetLibrary.SECTIONS.map(section => `
+                        <option value="${section}" ${this.filter.section === section ? 'selected' : ''}>${this.getSectionName(section)}</option>
+                    `).join('')}
+                </select>
+                <input type="search" class="form-input" placeholder="Search text or tags"
+                       value="${this.escapeHTML(this.filter.search)}"
+                       onchange="SnippetLibraryEditor.setFilter('search', this.value)">
+                <button type="button" class="btn btn-primary btn-sm" onclick="SnippetLibraryEditor.edit('new')">Add Snippet</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="SnippetLibraryEditor.importSnippets()">Import</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="SnippetLibraryEditor.exportSnippets()">Export</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="SnippetLibraryEditor.resetToDefaults()">Reset to Defaults</button>
+            </div>
+            ${this.renderList()}
+        `;
+    }
+
+    /**
+     * Render the filtered snippets, highest priority first within each section
+     */
+    static renderList() {
+        const search = this.filter.search.trim().toLowerCase();
+        const snippets = SnippetLibrary.getSnippets()
+            .filter(snippet => !this.filter.section || snippet.section === this.filter.section)
+            .filter(snippet => !search ||
+                Object.values(snippet.text || {}).some(text => String(text).toLowerCase().includes(search)) ||
+                (snippet.tags || []).some(tag => tag.toLowerCase().includes(search)))
+            .sort((a, b) => a.section.localeCompare(b.section) || (b.priority || 0) - (a.priority || 0));
+
+        if (snippets.length === 0) {
+            return `
+                <div class="empty-state">
+                    <h3>No Snippets</h3>
+                    <p>Snippets add recommendations to a section when their conditions match an assessment.</p>
+                </div>
+            `;
+        }
+
+        return `
+            <table class="snippet-table">
+                <thead>
+                    <tr><th>Section</th><th>Order</th><th>Recommendation</th><th>When</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${snippets.map(snippet => `
+                        <tr class="${snippet.active === false ? 'snippet-inactive' : ''}">
+                            <td>${this.escapeHTML(this.getSectionName(snippet.section))}</td>
+                            <td>${snippet.priority || 0}</td>
+                            <td>
+                                ${this.escapeHTML(SnippetLibrary.getText(snippet, SnippetLibrary.getLocale()))}
+                                <div class="snippet-meta">
+                                    ${this.renderPriorityBadge(snippet)}
+                                    ${Object.keys(snippet.text || {}).map(locale => `<span class="snippet-locale">${this.escapeHTML(locale)}</span>`).join('')}
+                                    ${(snippet.tags || []).map(tag => `<span class="tag">${this.escapeHTML(tag)}</span>`).join('')}
+                                    ${snippet.active === false ? '<span class="snippet-locale">inactive</span>' : ''}
+                                </div>
+                            </td>
+                            <td class="snippet-conditions">${this.escapeHTML(this.describeConditions(snippet.conditions))}</td>
+                            <td class="snippet-actions">
+                                <button type="button" class="btn-icon" title="Edit snippet"
+                                        onclick="SnippetLibraryEditor.edit('${this.escapeHTML(snippet.id)}')">✏️</button>
+                                <button type="button" class="btn-icon" title="Delete snippet"
+                                        onclick="SnippetLibraryEditor.deleteSnippet('${this.escapeHTML(snippet.id)}')">🗑️</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Badge for the priority of the recommendation a snippet produces
+     */
+    static renderPriorityBadge(snippet) {
+        const { priority } = RecommendationModel.normalize(SnippetLibrary.getText(snippet), snippet.recommendation || {});
+        return `<span class="priority-badge priority-${priority}">${priority}</span>`;
+    }
+
+    /**
+     * Render the snippet form
+     */
+    static renderForm(snippet) {
+        const text = Object.entries(snippet.text || {})
+            .map(([locale, value]) => `${locale}: ${value}`)
+            .join('\n');
+
+        return `
+            <div class="snippet-form">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="snippet-section" class="form-label">Section</label>
+                        <select id="snippet-section" class="form-select">
+                            ${SnippetLibrary.SECTIONS.map(section => `
+                                <option value="${section}" ${snippet.section === section ? 'selected' : ''}>${this.getSectionName(section)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="snippet-priority" class="form-label">Match Order</label>
+                        <input type="number" id="snippet-priority" class="form-input" value="${snippet.priority || 0}"
+                               title="Higher numbers are listed first within the section">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">
+                            <input type="checkbox" id="snippet-active" ${snippet.active !== false ? 'checked' : ''}>
+                            Active
+                        </label>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="snippet-tags" class="form-label">Tags</label>
+                    <input type="text" id="snippet-tags" class="form-input" value="${this.escapeHTML((snippet.tags || []).join(', '))}"
+                           placeholder="gdpr, encryption">
+                </div>
+                <div class="form-group">
+                    <label for="snippet-text" class="form-label">Text</label>
+                    <textarea id="snippet-text" class="form-textarea" rows="3"
+                              placeholder="en: Implement GDPR-specific data mapping&#10;de: GDPR-spezifische Datenzuordnung einführen">${this.escapeHTML(text)}</textarea>
+                    <small class="form-help">One line per language, starting with its code ("en: ..."). A line without a code is English.</small>
+                </div>
+                ${this.renderRecommendationFields(snippet.recommendation || {})}
+                <div class="form-group">
+                    <label for="snippet-conditions" class="form-label">Conditions</label>
+                    <textarea id="snippet-conditions" class="form-textarea snippet-conditions-json" rows="8">${this.escapeHTML(JSON.stringify(snippet.conditions || { operator: 'AND', rules: [] }, null, 2))}</textarea>
+                    <small class="form-help">A rules engine condition group. Besides question IDs, conditions can test "score" (percentage) and "level". No conditions: always added.</small>
+                </div>
+                <div class="snippet-toolbar">
+                    <button type="button" class="btn btn-primary btn-sm" onclick="SnippetLibraryEditor.save()">Save</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="SnippetLibraryEditor.edit(null)">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the structured fields of the recommendation a snippet produces
+     */
+    static renderRecommendationFields(recommendation) {
+        const select = (id, values, selected) => `
+            <select id="${id}" class="form-select">
+                ${values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('')}
+            </select>
+        `;
+
+        return `
+            <fieldset class="snippet-recommendation">
+                <legend>Recommendation</legend>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="snippet-rec-priority" class="form-label">Priority</label>
+                        ${select('snippet-rec-priority', RecommendationModel.PRIORITIES, RecommendationModel.normalizePriority(recommendation.priority))}
+                    </div>
+                    <div class="form-group">
+                        <label for="snippet-rec-effort" class="form-label">Effort</label>
+                        ${select('snippet-rec-effort', RecommendationModel.LEVELS, RecommendationModel.normalizeLevel(recommendation.effort))}
+                    </div>
+                    <div class="form-group">
+                        <label for="snippet-rec-impact" class="form-label">Impact</label>
+                        ${select('snippet-rec-impact', RecommendationModel.LEVELS, RecommendationModel.normalizeLevel(recommendation.impact))}
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="snippet-rec-owner" class="form-label">Owner Role</label>
+                        <input type="text" id="snippet-rec-owner" class="form-input" value="${this.escapeHTML(recommendation.ownerRole)}"
+                               placeholder="Data Protection Officer">
+                    </div>
+                    <div class="form-group">
+                        <label for="snippet-rec-due" class="form-label">Due Within</label>
+                        <input type="text" id="snippet-rec-due" class="form-input" value="${this.escapeHTML(recommendation.dueWindow)}"
+                               placeholder="Default for the priority, e.g. 90 days">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="snippet-rec-controls" class="form-label">Related Controls</label>
+                    <input type="text" id="snippet-rec-controls" class="form-input"
+                           value="${this.escapeHTML((recommendation.relatedControls || []).join(', '))}"
+                           placeholder="Access control, Audit logging">
+                </div>
+                <div class="form-group">
+                    <label for="snippet-rec-depends" class="form-label">Depends On</label>
+                    <input type="text" id="snippet-rec-depends" class="form-input"
+                           value="${this.escapeHTML((recommendation.dependsOn || []).join(', '))}"
+                           placeholder="IDs of snippets to implement first, e.g. open-access-controls">
+                </div>
+                <div class="form-group">
+                    <label for="snippet-rec-rationale" class="form-label">Rationale</label>
+                    <input type="text" id="snippet-rec-rationale" class="form-input" value="${this.escapeHTML(recommendation.rationale)}">
+                </div>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Read the structured recommendation fields from the form
+     */
+    static readRecommendationFields() {
+        const value = id => document.getElementById(id).value.trim();
+        return {
+            priority: value('snippet-rec-priority'),
+            effort: value('snippet-rec-effort'),
+            impact: value('snippet-rec-impact'),
+            ownerRole: value('snippet-rec-owner'),
+            dueWindow: value('snippet-rec-due'),
+            relatedControls: RecommendationModel.toList(value('snippet-rec-controls')),
+            dependsOn: RecommendationModel.toList(value('snippet-rec-depends')),
+            rationale: value('snippet-rec-rationale')
+        };
+    }
+
+    /**
+     * Show the form for a snippet ('new' for a new one), or the list for null
+     */
+    static edit(id) {
+        this.editingId = id;
+        this.render();
+    }
+
+    /**
+     * Change a list filter
+     */
+    static setFilter(name, value) {
+        this.filter[name] = value;
+        this.render();
+    }
+
+    /**
+     * Save the snippet form
+     */
+    static save() {
+        let conditions;
+        try {
+            conditions = JSON.parse(document.getElementById('snippet-conditions').value || '{"operator":"AND","rules":[]}');
+        } catch (error) {
+            alert('Conditions are not valid JSON: ' + error.message);
+            return;
+        }
+
+        const snippet = {
+            ...(this.editingId !== 'new' ? SnippetLibrary.getSnippet(this.editingId) : {}),
+            section: document.getElementById('snippet-section').value,
+            priority: Number(document.getElementById('snippet-priority').value) || 0,
+            active: document.getElementById('snippet-active').checked,
+            tags: document.getElementById('snippet-tags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+            text: this.parseText(document.getElementById('snippet-text').value),
+            conditions: conditions,
+            recommendation: this.readRecommendationFields()
+        };
+
+        try {
+            SnippetLibrary.saveSnippet(snippet);
+        } catch (error) {
+            alert('Failed to save snippet: ' + error.message);
+            return;
+        }
+
+        this.edit(null);
+    }
+
+    /**
+     * Parse "locale: text" lines into { locale: text }
+     */
+    static parseText(value) {
+        const text = {};
+        String(value || '').split('\n').forEach(line => {
+            const match = line.match(/^\s*([a-z]{2}(?:-[A-Za-z]{2})?)\s*:\s*(.+)$/);
+            if (match) {
+                text[match[1]] = match[2].trim();
+            } else if (line.trim()) {
+                text[SnippetLibrary.DEFAULT_LOCALE] = line.trim();
+            }
+        });
+        return text;
+    }
+
+    /**
+     * Delete a snippet
+     */
+    static deleteSnippet(id) {
+        const snippet = SnippetLibrary.getSnippet(id);
+        if (!snippet) return;
+
+        if (confirm(`Delete the snippet "${SnippetLibrary.getText(snippet)}"?`)) {
+            SnippetLibrary.deleteSnippet(id);
+            this.render();
+        }
+    }
+
+    /**
+     * Download the library as JSON
+     */
+    static exportSnippets() {
+        const blob = new Blob([JSON.stringify(SnippetLibrary.exportData(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `recommendation-snippets-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import snippets from a JSON file
+     */
+    static importSnippets() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const data = JSON.parse(await file.text());
+                const replace = confirm('Replace the whole library with this file?\n\nOK replaces it; Cancel merges the file into it (snippets with the same ID are updated).');
+                const result = SnippetLibrary.importData(data, { replace });
+                alert(`Imported ${result.imported} and updated ${result.updated} snippets` +
+                    (result.errors.length > 0 ? `\n\nSkipped:\n${result.errors.join('\n')}` : ''));
+                this.render();
+            } catch (error) {
+                console.error('Failed to import snippets:', error);
+                alert('Failed to import snippets: ' + error.message);
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Restore the built-in snippets
+     */
+    static resetToDefaults() {
+        if (confirm('Replace the library with the built-in snippets? Your changes will be lost.')) {
+            SnippetLibrary.resetToDefaults();
+            this.render();
+        }
+    }
+
+    /**
+     * Short description of a condition group
+     */
+    static describeConditions(conditions) {
+        const rules = conditions?.rules || [];
+        if (rules.length === 0) return 'Always';
+
+        const joiner = ` ${(conditions.operator || 'AND').toUpperCase()} `;
+        return rules.map(rule => RulesEngine.isConditionGroup(rule)
+            ? `(${this.describeConditions(rule)})`
+            : `${rule.expression || rule.field} ${rule.operator} ${Array.isArray(rule.value) ? rule.value.join(', ') : (rule.value ?? '')}`.trim()
+        ).join(joiner);
+    }
+
+    /**
+     * Get section display name
+     */
+    static getSectionName(section) {
+        return typeof TemplateManager !== 'undefined' ? TemplateManager.getSectionName(section) : section;
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnippetLibraryEditor;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SnippetLibraryEditor = SnippetLibraryEditor;
+}
@@ -14,6 +14,22 @@ class TemplateManager {
     static isInitialized = false;
     static isDirty = false;
 
+    // Operators offered by the selection criteria editor
+    static SELECTION_OPERATORS = [
+        { value: 'equals', label: 'Equals' },
+        { value: 'not_equals', label: 'Not Equals' },
+        { value: 'in_list', label: 'Is One Of' },
+        { value: 'contains_any', label: 'Contains Any Of' },
+        { value: 'contains_all', label: 'Contains All Of' },
+        { value: 'contains_none', label: 'Contains None Of' },
+        { value: 'greater_than_or_equal', label: 'At Least' },
+        { value: 'less_than', label: 'Less Than' },
+        { value: 'is_empty', label: 'Is Empty' },
+        { value: 'is_not_empty', label: 'Is Answered' },
+        { value: 'mentions_any', label: 'Text Mentions Any Of' }
+    ];
+    static LIST_VALUE_OPERATORS = ['in_list', 'contains_any', 'contains_all', 'contains_none'];
+
     /**
      * Initialize template manager
      */
@@ -45,9 +61,47 @@ class TemplateManager {
         if (this.templates.length === 0) {
             this.templates = this.getDefaultTemplates();
             this.saveTemplates();
+        } else if (this.migrateTemplates()) {
+            this.saveTemplates();
         }
     }
 
+    /**
+     * Convert plain-text section recommendations to structured ones
+     * @returns {boolean} Whether any template changed
+     */
+    static migrateTemplates() {
+        let changed = false;
+
+        this.templates = this.templates.map(template => {
+            const sections = template.sections || {};
+            if (!Object.values(sections).some(items => (items || []).some(item => typeof item === 'string'))) {
+                return template;
+            }
+
+            changed = true;
+            const migrated = {};
+            Object.entries(sections).forEach(([sectionKey, items]) => {
+                migrated[sectionKey] = (items || []).map(item => this.toSectionEntry(item, sectionKey)).filter(Boolean);
+            });
+            return { ...template, sections: migrated };
+        });
+
+        return changed;
+    }
+
+    /**
+     * A recommendation as stored in a template section
+     * Source, section and gap focus are added when recommendations are generated.
+     */
+    static toSectionEntry(item, sectionKey) {
+        const recommendation = RecommendationModel.normalize(item, { section: sectionKey });
+        if (!recommendation || !recommendation.description) return null;
+
+        const { source, sourceId, section, focus, ...entry } = recommendation;
+        return entry;
+    }
+
     /**
      * Setup event listeners
      */
@@ -70,6 +124,11 @@ class TemplateManager {
             exportBtn.addEventListener('click', () => this.exportTemplates());
         }
 
+        const diagnoseBtn = document.getElementById('diagnose-template-selection');
+        if (diagnoseBtn) {
+            diagnoseBtn.addEventListener('click', () => TemplateSelectionView.open(this.getTemplatesForDiagnosis()));
+        }
+
         // Template form handlers
         const saveTemplateBtn = document.getElementById('save-template');
         const previewTemplateBtn = document.getElementById('preview-template');
@@ -113,6 +172,7 @@ class TemplateManager {
                 </div>
                 <div class="template-meta">
                     <span class="template-version">v${template.version || '1.0.0'}</span>
+                    ${this.renderSelectionBadge(template)}
                     <span class="template-tags">
                         ${(template.tags || []).map(tag => `<span class="tag">${tag}</span>`).join('')}
                     </span>
@@ -208,6 +268,8 @@ class TemplateManager {
                     <small class="form-help">Comma-separated tags for categorization</small>
                 </div>
 
+                ${this.renderSelectionEditor(template)}
+
                 <div class="recommendation-config">
                     <h4>Recommendation Configuration</h4>
                     
@@ -250,6 +312,8 @@ class TemplateManager {
                 <div class="template-form-actions">
                     <button type="button" id="save-template" class="btn btn-primary">Save Template</button>
                     <button type="button" id="preview-template" class="btn btn-secondary">Preview</button>
+                    <button type="button" class="btn btn-secondary"
+                            onclick="TemplateSelectionView.open(TemplateManager.getTemplatesForDiagnosis())">Test Selection</button>
                     <button type="button" id="cancel-template" class="btn btn-secondary">Cancel</button>
                     <button type="button" id="delete-template" class="btn btn-danger">Delete</button>
                 </div>
@@ -259,6 +323,162 @@ class TemplateManager {
         this.setupTemplateEditorListeners();
     }
 
+    /**
+     * Badge with a template's selection priority, or "Manual" without criteria
+     */
+    static renderSelectionBadge(template) {
+        const selection = typeof TemplateSelector !== 'undefined' ? TemplateSelector.getSelection(template) : template.selection;
+        return selection
+            ? `<span class="template-selection-badge" title="Selected automatically when its criteria match">Priority ${Number(selection.priority) || 0}</span>`
+            : '<span class="template-selection-badge manual" title="Never selected automatically">Manual</span>';
+    }
+
+    /**
+     * Render the selection criteria editor
+     * Flat condition lists get one row per condition; nested groups and
+     * expressions are edited as JSON.
+     */
+    static renderSelectionEditor(template) {
+        const selection = typeof TemplateSelector !== 'undefined' ? TemplateSelector.getSelection(template) : template.selection;
+        const conditions = selection?.conditions || { operator: 'AND', rules: [] };
+        const flat = (conditions.rules || []).every(rule => rule.field && !RulesEngine.isConditionGroup(rule) && !rule.expression) &&
+            ['AND', 'OR'].includes((conditions.operator || 'AND').toUpperCase());
+
+        return `
+            <div class="selection-config">
+                <h4>Selection Criteria</h4>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label class="form-label">
+                            <input type="checkbox" id="template-selection-enabled" ${selection ? 'checked' : ''}>
+                            Select automatically
+                        </label>
+                    </div>
+                    <div class="form-group">
+                        <label for="template-selection-priority" class="form-label">Priority</label>
+                        <input type="number" id="template-selection-priority" class="form-input"
+                               value="${Number(selection?.priority) || 0}">
+                    </div>
+                    ${flat ? `
+                        <div class="form-group">
+                            <label for="template-selection-match" class="form-label">Match</label>
+                            <select id="template-selection-match" class="form-select">
+                                <option value="AND" ${(conditions.operator || 'AND').toUpperCase() === 'AND' ? 'selected' : ''}>All conditions</option>
+                                <option value="OR" ${(conditions.operator || '').toUpperCase() === 'OR' ? 'selected' : ''}>Any condition</option>
+                            </select>
+                        </div>
+                    ` : ''}
+                </div>
+                ${flat ? `
+                    <div id="selection-conditions" class="selection-conditions">
+                        ${conditions.rules.map(condition => this.renderSelectionCondition(condition)).join('')}
+                    </div>
+                    <button type="button" class="btn-small" onclick="TemplateManager.addSelectionCondition()">Add Condition</button>
+                ` : `
+                    <textarea id="template-selection-json" class="form-textarea" rows="6">${this.escapeHTML(JSON.stringify(conditions, null, 2))}</textarea>
+                `}
+                <small class="form-help">The highest-priority template whose criteria match is used. A template with no conditions matches every assessment. Besides questions, criteria can test "score" (percentage) and "level".</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one selection condition row
+     */
+    static renderSelectionCondition(condition = {}) {
+        const questions = (typeof StateManager !== 'undefined' ? StateManager.getState('config.questions') : null) || [];
+        const fields = [
+            ...questions.map(question => ({ value: question.id, label: question.title || question.id })),
+            { value: 'score', label: 'Score (%)' },
+            { value: 'level', label: 'Governance Level' }
+        ];
+        if (condition.field && !fields.some(field => field.value === condition.field)) {
+            fields.push({ value: condition.field, label: `${condition.field} (missing)` });
+        }
+        const value = Array.isArray(condition.value) ? condition.value.join(', ') : (condition.value ?? '');
+
+        return `
+            <div class="selection-condition">
+                <select class="selection-field form-select">
+                    ${fields.map(field => `<option value="${this.escapeHTML(field.value)}" ${field.value === condition.field ? 'selected' : ''}>${this.escapeHTML(field.label)}</option>`).join('')}
+                </select>
+                <select class="selection-operator form-select">
+                    ${this.SELECTION_OPERATORS.map(operator => `<option value="${operator.value}" ${operator.value === condition.operator ? 'selected' : ''}>${operator.label}</option>`).join('')}
+                </select>
+                <input type="text" class="selection-value form-input" value="${this.escapeHTML(String(value))}"
+                       placeholder="Value (lists: a, b)">
+                <button type="button" class="btn-icon" onclick="this.closest('.selection-condition').remove()" title="Remove condition">🗑️</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Add an empty selection condition row
+     */
+    static addSelectionCondition() {
+        const container = document.getElementById('selection-conditions');
+        if (!container) return;
+
+        container.insertAdjacentHTML('beforeend', this.renderSelectionCondition({ operator: 'equals' }));
+        this.markDirty();
+    }
+
+    /**
+     * Read the selection criteria from the form
+     * @returns {Object|null} { priority, conditions }, or null when not selected automatically
+     */
+    static collectSelection() {
+        const enabled = document.getElementById('template-selection-enabled');
+        if (!enabled) return this.currentTemplate?.selection ?? null;
+        if (!enabled.checked) return null;
+
+        const priority = Number(document.getElementById('template-selection-priority')?.value) || 0;
+        const jsonField = document.getElementById('template-selection-json');
+        if (jsonField) {
+            try {
+                return { priority, conditions: JSON.parse(jsonField.value || '{"operator":"AND","rules":[]}') };
+            } catch (error) {
+                throw new Error('Selection conditions are not valid JSON: ' + error.message);
+            }
+        }
+
+        const rules = [...document.querySelectorAll('#selection-conditions .selection-condition')].map(row => {
+            const operator = row.querySelector('.selection-operator').value;
+            const text = row.querySelector('.selection-value').value.trim();
+            let value = text;
+            if (this.LIST_VALUE_OPERATORS.includes(operator)) {
+                value = text.split(',').map(item => item.trim()).filter(Boolean);
+            } else if (text !== '' && !isNaN(Number(text))) {
+                value = Number(text);
+            }
+            return { field: row.querySelector('.selection-field').value, operator, value };
+        });
+
+        return {
+            priority,
+            conditions: { operator: document.getElementById('template-selection-match')?.value || 'AND', rules }
+        };
+    }
+
+    /**
+     * Saved templates, with the one being edited taken from the form
+     */
+    static getTemplatesForDiagnosis() {
+        if (!this.currentTemplate || !document.getElementById('template-selection-enabled')) {
+            return this.templates;
+        }
+
+        let selection;
+        try {
+            selection = this.collectSelection();
+        } catch (error) {
+            return this.templates;
+        }
+        const draft = { ...this.currentTemplate, selection };
+        const others = this.templates.filter(template => template.id !== draft.id);
+        return [...others, draft];
+    }
+
     /**
      * Render section editors
      */
@@ -293,14 +513,44 @@ class TemplateManager {
      * Render recommendations list
      */
     static renderRecommendations(recommendations) {
-        return recommendations.map((rec, index) => `
-            <div class="recommendation-item" data-index="${index}">
-                <textarea class="recommendation-text form-textarea" rows="2" 
-                          placeholder="Enter recommendation text...">${this.escapeHTML(rec)}</textarea>
-                <button type="button" class="btn-icon remove-recommendation" 
-                        onclick="TemplateManager.removeRecommendation(this)">🗑️</button>
-            </div>
-        `).join('');
+        const select = (className, values, selected) => `
+            <select class="${className} form-select">
+                ${values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('')}
+            </select>
+        `;
+
+        return recommendations.map((item, index) => {
+            const rec = RecommendationModel.normalize(item);
+            // New rows get their ID from their text when saved
+            const id = typeof item === 'object' && item?.id ? item.id : '';
+
+            return `
+                <div class="recommendation-item" data-index="${index}" data-id="${this.escapeHTML(id)}">
+                    <div class="recommendation-item-main">
+                        <input type="text" class="recommendation-title form-input" value="${this.escapeHTML(rec.title)}"
+                               placeholder="Short title (defaults to the first sentence)">
+                        <textarea class="recommendation-text form-textarea" rows="2" 
+                                  placeholder="Enter recommendation text...">${this.escapeHTML(rec.description)}</textarea>
+                        <div class="recommendation-fields">
+                            <label>Priority ${select('recommendation-priority', RecommendationModel.PRIORITIES, rec.priority)}</label>
+                            <label>Effort ${select('recommendation-effort', RecommendationModel.LEVELS, rec.effort)}</label>
+                            <label>Impact ${select('recommendation-impact', RecommendationModel.LEVELS, rec.impact)}</label>
+                            <label>Owner <input type="text" class="recommendation-owner form-input" value="${this.escapeHTML(rec.ownerRole)}" placeholder="Data Steward"></label>
+                            <label>Due within <input type="text" class="recommendation-due form-input" value="${this.escapeHTML(rec.dueWindow)}" placeholder="90 days"></label>
+                        </div>
+                        <input type="text" class="recommendation-controls form-input" value="${this.escapeHTML(rec.relatedControls.join(', '))}"
+                               placeholder="Related controls (comma-separated)">
+                        <input type="text" class="recommendation-rationale form-input" value="${this.escapeHTML(rec.rationale)}"
+                               placeholder="Rationale">
+                        <input type="text" class="recommendation-depends form-input" value="${this.escapeHTML(rec.dependsOn.join(', '))}"
+                               placeholder="Depends on (IDs of recommendations or snippets to implement first)">
+                        ${id ? `<small class="form-help">ID: ${this.escapeHTML(id)}</small>` : ''}
+                    </div>
+                    <button type="button" class="btn-icon remove-recommendation" 
+                            onclick="TemplateManager.removeRecommendation(this)">🗑️</button>
+                </div>
+            `;
+        }).join('');
     }
 
     /**
@@ -401,7 +651,29 @@ class TemplateManager {
             return;
         }
 
+        let selection;
+        try {
+            selection = this.collectSelection();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        const selectionErrors = TemplateSelector.validateSelection(selection);
+        if (selectionErrors.length > 0) {
+            alert('Selection criteria are invalid:\n' + selectionErrors.join('\n'));
+            return;
+        }
+
+        const sections = this.collectSections();
+        const recommendationErrors = Object.entries(sections).flatMap(([sectionKey, items]) =>
+            items.flatMap(item => RecommendationModel.validate(item).map(error => `${this.getSectionName(sectionKey)}: ${error}`)));
+        if (recommendationErrors.length > 0) {
+            alert('Recommendations are invalid:\n' + recommendationErrors.join('\n'));
+            return;
+        }
+
         // Update template
+        this.currentTemplate.selection = selection;
         this.currentTemplate.name = nameField.value.trim();
         this.currentTemplate.description = descField.value.trim();
         this.currentTemplate.category = categoryField?.value || 'basic';
@@ -418,7 +690,7 @@ class TemplateManager {
         };
 
         // Collect sections
-        this.currentTemplate.sections = this.collectSections();
+        this.currentTemplate.sections = sections;
 
         // Save to templates array
         const existingIndex = this.templates.findIndex(t => t.id === this.currentTemplate.id);
@@ -445,11 +717,24 @@ class TemplateManager {
             const sectionKey = editor.dataset.section;
             const recommendations = [];
             
-            const recItems = editor.querySelectorAll('.recommendation-item textarea');
-            recItems.forEach(textarea => {
-                const text = textarea.value.trim();
-                if (text) {
-                    recommendations.push(text);
+            editor.querySelectorAll('.recommendation-item').forEach(item => {
+                const value = selector => item.querySelector(selector)?.value.trim() || '';
+                const entry = this.toSectionEntry({
+                    id: item.dataset.id || null,
+                    title: value('.recommendation-title'),
+                    description: value('.recommendation-text'),
+                    priority: value('.recommendation-priority'),
+                    effort: value('.recommendation-effort'),
+                    impact: value('.recommendation-impact'),
+                    ownerRole: value('.recommendation-owner'),
+                    dueWindow: value('.recommendation-due'),
+                    relatedControls: value('.recommendation-controls'),
+                    rationale: value('.recommendation-rationale'),
+                    dependsOn: value('.recommendation-depends')
+                }, sectionKey);
+
+                if (entry) {
+                    recommendations.push(entry);
                 }
             });
 
@@ -546,7 +831,14 @@ class TemplateManager {
                                 <h4>${this.getSectionName(sectionKey)}</h4>
                                 ${recommendations.length > 0 ? `
                                     <ul>
-                                        ${recommendations.map(rec => `<li>${this.escapeHTML(rec)}</li>`).join('')}
+                                        ${recommendations.map(item => RecommendationModel.normalize(item)).map(rec => `
+                                            <li>
+                                                <strong>${this.escapeHTML(rec.title)}</strong>
+                                                <span class="priority-badge priority-${rec.priority}">${rec.priority}</span>
+                                                <span class="recommendation-meta">Effort ${rec.effort} · Impact ${rec.impact}${rec.ownerRole ? ' · ' + this.escapeHTML(rec.ownerRole) : ''} · within ${this.escapeHTML(rec.dueWindow)}</span>
+                                                ${rec.description !== rec.title ? `<div>${this.escapeHTML(rec.description)}</div>` : ''}
+                                            </li>
+                                        `).join('')}
                                     </ul>
                                 ` : '<p class="no-recommendations">No recommendations configured for this section.</p>'}
                             </div>
@@ -683,6 +975,7 @@ class TemplateManager {
                     });
 
                     this.templates.push(...importData.templates);
+                    this.migrateTemplates();
                     this.saveTemplates();
                     this.renderTemplatesList();
                     alert('Templates imported successfully');
@@ -705,6 +998,11 @@ class TemplateManager {
         } else if (typeof StorageManager !== 'undefined') {
             StorageManager.setItem('recommendation_templates', this.templates);
         }
+
+        // Template selection reads the engine's copy
+        if (typeof RecommendationEngine !== 'undefined') {
+            RecommendationEngine.loadTemplates();
+        }
     }
 
     /**
@@ -758,6 +1056,10 @@ class TemplateManager {
                 category: "basic",
                 version: "1.0.0",
                 tags: ["starter", "basic", "foundation"],
+                selection: {
+                    priority: 0,
+                    conditions: { operator: "AND", rules: [] }
+                },
                 recommendation: {
                     title: "Basic Data Governance Framework",
                     summary: "Your organization demonstrates {level} data governance maturity with opportunities for improvement.",
@@ -794,6 +1096,13 @@ class TemplateManager {
                 category: "advanced",
                 version: "1.0.0",
                 tags: ["advanced", "enterprise", "comprehensive"],
+                selection: {
+                    priority: 20,
+                    conditions: {
+                        operator: "AND",
+                        rules: [{ field: "question-2", operator: "in_list", value: ["defined", "managed"] }]
+                    }
+                },
                 recommendation: {
                     title: "Enterprise Data Governance Framework",
                     summary: "Your organization shows {level} governance maturity with capabilities for advanced optimization.",
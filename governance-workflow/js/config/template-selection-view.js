@@ -0,0 +1,179 @@
+// js/config/template-selection-view.js - Template Selection Diagnostic View
+
+/**
+ * Template Selection View for Data Governance Decision Tool
+ * Shows which recommendation template an assessment gets and why: every
+ * template in priority order with the outcome of each selection condition
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class TemplateSelectionView {
+    static modal = null;
+    static templates = [];
+
+    /**
+     * Open the diagnostic for a set of templates
+     * @param {Array} templates - Templates to choose from (may include unsaved edits)
+     */
+    static open(templates = []) {
+        if (typeof RecommendationEngine === 'undefined' || typeof TemplateSelector === 'undefined') {
+            alert('Template selection diagnostics not available');
+            return;
+        }
+
+        this.templates = templates;
+        const assessments = this.getAssessments();
+
+        this.close();
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show template-selection-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Template Selection</h2>
+                    <button class="modal-close" onclick="TemplateSelectionView.close()">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${assessments.length === 0 ? `
+                        <div class="empty-state">
+                            <h3>No Assessments</h3>
+                            <p>Start or complete an assessment to see which template it would get.</p>
+                        </div>
+                    ` : `
+                        <div class="form-group">
+                            <label for="template-selection-assessment" class="form-label">Assessment</label>
+                            <select id="template-selection-assessment" class="form-select"
+                                    onchange="TemplateSelectionView.showResult(this.value)">
+                                ${assessments.map(assessment => `
+                                    <option value="${this.escapeHTML(assessment.id)}">${this.escapeHTML(this.getAssessmentLabel(assessment))}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div id="template-selection-result"></div>
+                    `}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+
+        if (assessments.length > 0) {
+            this.showResult(assessments[0].id);
+        }
+    }
+
+    /**
+     * Close the modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Completed assessments (most recent first), then ones in progress
+     */
+    static getAssessments() {
+        if (typeof StorageManager === 'undefined') return [];
+
+        const completed = [...(StorageManager.getItem('completed_assessments') || [])]
+            .sort((a, b) => (a.completed < b.completed ? 1 : -1));
+        const inProgress = (StorageManager.getItem('saved_assessments') || [])
+            .filter(assessment => !completed.some(done => done.id === assessment.id));
+        return [...completed, ...inProgress].filter(assessment => assessment.answers);
+    }
+
+    /**
+     * Option label for an assessment
+     */
+    static getAssessmentLabel(assessment) {
+        const date = assessment.completed || assessment.modified || assessment.created;
+        const status = assessment.completed ? 'completed' : 'in progress';
+        return `${assessment.id} (${status}${date ? ', ' + new Date(date).toLocaleDateString() : ''})`;
+    }
+
+    /**
+     * Run selection for one assessment and render the outcome
+     */
+    static showResult(assessmentId) {
+        const container = document.getElementById('template-selection-result');
+        const assessment = this.getAssessments().find(item => item.id === assessmentId);
+        if (!container || !assessment) return;
+
+        try {
+            const selection = RecommendationEngine.explainTemplateSelection(assessment, null, null, this.templates);
+            container.innerHTML = this.renderSelection(selection);
+        } catch (error) {
+            console.error('Failed to explain template selection:', error);
+            container.innerHTML = `<p class="template-selection-error">Failed to select a template: ${this.escapeHTML(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the chosen template and every candidate
+     */
+    static renderSelection(selection) {
+        return `
+            <div class="template-selection-summary ${selection.fallback ? 'fallback' : ''}">
+                <strong>${this.escapeHTML(selection.template?.name || selection.templateId)}</strong>
+                <p>${this.escapeHTML(selection.reason)}</p>
+            </div>
+            <table class="template-selection-table">
+                <thead>
+                    <tr><th>Template</th><th>Priority</th><th>Result</th><th>Conditions</th></tr>
+                </thead>
+                <tbody>
+                    ${selection.candidates.map(candidate => `
+                        <tr class="${candidate.selected ? 'selected' : ''}">
+                            <td>${this.escapeHTML(candidate.name)}</td>
+                            <td>${candidate.hasCriteria ? candidate.priority : '—'}</td>
+                            <td>${this.renderOutcome(candidate)}</td>
+                            <td>
+                                ${candidate.error ? `<div class="template-selection-error">${this.escapeHTML(candidate.error)}</div>` : ''}
+                                <ul class="template-selection-reasons">
+                                    ${candidate.reasons.map(reason => `
+                                        <li class="${reason.matched ? 'matched' : 'unmatched'}">${reason.matched ? '✓' : '✗'} ${this.escapeHTML(reason.text)}</li>
+                                    `).join('')}
+                                </ul>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Outcome label for a candidate template
+     */
+    static renderOutcome(candidate) {
+        if (candidate.selected) return '<span class="template-selection-outcome selected">Selected</span>';
+        if (!candidate.hasCriteria) return '<span class="template-selection-outcome">Manual only</span>';
+        if (candidate.matched) return '<span class="template-selection-outcome">Matched, lower priority</span>';
+        return '<span class="template-selection-outcome">Not matched</span>';
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateSelectionView;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TemplateSelectionView = TemplateSelectionView;
+}
@@ -211,10 +211,10 @@ class EventBus {
 
         return {
             eventName,
-            iterations,
-            totalTime,
-            avgTime,
-            eventsPerSecond: iterations / (totalTime / 1000)
+            eventId: eventData.id,
+            results,
+            errors,
+            success: errors.length === 0
         };
     }
 
@@ -982,4 +982,14 @@ class EventBus {
     }
 }
 
-    
\ No newline at end of file
+    
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.EventBus = EventBus;
+}
@@ -0,0 +1,815 @@
+// js/engine/decision-table.js - Decision Tables
+
+/**
+ * Decision Table for Data Governance Decision Tool
+ * Spreadsheet-style rule authoring: one input column per question, one row
+ * per rule, output columns for score, recommendation and variables. Tables
+ * round-trip through CSV/XLSX rows and compile into ordinary rules.
+ *
+ * Input cell syntax:
+ *   -  or empty       any answer
+ *   small            equals (contains for multi-select questions)
+ *   not small        not equals (not contains for multi-select questions)
+ *   small, medium    any of the listed values
+ *   > 5, >= 5, < 5, <= 5
+ *   [5..10]          between, inclusive
+ *   empty, not empty
+ * Values containing commas or reserved words can be wrapped in double quotes.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class DecisionTable {
+    static tables = [];
+    static isLoaded = false;
+
+    static STORAGE_KEY = 'decision_tables';
+    static HIT_POLICIES = ['first', 'unique', 'collect'];
+    static NUMERIC_TYPES = ['number-input', 'rating-scale'];
+
+    static SCORE_COLUMN = 'Score';
+    static RECOMMENDATION_COLUMN = 'Recommendation';
+    static VARIABLE_PREFIX = 'var:';
+    static LABEL_COLUMN = 'Rule';
+
+    /**
+     * Load tables from storage
+     */
+    static load() {
+        this.tables = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.STORAGE_KEY, []) || []
+            : [];
+        this.isLoaded = true;
+        return this.tables;
+    }
+
+    /**
+     * Get all tables
+     */
+    static getTables() {
+        if (!this.isLoaded) {
+            this.load();
+        }
+        return this.tables;
+    }
+
+    /**
+     * Get a table by ID
+     */
+    static getTable(tableId) {
+        return this.getTables().find(table => table.id === tableId) || null;
+    }
+
+    /**
+     * Add or update a table
+     */
+    static saveTable(table) {
+        const normalized = this.normalize(table);
+        const validation = this.validate(normalized);
+        if (!validation.isValid) {
+            throw new Error('Invalid decision table: ' + validation.errors.join(', '));
+        }
+
+        normalized.modified = new Date().toISOString();
+        const tables = this.getTables();
+        const index = tables.findIndex(existing => existing.id === normalized.id);
+        if (index >= 0) {
+            tables[index] = normalized;
+        } else {
+            tables.push(normalized);
+        }
+
+        this.save();
+        return normalized;
+    }
+
+    /**
+     * Delete a table
+     */
+    static deleteTable(tableId) {
+        const tables = this.getTables();
+        const index = tables.findIndex(table => table.id === tableId);
+        if (index < 0) {
+            return false;
+        }
+
+        tables.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Create an empty table
+     */
+    static create(name = 'New Decision Table') {
+        return this.normalize({
+            name: name,
+            hitPolicy: 'first',
+            inputs: [],
+            variables: [],
+            rows: [{ label: '', inputs: [], score: '', recommendation: '', variables: {} }]
+        });
+    }
+
+    /**
+     * Fill in defaults and give every row a stable ID
+     */
+    static normalize(table = {}) {
+        const now = new Date().toISOString();
+        const inputs = (table.inputs || []).map(input =>
+            typeof input === 'string' ? { questionId: input } : { questionId: input.questionId }
+        );
+        const variables = [...new Set(table.variables || [])];
+
+        const usedIds = new Set((table.rows || []).map(row => row.id).filter(Boolean));
+        let nextId = 1;
+        const rows = (table.rows || []).map(row => {
+            let id = row.id;
+            if (!id) {
+                while (usedIds.has(`r${nextId}`)) nextId++;
+                id = `r${nextId}`;
+                usedIds.add(id);
+            }
+
+            return {
+                id: id,
+                label: row.label || '',
+                inputs: inputs.map((input, index) => this.cellText(row.inputs?.[index])),
+                score: this.cellText(row.score),
+                recommendation: this.cellText(row.recommendation),
+                variables: variables.reduce((values, name) => {
+                    values[name] = this.cellText(row.variables?.[name]);
+                    return values;
+                }, {})
+            };
+        });
+
+        return {
+            id: table.id || this.generateId(),
+            name: table.name || 'Untitled Decision Table',
+            description: table.description || '',
+            hitPolicy: (table.hitPolicy || 'first').toLowerCase(),
+            category: table.category || 'general',
+            priority: parseInt(table.priority) || 1,
+            active: table.active !== false,
+            inputs: inputs,
+            variables: variables,
+            rows: rows,
+            created: table.created || now,
+            modified: table.modified || now
+        };
+    }
+
+    /**
+     * Validate a table, including every input cell
+     */
+    static validate(table, questions = null) {
+        const errors = [];
+        const warnings = [];
+        const questionsById = new Map((questions || this.getQuestions()).map(question => [question.id, question]));
+
+        if (!table.name || !String(table.name).trim()) {
+            errors.push('Table name is required');
+        }
+        if (!this.HIT_POLICIES.includes(table.hitPolicy)) {
+            errors.push(`Hit policy must be one of ${this.HIT_POLICIES.join(', ')}`);
+        }
+        if (!table.rows || table.rows.length === 0) {
+            errors.push('Table needs at least one row');
+        }
+
+        const questionIds = table.inputs.map(input => input.questionId);
+        questionIds.forEach((questionId, index) => {
+            if (!questionId) {
+                errors.push(`Input column ${index + 1} has no question`);
+            } else if (questionIds.indexOf(questionId) !== index) {
+                errors.push(`Question "${questionId}" has more than one input column`);
+            } else if (questionsById.size > 0 && !questionsById.has(questionId)) {
+                warnings.push(`Question "${questionId}" does not exist`);
+            }
+        });
+
+        table.rows.forEach((row, rowIndex) => {
+            const rowName = row.label || `Row ${rowIndex + 1}`;
+            row.inputs.forEach((text, index) => {
+                try {
+                    this.parseCell(text, table.inputs[index].questionId, questionsById.get(table.inputs[index].questionId));
+                } catch (error) {
+                    errors.push(`${rowName}, ${table.inputs[index].questionId}: ${error.message}`);
+                }
+            });
+            if (row.score !== '' && isNaN(Number(row.score))) {
+                errors.push(`${rowName}: score "${row.score}" is not a number`);
+            }
+        });
+
+        if (errors.length === 0 && table.hitPolicy === 'unique') {
+            this.findOverlaps(table, questionsById).forEach(([a, b]) => {
+                errors.push(`Hit policy unique: ${a.label || a.id} and ${b.label || b.id} can match the same answers`);
+            });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Pairs of rows that can both match
+     * Two rows are exclusive when some column they both constrain cannot hold for both.
+     */
+    static findOverlaps(table, questionsById = new Map()) {
+        const overlaps = [];
+        const parsed = table.rows.map(row => row.inputs.map((text, index) => {
+            const questionId = table.inputs[index].questionId;
+            return this.parseCell(text, questionId, questionsById.get(questionId));
+        }));
+
+        for (let i = 0; i < table.rows.length; i++) {
+            for (let j = i + 1; j < table.rows.length; j++) {
+                const exclusive = table.inputs.some((input, column) => {
+                    const a = parsed[i][column];
+                    const b = parsed[j][column];
+                    return a && b && this.areExclusive(a, b);
+                });
+                if (!exclusive) {
+                    overlaps.push([table.rows[i], table.rows[j]]);
+                }
+            }
+        }
+
+        return overlaps;
+    }
+
+    /**
+     * Whether two parsed cells on the same question can never both hold
+     */
+    static areExclusive(a, b) {
+        if (typeof RuleLinter === 'undefined') {
+            return false;
+        }
+        return !RuleLinter.canMatchTogether(
+            { conditions: { operator: 'AND', rules: [a] } },
+            { conditions: { operator: 'AND', rules: [b] } }
+        ) || this.listsExclusive(a, b);
+    }
+
+    /**
+     * Value lists with no value in common ("a, b" against "c")
+     */
+    static listsExclusive(a, b) {
+        const values = cell => {
+            if (cell.operator === 'equals' || cell.operator === 'contains') return [cell.value];
+            if (cell.operator === 'in_list') return cell.value;
+            return null;
+        };
+        const valuesA = values(a);
+        const valuesB = values(b);
+        // Multi-select answers can contain several values, so only single answers are exclusive
+        if (!valuesA || !valuesB || a.operator === 'contains' || b.operator === 'contains') return false;
+        return !valuesA.some(value => valuesB.some(other => String(value) === String(other)));
+    }
+
+    /**
+     * Parse an input cell into a condition (or condition group); null means any answer
+     */
+    static parseCell(text, questionId, question = null) {
+        const cell = this.cellText(text).trim();
+        if (cell === '' || cell === '-') {
+            return null;
+        }
+
+        const isMulti = question?.type === 'multi-select';
+        const condition = (operator, value) => ({ field: questionId, operator, value });
+
+        if (/^empty$/i.test(cell)) return condition('is_empty', '');
+        if (/^not empty$/i.test(cell)) return condition('is_not_empty', '');
+
+        const comparison = cell.match(/^(>=|<=|>|<)\s*(.+)$/);
+        if (comparison) {
+            const value = Number(comparison[2]);
+            if (isNaN(value)) {
+                throw new Error(`"${comparison[2]}" is not a number`);
+            }
+            const operators = { '>': 'greater_than', '<': 'less_than', '>=': 'greater_than_or_equal', '<=': 'less_than_or_equal' };
+            return condition(operators[comparison[1]], value);
+        }
+
+        const range = cell.match(/^\[\s*(.+?)\s*\.\.\s*(.+?)\s*\]$/);
+        if (range) {
+            const min = Number(range[1]);
+            const max = Number(range[2]);
+            if (isNaN(min) || isNaN(max)) {
+                throw new Error(`"${cell}" is not a numeric range`);
+            }
+            return condition('between', [min, max]);
+        }
+
+        const negated = cell.match(/^not\s+(.+)$/i);
+        if (negated) {
+            const values = this.splitValues(negated[1], question);
+            if (values.length !== 1) {
+                throw new Error(`"not" takes a single value`);
+            }
+            return condition(isMulti ? 'not_contains' : 'not_equals', values[0]);
+        }
+
+        const values = this.splitValues(cell, question);
+        if (values.length === 1) {
+            return condition(isMulti ? 'contains' : 'equals', values[0]);
+        }
+        if (isMulti) {
+            return { operator: 'OR', rules: values.map(value => condition('contains', value)) };
+        }
+        return condition('in_list', values);
+    }
+
+    /**
+     * Split a comma-separated cell into typed values, honouring double quotes
+     */
+    static splitValues(text, question = null) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+        let wasQuoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') {
+                if (quoted && text[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    if (!quoted && !wasQuoted && current.trim() === '') {
+                        current = '';
+                    }
+                    quoted = !quoted;
+                    wasQuoted = true;
+                }
+            } else if (char === ',' && !quoted) {
+                values.push({ text: wasQuoted ? current : current.trim(), quoted: wasQuoted });
+                current = '';
+                wasQuoted = false;
+            } else if (!quoted && wasQuoted && /\s/.test(char)) {
+                continue;
+            } else {
+                current += char;
+            }
+        }
+        if (quoted) {
+            throw new Error(`unterminated quote in "${text}"`);
+        }
+        values.push({ text: wasQuoted ? current : current.trim(), quoted: wasQuoted });
+
+        const numeric = this.NUMERIC_TYPES.includes(question?.type);
+        return values
+            .filter(value => value.quoted || value.text !== '')
+            .map(value => numeric && !value.quoted && value.text !== '' && !isNaN(Number(value.text))
+                ? Number(value.text)
+                : value.text);
+    }
+
+    /**
+     * Format a condition (or condition group) back into cell text
+     * Returns null when the condition cannot be written as a cell.
+     */
+    static formatCell(condition) {
+        if (!condition) return '-';
+
+        if (Array.isArray(condition.rules)) {
+            const isContainsAny = (condition.operator || 'AND').toUpperCase() === 'OR' &&
+                condition.rules.length > 0 &&
+                condition.rules.every(rule => !Array.isArray(rule?.rules) && rule?.operator === 'contains' && !rule.expression);
+            return isContainsAny ? condition.rules.map(rule => this.formatValue(rule.value)).join(', ') : null;
+        }
+
+        const value = condition.value;
+        switch (condition.operator) {
+            case 'equals':
+            case 'contains':
+                return this.formatValue(value);
+            case 'not_equals':
+            case 'not_contains':
+                return `not ${this.formatValue(value)}`;
+            case 'in_list':
+                return Array.isArray(value) && value.length > 0 ? value.map(item => this.formatValue(item)).join(', ') : null;
+            case 'greater_than': return `> ${value}`;
+            case 'less_than': return `< ${value}`;
+            case 'greater_than_or_equal': return `>= ${value}`;
+            case 'less_than_or_equal': return `<= ${value}`;
+            case 'between':
+                return Array.isArray(value) && value.length === 2 ? `[${value[0]}..${value[1]}]` : null;
+            case 'is_empty': return 'empty';
+            case 'is_not_empty': return 'not empty';
+            default: return null;
+        }
+    }
+
+    /**
+     * Quote values that would otherwise be read as cell syntax
+     */
+    static formatValue(value) {
+        const text = this.cellText(value);
+        const reserved = text === '' || text === '-' || /[,"]/.test(text) || /^\s|\s$/.test(text) ||
+            /^(>=|<=|>|<|\[|not\s)/i.test(text) || /^(not )?empty$/i.test(text);
+        return reserved ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Compile a table into rules
+     * first: each row also requires that no earlier row matched;
+     * unique: rows are checked not to overlap; collect: every matching row fires.
+     */
+    static compile(table, questions = null) {
+        const normalized = this.normalize(table);
+        const questionList = questions || this.getQuestions();
+        const validation = this.validate(normalized, questionList);
+        if (!validation.isValid) {
+            throw new Error(`Decision table "${normalized.name}" is invalid: ${validation.errors.join(', ')}`);
+        }
+
+        const questionsById = new Map(questionList.map(question => [question.id, question]));
+        const rowConditions = normalized.rows.map(row => ({
+            operator: 'AND',
+            rules: row.inputs
+                .map((text, index) => {
+                    const questionId = normalized.inputs[index].questionId;
+                    return this.parseCell(text, questionId, questionsById.get(questionId));
+                })
+                .filter(Boolean)
+        }));
+
+        const now = new Date().toISOString();
+        return normalized.rows.map((row, index) => {
+            let conditions = rowConditions[index];
+            if (normalized.hitPolicy === 'first' && index > 0) {
+                conditions = {
+                    operator: 'AND',
+                    rules: [
+                        conditions,
+                        ...rowConditions.slice(0, index).map(earlier => ({ operator: 'NOT', rules: [earlier] }))
+                    ]
+                };
+            }
+
+            return {
+                id: `${normalized.id}-${row.id}`,
+                name: `${normalized.name}: ${row.label || `Row ${index + 1}`}`,
+                description: normalized.description,
+                category: normalized.category,
+                priority: normalized.priority,
+                active: normalized.active,
+                conditions: conditions,
+                actions: this.compileOutputs(row, normalized.variables),
+                decisionTable: {
+                    id: normalized.id,
+                    name: normalized.name,
+                    rowId: row.id,
+                    hitPolicy: normalized.hitPolicy
+                },
+                created: normalized.created,
+                modified: now
+            };
+        });
+    }
+
+    /**
+     * Turn a row's output cells into actions
+     */
+    static compileOutputs(row, variables) {
+        const actions = [];
+
+        if (row.score !== '') {
+            actions.push({ type: 'score', parameters: { operation: 'add', value: Number(row.score) } });
+        }
+        if (row.recommendation !== '') {
+            actions.push({ type: 'recommend', parameters: { template: row.recommendation } });
+        }
+        variables.forEach(name => {
+            const text = row.variables[name];
+            if (text !== undefined && text !== '') {
+                actions.push({
+                    type: 'set_variable',
+                    parameters: { variable: name, value: text !== '' && !isNaN(Number(text)) ? Number(text) : text }
+                });
+            }
+        });
+
+        return actions;
+    }
+
+    /**
+     * Build a collect table from existing rules
+     * Only rules made of AND-ed question conditions (one per question) with
+     * score, recommend and set_variable actions fit; the rest are skipped.
+     * Rules compiled from a decision table are skipped too; edit their table instead.
+     */
+    static fromRules(rules, name = 'Rules as Decision Table') {
+        const skipped = [];
+        const questionIds = [];
+        const variables = [];
+        const rows = [];
+
+        rules.forEach(rule => {
+            const reason = this.getUnsupportedReason(rule);
+            if (reason) {
+                skipped.push({ ruleId: rule.id, ruleName: rule.name || rule.id, reason: reason });
+                return;
+            }
+
+            const conditions = {};
+            (rule.conditions?.rules || []).forEach(condition => {
+                const questionId = this.getConditionField(condition);
+                conditions[questionId] = condition;
+                if (!questionIds.includes(questionId)) questionIds.push(questionId);
+            });
+
+            const row = { label: rule.name || rule.id, conditions: conditions, score: '', recommendation: '', variables: {} };
+            (rule.actions || []).forEach(action => {
+                const params = action.parameters || {};
+                if (action.type === 'score') row.score = params.value ?? 1;
+                if (action.type === 'recommend') row.recommendation = params.template;
+                if (action.type === 'set_variable') {
+                    row.variables[params.variable] = params.value;
+                    if (!variables.includes(params.variable)) variables.push(params.variable);
+                }
+            });
+            rows.push(row);
+        });
+
+        const table = this.normalize({
+            name: name,
+            hitPolicy: 'collect',
+            inputs: questionIds,
+            variables: variables,
+            rows: rows.map(row => ({
+                ...row,
+                inputs: questionIds.map(questionId => this.formatCell(row.conditions[questionId] || null))
+            }))
+        });
+
+        return { table, skipped };
+    }
+
+    /**
+     * Explain why a rule cannot be shown as a table row, or return null
+     */
+    static getUnsupportedReason(rule) {
+        if (rule.decisionTable) {
+            return `compiled from decision table "${rule.decisionTable.name || rule.decisionTable.id}"`;
+        }
+
+        if (rule.effectiveFrom || rule.effectiveUntil) {
+            return 'effective-date windows';
+        }
+
+        const root = rule.conditions || { operator: 'AND', rules: [] };
+        if ((root.operator || 'AND').toUpperCase() !== 'AND') {
+            return `top-level ${root.operator} conditions`;
+        }
+
+        const seen = new Set();
+        for (const condition of root.rules || []) {
+            if (condition?.expression) return 'computed expressions';
+            const field = this.getConditionField(condition);
+            if (!field) return 'conditions without a question';
+            if (seen.has(field)) return `more than one condition on ${field}`;
+            seen.add(field);
+            if (this.formatCell(condition) === null) return `a condition on ${field} that has no cell syntax`;
+        }
+
+        for (const action of rule.actions || []) {
+            const params = action.parameters || {};
+            if (action.type === 'score') {
+                if (params.expression || (params.operation && params.operation !== 'add') || (params.weight && params.weight !== 1)) {
+                    return 'score actions other than adding a fixed value';
+                }
+            } else if (action.type === 'recommend') {
+                if (!params.template || params.message) return 'recommendations without a template or with a custom message';
+            } else if (action.type === 'set_variable') {
+                if (params.expression || (params.scope && params.scope !== 'context')) {
+                    return 'computed or global variables';
+                }
+            } else {
+                return `${action.type} actions`;
+            }
+        }
+
+        const countOf = type => (rule.actions || []).filter(action => action.type === type).length;
+        if (countOf('score') > 1 || countOf('recommend') > 1) {
+            return 'more than one score or recommend action';
+        }
+
+        return null;
+    }
+
+    /**
+     * Question a leaf condition (or contains-any group) refers to
+     */
+    static getConditionField(condition) {
+        if (!condition) return null;
+        if (Array.isArray(condition.rules)) {
+            const fields = new Set(condition.rules.map(rule => this.getConditionField(rule)));
+            return fields.size === 1 ? [...fields][0] : null;
+        }
+        return condition.field ? String(condition.field).replace(/^answers\./, '') : null;
+    }
+
+    /**
+     * Lay a table out as spreadsheet rows
+     */
+    static toRows(table) {
+        const normalized = this.normalize(table);
+        return [
+            ['Decision Table', normalized.name],
+            ['Hit Policy', normalized.hitPolicy],
+            ['Category', normalized.category],
+            ['Priority', normalized.priority],
+            ['Description', normalized.description],
+            [],
+            [
+                this.LABEL_COLUMN,
+                ...normalized.inputs.map(input => input.questionId),
+                this.SCORE_COLUMN,
+                this.RECOMMENDATION_COLUMN,
+                ...normalized.variables.map(name => this.VARIABLE_PREFIX + name)
+            ],
+            ...normalized.rows.map(row => [
+                row.label,
+                ...row.inputs,
+                row.score,
+                row.recommendation,
+                ...normalized.variables.map(name => row.variables[name])
+            ])
+        ];
+    }
+
+    /**
+     * Read a table back from spreadsheet rows
+     */
+    static fromRows(rows, defaults = {}) {
+        const table = { ...defaults, inputs: [], variables: [], rows: [] };
+        const metadata = {
+            'decision table': 'name',
+            'hit policy': 'hitPolicy',
+            'category': 'category',
+            'priority': 'priority',
+            'description': 'description'
+        };
+
+        const cleanRows = rows.map(row => (row || []).map(cell => this.cellText(cell)));
+        const headerIndex = cleanRows.findIndex(row => row[0]?.trim().toLowerCase() === this.LABEL_COLUMN.toLowerCase());
+        if (headerIndex < 0) {
+            throw new Error(`No header row starting with "${this.LABEL_COLUMN}" found`);
+        }
+
+        cleanRows.slice(0, headerIndex).forEach(row => {
+            const key = metadata[row[0]?.trim().toLowerCase()];
+            if (key && row[1] !== undefined && row[1] !== '') {
+                table[key] = row[1].trim();
+            }
+        });
+
+        const header = cleanRows[headerIndex].map(cell => cell.trim());
+        const columns = header.slice(1).map(name => {
+            if (name === this.SCORE_COLUMN) return { kind: 'score' };
+            if (name === this.RECOMMENDATION_COLUMN) return { kind: 'recommendation' };
+            if (name.startsWith(this.VARIABLE_PREFIX)) return { kind: 'variable', name: name.slice(this.VARIABLE_PREFIX.length).trim() };
+            return name ? { kind: 'input', questionId: name } : { kind: 'ignored' };
+        });
+
+        columns.forEach(column => {
+            if (column.kind === 'input') table.inputs.push(column.questionId);
+            if (column.kind === 'variable') table.variables.push(column.name);
+        });
+
+        cleanRows.slice(headerIndex + 1)
+            .filter(row => row.some(cell => cell.trim() !== ''))
+            .forEach(row => {
+                const tableRow = { label: row[0]?.trim() || '', inputs: [], score: '', recommendation: '', variables: {} };
+                columns.forEach((column, index) => {
+                    const cell = (row[index + 1] ?? '').trim();
+                    if (column.kind === 'input') tableRow.inputs.push(cell);
+                    if (column.kind === 'score') tableRow.score = cell;
+                    if (column.kind === 'recommendation') tableRow.recommendation = cell;
+                    if (column.kind === 'variable') tableRow.variables[column.name] = cell;
+                });
+                table.rows.push(tableRow);
+            });
+
+        return this.normalize(table);
+    }
+
+    /**
+     * Export a table as CSV
+     */
+    static toCSV(table) {
+        return this.toRows(table)
+            .map(row => row.map(cell => {
+                const text = this.cellText(cell);
+                return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            }).join(','))
+            .join('\n');
+    }
+
+    /**
+     * Import a table from CSV
+     */
+    static fromCSV(text, defaults = {}) {
+        return this.fromRows(this.parseCSV(text), defaults);
+    }
+
+    /**
+     * Parse CSV text into rows, handling quoted cells with commas, quotes and newlines
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Cell value as text
+     */
+    static cellText(value) {
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    /**
+     * Get question definitions from application state or storage
+     */
+    static getQuestions() {
+        let questions = null;
+        if (typeof StateManager !== 'undefined') {
+            questions = StateManager.getState('config.questions');
+        }
+        if ((!questions || questions.length === 0) && typeof StorageManager !== 'undefined') {
+            questions = StorageManager.getItem('governance_questions');
+        }
+        return Array.isArray(questions) ? questions : [];
+    }
+
+    /**
+     * Save tables to storage
+     */
+    static save() {
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.STORAGE_KEY, this.tables);
+        }
+    }
+
+    /**
+     * Generate table ID
+     */
+    static generateId() {
+        return 'dt-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DecisionTable;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DecisionTable = DecisionTable;
+}
@@ -0,0 +1,618 @@
+// js/engine/dmn-converter.js - DMN Import/Export
+
+/**
+ * DMN Converter for Data Governance Decision Tool
+ * Exports rules as DMN 1.3 decision tables and imports DMN decision tables
+ * whose input entries are FEEL unary tests. Rules travel through the
+ * DecisionTable model, so imported decisions compile into ordinary rules.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class DMNConverter {
+    static DMN_NAMESPACE = 'https://www.omg.org/spec/DMN/20191111/MODEL/';
+    static EXTENSION_NAMESPACE = 'urn:governance-workflow:dmn';
+
+    static SCORE_OUTPUT = 'score';
+    static RECOMMENDATION_OUTPUT = 'recommendation';
+
+    static HIT_POLICIES = {
+        first: 'FIRST',
+        unique: 'UNIQUE',
+        collect: 'COLLECT'
+    };
+
+    // Model elements that carry no decision logic and can be ignored on import
+    static IGNORED_ELEMENTS = [
+        'description', 'extensionElements', 'itemDefinition', 'inputData',
+        'knowledgeSource', 'textAnnotation', 'association', 'DMNDI'
+    ];
+
+    /**
+     * Export rules as a DMN document
+     * Rules compiled from a stored decision table export as that table; other
+     * rules are grouped into collect tables by category and priority.
+     * Returns { xml, tables, skipped } where skipped lists rules DMN cannot hold.
+     */
+    static toXML(rules = null, options = {}) {
+        if (typeof DecisionTable === 'undefined') {
+            throw new Error('Decision tables not available for DMN export');
+        }
+
+        const { name = 'Data Governance Rules', questions = null } = options;
+        const questionsById = new Map((questions || DecisionTable.getQuestions()).map(question => [question.id, question]));
+        const { tables, skipped } = this.getExportTables(rules || RulesEngine.rules);
+
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<definitions xmlns="${this.DMN_NAMESPACE}" xmlns:governance="${this.EXTENSION_NAMESPACE}"` +
+                ` id="governance-rules" name="${this.escapeXML(name)}" namespace="${this.EXTENSION_NAMESPACE}">`,
+            ...tables.map(table => this.tableToXML(table, questionsById)),
+            '</definitions>',
+            ''
+        ].join('\n');
+
+        return { xml, tables, skipped };
+    }
+
+    /**
+     * Collect the decision tables to export
+     */
+    static getExportTables(rules) {
+        const tables = [];
+        const skipped = [];
+        const exportedTables = new Set();
+        const groups = new Map();
+
+        rules.forEach(rule => {
+            if (rule.active === false) {
+                skipped.push({ ruleId: rule.id, ruleName: rule.name || rule.id, reason: 'inactive' });
+                return;
+            }
+
+            const tableId = rule.decisionTable?.id;
+            const table = tableId ? DecisionTable.getTable(tableId) : null;
+            if (table) {
+                if (!exportedTables.has(tableId)) {
+                    exportedTables.add(tableId);
+                    tables.push(table);
+                }
+                return;
+            }
+
+            const category = rule.category || 'general';
+            const priority = parseInt(rule.priority) || 1;
+            const key = `${category}|${priority}`;
+            if (!groups.has(key)) {
+                groups.set(key, { category, priority, rules: [] });
+            }
+            groups.get(key).rules.push(rule);
+        });
+
+        groups.forEach(group => {
+            const result = DecisionTable.fromRules(group.rules, `Governance Rules (${group.category}, priority ${group.priority})`);
+            skipped.push(...result.skipped);
+            if (result.table.rows.length > 0) {
+                tables.push(DecisionTable.normalize({
+                    ...result.table,
+                    id: `rules-${group.category}-p${group.priority}`.replace(/[^A-Za-z0-9_-]/g, '_'),
+                    category: group.category,
+                    priority: group.priority
+                }));
+            }
+        });
+
+        return { tables, skipped };
+    }
+
+    /**
+     * Write one decision table as a DMN decision
+     */
+    static tableToXML(table, questionsById = new Map()) {
+        const id = this.escapeXML(table.id);
+        const lines = [
+            `  <decision id="${id}" name="${this.escapeXML(table.name)}">`
+        ];
+
+        if (table.description) {
+            lines.push(`    <description>${this.escapeXML(table.description)}</description>`);
+        }
+        lines.push(
+            '    <extensionElements>',
+            `      <governance:properties category="${this.escapeXML(table.category)}" priority="${table.priority}"/>`,
+            '    </extensionElements>',
+            `    <decisionTable id="${id}-table" hitPolicy="${this.HIT_POLICIES[table.hitPolicy]}">`
+        );
+
+        table.inputs.forEach((input, index) => {
+            const question = questionsById.get(input.questionId);
+            const typeRef = this.getTypeRef(question);
+            lines.push(
+                `      <input id="${id}-input-${index}" label="${this.escapeXML(question?.title || input.questionId)}">`,
+                `        <inputExpression id="${id}-input-${index}-expression"${typeRef ? ` typeRef="${typeRef}"` : ''}>`,
+                `          <text>${this.escapeXML(input.questionId)}</text>`,
+                '        </inputExpression>',
+                '      </input>'
+            );
+        });
+
+        const outputs = [
+            { name: this.SCORE_OUTPUT, typeRef: 'number' },
+            { name: this.RECOMMENDATION_OUTPUT, typeRef: 'string' },
+            ...table.variables.map(name => ({ name, typeRef: null }))
+        ];
+        outputs.forEach((output, index) => {
+            lines.push(`      <output id="${id}-output-${index}" name="${this.escapeXML(output.name)}"` +
+                `${output.typeRef ? ` typeRef="${output.typeRef}"` : ''}/>`);
+        });
+
+        table.rows.forEach(row => {
+            const rowId = this.escapeXML(`${table.id}-${row.id}`);
+            const outputEntries = [
+                this.outputToFEEL(row.score, true),
+                this.outputToFEEL(row.recommendation, false),
+                ...table.variables.map(name => this.outputToFEEL(row.variables[name], !isNaN(Number(row.variables[name]))))
+            ];
+
+            lines.push(`      <rule id="${rowId}">`);
+            if (row.label) {
+                lines.push(`        <description>${this.escapeXML(row.label)}</description>`);
+            }
+            row.inputs.forEach((text, index) => {
+                const questionId = table.inputs[index].questionId;
+                const feel = this.cellToFEEL(text, questionId, questionsById.get(questionId));
+                lines.push(`        <inputEntry id="${rowId}-in-${index}"><text>${this.escapeXML(feel)}</text></inputEntry>`);
+            });
+            outputEntries.forEach((feel, index) => {
+                lines.push(`        <outputEntry id="${rowId}-out-${index}"><text>${this.escapeXML(feel)}</text></outputEntry>`);
+            });
+            lines.push('      </rule>');
+        });
+
+        lines.push('    </decisionTable>', '  </decision>');
+        return lines.join('\n');
+    }
+
+    /**
+     * FEEL type for a question's input expression
+     * Multi-select answers are lists, which have no simple type name.
+     */
+    static getTypeRef(question) {
+        if (!question || question.type === 'multi-select') return null;
+        return DecisionTable.NUMERIC_TYPES.includes(question.type) ? 'number' : 'string';
+    }
+
+    /**
+     * Convert a table cell into FEEL unary tests
+     */
+    static cellToFEEL(text, questionId, question = null) {
+        return this.conditionToFEEL(DecisionTable.parseCell(text, questionId, question));
+    }
+
+    /**
+     * Convert a parsed cell condition into FEEL unary tests
+     */
+    static conditionToFEEL(condition) {
+        if (!condition) return '-';
+
+        if (Array.isArray(condition.rules)) {
+            return condition.rules.map(rule => this.conditionToFEEL(rule)).join(', ');
+        }
+
+        const value = condition.value;
+        switch (condition.operator) {
+            case 'equals': return this.toFEELLiteral(value);
+            case 'not_equals': return `not(${this.toFEELLiteral(value)})`;
+            case 'contains': return `list contains(?, ${this.toFEELLiteral(value)})`;
+            case 'not_contains': return `not(list contains(?, ${this.toFEELLiteral(value)}))`;
+            case 'in_list': return value.map(item => this.toFEELLiteral(item)).join(', ');
+            case 'greater_than': return `> ${value}`;
+            case 'less_than': return `< ${value}`;
+            case 'greater_than_or_equal': return `>= ${value}`;
+            case 'less_than_or_equal': return `<= ${value}`;
+            case 'between': return `[${value[0]}..${value[1]}]`;
+            case 'is_empty': return 'null';
+            case 'is_not_empty': return 'not(null)';
+            default:
+                throw new Error(`Operator ${condition.operator} has no FEEL unary test`);
+        }
+    }
+
+    /**
+     * Convert an output cell into a FEEL literal; empty cells stay empty
+     */
+    static outputToFEEL(text, numeric) {
+        const cell = DecisionTable.cellText(text).trim();
+        if (cell === '') return '';
+        return numeric && !isNaN(Number(cell)) ? String(Number(cell)) : this.toFEELLiteral(cell);
+    }
+
+    /**
+     * Write a value as a FEEL literal
+     */
+    static toFEELLiteral(value) {
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Import a DMN document
+     * Returns { rules, decisionTables, unsupported }. Decisions, rules and
+     * entries that cannot be represented are listed in unsupported and left out.
+     */
+    static fromXML(xml, options = {}) {
+        if (typeof DecisionTable === 'undefined') {
+            throw new Error('Decision tables not available for DMN import');
+        }
+
+        const root = this.parseXML(xml);
+        if (root.name !== 'definitions') {
+            throw new Error(`Not a DMN document: root element is <${root.name}>`);
+        }
+
+        const questions = options.questions || DecisionTable.getQuestions();
+        const unsupported = [];
+        const decisionTables = [];
+        const rules = [];
+
+        root.children.forEach(element => {
+            if (element.name !== 'decision') {
+                if (!this.IGNORED_ELEMENTS.includes(element.name)) {
+                    this.report(unsupported, element, `<${element.name}> elements are not supported`);
+                }
+                return;
+            }
+
+            const table = this.readDecision(element, unsupported);
+            if (!table) return;
+
+            const validation = DecisionTable.validate(table, questions);
+            if (!validation.isValid) {
+                this.report(unsupported, element, validation.errors.join('; '));
+                return;
+            }
+
+            decisionTables.push(table);
+            rules.push(...DecisionTable.compile(table, questions));
+        });
+
+        return { rules, decisionTables, unsupported };
+    }
+
+    /**
+     * Read a decision into the decision table model, or null when it has none
+     */
+    static readDecision(decision, unsupported) {
+        const decisionTable = this.findChild(decision, 'decisionTable');
+        if (!decisionTable) {
+            const logic = decision.children.find(child =>
+                !['description', 'extensionElements', 'question', 'allowedAnswers', 'variable'].includes(child.name) &&
+                !child.name.endsWith('Requirement')
+            );
+            this.report(unsupported, decision, logic
+                ? `<${logic.name}> decision logic is not supported; only decision tables are`
+                : 'the decision has no decision logic');
+            return null;
+        }
+
+        const hitPolicy = (decisionTable.attributes.hitPolicy || 'UNIQUE').toUpperCase();
+        const policy = Object.keys(this.HIT_POLICIES).find(key => this.HIT_POLICIES[key] === hitPolicy);
+        if (!policy) {
+            this.report(unsupported, decision, `hit policy ${hitPolicy} is not supported`);
+            return null;
+        }
+        if (decisionTable.attributes.aggregation) {
+            this.report(unsupported, decision, `collect aggregation ${decisionTable.attributes.aggregation} is not supported`);
+            return null;
+        }
+
+        const inputs = [];
+        for (const input of this.findChildren(decisionTable, 'input')) {
+            const expression = this.getText(this.findChild(input, 'inputExpression'));
+            const questionId = expression.replace(/^answers\./, '');
+            if (!/^[A-Za-z_][\w-]*$/.test(questionId)) {
+                this.report(unsupported, decision, `input expression "${expression}" is not a question ID`);
+                return null;
+            }
+            inputs.push(questionId);
+        }
+
+        const outputs = [];
+        for (const output of this.findChildren(decisionTable, 'output')) {
+            const name = output.attributes.name || output.attributes.label || '';
+            if (name === this.SCORE_OUTPUT || name === this.RECOMMENDATION_OUTPUT) {
+                outputs.push({ kind: name });
+            } else if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                outputs.push({ kind: 'variable', name: name });
+            } else {
+                this.report(unsupported, decision, `output "${name}" is not a valid variable name`);
+                return null;
+            }
+        }
+
+        const tableId = decision.attributes.id || DecisionTable.generateId();
+        const rows = [];
+        this.findChildren(decisionTable, 'rule').forEach((rule, index) => {
+            try {
+                rows.push(this.readRule(rule, tableId, index, outputs));
+            } catch (error) {
+                this.report(unsupported, rule, error.message, decision);
+            }
+        });
+
+        if (rows.length === 0) {
+            this.report(unsupported, decision, 'no rules could be imported');
+            return null;
+        }
+
+        const properties = this.findChild(this.findChild(decision, 'extensionElements'), 'properties');
+        return DecisionTable.normalize({
+            id: tableId,
+            name: decision.attributes.name || tableId,
+            description: this.getText(this.findChild(decision, 'description')),
+            hitPolicy: policy,
+            category: properties?.attributes.category,
+            priority: properties?.attributes.priority,
+            inputs: inputs,
+            variables: outputs.filter(output => output.kind === 'variable').map(output => output.name),
+            rows: rows
+        });
+    }
+
+    /**
+     * Read a DMN rule into a table row
+     */
+    static readRule(rule, tableId, index, outputs) {
+        const row = {
+            id: (rule.attributes.id || `r${index + 1}`).replace(new RegExp(`^${this.escapeRegExp(tableId)}-`), ''),
+            label: this.getText(this.findChild(rule, 'description')),
+            inputs: this.findChildren(rule, 'inputEntry').map(entry => this.feelToCell(this.getText(entry))),
+            score: '',
+            recommendation: '',
+            variables: {}
+        };
+
+        this.findChildren(rule, 'outputEntry').forEach((entry, outputIndex) => {
+            const output = outputs[outputIndex];
+            if (!output) return;
+
+            const value = this.feelToOutput(this.getText(entry));
+            if (output.kind === 'variable') {
+                row.variables[output.name] = value;
+            } else {
+                row[output.kind] = value;
+            }
+        });
+
+        return row;
+    }
+
+    /**
+     * Convert FEEL unary tests into table cell text
+     */
+    static feelToCell(feel) {
+        const text = (feel || '').trim();
+        if (text === '' || text === '-') return '-';
+        if (text === 'null') return 'empty';
+        if (/^not\s*\(\s*null\s*\)$/.test(text)) return 'not empty';
+
+        const negated = text.match(/^not\s*\((.*)\)$/s);
+        if (negated) {
+            const items = this.splitFEEL(negated[1]);
+            const value = items.length === 1 ? this.parseFEELValue(items[0]) : undefined;
+            if (value === undefined) {
+                throw new Error(`negated test "${text}" is not supported; only a single negated value is`);
+            }
+            return `not ${DecisionTable.formatValue(value)}`;
+        }
+
+        const items = this.splitFEEL(text);
+        if (items.length === 1) {
+            const number = '(-?\\d+(?:\\.\\d+)?)';
+            const comparison = items[0].match(new RegExp(`^(<=|>=|<|>)\\s*${number}$`));
+            if (comparison) {
+                return `${comparison[1]} ${comparison[2]}`;
+            }
+            const range = items[0].match(new RegExp(`^\\[\\s*${number}\\s*\\.\\.\\s*${number}\\s*\\]$`));
+            if (range) {
+                return `[${range[1]}..${range[2]}]`;
+            }
+        }
+
+        return items.map(item => {
+            const value = this.parseFEELValue(item);
+            if (value === undefined && /^(<|>|\[)/.test(item) && items.length > 1) {
+                throw new Error(`"${text}" is not supported; comparisons and ranges must be the only test in a cell`);
+            }
+            if (value === undefined) {
+                throw new Error(`FEEL test "${item}" is not supported`);
+            }
+            return DecisionTable.formatValue(value);
+        }).join(', ');
+    }
+
+    /**
+     * Value of a literal or list contains(?, literal) test, or undefined
+     */
+    static parseFEELValue(item) {
+        const contains = item.match(/^list contains\s*\(\s*\?\s*,\s*(.+)\)$/s);
+        return this.parseFEELLiteral(contains ? contains[1].trim() : item);
+    }
+
+    /**
+     * Value of a FEEL string, number or boolean literal, or undefined
+     */
+    static parseFEELLiteral(text) {
+        const string = text.match(/^"((?:[^"\\]|\\.)*)"$/s);
+        if (string) {
+            return string[1].replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r' })[char] ?? char);
+        }
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            return Number(text);
+        }
+        if (text === 'true' || text === 'false') {
+            return text;
+        }
+        return undefined;
+    }
+
+    /**
+     * Convert a FEEL output entry into output cell text
+     */
+    static feelToOutput(feel) {
+        const text = (feel || '').trim();
+        if (text === '' || text === 'null') return '';
+
+        const value = this.parseFEELLiteral(text);
+        if (value === undefined) {
+            throw new Error(`output "${text}" is not supported; only literals are`);
+        }
+        return String(value);
+    }
+
+    /**
+     * Split comma-separated unary tests, ignoring commas inside strings and brackets
+     */
+    static splitFEEL(text) {
+        const items = [];
+        let current = '';
+        let depth = 0;
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '\\') {
+                    current += char + (text[i + 1] ?? '');
+                    i++;
+                    continue;
+                }
+                if (char === '"') quoted = false;
+            } else if (char === '"') {
+                quoted = true;
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                items.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        items.push(current.trim());
+
+        return items;
+    }
+
+    /**
+     * Add an unsupported construct to the report
+     */
+    static report(unsupported, element, message, parent = null) {
+        unsupported.push({
+            element: element.name,
+            id: element.attributes.id || '',
+            name: element.attributes.name || this.getText(this.findChild(element, 'description')) || '',
+            decision: parent ? parent.attributes.name || parent.attributes.id || '' : '',
+            message: message
+        });
+    }
+
+    /**
+     * Format unsupported constructs for display
+     */
+    static formatUnsupported(unsupported) {
+        return unsupported.map(item => {
+            const label = item.name || item.id;
+            const where = item.decision ? ` in "${item.decision}"` : '';
+            return `- <${item.element}>${label ? ` "${label}"` : ''}${where}: ${item.message}`;
+        }).join('\n');
+    }
+
+    /**
+     * Parse XML into plain { name, attributes, children, text } nodes
+     */
+    static parseXML(xml) {
+        if (typeof DOMParser === 'undefined') {
+            throw new Error('XML parsing not available');
+        }
+
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const error = doc.getElementsByTagName('parsererror')[0];
+        if (error) {
+            throw new Error('Invalid XML: ' + error.textContent.trim().split('\n')[0]);
+        }
+        return this.toNode(doc.documentElement);
+    }
+
+    /**
+     * Convert a DOM element into a plain node
+     */
+    static toNode(element) {
+        return {
+            name: element.localName,
+            attributes: Array.from(element.attributes).reduce((attributes, attribute) => {
+                attributes[attribute.localName] = attribute.value;
+                return attributes;
+            }, {}),
+            children: Array.from(element.children).map(child => this.toNode(child)),
+            text: element.textContent
+        };
+    }
+
+    /**
+     * First child element with a name
+     */
+    static findChild(node, name) {
+        return node ? node.children.find(child => child.name === name) || null : null;
+    }
+
+    /**
+     * Child elements with a name
+     */
+    static findChildren(node, name) {
+        return node ? node.children.filter(child => child.name === name) : [];
+    }
+
+    /**
+     * Text of an element or of its <text> child
+     */
+    static getText(node) {
+        if (!node) return '';
+        const text = this.findChild(node, 'text');
+        return (text ? text.text : node.text || '').trim();
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     */
+    static escapeXML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Escape a string for use in a regular expression
+     */
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMNConverter;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DMNConverter = DMNConverter;
+}
@@ -0,0 +1,236 @@
+// js/engine/explanation-builder.js - Recommendation Explanations
+
+/**
+ * Explanation Builder for Data Governance Decision Tool
+ * Turns rules-engine traces and recommendation sources into plain-language
+ * "Why?" explanations for non-technical readers
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class ExplanationBuilder {
+    static OPERATOR_PHRASES = {
+        equals: 'is',
+        not_equals: 'is not',
+        contains: 'includes',
+        not_contains: 'does not include',
+        greater_than: 'is greater than',
+        less_than: 'is less than',
+        greater_than_or_equal: 'is at least',
+        less_than_or_equal: 'is at most',
+        between: 'is between',
+        in_list: 'is one of',
+        regex_match: 'matches the pattern',
+        is_empty: 'was left empty',
+        is_not_empty: 'was answered',
+        before: 'is before',
+        after: 'is after',
+        within: 'is within',
+        older_than: 'is older than',
+        contains_any: 'includes any of',
+        contains_all: 'includes all of',
+        contains_none: 'includes none of',
+        subset_of: 'only includes options from',
+        superset_of: 'includes all of',
+        count_equals: 'has this many selections:',
+        count_at_least: 'has at least this many selections:',
+        count_at_most: 'has at most this many selections:',
+        score_at_least: 'scores at least',
+        score_at_most: 'scores at most',
+        changed_from: 'changed from',
+        increased: 'went up by at least',
+        decreased: 'went down by at least',
+        delta_greater_than: 'changed by more than',
+        delta_less_than: 'changed by less than',
+        mentions_any: 'mentions any of',
+        mentions_all: 'mentions all of',
+        mentions_none: 'mentions none of',
+        negates_any: 'rules out',
+        similar_to: 'resembles'
+    };
+
+    /**
+     * Build an explanation from a rules-engine trace entry
+     */
+    static fromRuleTrace(traceEntry, questions = []) {
+        const reasons = this.describeTraceNodes(traceEntry?.conditions || [], 'AND', questions);
+
+        return {
+            source: 'rule',
+            ruleId: traceEntry?.ruleId || null,
+            ruleName: traceEntry?.ruleName || null,
+            summary: `Recommended by the rule "${traceEntry?.ruleName || traceEntry?.ruleId || 'unknown'}"` +
+                (reasons.length > 0 ? ' because:' : ' (the rule has no conditions).'),
+            reasons: reasons,
+            trace: traceEntry || null
+        };
+    }
+
+    /**
+     * Build an explanation for a recommendation that comes from the selected template
+     */
+    static fromTemplate(template, level = null) {
+        const templateName = template?.name || template?.id || 'default';
+
+        return {
+            source: 'template',
+            templateId: template?.id || null,
+            summary: `Standard guidance from the "${templateName}" template` +
+                (level ? `, which was selected for organizations at the ${level} governance level.` : '.'),
+            reasons: []
+        };
+    }
+
+    /**
+     * Build an explanation for a recommendation triggered by specific answers
+     */
+    static fromConditions(conditions, answers = {}, questions = []) {
+        const reasons = conditions.map(condition => this.describeCondition({
+            field: condition.field,
+            operator: condition.operator,
+            expected: condition.value,
+            actual: answers[condition.field]
+        }, questions));
+
+        return {
+            source: 'contextual',
+            summary: 'Added because of your answers:',
+            reasons: reasons
+        };
+    }
+
+    /**
+     * Build an explanation for a recommendation from the snippet library
+     */
+    static fromSnippet(snippet, trace = [], questions = []) {
+        const reasons = this.describeTraceNodes(trace, snippet?.conditions?.operator || 'AND', questions);
+
+        return {
+            source: 'contextual',
+            snippetId: snippet?.id || null,
+            summary: reasons.length > 0
+                ? 'Added because of your answers:'
+                : 'Standard guidance for this section from the recommendation library.',
+            reasons: reasons
+        };
+    }
+
+    /**
+     * Describe the conditions of a trace that made a group match
+     */
+    static describeTraceNodes(nodes, operator, questions) {
+        const reasons = [];
+        const logical = (operator || 'AND').toUpperCase();
+
+        // Only matching branches of OR/XOR groups explain the outcome;
+        // NOT groups are decided by their first entry
+        let relevant = nodes;
+        if (logical === 'OR' || logical === 'XOR') {
+            relevant = nodes.filter(node => node.matched);
+        } else if (logical === 'NOT') {
+            relevant = nodes.slice(0, 1);
+        }
+
+        relevant.forEach(node => {
+            const described = node.type === 'group'
+                ? this.describeTraceNodes(node.conditions || [], node.operator, questions)
+                : [this.describeCondition(node, questions)];
+
+            reasons.push(...(logical === 'NOT'
+                ? described.map(reason => `it is not the case that ${reason}`)
+                : described));
+        });
+
+        return reasons;
+    }
+
+    /**
+     * Describe a single evaluated condition in plain language
+     */
+    static describeCondition(node, questions = []) {
+        const question = questions.find(q => q.id === node.field);
+        const subject = node.expression
+            ? `the calculated value "${node.expression}"`
+            : `"${question?.title || node.field}"`;
+        const phrase = this.OPERATOR_PHRASES[node.operator] || node.operator;
+        const actual = this.formatValue(node.actual, question);
+
+        if (node.operator === 'is_empty' || node.operator === 'is_not_empty') {
+            return `${subject} ${phrase}`;
+        }
+
+        if (node.previous !== undefined) {
+            return this.describeChange(node, subject, question);
+        }
+
+        const expected = this.formatValue(node.expected, question);
+        const requirement = `${phrase} ${expected}`;
+
+        if (node.operator === 'equals' || node.operator === 'contains') {
+            return `your answer to ${subject} ${requirement}`;
+        }
+
+        return `your answer to ${subject} ${requirement} (your answer: ${actual})`;
+    }
+
+    /**
+     * Describe a condition comparing the answer with the previous assessment
+     */
+    static describeChange(node, subject, question) {
+        const hasValue = node.expected !== undefined && node.expected !== null && node.expected !== '';
+        const previous = this.formatValue(node.previous, question);
+        const actual = this.formatValue(node.actual, question);
+        let change;
+
+        if (node.operator === 'changed_from') {
+            change = hasValue ? `changed from ${this.formatValue(node.expected, question)}` : 'changed';
+        } else if (!hasValue && (node.operator === 'increased' || node.operator === 'decreased')) {
+            change = node.operator === 'increased' ? 'went up' : 'went down';
+        } else {
+            change = `${this.OPERATOR_PHRASES[node.operator] || node.operator} ${node.expected}`;
+        }
+
+        return `your answer to ${subject} ${change} since the previous assessment (was ${previous}, now ${actual})`;
+    }
+
+    /**
+     * Format a value using option titles where available
+     */
+    static formatValue(value, question = null) {
+        if (value === undefined || value === null || value === '') {
+            return 'no answer';
+        }
+        if (Array.isArray(value)) {
+            return value.length > 0
+                ? value.map(item => this.formatValue(item, question)).join(', ')
+                : 'nothing selected';
+        }
+
+        const option = question?.options?.find(o => o.value === value);
+        return option?.title ? `"${option.title}"` : `"${value}"`;
+    }
+
+    /**
+     * Render an explanation as a single line of text
+     */
+    static toText(explanation) {
+        if (!explanation) return '';
+        if (typeof explanation === 'string') return explanation;
+
+        const reasons = explanation.reasons || [];
+        return reasons.length > 0
+            ? `${explanation.summary} ${reasons.join('; ')}.`
+            : explanation.summary;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExplanationBuilder;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ExplanationBuilder = ExplanationBuilder;
+}
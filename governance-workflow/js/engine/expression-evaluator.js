@@ -0,0 +1,675 @@
+// js/engine/expression-evaluator.js - Sandboxed Expression Language
+
+/**
+ * Expression Evaluator for Data Governance Decision Tool
+ * Parses and evaluates computed-field expressions used by rules without eval.
+ * Only whitelisted functions and plain data lookups are available.
+ *
+ * Examples:
+ *   count(answer("question-3"))
+ *   category_score("compliance") * 2
+ *   days_since(lastAssessmentDate) > 365
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class ExpressionEvaluator {
+    static MAX_LENGTH = 2000;
+    static MAX_DEPTH = 50;
+    static astCache = new Map();
+
+    static KEYWORDS = {
+        true: true,
+        false: false,
+        null: null
+    };
+
+    static BLOCKED_PROPERTIES = ['__proto__', 'prototype', 'constructor'];
+
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Whitelisted functions. Each receives evaluated arguments and the context.
+     */
+    static FUNCTIONS = {
+        // Collections and numbers
+        count: (args) => ExpressionEvaluator.toList(args[0]).length,
+        sum: (args) => ExpressionEvaluator.numbers(args).reduce((total, n) => total + n, 0),
+        min: (args) => {
+            const values = ExpressionEvaluator.numbers(args);
+            return values.length > 0 ? Math.min(...values) : null;
+        },
+        max: (args) => {
+            const values = ExpressionEvaluator.numbers(args);
+            return values.length > 0 ? Math.max(...values) : null;
+        },
+        avg: (args) => {
+            const values = ExpressionEvaluator.numbers(args);
+            return values.length > 0 ? values.reduce((total, n) => total + n, 0) / values.length : null;
+        },
+        abs: (args) => Math.abs(ExpressionEvaluator.toNumber(args[0])),
+        round: (args) => {
+            const factor = Math.pow(10, ExpressionEvaluator.toNumber(args[1] || 0));
+            return Math.round(ExpressionEvaluator.toNumber(args[0]) * factor) / factor;
+        },
+        floor: (args) => Math.floor(ExpressionEvaluator.toNumber(args[0])),
+        ceil: (args) => Math.ceil(ExpressionEvaluator.toNumber(args[0])),
+        number: (args) => ExpressionEvaluator.toNumber(args[0]),
+        if: (args) => (args[0] ? args[1] : args[2]),
+        coalesce: (args) => args.find(arg => arg !== null && arg !== undefined && arg !== ''),
+
+        // Answers and option scores
+        answer: (args, context) => context?.answers?.[args[0]],
+        score: (args, context) => ExpressionEvaluator.getQuestionScore(String(args[0]), context),
+        category_score: (args, context) => ExpressionEvaluator.getQuestions(context)
+            .filter(question => question.category === args[0])
+            .reduce((total, question) => total + ExpressionEvaluator.getQuestionScore(question.id, context), 0),
+
+        // Strings
+        string: (args) => (args[0] === null || args[0] === undefined ? '' : String(args[0])),
+        len: (args) => (Array.isArray(args[0]) ? args[0].length : String(args[0] ?? '').length),
+        lower: (args) => String(args[0] ?? '').toLowerCase(),
+        upper: (args) => String(args[0] ?? '').toUpperCase(),
+        trim: (args) => String(args[0] ?? '').trim(),
+        concat: (args) => args.map(arg => (arg === null || arg === undefined ? '' : String(arg))).join(''),
+        contains: (args) => {
+            if (Array.isArray(args[0])) return args[0].includes(args[1]);
+            return String(args[0] ?? '').toLowerCase().includes(String(args[1] ?? '').toLowerCase());
+        },
+        starts_with: (args) => String(args[0] ?? '').startsWith(String(args[1] ?? '')),
+        ends_with: (args) => String(args[0] ?? '').endsWith(String(args[1] ?? '')),
+
+        // Dates
+        now: (args, context) => ExpressionEvaluator.getReferenceTime(context).toISOString(),
+        date: (args) => ExpressionEvaluator.toDate(args[0])?.toISOString() ?? null,
+        year: (args) => ExpressionEvaluator.toDate(args[0])?.getFullYear() ?? null,
+        month: (args) => {
+            const date = ExpressionEvaluator.toDate(args[0]);
+            return date ? date.getMonth() + 1 : null;
+        },
+        add_days: (args) => {
+            const date = ExpressionEvaluator.toDate(args[0]);
+            if (!date) return null;
+            return new Date(date.getTime() + ExpressionEvaluator.toNumber(args[1]) * ExpressionEvaluator.DAY_MS).toISOString();
+        },
+        days_between: (args) => {
+            const start = ExpressionEvaluator.toDate(args[0]);
+            const end = ExpressionEvaluator.toDate(args[1]);
+            if (!start || !end) return null;
+            return Math.floor((end.getTime() - start.getTime()) / ExpressionEvaluator.DAY_MS);
+        },
+        days_since: (args, context) => {
+            const date = ExpressionEvaluator.toDate(args[0]);
+            if (!date) return null;
+            const now = ExpressionEvaluator.getReferenceTime(context);
+            return Math.floor((now.getTime() - date.getTime()) / ExpressionEvaluator.DAY_MS);
+        }
+    };
+
+    /**
+     * Evaluate an expression against a context
+     */
+    static evaluate(expression, context = {}) {
+        const ast = this.parse(expression);
+        return this.evaluateNode(ast, context, 0);
+    }
+
+    /**
+     * Check an expression for parse errors
+     */
+    static validate(expression) {
+        try {
+            this.parse(expression);
+            return { isValid: true, error: null };
+        } catch (error) {
+            return { isValid: false, error: error.message };
+        }
+    }
+
+    /**
+     * List the bare identifiers an expression reads (used for rule dependencies)
+     */
+    static getIdentifiers(expression) {
+        const names = new Set();
+        const visit = (node) => {
+            if (!node) return;
+            switch (node.type) {
+                case 'identifier':
+                    names.add(node.name);
+                    break;
+                case 'list':
+                    node.items.forEach(visit);
+                    break;
+                case 'member':
+                    visit(node.object);
+                    visit(node.property);
+                    break;
+                case 'call':
+                    node.args.forEach(visit);
+                    break;
+                case 'negate':
+                case 'not':
+                    visit(node.argument);
+                    break;
+                case 'logical':
+                case 'binary':
+                    visit(node.left);
+                    visit(node.right);
+                    break;
+            }
+        };
+
+        visit(this.parse(expression));
+        return Array.from(names);
+    }
+
+    /**
+     * Parse an expression into a syntax tree (cached)
+     */
+    static parse(expression) {
+        if (typeof expression !== 'string' || expression.trim() === '') {
+            throw new Error('Expression must be a non-empty string');
+        }
+        if (expression.length > this.MAX_LENGTH) {
+            throw new Error(`Expression exceeds ${this.MAX_LENGTH} characters`);
+        }
+
+        if (this.astCache.has(expression)) {
+            return this.astCache.get(expression);
+        }
+
+        const parser = {
+            tokens: this.tokenize(expression),
+            position: 0
+        };
+
+        const ast = this.parseOr(parser, 0);
+        if (parser.position < parser.tokens.length) {
+            const token = parser.tokens[parser.position];
+            throw new Error(`Unexpected "${token.value}" at position ${token.start}`);
+        }
+
+        if (this.astCache.size >= 500) {
+            this.astCache.clear();
+        }
+        this.astCache.set(expression, ast);
+        return ast;
+    }
+
+    /**
+     * Split an expression into tokens
+     */
+    static tokenize(expression) {
+        const tokens = [];
+        const operators = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', '[', ']', ',', '.'];
+        let i = 0;
+
+        while (i < expression.length) {
+            const char = expression[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Numbers
+            if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(expression[i + 1] || ''))) {
+                const match = expression.slice(i).match(/^[0-9]*\.?[0-9]+([eE][-+]?[0-9]+)?/);
+                tokens.push({ type: 'number', value: parseFloat(match[0]), start: i });
+                i += match[0].length;
+                continue;
+            }
+
+            // Strings
+            if (char === '"' || char === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < expression.length && expression[j] !== char) {
+                    if (expression[j] === '\\' && j + 1 < expression.length) {
+                        j++;
+                    }
+                    value += expression[j];
+                    j++;
+                }
+                if (j >= expression.length) {
+                    throw new Error(`Unterminated string at position ${i}`);
+                }
+                tokens.push({ type: 'string', value: value, start: i });
+                i = j + 1;
+                continue;
+            }
+
+            // Identifiers and keywords
+            if (/[A-Za-z_$]/.test(char)) {
+                const match = expression.slice(i).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+                const word = match[0];
+                const lower = word.toLowerCase();
+                if (lower === 'and' || lower === 'or' || lower === 'not') {
+                    tokens.push({ type: 'operator', value: lower, start: i });
+                } else {
+                    tokens.push({ type: 'identifier', value: word, start: i });
+                }
+                i += word.length;
+                continue;
+            }
+
+            const operator = operators.find(op => expression.startsWith(op, i));
+            if (!operator) {
+                throw new Error(`Unexpected character "${char}" at position ${i}`);
+            }
+            tokens.push({ type: 'operator', value: operator, start: i });
+            i += operator.length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parser helpers
+     */
+    static peek(parser, ...values) {
+        const token = parser.tokens[parser.position];
+        return token && token.type === 'operator' && values.includes(token.value) ? token : null;
+    }
+
+    static expect(parser, value) {
+        const token = parser.tokens[parser.position];
+        if (!token || token.type !== 'operator' || token.value !== value) {
+            const found = token ? `"${token.value}" at position ${token.start}` : 'end of expression';
+            throw new Error(`Expected "${value}" but found ${found}`);
+        }
+        parser.position++;
+        return token;
+    }
+
+    static checkDepth(depth) {
+        if (depth > this.MAX_DEPTH) {
+            throw new Error('Expression is nested too deeply');
+        }
+    }
+
+    static parseOr(parser, depth) {
+        this.checkDepth(depth);
+        let left = this.parseAnd(parser, depth);
+        while (this.peek(parser, 'or', '||')) {
+            parser.position++;
+            left = { type: 'logical', operator: 'or', left, right: this.parseAnd(parser, depth) };
+        }
+        return left;
+    }
+
+    static parseAnd(parser, depth) {
+        let left = this.parseNot(parser, depth);
+        while (this.peek(parser, 'and', '&&')) {
+            parser.position++;
+            left = { type: 'logical', operator: 'and', left, right: this.parseNot(parser, depth) };
+        }
+        return left;
+    }
+
+    static parseNot(parser, depth) {
+        if (this.peek(parser, 'not', '!')) {
+            parser.position++;
+            return { type: 'not', argument: this.parseNot(parser, depth + 1) };
+        }
+        return this.parseComparison(parser, depth);
+    }
+
+    static parseComparison(parser, depth) {
+        const left = this.parseAdditive(parser, depth);
+        const token = this.peek(parser, '==', '!=', '<', '<=', '>', '>=');
+        if (token) {
+            parser.position++;
+            return { type: 'binary', operator: token.value, left, right: this.parseAdditive(parser, depth) };
+        }
+        return left;
+    }
+
+    static parseAdditive(parser, depth) {
+        let left = this.parseMultiplicative(parser, depth);
+        let token;
+        while ((token = this.peek(parser, '+', '-'))) {
+            parser.position++;
+            left = { type: 'binary', operator: token.value, left, right: this.parseMultiplicative(parser, depth) };
+        }
+        return left;
+    }
+
+    static parseMultiplicative(parser, depth) {
+        let left = this.parseUnary(parser, depth);
+        let token;
+        while ((token = this.peek(parser, '*', '/', '%'))) {
+            parser.position++;
+            left = { type: 'binary', operator: token.value, left, right: this.parseUnary(parser, depth) };
+        }
+        return left;
+    }
+
+    static parseUnary(parser, depth) {
+        if (this.peek(parser, '-')) {
+            parser.position++;
+            return { type: 'negate', argument: this.parseUnary(parser, depth + 1) };
+        }
+        return this.parsePostfix(parser, depth);
+    }
+
+    static parsePostfix(parser, depth) {
+        let node = this.parsePrimary(parser, depth);
+
+        while (true) {
+            if (this.peek(parser, '.')) {
+                parser.position++;
+                const token = parser.tokens[parser.position];
+                if (!token || token.type !== 'identifier') {
+                    throw new Error('Expected property name after "."');
+                }
+                parser.position++;
+                node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+            } else if (this.peek(parser, '[')) {
+                parser.position++;
+                const property = this.parseOr(parser, depth + 1);
+                this.expect(parser, ']');
+                node = { type: 'member', object: node, property };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    static parsePrimary(parser, depth) {
+        const token = parser.tokens[parser.position];
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+
+        if (token.type === 'number' || token.type === 'string') {
+            parser.position++;
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            parser.position++;
+
+            if (this.peek(parser, '(')) {
+                parser.position++;
+                const name = token.value.toLowerCase();
+                if (!Object.prototype.hasOwnProperty.call(this.FUNCTIONS, name)) {
+                    throw new Error(`Unknown function "${token.value}"`);
+                }
+                const args = this.parseList(parser, ')', depth);
+                return { type: 'call', name, args };
+            }
+
+            if (Object.prototype.hasOwnProperty.call(this.KEYWORDS, token.value.toLowerCase())) {
+                return { type: 'literal', value: this.KEYWORDS[token.value.toLowerCase()] };
+            }
+
+            return { type: 'identifier', name: token.value };
+        }
+
+        if (this.peek(parser, '(')) {
+            parser.position++;
+            const node = this.parseOr(parser, depth + 1);
+            this.expect(parser, ')');
+            return node;
+        }
+
+        if (this.peek(parser, '[')) {
+            parser.position++;
+            return { type: 'list', items: this.parseList(parser, ']', depth) };
+        }
+
+        throw new Error(`Unexpected "${token.value}" at position ${token.start}`);
+    }
+
+    static parseList(parser, closing, depth) {
+        const items = [];
+        if (this.peek(parser, closing)) {
+            parser.position++;
+            return items;
+        }
+
+        while (true) {
+            items.push(this.parseOr(parser, depth + 1));
+            if (this.peek(parser, ',')) {
+                parser.position++;
+                continue;
+            }
+            this.expect(parser, closing);
+            return items;
+        }
+    }
+
+    /**
+     * Evaluate a syntax tree node
+     */
+    static evaluateNode(node, context, depth) {
+        this.checkDepth(depth);
+
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'list':
+                return node.items.map(item => this.evaluateNode(item, context, depth + 1));
+
+            case 'identifier':
+                return this.resolveIdentifier(node.name, context);
+
+            case 'member': {
+                const object = this.evaluateNode(node.object, context, depth + 1);
+                const property = this.evaluateNode(node.property, context, depth + 1);
+                return this.getProperty(object, property);
+            }
+
+            case 'call': {
+                const args = node.args.map(arg => this.evaluateNode(arg, context, depth + 1));
+                return this.FUNCTIONS[node.name](args, context);
+            }
+
+            case 'negate':
+                return -this.toNumber(this.evaluateNode(node.argument, context, depth + 1));
+
+            case 'not':
+                return !this.evaluateNode(node.argument, context, depth + 1);
+
+            case 'logical': {
+                const left = this.evaluateNode(node.left, context, depth + 1);
+                if (node.operator === 'and') {
+                    return left ? this.evaluateNode(node.right, context, depth + 1) : left;
+                }
+                return left ? left : this.evaluateNode(node.right, context, depth + 1);
+            }
+
+            case 'binary':
+                return this.applyBinary(
+                    node.operator,
+                    this.evaluateNode(node.left, context, depth + 1),
+                    this.evaluateNode(node.right, context, depth + 1)
+                );
+
+            default:
+                throw new Error(`Unsupported expression node: ${node.type}`);
+        }
+    }
+
+    /**
+     * Apply a binary operator
+     */
+    static applyBinary(operator, left, right) {
+        switch (operator) {
+            case '+':
+                if (typeof left === 'string' || typeof right === 'string') {
+                    return `${left ?? ''}${right ?? ''}`;
+                }
+                return this.toNumber(left) + this.toNumber(right);
+            case '-': return this.toNumber(left) - this.toNumber(right);
+            case '*': return this.toNumber(left) * this.toNumber(right);
+            case '/': {
+                const divisor = this.toNumber(right);
+                return divisor === 0 ? null : this.toNumber(left) / divisor;
+            }
+            case '%': {
+                const divisor = this.toNumber(right);
+                return divisor === 0 ? null : this.toNumber(left) % divisor;
+            }
+            case '==': return this.looseEquals(left, right);
+            case '!=': return !this.looseEquals(left, right);
+            case '<': return this.compare(left, right) < 0;
+            case '<=': return this.compare(left, right) <= 0;
+            case '>': return this.compare(left, right) > 0;
+            case '>=': return this.compare(left, right) >= 0;
+            default:
+                throw new Error(`Unknown operator "${operator}"`);
+        }
+    }
+
+    /**
+     * Resolve a bare identifier: context values first, then answers
+     */
+    static resolveIdentifier(name, context) {
+        if (this.BLOCKED_PROPERTIES.includes(name)) {
+            throw new Error(`Access to "${name}" is not allowed`);
+        }
+        if (context && Object.prototype.hasOwnProperty.call(context, name)) {
+            return context[name];
+        }
+        if (context?.answers && Object.prototype.hasOwnProperty.call(context.answers, name)) {
+            return context.answers[name];
+        }
+        return undefined;
+    }
+
+    /**
+     * Read a property from plain data only
+     */
+    static getProperty(object, property) {
+        if (object === null || object === undefined) {
+            return undefined;
+        }
+
+        const key = String(property);
+        if (this.BLOCKED_PROPERTIES.includes(key)) {
+            throw new Error(`Access to "${key}" is not allowed`);
+        }
+
+        if ((Array.isArray(object) || typeof object === 'string') && key === 'length') {
+            return object.length;
+        }
+
+        if (typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, key)) {
+            return object[key];
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Compare two values, numerically when both look numeric
+     */
+    static compare(left, right) {
+        const leftNumber = Number(left);
+        const rightNumber = Number(right);
+        if (left !== '' && right !== '' && left !== null && right !== null &&
+            !isNaN(leftNumber) && !isNaN(rightNumber)) {
+            return leftNumber - rightNumber;
+        }
+        return String(left ?? '').localeCompare(String(right ?? ''));
+    }
+
+    static looseEquals(left, right) {
+        if (typeof left === 'number' || typeof right === 'number') {
+            return Number(left) === Number(right);
+        }
+        return left === right;
+    }
+
+    /**
+     * Conversion helpers
+     */
+    static toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        const number = parseFloat(value);
+        return isNaN(number) ? 0 : number;
+    }
+
+    static toList(value) {
+        if (Array.isArray(value)) return value;
+        if (value === null || value === undefined || value === '') return [];
+        return [value];
+    }
+
+    static numbers(args) {
+        return args
+            .flatMap(arg => this.toList(arg))
+            .map(value => parseFloat(value))
+            .filter(value => !isNaN(value));
+    }
+
+    static toDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Time that now() and days_since() measure from
+     * Same lookup as RulesEngine.getReferenceTime: the context's pinned now,
+     * then the evaluation timestamp, then the current time.
+     */
+    static getReferenceTime(context) {
+        return this.toDate(context?.now) || this.toDate(context?.timestamp) || new Date();
+    }
+
+    /**
+     * Get question definitions from the context or application state
+     */
+    static getQuestions(context) {
+        if (Array.isArray(context?.questions) && context.questions.length > 0) {
+            return context.questions;
+        }
+        if (typeof StateManager !== 'undefined') {
+            return StateManager.getState('config.questions') || [];
+        }
+        return [];
+    }
+
+    /**
+     * Sum the option scores of the answer given to a question
+     */
+    static getQuestionScore(questionId, context) {
+        const question = this.getQuestions(context).find(q => q.id === questionId);
+        const answer = context?.answers?.[questionId];
+        if (!question || answer === undefined || answer === null) {
+            return 0;
+        }
+
+        if (!Array.isArray(question.options)) {
+            return this.toNumber(answer);
+        }
+
+        return this.toList(answer).reduce((total, value) => {
+            const option = question.options.find(o => o.value === value);
+            return total + (option ? this.toNumber(option.score) : 0);
+        }, 0);
+    }
+
+    /**
+     * Clear parsed expression cache
+     */
+    static clearCache() {
+        this.astCache.clear();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExpressionEvaluator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ExpressionEvaluator = ExpressionEvaluator;
+}
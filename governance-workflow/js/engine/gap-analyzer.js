@@ -0,0 +1,293 @@
+// js/engine/gap-analyzer.js - Maturity Gap Analysis
+
+/**
+ * Gap Analyzer for Data Governance Decision Tool
+ * Compares the current maturity of each question category with a target
+ * maturity profile and ranks the gaps by size times category weight.
+ *
+ * Maturity uses a 1-5 scale; a category's current level comes from its
+ * score percentage (0% is level 1, 100% level 5). Targets are looked up in
+ * this order: the assessment's own targetProfile, the profile saved for its
+ * organization, then the default profile. A category without a target is
+ * left out of the analysis.
+ *
+ * Stored profiles: { default: { categories }, organizations: { [name]: { categories } } }
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class GapAnalyzer {
+    static STORAGE_KEY = 'maturity_targets';
+    static DEFAULT_TARGET = 3;
+    static DEFAULT_WEIGHT = 0.1;
+    static FOCUS_COUNT = 3;
+
+    static LEVELS = [
+        { level: 1, name: 'Initial' },
+        { level: 2, name: 'Developing' },
+        { level: 3, name: 'Defined' },
+        { level: 4, name: 'Managed' },
+        { level: 5, name: 'Optimized' }
+    ];
+
+    // Recommendation sections that address each category
+    static CATEGORY_SECTIONS = {
+        data_classification: ['placement'],
+        governance_maturity: ['controls', 'automation', 'monitoring'],
+        compliance: ['compliance'],
+        access_control: ['controls', 'sharing'],
+        organization_size: []
+    };
+
+    /**
+     * Analyze gaps between a score breakdown and targets
+     * @param {Object} scoreResult - RecommendationEngine.calculateScore result
+     * @param {Object} targets - { source, organization, categories: { [category]: level } }
+     * @returns {Object} { source, organization, categories: [{ category, name, current, target,
+     *   currentPercentage, targetPercentage, gap, weight, weightedGap, rank }], focus, totalWeightedGap }
+     */
+    static analyze(scoreResult, targets) {
+        const breakdown = scoreResult?.breakdown || {};
+        const categories = Object.entries(breakdown)
+            .map(([category, result]) => {
+                const target = this.getCategoryTarget(targets.categories, category);
+                if (target === null) return null;
+
+                const current = this.percentageToLevel(result.percentage);
+                const gap = Math.max(0, Math.round((target - current) * 10) / 10);
+                const weight = this.getWeight(category);
+                return {
+                    category,
+                    name: this.getCategoryName(category),
+                    current,
+                    target,
+                    currentPercentage: result.percentage,
+                    targetPercentage: this.levelToPercentage(target),
+                    gap,
+                    weight,
+                    weightedGap: Math.round(gap * weight * 100) / 100
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => (b.weightedGap - a.weightedGap) || (b.gap - a.gap) || a.name.localeCompare(b.name))
+            .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+        return {
+            source: targets.source,
+            organization: targets.organization || null,
+            categories,
+            focus: categories.filter(entry => entry.gap > 0).slice(0, this.FOCUS_COUNT).map(entry => entry.category),
+            totalWeightedGap: Math.round(categories.reduce((sum, entry) => sum + entry.weightedGap, 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Focus recommendations on the biggest gaps
+     * Recommendations in a section that addresses a focus category are marked
+     * with it, and move up one priority when the gap is a full level or more.
+     * Sections are re-sorted so focused work comes first within a priority.
+     */
+    static focusRecommendations(recommendations, analysis) {
+        if (!recommendations?.sections || !analysis || analysis.focus.length === 0) {
+            return recommendations;
+        }
+
+        const focusEntries = analysis.categories.filter(entry => analysis.focus.includes(entry.category));
+
+        Object.keys(recommendations.sections).forEach(section => {
+            recommendations.sections[section] = RecommendationModel.sort(recommendations.sections[section].map(item => {
+                const entry = focusEntries.find(candidate => this.getSections(candidate.category).includes(section));
+                if (!entry) return item;
+
+                const priorities = RecommendationModel.PRIORITIES;
+                const raise = entry.gap >= 1 && item.priority !== priorities[0];
+                const note = `Addresses the ${entry.name} gap (level ${entry.current} of target ${entry.target})`;
+                return {
+                    ...item,
+                    priority: raise ? priorities[priorities.indexOf(item.priority) - 1] : item.priority,
+                    rationale: item.rationale ? `${item.rationale}. ${note}` : note,
+                    focus: { category: entry.category, gap: entry.gap, rank: entry.rank }
+                };
+            }));
+        });
+
+        return recommendations;
+    }
+
+    /**
+     * Targets for an assessment: its own, its organization's or the default
+     * @returns {Object} { source: 'assessment'|'organization'|'default', organization, categories }
+     */
+    static getTargets(assessment = {}) {
+        const organization = this.getOrganization(assessment);
+
+        if (assessment?.targetProfile?.categories) {
+            return { source: 'assessment', organization, categories: { ...assessment.targetProfile.categories } };
+        }
+
+        const profiles = this.getProfiles();
+        const key = this.getOrganizationKey(organization);
+        if (key && profiles.organizations[key]) {
+            return { source: 'organization', organization, categories: { ...profiles.organizations[key].categories } };
+        }
+
+        return { source: 'default', organization, categories: { ...(profiles.default?.categories || {}) } };
+    }
+
+    /**
+     * Stored target profiles
+     */
+    static getProfiles() {
+        const stored = typeof StorageManager !== 'undefined' ? StorageManager.getItem(this.STORAGE_KEY) : null;
+        return {
+            default: stored?.default || { categories: {} },
+            organizations: stored?.organizations || {}
+        };
+    }
+
+    /**
+     * Save a target profile for an organization, or the default profile when
+     * no organization is given
+     * @throws {Error} When a target is not a maturity level
+     */
+    static saveTargets(organization, categories) {
+        const errors = this.validateTargets(categories);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const profiles = this.getProfiles();
+        const profile = { categories: { ...categories }, modified: new Date().toISOString() };
+        const key = this.getOrganizationKey(organization);
+
+        if (key) {
+            profiles.organizations[key] = { ...profile, organization };
+        } else {
+            profiles.default = profile;
+        }
+
+        StorageManager.setItem(this.STORAGE_KEY, profiles);
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit('maturity-targets.updated', { organization: organization || null });
+        }
+    }
+
+    /**
+     * Remove an organization's profile so it uses the default again
+     */
+    static deleteTargets(organization) {
+        const key = this.getOrganizationKey(organization);
+        if (!key) return;
+
+        const profiles = this.getProfiles();
+        delete profiles.organizations[key];
+        StorageManager.setItem(this.STORAGE_KEY, profiles);
+    }
+
+    /**
+     * Check targets before saving
+     * @returns {Array} Error messages
+     */
+    static validateTargets(categories) {
+        return Object.entries(categories || {})
+            .filter(([, level]) => level !== null && !this.LEVELS.some(entry => entry.level === Number(level)))
+            .map(([category, level]) => `Target for ${this.getCategoryName(category)} must be a level from 1 to 5, not "${level}"`);
+    }
+
+    /**
+     * A category's target level, the default when none is set, or null when
+     * the category is explicitly left out
+     */
+    static getCategoryTarget(categories, category) {
+        const entry = Object.entries(categories || {}).find(([key]) => this.normalizeCategory(key) === this.normalizeCategory(category));
+        if (!entry) return this.DEFAULT_TARGET;
+        return entry[1] === null ? null : Number(entry[1]);
+    }
+
+    /**
+     * A category's scoring weight; question categories are snake_case while
+     * the engine's weights are camelCase
+     */
+    static getWeight(category) {
+        const weights = typeof RecommendationEngine !== 'undefined' ? RecommendationEngine.scoringWeights : {};
+        const key = Object.keys(weights).find(name => this.normalizeCategory(name) === this.normalizeCategory(category));
+        return key ? weights[key] : this.DEFAULT_WEIGHT;
+    }
+
+    /**
+     * Recommendation sections that address a category
+     */
+    static getSections(category) {
+        return this.CATEGORY_SECTIONS[this.normalizeCategory(category)] || [];
+    }
+
+    /**
+     * Maturity level (1-5, one decimal) for a score percentage
+     */
+    static percentageToLevel(percentage) {
+        const clamped = Math.min(100, Math.max(0, Number(percentage) || 0));
+        return Math.round((1 + clamped / 25) * 10) / 10;
+    }
+
+    /**
+     * Score percentage a maturity level stands for
+     */
+    static levelToPercentage(level) {
+        return Math.round((Number(level) - 1) * 25);
+    }
+
+    /**
+     * Name of a maturity level
+     */
+    static getLevelName(level) {
+        return this.LEVELS.find(entry => entry.level === Math.round(level))?.name || '';
+    }
+
+    /**
+     * Readable category name
+     */
+    static getCategoryName(category) {
+        return this.normalizeCategory(category)
+            .split('_')
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * snake_case form of a category key
+     */
+    static normalizeCategory(category) {
+        return String(category || '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .replace(/[\s-]+/g, '_')
+            .toLowerCase();
+    }
+
+    /**
+     * The organization an assessment belongs to
+     */
+    static getOrganization(assessment) {
+        if (assessment?.organization) return assessment.organization;
+        const profile = typeof StateManager !== 'undefined' ? StateManager.getState('user.profile') : null;
+        return profile?.organization || '';
+    }
+
+    /**
+     * Storage key for an organization name
+     */
+    static getOrganizationKey(organization) {
+        return String(organization || '').trim().toLowerCase();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GapAnalyzer;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.GapAnalyzer = GapAnalyzer;
+}
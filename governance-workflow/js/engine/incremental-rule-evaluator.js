@@ -0,0 +1,375 @@
+// js/engine/incremental-rule-evaluator.js - Incremental Rule Evaluation
+
+/**
+ * Incremental Rule Evaluator for Data Governance Decision Tool
+ * Indexes rules by the answers and variables they read. After the first full
+ * evaluation, an answer change re-evaluates only the rules that read a changed
+ * name (directly, or through a variable another re-evaluated rule now sets
+ * differently); every other rule keeps its previous outcome.
+ *
+ * Results match a full RulesEngine.evaluateRules pass over the same rules in
+ * the same order. Each evaluator holds the state of one assessment.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class IncrementalRuleEvaluator {
+    /**
+     * @param {Array} rules - Rules to evaluate (defaults to the engine's active rules)
+     * @param {Object} options - { actionTypes (defaults to the dry-run action types), mode }
+     */
+    constructor(rules = null, options = {}) {
+        const activeRules = (rules || RulesEngine.rules).filter(rule => rule.active !== false);
+        const mode = options.mode || RulesEngine.evaluationMode;
+
+        this.actionTypes = options.actionTypes || RulesEngine.DRY_RUN_ACTION_TYPES;
+        this.rules = activeRules;
+        this.fullEvaluationOnly = false;
+
+        // Forward chaining without cycles is a single pass in dependency order;
+        // with cycles it iterates, so every change falls back to a full evaluation
+        if (mode === 'forward_chaining' && typeof RuleDependencyGraph !== 'undefined') {
+            const graph = RuleDependencyGraph.build(activeRules);
+            const rulesById = new Map(activeRules.map(rule => [rule.id, rule]));
+            this.rules = graph.order.map(id => rulesById.get(id));
+            this.fullEvaluationOnly = graph.cycles.length > 0;
+        }
+
+        this.index = IncrementalRuleEvaluator.buildIndex(this.rules);
+        this.baseContext = null;
+        this.outcomes = new Map();
+        this.results = null;
+        this.stats = { fullEvaluations: 0, incrementalUpdates: 0, rulesReevaluated: 0 };
+    }
+
+    /**
+     * Index rules by the names they read
+     * Returns { reads: ruleId -> Set of names, byName: name -> Set of rule IDs,
+     * dynamic: rule IDs whose reads cannot be known and always re-evaluate }.
+     */
+    static buildIndex(rules) {
+        const reads = new Map();
+        const byName = new Map();
+        const dynamic = new Set();
+
+        rules.forEach(rule => {
+            const { names, isDynamic } = this.getRuleReads(rule);
+            reads.set(rule.id, names);
+            if (isDynamic) {
+                dynamic.add(rule.id);
+            }
+            names.forEach(name => {
+                if (!byName.has(name)) {
+                    byName.set(name, new Set());
+                }
+                byName.get(name).add(rule.id);
+            });
+        });
+
+        return { reads, byName, dynamic };
+    }
+
+    /**
+     * Answer IDs and variables a rule's conditions and actions read
+     * Answers and variables share one namespace, as they do in expressions.
+     */
+    static getRuleReads(rule) {
+        const names = new Set();
+        let isDynamic = false;
+
+        const addExpression = (expression) => {
+            const reads = this.getExpressionReads(expression);
+            reads.names.forEach(name => names.add(name));
+            isDynamic = isDynamic || reads.isDynamic;
+        };
+
+        const visit = (group) => {
+            (group?.rules || []).forEach(condition => {
+                if (condition && Array.isArray(condition.rules)) {
+                    visit(condition);
+                } else if (condition?.expression) {
+                    addExpression(condition.expression);
+                } else if (condition?.field) {
+                    names.add(this.getFieldName(condition.field));
+                }
+                if (this.isFieldDateReference(condition)) {
+                    names.add(this.getFieldName(condition.value));
+                }
+            });
+        };
+        visit(rule.conditions);
+
+        (rule.actions || []).forEach(action => {
+            const params = action.parameters || {};
+            if (params.expression) {
+                addExpression(params.expression);
+            }
+            if (action.type === 'validate' && params.field) {
+                names.add(this.getFieldName(params.field));
+            }
+        });
+
+        return { names, isDynamic };
+    }
+
+    /**
+     * Whether a before/after condition compares with another answer or variable
+     * (e.g. a policy deadline) rather than a date or "now"/"today"
+     */
+    static isFieldDateReference(condition) {
+        if (!['before', 'after'].includes(condition?.operator) || typeof condition.value !== 'string') {
+            return false;
+        }
+        const value = condition.value.trim();
+        return value !== '' && !/^(now|today)\b/i.test(value) && !RulesEngine.parseDate(value);
+    }
+
+    /**
+     * Name a condition field depends on: "answers.q1" and "q1" both read q1
+     */
+    static getFieldName(field) {
+        const path = String(field).replace(/^answers\./, '');
+        return path.split('.')[0];
+    }
+
+    /**
+     * Names an expression reads
+     * answers.q1 and answer("q1") read q1; reading answers as a whole, or an
+     * answer picked at run time, makes the expression dynamic.
+     */
+    static getExpressionReads(expression) {
+        const names = new Set();
+        let isDynamic = false;
+
+        if (typeof ExpressionEvaluator === 'undefined') {
+            return { names, isDynamic: true };
+        }
+
+        let ast;
+        try {
+            ast = ExpressionEvaluator.parse(expression);
+        } catch (error) {
+            // Unparseable expressions fail on every evaluation; re-run them so the error is reported
+            return { names, isDynamic: true };
+        }
+
+        const ANSWER_FUNCTIONS = ['answer', 'score'];
+        const visit = (node) => {
+            if (!node) return;
+            switch (node.type) {
+                case 'identifier':
+                    if (node.name === 'answers') {
+                        isDynamic = true;
+                    } else {
+                        names.add(node.name);
+                    }
+                    break;
+                case 'member':
+                    if (node.object.type === 'identifier' && node.object.name === 'answers' && node.property.type === 'literal') {
+                        names.add(String(node.property.value));
+                    } else {
+                        visit(node.object);
+                        if (node.property.type !== 'literal') visit(node.property);
+                    }
+                    break;
+                case 'call':
+                    if (ANSWER_FUNCTIONS.includes(node.name)) {
+                        if (node.args[0]?.type === 'literal') {
+                            names.add(String(node.args[0].value));
+                        } else {
+                            isDynamic = true;
+                        }
+                        node.args.slice(1).forEach(visit);
+                    } else if (node.name === 'category_score') {
+                        isDynamic = true;
+                    } else {
+                        node.args.forEach(visit);
+                    }
+                    break;
+                case 'list':
+                    node.items.forEach(visit);
+                    break;
+                case 'negate':
+                case 'not':
+                    visit(node.argument);
+                    break;
+                case 'logical':
+                case 'binary':
+                    visit(node.left);
+                    visit(node.right);
+                    break;
+            }
+        };
+        visit(ast);
+
+        return { names, isDynamic };
+    }
+
+    /**
+     * Evaluate every rule from scratch
+     * @param {Object} context - Evaluation context with answers
+     */
+    start(context) {
+        this.baseContext = { ...context, answers: { ...(context.answers || {}) }, dryRun: true };
+        this.outcomes.clear();
+        return this.evaluate(null);
+    }
+
+    /**
+     * Apply answer changes and re-evaluate the affected rules
+     * @param {Object} changes - Changed answers by question ID; undefined removes an answer
+     */
+    update(changes) {
+        if (!this.baseContext) {
+            return this.start({ answers: changes });
+        }
+
+        const changed = new Set();
+        Object.entries(changes).forEach(([questionId, value]) => {
+            const answers = this.baseContext.answers;
+            if (this.isSameValue(answers[questionId], value)) {
+                return;
+            }
+            if (value === undefined) {
+                delete answers[questionId];
+            } else {
+                answers[questionId] = value;
+            }
+            changed.add(questionId);
+        });
+
+        if (changed.size === 0) {
+            return this.results;
+        }
+        return this.evaluate(changed);
+    }
+
+    /**
+     * Replace all answers, re-evaluating the rules affected by the difference
+     */
+    setAnswers(answers) {
+        if (!this.baseContext) {
+            return this.start({ answers });
+        }
+
+        const changes = {};
+        new Set([...Object.keys(this.baseContext.answers), ...Object.keys(answers)]).forEach(questionId => {
+            changes[questionId] = answers[questionId];
+        });
+        return this.update(changes);
+    }
+
+    /**
+     * Walk the rules in order, re-running the affected ones and replaying the
+     * variables the others set so later rules see the same context as in a full pass
+     * @param {Set|null} changed - Changed names, or null to evaluate everything
+     */
+    evaluate(changed) {
+        const context = { ...this.baseContext };
+        const dirty = new Set(changed || []);
+        const fullEvaluation = changed === null || this.fullEvaluationOnly;
+        let reevaluated = 0;
+
+        // Rules reading a dirty name; names turn dirty as rules re-run, which
+        // only concerns the rules after them
+        const affectedRules = new Set(this.index.dynamic);
+        const markDirty = (name) => {
+            dirty.add(name);
+            (this.index.byName.get(name) || []).forEach(ruleId => affectedRules.add(ruleId));
+        };
+        dirty.forEach(markDirty);
+
+        if (this.fullEvaluationOnly) {
+            this.results = RulesEngine.evaluateRules(context, this.rules, {
+                actionTypes: this.actionTypes,
+                mode: 'forward_chaining',
+                silent: true
+            });
+            this.stats.fullEvaluations++;
+            this.stats.rulesReevaluated += this.rules.length;
+            this.results.incremental = { reevaluated: this.rules.length, total: this.rules.length, changed: Array.from(dirty) };
+            return this.results;
+        }
+
+        this.rules.forEach(rule => {
+            const previous = this.outcomes.get(rule.id);
+            if (!fullEvaluation && previous && !affectedRules.has(rule.id)) {
+                this.replayVariables(previous, context);
+                return;
+            }
+
+            const outcome = RulesEngine.runRule(rule, context, this.actionTypes);
+            this.outcomes.set(rule.id, outcome);
+            reevaluated++;
+
+            // Variables this rule now sets differently change what later readers see
+            const before = this.getVariables(previous);
+            const after = this.getVariables(outcome);
+            new Set([...before.keys(), ...after.keys()]).forEach(name => {
+                if (!before.has(name) || !after.has(name) || !this.isSameValue(before.get(name), after.get(name))) {
+                    markDirty(name);
+                }
+            });
+        });
+
+        const results = RulesEngine.createResults();
+        this.rules.forEach(rule => RulesEngine.collectRuleOutcome(results, this.outcomes.get(rule.id)));
+        results.incremental = {
+            reevaluated: reevaluated,
+            total: this.rules.length,
+            changed: changed ? Array.from(changed) : []
+        };
+
+        if (fullEvaluation) {
+            this.stats.fullEvaluations++;
+        } else {
+            this.stats.incrementalUpdates++;
+        }
+        this.stats.rulesReevaluated += reevaluated;
+
+        this.results = results;
+        return results;
+    }
+
+    /**
+     * Variables a rule outcome set in the context, in the order they were set
+     */
+    getVariables(outcome) {
+        const variables = new Map();
+        (outcome?.actionResults || []).forEach(action => {
+            if (action.type === 'set_variable' && action.data && action.data.variable) {
+                variables.set(action.data.variable, action.data.value);
+            }
+        });
+        return variables;
+    }
+
+    /**
+     * Set the variables of a rule that was not re-evaluated
+     */
+    replayVariables(outcome, context) {
+        this.getVariables(outcome).forEach((value, name) => {
+            context[name] = value;
+        });
+    }
+
+    /**
+     * Compare answer or variable values
+     */
+    isSameValue(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IncrementalRuleEvaluator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.IncrementalRuleEvaluator = IncrementalRuleEvaluator;
+}
@@ -0,0 +1,598 @@
+// js/engine/notification-service.js - Rule Notification Delivery
+
+/**
+ * Notification Service for Data Governance Decision Tool
+ * Delivers notifications sent by rules through pluggable channels: the in-app
+ * inbox, email, webhooks and a local outbox used for testing. Each recipient
+ * has its own delivery record; failed deliveries are retried with backoff.
+ * Subjects and messages are templates interpolating assessment data, e.g.
+ * "{{assessment.id}} scored {{score}} on {{answers.data_volume}}".
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class NotificationService {
+    static channels = {};
+    static templates = {};
+    static notifications = [];
+    static retryTimers = new Map();
+    static isInitialized = false;
+
+    static NOTIFICATIONS_KEY = 'notification_deliveries';
+    static INBOX_KEY = 'notification_inbox';
+    static OUTBOX_KEY = 'notification_outbox';
+    static TEMPLATES_KEY = 'notification_templates';
+
+    static DEFAULT_CHANNEL = 'inbox';
+    static MAX_ATTEMPTS = 3;
+    static RETRY_DELAY = 5000;
+    static MAX_STORED = 200;
+
+    /**
+     * Initialize notification service
+     */
+    static init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.registerDefaultChannels();
+        this.loadTemplates();
+        this.loadNotifications();
+        this.setupEventListeners();
+        this.resumePendingDeliveries();
+
+        this.isInitialized = true;
+        console.log('Notification Service initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    static setupEventListeners() {
+        if (typeof EventBus !== 'undefined') {
+            EventBus.on('notification.send', (event) => {
+                this.send(event.data || {});
+            });
+        }
+    }
+
+    /**
+     * Register or replace a delivery channel
+     * @param {string} id - Channel ID used in notify actions
+     * @param {Object} channel - { name, send(recipient, notification), validate(recipient) }
+     *   send may return a promise and throws on failure; validate returns an error
+     *   message for addresses the channel can never deliver to.
+     */
+    static registerChannel(id, channel) {
+        if (!id || typeof channel?.send !== 'function') {
+            throw new Error('A notification channel needs an id and a send function');
+        }
+        this.channels[id] = { id, name: channel.name || id, ...channel };
+        return this.channels[id];
+    }
+
+    /**
+     * Get a channel by ID
+     */
+    static getChannel(id) {
+        return this.channels[id] || null;
+    }
+
+    /**
+     * Register the built-in channels
+     */
+    static registerDefaultChannels() {
+        this.registerChannel('inbox', {
+            name: 'In-app inbox',
+            send: (recipient, notification) => this.addToInbox(recipient, notification)
+        });
+
+        this.registerChannel('email', {
+            name: 'Email',
+            validate: (recipient) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient) ? null : `"${recipient}" is not an email address`,
+            send: (recipient, notification) => {
+                if (typeof EmailIntegration === 'undefined') {
+                    throw new Error('Email integration not available');
+                }
+                return EmailIntegration.sendEmail({
+                    to: recipient,
+                    subject: notification.subject,
+                    body: notification.message,
+                    quiet: true
+                });
+            }
+        });
+
+        this.registerChannel('webhook', {
+            name: 'Webhook',
+            validate: (recipient) => /^https?:\/\//i.test(recipient) ? null : `"${recipient}" is not an http(s) URL`,
+            send: async (recipient, notification) => {
+                if (typeof fetch === 'undefined') {
+                    throw new Error('Webhooks are not supported in this environment');
+                }
+                const response = await fetch(recipient, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(this.toPayload(notification))
+                });
+                if (!response.ok) {
+                    throw new Error(`Webhook responded with ${response.status}`);
+                }
+            }
+        });
+
+        this.registerChannel('outbox', {
+            name: 'Outbox (testing)',
+            send: (recipient, notification) => this.addToOutbox(recipient, notification)
+        });
+    }
+
+    /**
+     * Send a notification to every recipient
+     * @param {Object} options - { recipients, channel, subject, message, template, type, data, ruleId, assessmentId, maxAttempts }
+     *   Recipients are addresses for the channel; "email:dpo@example.com" or
+     *   { channel, address } pick another channel for one recipient. A template
+     *   ID supplies the subject and message when they are not given.
+     * @returns {Object} The notification record; deliveries complete asynchronously
+     */
+    static send(options = {}) {
+        const template = options.template ? this.getTemplate(options.template) : null;
+        if (options.template && !template) {
+            throw new Error(`Unknown notification template: ${options.template}`);
+        }
+
+        const data = options.data || {};
+        const subject = this.renderTemplate(options.subject || template?.subject || 'Governance notification', data);
+        const message = this.renderTemplate(options.message || template?.message || '', data);
+        const defaultChannel = options.channel || template?.channel || this.DEFAULT_CHANNEL;
+        const maxAttempts = Math.max(1, Number(options.maxAttempts) || this.MAX_ATTEMPTS);
+        const now = new Date().toISOString();
+
+        const notification = {
+            id: this.generateId('notification'),
+            ruleId: options.ruleId || null,
+            assessmentId: options.assessmentId || null,
+            template: template?.id || null,
+            type: options.type || 'info',
+            subject: subject,
+            message: message,
+            createdAt: now,
+            updatedAt: now,
+            deliveries: this.normalizeRecipients(options.recipients, defaultChannel).map(({ channel, address }) => ({
+                id: this.generateId('delivery'),
+                channel: channel,
+                recipient: address,
+                status: 'pending',
+                attempts: 0,
+                maxAttempts: maxAttempts,
+                lastError: null,
+                lastAttemptAt: null,
+                nextAttemptAt: now,
+                sentAt: null
+            }))
+        };
+
+        this.notifications.push(notification);
+        this.saveNotifications();
+        this.emit('notification.updated', { notification });
+
+        notification.deliveries.forEach(delivery => this.deliver(notification.id, delivery.id));
+        return notification;
+    }
+
+    /**
+     * Split recipients into channel/address pairs
+     */
+    static normalizeRecipients(recipients, defaultChannel) {
+        const list = Array.isArray(recipients) ? recipients : String(recipients || '').split(',');
+
+        return list
+            .map(recipient => {
+                if (recipient && typeof recipient === 'object') {
+                    return { channel: recipient.channel || defaultChannel, address: String(recipient.address || '').trim() };
+                }
+                const text = String(recipient || '').trim();
+                const prefix = text.match(/^([a-z_]+):(.+)$/i);
+                return prefix && this.channels[prefix[1]]
+                    ? { channel: prefix[1], address: prefix[2].trim() }
+                    : { channel: defaultChannel, address: text };
+            })
+            .filter(recipient => recipient.address);
+    }
+
+    /**
+     * Attempt one delivery and schedule a retry if it fails
+     */
+    static async deliver(notificationId, deliveryId) {
+        const { notification, delivery } = this.findDelivery(notificationId, deliveryId);
+        if (!delivery || delivery.status === 'sent') {
+            return delivery;
+        }
+        this.clearRetry(delivery.id);
+
+        const channel = this.getChannel(delivery.channel);
+        const permanentError = !channel
+            ? `Unknown notification channel: ${delivery.channel}`
+            : channel.validate?.(delivery.recipient) || null;
+
+        delivery.attempts++;
+        delivery.lastAttemptAt = new Date().toISOString();
+
+        if (permanentError) {
+            // Retrying cannot fix an unknown channel or a malformed address
+            this.updateDelivery(notification, delivery, { status: 'failed', lastError: permanentError, nextAttemptAt: null });
+            return delivery;
+        }
+
+        try {
+            await channel.send(delivery.recipient, notification);
+            this.updateDelivery(notification, delivery, {
+                status: 'sent',
+                lastError: null,
+                nextAttemptAt: null,
+                sentAt: new Date().toISOString()
+            });
+        } catch (error) {
+            if (delivery.attempts < delivery.maxAttempts) {
+                const delay = this.RETRY_DELAY * Math.pow(2, delivery.attempts - 1);
+                this.updateDelivery(notification, delivery, {
+                    status: 'retrying',
+                    lastError: error.message,
+                    nextAttemptAt: new Date(Date.now() + delay).toISOString()
+                });
+                this.scheduleRetry(notification.id, delivery.id, delay);
+            } else {
+                this.updateDelivery(notification, delivery, { status: 'failed', lastError: error.message, nextAttemptAt: null });
+            }
+        }
+
+        return delivery;
+    }
+
+    /**
+     * Retry a failed delivery now, granting it one more attempt
+     */
+    static retryDelivery(notificationId, deliveryId) {
+        const { delivery } = this.findDelivery(notificationId, deliveryId);
+        if (!delivery || delivery.status === 'sent') {
+            return Promise.resolve(delivery);
+        }
+        delivery.maxAttempts = Math.max(delivery.maxAttempts, delivery.attempts + 1);
+        return this.deliver(notificationId, deliveryId);
+    }
+
+    /**
+     * Pick up deliveries left pending or retrying when the page was closed
+     */
+    static resumePendingDeliveries() {
+        this.notifications.forEach(notification => {
+            notification.deliveries
+                .filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying')
+                .forEach(delivery => {
+                    const delay = Math.max(0, new Date(delivery.nextAttemptAt || 0) - Date.now());
+                    this.scheduleRetry(notification.id, delivery.id, delay);
+                });
+        });
+    }
+
+    /**
+     * Schedule a delivery attempt
+     */
+    static scheduleRetry(notificationId, deliveryId, delay) {
+        this.clearRetry(deliveryId);
+        this.retryTimers.set(deliveryId, setTimeout(() => {
+            this.retryTimers.delete(deliveryId);
+            this.deliver(notificationId, deliveryId);
+        }, delay));
+    }
+
+    /**
+     * Cancel a scheduled attempt
+     */
+    static clearRetry(deliveryId) {
+        if (this.retryTimers.has(deliveryId)) {
+            clearTimeout(this.retryTimers.get(deliveryId));
+            this.retryTimers.delete(deliveryId);
+        }
+    }
+
+    /**
+     * Record a delivery status change
+     */
+    static updateDelivery(notification, delivery, changes) {
+        Object.assign(delivery, changes);
+        notification.updatedAt = new Date().toISOString();
+        this.saveNotifications();
+        this.emit('notification.updated', { notification, delivery });
+    }
+
+    /**
+     * Find a notification and one of its deliveries
+     */
+    static findDelivery(notificationId, deliveryId) {
+        const notification = this.notifications.find(item => item.id === notificationId) || null;
+        const delivery = notification?.deliveries.find(item => item.id === deliveryId) || null;
+        return { notification, delivery };
+    }
+
+    /**
+     * Overall status of a notification: sent, failed, partial or pending
+     */
+    static getStatus(notification) {
+        const statuses = notification.deliveries.map(delivery => delivery.status);
+        if (statuses.length === 0) return 'sent';
+        if (statuses.every(status => status === 'sent')) return 'sent';
+        if (statuses.every(status => status === 'failed')) return 'failed';
+        if (statuses.some(status => status === 'pending' || status === 'retrying')) return 'pending';
+        return 'partial';
+    }
+
+    /**
+     * Get notifications, newest first, optionally filtered
+     */
+    static getNotifications(filter = {}) {
+        return this.notifications
+            .filter(notification =>
+                (!filter.assessmentId || notification.assessmentId === filter.assessmentId) &&
+                (!filter.ruleId || notification.ruleId === filter.ruleId) &&
+                (!filter.status || this.getStatus(notification) === filter.status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Interpolate {{path}} placeholders with data
+     * Paths are dotted (answers.q1, assessment.id); missing values render empty
+     * and lists render comma-separated.
+     */
+    static renderTemplate(text, data = {}) {
+        return String(text ?? '').replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, path) => {
+            const value = path.split('.').reduce((current, key) => current?.[key], data);
+            if (value === undefined || value === null) return '';
+            if (Array.isArray(value)) return value.join(', ');
+            if (typeof value === 'object') return JSON.stringify(value);
+            return String(value);
+        });
+    }
+
+    /**
+     * Load message templates, falling back to the built-in ones
+     */
+    static loadTemplates() {
+        const stored = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.TEMPLATES_KEY)
+            : null;
+
+        const templates = Array.isArray(stored) && stored.length > 0
+            ? stored
+            : this.getDefaultTemplates();
+
+        this.templates = {};
+        templates.forEach(template => {
+            this.templates[template.id] = template;
+        });
+    }
+
+    /**
+     * Get a template by ID
+     */
+    static getTemplate(id) {
+        return this.templates[id] || null;
+    }
+
+    /**
+     * Get all templates
+     */
+    static getTemplates() {
+        return Object.values(this.templates);
+    }
+
+    /**
+     * Save or replace a template
+     */
+    static saveTemplate(template) {
+        if (!template?.id || !template.message) {
+            throw new Error('A notification template needs an id and a message');
+        }
+        this.templates[template.id] = { ...template };
+        this.saveTemplates();
+        return this.templates[template.id];
+    }
+
+    /**
+     * Delete a template
+     */
+    static deleteTemplate(id) {
+        delete this.templates[id];
+        this.saveTemplates();
+    }
+
+    /**
+     * Add a notification to a recipient's inbox
+     */
+    static addToInbox(recipient, notification) {
+        const inbox = this.getInbox();
+        inbox.push({
+            id: this.generateId('inbox'),
+            notificationId: notification.id,
+            recipient: recipient,
+            subject: notification.subject,
+            message: notification.message,
+            type: notification.type,
+            ruleId: notification.ruleId,
+            assessmentId: notification.assessmentId,
+            createdAt: new Date().toISOString(),
+            read: false
+        });
+        this.saveList(this.INBOX_KEY, inbox);
+        this.emit('notification.inbox.updated', { recipient });
+    }
+
+    /**
+     * Get inbox items, optionally only those addressed to a user
+     * A user receives items sent to their name, email, role or ID, and to "all".
+     */
+    static getInbox(user = null) {
+        const inbox = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.INBOX_KEY, []) || []
+            : [];
+
+        if (!user) {
+            return inbox;
+        }
+
+        const addresses = ['all', user.name, user.email, user.role, user.id]
+            .filter(Boolean)
+            .map(address => String(address).toLowerCase());
+        return inbox.filter(item => addresses.includes(String(item.recipient).toLowerCase()));
+    }
+
+    /**
+     * Mark inbox items as read
+     */
+    static markRead(itemIds) {
+        const ids = Array.isArray(itemIds) ? itemIds : [itemIds];
+        const inbox = this.getInbox().map(item => ids.includes(item.id) ? { ...item, read: true } : item);
+        this.saveList(this.INBOX_KEY, inbox);
+        this.emit('notification.inbox.updated', {});
+    }
+
+    /**
+     * Write a notification to the outbox
+     */
+    static addToOutbox(recipient, notification) {
+        const outbox = this.getOutbox();
+        outbox.push({
+            notificationId: notification.id,
+            recipient: recipient,
+            ...this.toPayload(notification),
+            writtenAt: new Date().toISOString()
+        });
+        this.saveList(this.OUTBOX_KEY, outbox);
+    }
+
+    /**
+     * Get outbox entries
+     */
+    static getOutbox() {
+        return typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.OUTBOX_KEY, []) || []
+            : [];
+    }
+
+    /**
+     * Empty the outbox
+     */
+    static clearOutbox() {
+        this.saveList(this.OUTBOX_KEY, []);
+    }
+
+    /**
+     * The notification fields sent to webhooks and written to the outbox
+     */
+    static toPayload(notification) {
+        return {
+            id: notification.id,
+            type: notification.type,
+            subject: notification.subject,
+            message: notification.message,
+            ruleId: notification.ruleId,
+            assessmentId: notification.assessmentId,
+            createdAt: notification.createdAt
+        };
+    }
+
+    /**
+     * Load notifications from storage
+     */
+    static loadNotifications() {
+        this.notifications = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.NOTIFICATIONS_KEY, []) || []
+            : [];
+    }
+
+    /**
+     * Save notifications, keeping the most recent ones
+     */
+    static saveNotifications() {
+        if (this.notifications.length > this.MAX_STORED) {
+            this.notifications = this.notifications.slice(-this.MAX_STORED);
+        }
+        this.saveList(this.NOTIFICATIONS_KEY, this.notifications);
+    }
+
+    /**
+     * Save templates
+     */
+    static saveTemplates() {
+        this.saveList(this.TEMPLATES_KEY, Object.values(this.templates));
+    }
+
+    /**
+     * Save a stored list, keeping the most recent entries
+     */
+    static saveList(key, list) {
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(key, list.slice(-this.MAX_STORED));
+        }
+    }
+
+    /**
+     * Emit notification event
+     */
+    static emit(eventName, data) {
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit(eventName, data);
+        }
+    }
+
+    /**
+     * Get default message templates
+     */
+    static getDefaultTemplates() {
+        return [
+            {
+                id: 'review_required',
+                name: 'Review required',
+                subject: 'Review required for assessment {{assessment.id}}',
+                message: 'Rule "{{rule.name}}" requires a review of assessment {{assessment.id}} ({{assessment.date}}).'
+            },
+            {
+                id: 'high_risk',
+                name: 'High risk detected',
+                subject: 'High risk in assessment {{assessment.id}}',
+                message: 'Rule "{{rule.name}}" flagged assessment {{assessment.id}} as high risk. Submitted by {{user.name}}.'
+            }
+        ];
+    }
+
+    /**
+     * Generate unique ID
+     */
+    static generateId(prefix) {
+        return prefix + '-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Reset notification service
+     */
+    static reset() {
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+        this.channels = {};
+        this.templates = {};
+        this.notifications = [];
+        this.isInitialized = false;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationService;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.NotificationService = NotificationService;
+}
@@ -59,12 +59,15 @@ class RecommendationEngine {
 
     /**
      * Generate recommendations for an assessment
+     * @param {Object} options - { rules: evaluate these rules instead of the live ones,
+     *                             dryRun: bypass the cache and emit no events, for simulations }
      */
-    static async generateRecommendations(assessment) {
+    static async generateRecommendations(assessment, options = {}) {
+        const { rules = null, dryRun = false } = options;
         const cacheKey = this.generateCacheKey(assessment);
         
         // Check cache first
-        if (this.recommendationCache.has(cacheKey)) {
+        if (!dryRun && this.recommendationCache.has(cacheKey)) {
             return this.recommendationCache.get(cacheKey);
         }
 
@@ -76,7 +79,8 @@ class RecommendationEngine {
             const governanceLevel = this.determineGovernanceLevel(scoreResult.totalScore);
             
             // Select appropriate template
-            const template = this.selectTemplate(assessment, scoreResult, governanceLevel);
+            const templateSelection = this.explainTemplateSelection(assessment, scoreResult, governanceLevel);
+            const template = templateSelection.template;
             
             // Generate contextual recommendations
             const recommendations = this.generateContextualRecommendations(
@@ -84,12 +88,18 @@ class RecommendationEngine {
             );
             
             // Apply rules engine results if available
-            const rulesResults = await this.applyRulesEngine(assessment);
+            const rulesResults = await this.applyRulesEngine(assessment, { rules, dryRun });
             
             // Merge recommendations
-            const finalRecommendations = this.mergeRecommendations(
+            const mergedRecommendations = this.mergeRecommendations(
                 recommendations, rulesResults, template
             );
+
+            // Focus recommendations on the biggest maturity gaps
+            const gapAnalysis = this.analyzeGaps(assessment, scoreResult);
+            const finalRecommendations = gapAnalysis
+                ? GapAnalyzer.focusRecommendations(mergedRecommendations, gapAnalysis)
+                : mergedRecommendations;
             
             // Create final result
             const result = {
@@ -100,12 +110,26 @@ class RecommendationEngine {
                 percentage: Math.round((scoreResult.totalScore / scoreResult.maxScore) * 100),
                 level: governanceLevel,
                 template: template,
+                templateSelection: {
+                    templateId: templateSelection.templateId,
+                    reason: templateSelection.reason,
+                    fallback: templateSelection.fallback,
+                    candidates: templateSelection.candidates
+                },
                 recommendations: finalRecommendations,
+                roadmap: this.generateRoadmap(finalRecommendations, assessment),
                 scoreBreakdown: scoreResult.breakdown,
+                gapAnalysis: gapAnalysis,
+                ruleScore: rulesResults.score || 0,
+                ruleVersions: this.getRuleVersions(rulesResults),
                 generatedAt: new Date().toISOString(),
                 version: '1.0.0'
             };
 
+            if (dryRun) {
+                return result;
+            }
+
             // Cache the result
             this.recommendationCache.set(cacheKey, result);
             
@@ -268,6 +292,10 @@ class RecommendationEngine {
      */
     static calculateTextScore(question, answer) {
         if (!answer || typeof answer !== 'string') return 0;
+
+        // Keyword or similarity scoring when the question defines one
+        const analyzed = typeof TextAnalyzer !== 'undefined' ? TextAnalyzer.scoreAnswer(question, answer) : null;
+        if (analyzed !== null) return analyzed;
         
         // Basic scoring based on answer length and quality
         const trimmedAnswer = answer.trim();
@@ -316,51 +344,36 @@ class RecommendationEngine {
      * Select appropriate template based on assessment
      */
     static selectTemplate(assessment, scoreResult, governanceLevel) {
-        const answers = assessment.answers || {};
-        
-        // Priority-based template selection
-        const templatePriorities = [
-            // High security for sensitive data
-            {
-                condition: (answers) => 
-                    answers['question-1'] === 'financial_data' || 
-                    (Array.isArray(answers['question-3']) && answers['question-3'].includes('hipaa')),
-                templateId: 'high_security_template'
-            },
-            
-            // Simplified for small organizations
-            {
-                condition: (answers) => answers['question-5'] === 'small',
-                templateId: 'simplified_governance_template'
-            },
-            
-            // Advanced for mature organizations
-            {
-                condition: (answers) => 
-                    answers['question-2'] === 'defined' || answers['question-2'] === 'managed',
-                templateId: 'advanced_governance_template'
-            },
-            
-            // Default basic template
-            {
-                condition: () => true,
-                templateId: 'basic_governance_template'
-            }
-        ];
-
-        // Find the first matching template
-        for (const priority of templatePriorities) {
-            if (priority.condition(answers)) {
-                const template = this.templates.find(t => t.id === priority.templateId);
-                if (template) {
-                    return template;
-                }
-            }
+        return this.explainTemplateSelection(assessment, scoreResult, governanceLevel).template;
+    }
+
+    /**
+     * Select a template from the criteria templates declare, with the reasons
+     * Criteria can test answers and the assessment's score (percentage) and level.
+     * @param {Array} templates - Candidates (defaults to the loaded templates)
+     * @returns {Object} TemplateSelector result; template is never null
+     */
+    static explainTemplateSelection(assessment, scoreResult = null, governanceLevel = null, templates = this.templates) {
+        const context = this.buildRecommendationContext(assessment, scoreResult, governanceLevel);
+        const selection = TemplateSelector.select(templates, context);
+        if (!selection.template) {
+            selection.template = this.getDefaultTemplate();
+            selection.templateId = selection.template.id || null;
         }
+        return selection;
+    }
 
-        // Fallback to basic template
-        return this.templates.find(t => t.id === 'basic_governance_template') || 
-               this.getDefaultTemplate();
+    /**
+     * Build the evaluation context for template criteria and snippet triggers
+     * The rules engine context plus the assessment's score (percentage) and level.
+     */
+    static buildRecommendationContext(assessment, scoreResult = null, governanceLevel = null) {
+        const score = scoreResult || this.calculateScore(assessment);
+        return {
+            ...RulesEngine.buildAssessmentContext(assessment.answers || {}, assessment.id, assessment),
+            score: score.maxScore > 0 ? Math.round((score.totalScore / score.maxScore) * 100) : 0,
+            level: governanceLevel || this.determineGovernanceLevel(score.totalScore)
+        };
     }
 
     /**
@@ -369,14 +382,16 @@ class RecommendationEngine {
     static generateContextualRecommendations(assessment, scoreResult, template) {
         const recommendations = {
             summary: this.generateSummary(assessment, scoreResult, template),
-            sections: {}
+            sections: {},
+            explanations: []
         };
 
         // Generate recommendations for each section
         if (template.sections) {
+            const context = this.buildRecommendationContext(assessment, scoreResult);
             for (const [sectionName, sectionTemplate] of Object.entries(template.sections)) {
                 recommendations.sections[sectionName] = this.generateSectionRecommendations(
-                    sectionName, sectionTemplate, assessment, scoreResult
+                    sectionName, sectionTemplate, assessment, scoreResult, template, recommendations.explanations, context
                 );
             }
         }
@@ -439,78 +454,74 @@ class RecommendationEngine {
 
     /**
      * Generate section-specific recommendations
-     */
-    static generateSectionRecommendations(sectionName, sectionTemplate, assessment, scoreResult) {
-        const baseRecommendations = Array.isArray(sectionTemplate) ? 
-            [...sectionTemplate] : [];
+     * @returns {Array} Structured recommendations (see RecommendationModel)
+     */
+    static generateSectionRecommendations(sectionName, sectionTemplate, assessment, scoreResult, template = null, explanations = [], context = null) {
+        const baseRecommendations = (Array.isArray(sectionTemplate) ? sectionTemplate : [])
+            .map(item => RecommendationModel.normalize(item, {
+                section: sectionName,
+                source: 'template',
+                sourceId: template?.id || null
+            }))
+            .filter(Boolean);
+
+        if (typeof ExplanationBuilder !== 'undefined') {
+            const level = this.determineGovernanceLevel(scoreResult.totalScore);
+            baseRecommendations.forEach(recommendation => explanations.push({
+                section: sectionName,
+                text: recommendation.description,
+                recommendationId: recommendation.id,
+                ...ExplanationBuilder.fromTemplate(template, level)
+            }));
+        }
         
         // Add contextual recommendations based on assessment
         const contextualRecommendations = this.getContextualRecommendations(
-            sectionName, assessment, scoreResult
+            sectionName, assessment, scoreResult, explanations, context
         );
         
         return [...baseRecommendations, ...contextualRecommendations];
     }
 
     /**
-     * Get contextual recommendations for a section
+     * Get contextual recommendations for a section from the snippet library
+     * @param {Object} context - Evaluation context (built from the assessment when omitted)
      */
-    static getContextualRecommendations(sectionName, assessment, scoreResult) {
-        const recommendations = [];
-        const answers = assessment.answers || {};
-        
-        switch (sectionName) {
-            case 'placement':
-                if (answers['question-1'] === 'financial_data') {
-                    recommendations.push('Use dedicated encrypted storage for financial data with geographic restrictions');
-                }
-                if (answers['question-5'] === 'enterprise') {
-                    recommendations.push('Implement multi-region data placement strategy for disaster recovery');
-                }
-                break;
-                
-            case 'controls':
-                if (answers['question-4'] === 'open_access') {
-                    recommendations.push('PRIORITY: Implement immediate access controls - current open access poses significant risk');
-                }
-                if (Array.isArray(answers['question-3']) && answers['question-3'].includes('sox')) {
-                    recommendations.push('Implement SOX-compliant audit controls with detailed logging');
-                }
-                break;
-                
-            case 'sharing':
-                if (answers['question-2'] === 'basic') {
-                    recommendations.push('Start with simple approval workflows before implementing complex sharing protocols');
-                }
-                break;
-                
-            case 'compliance':
-                if (Array.isArray(answers['question-3'])) {
-                    const frameworks = answers['question-3'];
-                    frameworks.forEach(framework => {
-                        switch (framework) {
-                            case 'gdpr':
-                                recommendations.push('Implement GDPR-specific data mapping and consent management');
-                                break;
-                            case 'hipaa':
-                                recommendations.push('Deploy HIPAA-compliant encryption and access audit systems');
-                                break;
-                            case 'sox':
-                                recommendations.push('Establish SOX-compliant financial data controls and reporting');
-                                break;
-                        }
-                    });
-                }
-                break;
+    static getContextualRecommendations(sectionName, assessment, scoreResult, explanations = [], context = null) {
+        if (typeof SnippetLibrary === 'undefined') {
+            return [];
         }
-        
-        return recommendations;
+
+        const questions = StateManager?.getState('config.questions') || [];
+        const matches = SnippetLibrary.match(sectionName, context || this.buildRecommendationContext(assessment, scoreResult));
+
+        return matches.map(({ snippet, text, trace }) => {
+            const recommendation = RecommendationModel.normalize(text, {
+                ...(snippet.recommendation || {}),
+                id: `${snippet.id}-${sectionName}`,
+                section: sectionName,
+                source: 'contextual',
+                sourceId: snippet.id
+            });
+
+            // Record the answers behind each recommendation for the "Why?" explanation
+            if (typeof ExplanationBuilder !== 'undefined') {
+                explanations.push({
+                    section: sectionName,
+                    text: recommendation.description,
+                    recommendationId: recommendation.id,
+                    ...ExplanationBuilder.fromSnippet(snippet, trace, questions)
+                });
+            }
+
+            return recommendation;
+        });
     }
 
     /**
      * Apply rules engine results
      */
-    static async applyRulesEngine(assessment) {
+    static async applyRulesEngine(assessment, options = {}) {
         if (typeof RulesEngine === 'undefined') {
             return { recommendations: [], actions: [] };
         }
@@ -518,7 +529,8 @@ class RecommendationEngine {
         try {
             const rulesResults = RulesEngine.evaluateAssessment(
                 assessment.answers, 
-                assessment.id
+                assessment.id,
+                { ...options, assessment: assessment }
             );
             
             return rulesResults;
@@ -532,16 +544,32 @@ class RecommendationEngine {
      * Merge recommendations from different sources
      */
     static mergeRecommendations(templateRecommendations, rulesResults, template) {
-        const merged = { ...templateRecommendations };
+        const merged = {
+            ...templateRecommendations,
+            explanations: [...(templateRecommendations.explanations || [])],
+            trace: rulesResults.trace || []
+        };
+        const questions = StateManager?.getState('config.questions') || [];
         
-        // Add rules-based recommendations
+        // Add rules-based recommendations, each linked to the trace of the rule that produced it
         if (rulesResults.recommendations && rulesResults.recommendations.length > 0) {
             if (!merged.sections.rules) {
                 merged.sections.rules = [];
             }
             
             rulesResults.recommendations.forEach(rec => {
-                merged.sections.rules.push(rec.message || 'Rule-based recommendation');
+                const traceEntry = merged.trace.find(entry => entry.ruleId === rec.ruleId);
+                const recommendation = RecommendationModel.fromRuleRecommendation(rec, traceEntry);
+                merged.sections.rules.push(recommendation);
+
+                if (traceEntry && typeof ExplanationBuilder !== 'undefined') {
+                    merged.explanations.push({
+                        section: 'rules',
+                        text: recommendation.description,
+                        recommendationId: recommendation.id,
+                        ...ExplanationBuilder.fromRuleTrace(traceEntry, questions)
+                    });
+                }
             });
         }
 
@@ -555,20 +583,69 @@ class RecommendationEngine {
         return merged;
     }
 
+    /**
+     * Compare category maturity with the assessment's target profile
+     */
+    static analyzeGaps(assessment, scoreResult) {
+        if (typeof GapAnalyzer === 'undefined') {
+            return null;
+        }
+
+        try {
+            return GapAnalyzer.analyze(scoreResult, GapAnalyzer.getTargets(assessment));
+        } catch (error) {
+            console.error('Error analyzing maturity gaps:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Generate the phased implementation roadmap for merged recommendations
+     * The plan starts when the assessment was completed.
+     */
+    static generateRoadmap(recommendations, assessment) {
+        if (typeof RoadmapGenerator === 'undefined') {
+            return null;
+        }
+
+        try {
+            return RoadmapGenerator.generate(recommendations, { start: assessment.completed || new Date() });
+        } catch (error) {
+            console.error('Error generating roadmap:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the rule versions an assessment was evaluated against
+     */
+    static getRuleVersions(rulesResults) {
+        const versions = {};
+        (rulesResults?.trace || []).forEach(entry => {
+            versions[entry.ruleId] = entry.ruleVersion || null;
+        });
+        return versions;
+    }
+
+    /**
+     * Get the explanation recorded for a recommendation
+     * @param {Object|string} recommendation - Recommendation, or its text in results saved before structured recommendations
+     */
+    static getExplanation(result, sectionName, recommendation) {
+        const explanations = result?.recommendations?.explanations || result?.explanations || [];
+        const id = typeof recommendation === 'object' ? recommendation?.id : null;
+        const text = typeof recommendation === 'object' ? recommendation?.description : recommendation;
+
+        return (id && explanations.find(explanation => explanation.recommendationId === id))
+            || explanations.find(explanation => explanation.section === sectionName && explanation.text === text)
+            || null;
+    }
+
     /**
      * Prioritize recommendations within a section
      */
     static prioritizeRecommendations(recommendations) {
-        return recommendations.sort((a, b) => {
-            // PRIORITY items first
-            const aPriority = typeof a === 'string' && a.includes('PRIORITY');
-            const bPriority = typeof b === 'string' && b.includes('PRIORITY');
-            
-            if (aPriority && !bPriority) return -1;
-            if (!aPriority && bPriority) return 1;
-            
-            return 0;
-        });
+        return RecommendationModel.sort(recommendations);
     }
 
     /**
@@ -584,7 +661,13 @@ class RecommendationEngine {
     static generateCacheKey(assessment) {
         const answersString = JSON.stringify(assessment.answers);
         const questionsVersion = StateManager?.getState('config.lastModified') || 'v1';
-        return `${assessment.id}-${btoa(answersString)}-${questionsVersion}`;
+        const rulesVersion = typeof RulesEngine !== 'undefined'
+            ? JSON.stringify(RulesEngine.getRuleVersions())
+            : '';
+        const targets = typeof GapAnalyzer !== 'undefined'
+            ? JSON.stringify(GapAnalyzer.getTargets(assessment).categories)
+            : '';
+        return `${assessment.id}-${btoa(answersString)}-${questionsVersion}-${btoa(rulesVersion)}-${btoa(targets)}`;
     }
 
     /**
@@ -0,0 +1,283 @@
+// js/engine/recommendation-model.js - Recommendation Model
+
+/**
+ * Recommendation Model for Data Governance Decision Tool
+ * The structured recommendation shared by templates, the snippet library,
+ * rules, the results view and the exports:
+ *
+ * { id, title, description, rationale, priority, effort, impact, ownerRole,
+ *   dueWindow, relatedControls, dependsOn, focus, source, sourceId, section }
+ *
+ * priority is critical/high/medium/low, effort and impact are low/medium/high,
+ * dueWindow is a duration such as "90 days" and source is template,
+ * contextual or rule. dependsOn lists the IDs of recommendations (or of the
+ * snippets and rules producing them) that must be done first. focus is set by
+ * GapAnalyzer when the recommendation addresses one of the biggest maturity
+ * gaps: { category, gap, rank }. Plain-text recommendations from older templates and
+ * stored results are migrated with normalize().
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RecommendationModel {
+    static PRIORITIES = ['critical', 'high', 'medium', 'low'];
+    static LEVELS = ['low', 'medium', 'high'];
+    static SOURCES = ['template', 'contextual', 'rule'];
+
+    // Older priority names used by rule actions
+    static PRIORITY_ALIASES = { urgent: 'critical', normal: 'medium', minor: 'low' };
+
+    // Suggested due window when a recommendation does not set one
+    static DEFAULT_DUE_WINDOWS = { critical: '30 days', high: '90 days', medium: '6 months', low: '12 months' };
+
+    static TITLE_LENGTH = 80;
+
+    /**
+     * Create a recommendation, filling in defaults
+     * @param {Object} fields - Any recommendation fields; description or title is required
+     */
+    static create(fields = {}) {
+        const description = String(fields.description ?? fields.text ?? fields.message ?? '').trim();
+        const priority = this.normalizePriority(fields.priority);
+        const section = fields.section || null;
+
+        return {
+            id: fields.id || this.generateId(section, description || fields.title),
+            title: String(fields.title || this.deriveTitle(description)).trim(),
+            description: description || String(fields.title || '').trim(),
+            rationale: fields.rationale || '',
+            priority: priority,
+            effort: this.normalizeLevel(fields.effort),
+            impact: this.normalizeLevel(fields.impact),
+            ownerRole: fields.ownerRole || '',
+            dueWindow: fields.dueWindow || this.DEFAULT_DUE_WINDOWS[priority],
+            relatedControls: this.toList(fields.relatedControls),
+            dependsOn: this.toList(fields.dependsOn),
+            focus: fields.focus || null,
+            source: this.SOURCES.includes(fields.source) ? fields.source : 'template',
+            sourceId: fields.sourceId || null,
+            section: section
+        };
+    }
+
+    /**
+     * Turn a plain-text or partial recommendation into a full one
+     * Text starting with "PRIORITY" becomes a critical recommendation.
+     * @param {string|Object} item - Recommendation text or object
+     * @param {Object} defaults - Fields to use where the item has none (source, section, ...)
+     */
+    static normalize(item, defaults = {}) {
+        if (typeof item === 'string') {
+            const urgent = /^\s*PRIORITY\b\s*:?\s*/.exec(item);
+            return this.create({
+                ...defaults,
+                description: urgent ? item.slice(urgent[0].length) : item,
+                priority: urgent ? 'critical' : defaults.priority
+            });
+        }
+
+        if (!item || typeof item !== 'object') {
+            return null;
+        }
+
+        return this.create({ ...defaults, ...item, section: item.section || defaults.section });
+    }
+
+    /**
+     * Build a recommendation from a rules-engine recommend action result
+     */
+    static fromRuleRecommendation(recommendation, rule = {}) {
+        const data = recommendation.data || {};
+
+        return this.create({
+            ...data,
+            id: recommendation.id,
+            title: recommendation.title || data.title,
+            description: recommendation.message || data.description || 'Rule-based recommendation',
+            rationale: recommendation.rationale || data.rationale || (rule.ruleName ? `Raised by the rule "${rule.ruleName}"` : ''),
+            priority: recommendation.priority,
+            effort: recommendation.effort || data.effort,
+            impact: recommendation.impact || data.impact,
+            ownerRole: recommendation.ownerRole || data.ownerRole,
+            dueWindow: recommendation.dueWindow || data.dueWindow,
+            relatedControls: recommendation.relatedControls || data.relatedControls,
+            dependsOn: recommendation.dependsOn || data.dependsOn,
+            source: 'rule',
+            sourceId: recommendation.ruleId || null,
+            section: 'rules'
+        });
+    }
+
+    /**
+     * Sort by priority, then gap focus (biggest gap first), then higher impact,
+     * then lower effort; ties keep their order
+     */
+    static sort(recommendations) {
+        const rank = (list, value) => {
+            const index = list.indexOf(value);
+            return index >= 0 ? index : list.length;
+        };
+
+        return [...recommendations].sort((a, b) =>
+            (rank(this.PRIORITIES, a.priority) - rank(this.PRIORITIES, b.priority)) ||
+            ((a.focus?.rank || Infinity) - (b.focus?.rank || Infinity) || 0) ||
+            (rank(this.LEVELS, b.impact) - rank(this.LEVELS, a.impact)) ||
+            (rank(this.LEVELS, a.effort) - rank(this.LEVELS, b.effort))
+        );
+    }
+
+    /**
+     * All recommendations of a result (or a list), with their section, sorted
+     * @param {Object|Array} result - Recommendation engine result, its recommendations, or a list
+     */
+    static flatten(result) {
+        if (Array.isArray(result)) {
+            return this.sort(result.map(item => this.normalize(item)).filter(Boolean));
+        }
+
+        const sections = result?.recommendations?.sections || result?.sections || {};
+        const all = Object.entries(sections).flatMap(([section, items]) =>
+            (items || []).map(item => this.normalize(item, {
+                section,
+                source: section === 'rules' ? 'rule' : 'template'
+            })).filter(Boolean));
+        return this.sort(all);
+    }
+
+    /**
+     * Migrate a stored result whose sections hold plain text
+     * Sources are taken from the recorded explanations, which are linked to
+     * the migrated recommendations by ID.
+     */
+    static migrateResult(result) {
+        const holder = result?.recommendations?.sections ? result.recommendations : result;
+        if (!holder?.sections) {
+            return result;
+        }
+
+        const explanations = (holder.explanations || []).map(explanation => ({ ...explanation }));
+        const sections = {};
+
+        Object.entries(holder.sections).forEach(([section, items]) => {
+            sections[section] = (items || []).map(item => {
+                if (item && typeof item === 'object' && item.id && item.priority) {
+                    return item;
+                }
+
+                const text = typeof item === 'string' ? item : item?.description || item?.text || '';
+                const explanation = explanations.find(entry =>
+                    entry.section === section && entry.text === text && !entry.recommendationId);
+                const recommendation = this.normalize(item, {
+                    section,
+                    source: explanation?.source || (section === 'rules' ? 'rule' : 'template')
+                });
+
+                if (explanation) {
+                    explanation.recommendationId = recommendation.id;
+                }
+                return recommendation;
+            }).filter(Boolean);
+        });
+
+        const migrated = { ...holder, sections, explanations };
+        return holder === result ? migrated : { ...result, recommendations: migrated };
+    }
+
+    /**
+     * Check recommendation fields before saving
+     * @returns {Array} Error messages
+     */
+    static validate(fields = {}) {
+        const errors = [];
+        const value = name => String(fields[name] || '').toLowerCase();
+
+        if (fields.priority && !this.PRIORITIES.includes(this.PRIORITY_ALIASES[value('priority')] || value('priority'))) {
+            errors.push(`Unknown priority "${fields.priority}"; use ${this.PRIORITIES.join(', ')}`);
+        }
+        ['effort', 'impact'].forEach(name => {
+            if (fields[name] && !this.LEVELS.includes(value(name))) {
+                errors.push(`Unknown ${name} "${fields[name]}"; use ${this.LEVELS.join(', ')}`);
+            }
+        });
+        if (fields.dueWindow && typeof RulesEngine !== 'undefined' && !RulesEngine.parseDuration(fields.dueWindow)) {
+            errors.push(`Due window "${fields.dueWindow}" is not a duration; use e.g. "90 days" or "6 months"`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * The date a recommendation is due when work starts on a date
+     */
+    static getDueDate(recommendation, start = new Date()) {
+        if (typeof RulesEngine === 'undefined' || !recommendation?.dueWindow) {
+            return null;
+        }
+
+        const duration = RulesEngine.parseDuration(recommendation.dueWindow);
+        return duration ? RulesEngine.addDuration(new Date(start), duration, 1) : null;
+    }
+
+    /**
+     * A short title from recommendation text: its first clause, cut at a word
+     */
+    static deriveTitle(text) {
+        const clause = String(text || '').split(/\s+-\s+|[.;](?:\s|$)/)[0].trim();
+        if (clause.length <= this.TITLE_LENGTH) {
+            return clause;
+        }
+
+        const cut = clause.slice(0, this.TITLE_LENGTH);
+        return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length) + '…';
+    }
+
+    /**
+     * Normalize a priority name
+     */
+    static normalizePriority(priority) {
+        const value = String(priority || '').toLowerCase();
+        const normalized = this.PRIORITY_ALIASES[value] || value;
+        return this.PRIORITIES.includes(normalized) ? normalized : 'medium';
+    }
+
+    /**
+     * Normalize an effort or impact level
+     */
+    static normalizeLevel(level) {
+        const value = String(level || '').toLowerCase();
+        return this.LEVELS.includes(value) ? value : 'medium';
+    }
+
+    /**
+     * A list from an array or comma-separated text
+     */
+    static toList(value) {
+        if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+        if (!value) return [];
+        return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Stable ID from a recommendation's section and text, so the same
+     * recommendation keeps its ID between assessments
+     */
+    static generateId(section, text) {
+        const input = `${section || ''}|${text || ''}`;
+        let hash = 5381;
+        for (let i = 0; i < input.length; i++) {
+            hash = ((hash << 5) + hash + input.charCodeAt(i)) >>> 0;
+        }
+        return 'rec-' + hash.toString(36);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecommendationModel;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RecommendationModel = RecommendationModel;
+}
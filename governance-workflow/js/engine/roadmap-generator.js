@@ -0,0 +1,265 @@
+// js/engine/roadmap-generator.js - Implementation Roadmap Generator
+
+/**
+ * Roadmap Generator for Data Governance Decision Tool
+ * Turns a recommendation result into a phased implementation plan. Each
+ * recommendation is placed in a phase by priority and effort, no later than
+ * its due window, and after the recommendations it depends on:
+ *
+ * - explicit dependencies: a recommendation's dependsOn lists the IDs of
+ *   recommendations (or the snippets and rules that produce them)
+ * - section prerequisites: critical recommendations in a prerequisite
+ *   section (e.g. controls) come before sharing, automation and monitoring
+ *
+ * The roadmap fills the template timeline (phases) and budget (effort
+ * estimate per phase and owner role) sections.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RoadmapGenerator {
+    static PHASES = [
+        { id: 'quick_wins', name: 'Quick Wins', description: 'Urgent and low-effort, high-impact actions', startDay: 0, endDay: 30 },
+        { id: 'days_90', name: '90 Days', description: 'High-priority foundations', startDay: 30, endDay: 90 },
+        { id: 'months_6', name: '6 Months', description: 'Core governance capabilities', startDay: 90, endDay: 182 },
+        { id: 'months_12', name: '12 Months', description: 'Maturity and optimization', startDay: 182, endDay: 365 }
+    ];
+
+    // Phase index by priority, for low, medium and high effort
+    static PHASE_MATRIX = {
+        critical: [0, 0, 1],
+        high: [0, 1, 2],
+        medium: [1, 2, 3],
+        low: [2, 3, 3]
+    };
+
+    // Sections whose critical recommendations must come first
+    static SECTION_PREREQUISITES = {
+        sharing: ['controls'],
+        automation: ['controls', 'placement'],
+        monitoring: ['controls']
+    };
+
+    // Working days and person-weeks an item of each effort takes
+    static EFFORT_DAYS = { low: 14, medium: 45, high: 90 };
+    static EFFORT_PERSON_WEEKS = { low: 2, medium: 6, high: 16 };
+
+    /**
+     * Generate a roadmap
+     * @param {Object|Array} recommendations - Recommendation result or list (see RecommendationModel.flatten)
+     * @param {Object} options - { start: date the plan starts }
+     * @returns {Object} { start, end, phases: [{ id, name, description, startDay, endDay, start, end,
+     *   items }], items, budget, warnings }
+     */
+    static generate(recommendations, options = {}) {
+        const start = new Date(options.start || Date.now());
+        const items = RecommendationModel.flatten(recommendations).map(recommendation => ({
+            recommendation,
+            phase: this.getBasePhase(recommendation),
+            reasons: [this.describePlacement(recommendation)],
+            dependsOn: []
+        }));
+        const warnings = [];
+
+        this.schedule(items, warnings);
+
+        const phases = this.PHASES.map((phase, index) => ({
+            ...phase,
+            start: this.addDays(start, phase.startDay),
+            end: this.addDays(start, phase.endDay),
+            items: items.filter(item => item.phase === index).map(item => this.toRoadmapItem(item, start))
+        }));
+        const lastDay = Math.max(this.PHASES[this.PHASES.length - 1].endDay, ...items.map(item => item.endDay));
+
+        return {
+            start: start.toISOString(),
+            end: this.addDays(start, lastDay),
+            totalDays: lastDay,
+            phases,
+            items: phases.flatMap(phase => phase.items),
+            budget: this.estimateBudget(phases),
+            warnings,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Phase from priority and effort, no later than the due window
+     * Low-effort, high-impact work is always a quick win.
+     */
+    static getBasePhase(recommendation) {
+        const effortIndex = RecommendationModel.LEVELS.indexOf(recommendation.effort);
+        const byPriority = (this.PHASE_MATRIX[recommendation.priority] || this.PHASE_MATRIX.medium)[effortIndex];
+        const quickWin = recommendation.effort === 'low' && recommendation.impact === 'high' ? 0 : byPriority;
+        return Math.min(quickWin, this.getDuePhase(recommendation));
+    }
+
+    /**
+     * The last phase that ends within a recommendation's due window
+     */
+    static getDuePhase(recommendation) {
+        const dueDays = this.getDueDays(recommendation);
+        if (dueDays === null) return this.PHASES.length - 1;
+
+        const index = this.PHASES.findIndex(phase => phase.endDay >= dueDays);
+        return index >= 0 ? index : this.PHASES.length - 1;
+    }
+
+    /**
+     * A recommendation's due window in days, or null when it has none
+     */
+    static getDueDays(recommendation) {
+        const duration = recommendation.dueWindow ? RulesEngine.parseDuration(recommendation.dueWindow) : null;
+        if (!duration) return null;
+        return Math.round(duration.years * 365 + duration.months * 30.4 + duration.days + duration.hours / 24);
+    }
+
+    /**
+     * Recommendations an item depends on
+     */
+    static findDependencies(item, items) {
+        const { recommendation } = item;
+        const explicit = (recommendation.dependsOn || []).flatMap(reference => items.filter(other =>
+            other !== item && (other.recommendation.id === reference || other.recommendation.sourceId === reference)));
+
+        const sections = this.SECTION_PREREQUISITES[recommendation.section] || [];
+        const prerequisites = recommendation.priority === 'critical' ? [] : items.filter(other =>
+            other !== item &&
+            sections.includes(other.recommendation.section) &&
+            other.recommendation.priority === 'critical');
+
+        return [...new Set([...explicit, ...prerequisites])];
+    }
+
+    /**
+     * Set each item's phase, start and end day, dependencies first
+     * An item starts once its dependencies end, in its own phase when that is
+     * before the phase ends and in a later phase otherwise. Dependency cycles
+     * and work pushed past its due window are reported as warnings.
+     */
+    static schedule(items, warnings = []) {
+        items.forEach(item => {
+            item.dependsOn = this.findDependencies(item, items);
+        });
+
+        const scheduled = new Set();
+        const lastPhase = this.PHASES.length - 1;
+        const place = (item, visiting = new Set()) => {
+            if (scheduled.has(item)) return;
+            if (visiting.has(item)) {
+                warnings.push(`"${item.recommendation.title}" is part of a dependency cycle; its order is arbitrary`);
+                return;
+            }
+            visiting.add(item);
+            item.dependsOn.forEach(dependency => place(dependency, visiting));
+
+            const ready = item.dependsOn.filter(dependency => scheduled.has(dependency));
+            const blocker = ready.reduce((latest, dependency) =>
+                (!latest || dependency.endDay > latest.endDay ? dependency : latest), null);
+            const readyDay = blocker ? blocker.endDay : 0;
+            const basePhase = item.phase;
+
+            item.phase = Math.max(item.phase, ...ready.map(dependency => dependency.phase));
+            while (item.phase < lastPhase && readyDay >= this.PHASES[item.phase].endDay) {
+                item.phase++;
+            }
+            if (item.phase > basePhase) {
+                item.reasons.push(`Waits for "${blocker.recommendation.title}"`);
+            }
+
+            const phase = this.PHASES[item.phase];
+            const length = phase.endDay - phase.startDay;
+            item.startDay = Math.max(phase.startDay, readyDay);
+            item.endDay = item.startDay + Math.min(this.EFFORT_DAYS[item.recommendation.effort] || length, length);
+            scheduled.add(item);
+
+            if (item.phase > this.getDuePhase(item.recommendation)) {
+                warnings.push(`"${item.recommendation.title}" is scheduled after its due window (${item.recommendation.dueWindow}) because of its dependencies`);
+            }
+        };
+
+        items.forEach(item => place(item));
+    }
+
+    /**
+     * Roadmap entry for a scheduled recommendation
+     */
+    static toRoadmapItem(item, start) {
+        const { recommendation } = item;
+        return {
+            recommendationId: recommendation.id,
+            title: recommendation.title,
+            section: recommendation.section,
+            priority: recommendation.priority,
+            effort: recommendation.effort,
+            impact: recommendation.impact,
+            ownerRole: recommendation.ownerRole,
+            phase: this.PHASES[item.phase].id,
+            startDay: item.startDay,
+            endDay: item.endDay,
+            start: this.addDays(start, item.startDay),
+            end: this.addDays(start, item.endDay),
+            dependsOn: item.dependsOn.map(dependency => dependency.recommendation.id),
+            reason: item.reasons.join('; ')
+        };
+    }
+
+    /**
+     * Effort estimate per phase and owner role, in person-weeks
+     */
+    static estimateBudget(phases) {
+        const byOwner = {};
+        const phaseBudgets = phases.map(phase => {
+            const effort = { low: 0, medium: 0, high: 0 };
+            let personWeeks = 0;
+
+            phase.items.forEach(item => {
+                const weeks = this.EFFORT_PERSON_WEEKS[item.effort] || 0;
+                effort[item.effort] = (effort[item.effort] || 0) + 1;
+                personWeeks += weeks;
+
+                const owner = item.ownerRole || 'Unassigned';
+                byOwner[owner] = (byOwner[owner] || 0) + weeks;
+            });
+
+            return { phaseId: phase.id, name: phase.name, items: phase.items.length, effort, personWeeks };
+        });
+
+        return {
+            unit: 'person-weeks',
+            phases: phaseBudgets,
+            byOwner,
+            totalPersonWeeks: phaseBudgets.reduce((sum, phase) => sum + phase.personWeeks, 0)
+        };
+    }
+
+    /**
+     * Why a recommendation starts in its phase
+     */
+    static describePlacement(recommendation) {
+        if (recommendation.effort === 'low' && recommendation.impact === 'high') {
+            return 'Low effort, high impact';
+        }
+        return `${recommendation.priority.charAt(0).toUpperCase() + recommendation.priority.slice(1)} priority, ${recommendation.effort} effort, due within ${recommendation.dueWindow}`;
+    }
+
+    /**
+     * ISO date a number of days after a start date
+     */
+    static addDays(start, days) {
+        const date = new Date(start.getTime());
+        date.setDate(date.getDate() + days);
+        return date.toISOString();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoadmapGenerator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RoadmapGenerator = RoadmapGenerator;
+}
@@ -0,0 +1,229 @@
+// js/engine/rule-coverage-analyzer.js - Rule Coverage Analytics
+
+/**
+ * Rule Coverage Analyzer for Data Governance Decision Tool
+ * Replays completed assessments through the rules engine and reports how
+ * often each rule and each of its conditions matched
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleCoverageAnalyzer {
+    static STORAGE_KEY = 'completed_assessments';
+
+    // Actions without side effects outside the evaluation context; notify and
+    // trigger_workflow are left out so a replay never sends or starts anything
+    static REPLAY_ACTION_TYPES = ['score', 'recommend', 'route', 'validate', 'set_variable'];
+
+    /**
+     * Replay completed assessments and collect match counts
+     * @param {Array} rules - Rules to analyse (defaults to the active rules)
+     * @param {Array} assessments - Completed assessments (defaults to stored ones)
+     */
+    static analyze(rules = null, assessments = null) {
+        if (typeof RulesEngine === 'undefined') {
+            throw new Error('Rules Engine not available for coverage analysis');
+        }
+
+        const rulesToReplay = rules || RulesEngine.rules.filter(rule => rule.active !== false);
+        const replayed = (assessments || this.getCompletedAssessments())
+            .filter(assessment => assessment && assessment.answers);
+
+        const coverage = new Map(rulesToReplay.map(rule => [rule.id, {
+            ruleId: rule.id,
+            ruleName: rule.name || rule.id,
+            category: rule.category || '',
+            evaluated: 0,
+            matched: 0,
+            errors: 0,
+            conditions: this.describeConditionTree(rule.conditions)
+        }]));
+
+        replayed.forEach(assessment => {
+            const results = RulesEngine.evaluateRules(this.buildContext(assessment), rulesToReplay, {
+                actionTypes: this.REPLAY_ACTION_TYPES,
+                silent: true
+            });
+
+            results.trace.forEach(entry => {
+                const ruleCoverage = coverage.get(entry.ruleId);
+                if (!ruleCoverage) return;
+
+                ruleCoverage.evaluated++;
+                if (entry.error) {
+                    ruleCoverage.errors++;
+                    return;
+                }
+                if (entry.matched) {
+                    ruleCoverage.matched++;
+                }
+                this.countConditions(ruleCoverage.conditions, entry.conditions);
+            });
+        });
+
+        const ruleReports = Array.from(coverage.values()).map(ruleCoverage => ({
+            ...ruleCoverage,
+            matchRate: this.rate(ruleCoverage.matched, ruleCoverage.evaluated),
+            conditions: ruleCoverage.conditions.map(condition => ({
+                ...condition,
+                hitRate: this.rate(condition.matched, condition.evaluated)
+            }))
+        }));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            assessmentCount: replayed.length,
+            rules: ruleReports,
+            neverMatched: replayed.length > 0
+                ? ruleReports.filter(rule => rule.matched === 0).map(rule => rule.ruleId)
+                : [],
+            alwaysMatched: replayed.length > 0
+                ? ruleReports.filter(rule => rule.evaluated > 0 && rule.matched === rule.evaluated).map(rule => rule.ruleId)
+                : []
+        };
+    }
+
+    /**
+     * Get stored completed assessments
+     */
+    static getCompletedAssessments() {
+        if (typeof StorageManager === 'undefined') {
+            return [];
+        }
+        return StorageManager.getItem(this.STORAGE_KEY, []) || [];
+    }
+
+    /**
+     * Build the evaluation context an assessment had when it was submitted
+     */
+    static buildContext(assessment) {
+        return {
+            answers: assessment.answers,
+            assessmentId: assessment.id,
+            timestamp: assessment.completed || assessment.modified || new Date().toISOString(),
+            questions: typeof StateManager !== 'undefined'
+                ? StateManager.getState('config.questions') || []
+                : [],
+            lastAssessmentDate: RulesEngine.getLastAssessmentDate(assessment.id)
+        };
+    }
+
+    /**
+     * Flatten a condition tree into counters keyed by position ("0", "1.0", ...)
+     * Positions line up with the condition trace, which keeps the rule's structure.
+     */
+    static describeConditionTree(conditions, prefix = '', depth = 0) {
+        const counters = [];
+
+        (conditions?.rules || []).forEach((condition, index) => {
+            const path = prefix ? `${prefix}.${index}` : String(index);
+            const isGroup = condition && Array.isArray(condition.rules);
+
+            counters.push({
+                path: path,
+                depth: depth,
+                type: isGroup ? 'group' : 'condition',
+                label: isGroup
+                    ? `${(condition.operator || 'AND').toUpperCase()} group`
+                    : this.describeCondition(condition),
+                evaluated: 0,
+                matched: 0
+            });
+
+            if (isGroup) {
+                counters.push(...this.describeConditionTree(condition, path, depth + 1));
+            }
+        });
+
+        return counters;
+    }
+
+    /**
+     * Describe a single condition
+     */
+    static describeCondition(condition = {}) {
+        const subject = condition.expression ? `[${condition.expression}]` : condition.field;
+        const value = ['is_empty', 'is_not_empty'].includes(condition.operator)
+            ? ''
+            : ` ${JSON.stringify(condition.value)}`;
+        return `${subject} ${condition.operator}${value}`;
+    }
+
+    /**
+     * Add one replay's condition trace to the counters
+     */
+    static countConditions(counters, traceNodes = [], prefix = '') {
+        traceNodes.forEach((node, index) => {
+            const path = prefix ? `${prefix}.${index}` : String(index);
+            const counter = counters.find(item => item.path === path);
+
+            if (counter) {
+                counter.evaluated++;
+                if (node.matched) {
+                    counter.matched++;
+                }
+            }
+
+            if (node.type === 'group') {
+                this.countConditions(counters, node.conditions, path);
+            }
+        });
+    }
+
+    /**
+     * Percentage rounded to one decimal, or null when nothing was evaluated
+     */
+    static rate(matched, evaluated) {
+        return evaluated > 0 ? Math.round((matched / evaluated) * 1000) / 10 : null;
+    }
+
+    /**
+     * Export a coverage report as CSV, one row per rule followed by its conditions
+     */
+    static toCSV(report) {
+        const headers = ['Rule ID', 'Rule Name', 'Level', 'Condition', 'Evaluated', 'Matched', 'Rate (%)', 'Status'];
+        const rows = [headers];
+
+        report.rules.forEach(rule => {
+            let status = '';
+            if (report.neverMatched.includes(rule.ruleId)) status = 'Never matched';
+            if (report.alwaysMatched.includes(rule.ruleId)) status = 'Always matched';
+
+            rows.push([rule.ruleId, rule.ruleName, 'rule', '', rule.evaluated, rule.matched, rule.matchRate ?? '', status]);
+
+            rule.conditions.forEach(condition => {
+                rows.push([
+                    rule.ruleId,
+                    rule.ruleName,
+                    condition.type,
+                    condition.label,
+                    condition.evaluated,
+                    condition.matched,
+                    condition.hitRate ?? '',
+                    ''
+                ]);
+            });
+        });
+
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\n');
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     */
+    static escapeCSV(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleCoverageAnalyzer;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleCoverageAnalyzer = RuleCoverageAnalyzer;
+}
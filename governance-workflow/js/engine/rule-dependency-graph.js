@@ -0,0 +1,251 @@
+// js/engine/rule-dependency-graph.js - Rule Variable Dependencies
+
+/**
+ * Rule Dependency Graph for Data Governance Decision Tool
+ * Works out which rules read variables written by other rules' set_variable
+ * actions, orders rules so writers run before readers and finds cycles
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleDependencyGraph {
+    /**
+     * Build the dependency graph for a set of rules
+     * An edge from A to B means rule B reads a variable that rule A sets.
+     */
+    static build(rules = []) {
+        const writes = new Map();
+        rules.forEach(rule => writes.set(rule.id, this.getWrittenVariables(rule)));
+
+        const variables = {};
+        writes.forEach((names, ruleId) => {
+            names.forEach(name => {
+                if (!variables[name]) {
+                    variables[name] = { writers: [], readers: [] };
+                }
+                variables[name].writers.push(ruleId);
+            });
+        });
+
+        const nodes = rules.map(rule => {
+            const reads = this.getReadVariables(rule).filter(name => variables[name]);
+            reads.forEach(name => variables[name].readers.push(rule.id));
+
+            return {
+                id: rule.id,
+                name: rule.name || rule.id,
+                priority: rule.priority || 1,
+                writes: writes.get(rule.id),
+                reads: reads
+            };
+        });
+
+        const edges = [];
+        nodes.forEach(node => {
+            node.reads.forEach(variable => {
+                variables[variable].writers.forEach(writerId => {
+                    edges.push({ from: writerId, to: node.id, variable: variable });
+                });
+            });
+        });
+
+        const cycles = this.findCycles(nodes, edges);
+
+        return {
+            nodes: nodes,
+            edges: edges,
+            variables: variables,
+            cycles: cycles,
+            order: this.topologicalOrder(nodes, edges)
+        };
+    }
+
+    /**
+     * Variables a rule writes through context-scoped set_variable actions
+     */
+    static getWrittenVariables(rule) {
+        const names = new Set();
+        (rule.actions || []).forEach(action => {
+            const params = action.parameters || {};
+            if (action.type === 'set_variable' && params.variable && (params.scope || 'context') === 'context') {
+                names.add(params.variable);
+            }
+        });
+        return Array.from(names);
+    }
+
+    /**
+     * Names a rule reads from conditions and action expressions
+     * Includes answer IDs; callers keep only names some rule writes.
+     */
+    static getReadVariables(rule) {
+        const names = new Set();
+
+        const visitConditions = (group) => {
+            (group?.rules || []).forEach(condition => {
+                if (condition && Array.isArray(condition.rules)) {
+                    visitConditions(condition);
+                } else if (condition?.expression) {
+                    this.getExpressionIdentifiers(condition.expression).forEach(name => names.add(name));
+                } else if (condition?.field) {
+                    names.add(String(condition.field).split('.')[0]);
+                }
+            });
+        };
+        visitConditions(rule.conditions);
+
+        (rule.actions || []).forEach(action => {
+            const expression = action.parameters?.expression;
+            if (expression) {
+                this.getExpressionIdentifiers(expression).forEach(name => names.add(name));
+            }
+        });
+
+        return Array.from(names);
+    }
+
+    /**
+     * Identifiers used by an expression; unparseable expressions read nothing
+     */
+    static getExpressionIdentifiers(expression) {
+        if (typeof ExpressionEvaluator === 'undefined') {
+            return [];
+        }
+        try {
+            return ExpressionEvaluator.getIdentifiers(expression);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Order rule IDs so writers come before readers
+     * Ties keep the incoming (priority) order; rules in cycles follow in that order too.
+     */
+    static topologicalOrder(nodes, edges) {
+        const position = new Map(nodes.map((node, index) => [node.id, index]));
+        const incoming = new Map(nodes.map(node => [node.id, new Set()]));
+        const outgoing = new Map(nodes.map(node => [node.id, new Set()]));
+
+        edges.forEach(edge => {
+            if (edge.from !== edge.to) {
+                incoming.get(edge.to).add(edge.from);
+                outgoing.get(edge.from).add(edge.to);
+            }
+        });
+
+        const order = [];
+        const ready = nodes.filter(node => incoming.get(node.id).size === 0).map(node => node.id);
+        const placed = new Set();
+
+        while (ready.length > 0) {
+            ready.sort((a, b) => position.get(a) - position.get(b));
+            const id = ready.shift();
+            order.push(id);
+            placed.add(id);
+
+            outgoing.get(id).forEach(targetId => {
+                const sources = incoming.get(targetId);
+                sources.delete(id);
+                if (sources.size === 0 && !placed.has(targetId) && !ready.includes(targetId)) {
+                    ready.push(targetId);
+                }
+            });
+        }
+
+        // Rules left over are part of (or depend on) a cycle
+        nodes.forEach(node => {
+            if (!placed.has(node.id)) {
+                order.push(node.id);
+            }
+        });
+
+        return order;
+    }
+
+    /**
+     * Find dependency cycles (strongly connected components with more than one
+     * rule, or a rule that reads a variable it writes itself)
+     */
+    static findCycles(nodes, edges) {
+        const adjacency = new Map(nodes.map(node => [node.id, []]));
+        edges.forEach(edge => adjacency.get(edge.from)?.push(edge.to));
+
+        let index = 0;
+        const indices = new Map();
+        const lowLinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const cycles = [];
+
+        const connect = (id) => {
+            indices.set(id, index);
+            lowLinks.set(id, index);
+            index++;
+            stack.push(id);
+            onStack.add(id);
+
+            adjacency.get(id).forEach(targetId => {
+                if (!indices.has(targetId)) {
+                    connect(targetId);
+                    lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(targetId)));
+                } else if (onStack.has(targetId)) {
+                    lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(targetId)));
+                }
+            });
+
+            if (lowLinks.get(id) === indices.get(id)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== id);
+
+                if (component.length > 1 || adjacency.get(id).includes(id)) {
+                    cycles.push(component.reverse());
+                }
+            }
+        };
+
+        nodes.forEach(node => {
+            if (!indices.has(node.id)) {
+                connect(node.id);
+            }
+        });
+
+        return cycles;
+    }
+
+    /**
+     * Depth of each rule in the graph (longest chain of writers above it)
+     * Used to lay the graph out in columns; edges inside cycles are ignored.
+     */
+    static getLevels(graph) {
+        const cyclic = new Set(graph.cycles.flat());
+        const levels = new Map(graph.order.map(id => [id, 0]));
+
+        graph.order.forEach(id => {
+            graph.edges
+                .filter(edge => edge.to === id && edge.from !== id)
+                .filter(edge => !(cyclic.has(edge.from) && cyclic.has(edge.to)))
+                .forEach(edge => {
+                    levels.set(id, Math.max(levels.get(id), (levels.get(edge.from) || 0) + 1));
+                });
+        });
+
+        return levels;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleDependencyGraph;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleDependencyGraph = RuleDependencyGraph;
+}
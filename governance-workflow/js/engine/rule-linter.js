@@ -0,0 +1,509 @@
+// js/engine/rule-linter.js - Rule Static Analysis
+
+/**
+ * Rule Linter for Data Governance Decision Tool
+ * Checks rules without running them: condition sets that can never be true,
+ * references to deleted questions or options, operators that do not suit the
+ * question type, duplicate rules and conflicting recommendations
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleLinter {
+    // Context fields the rules engine provides besides answers and rule variables
+    static CONTEXT_FIELDS = ['answers', 'assessmentId', 'timestamp', 'user', 'questions', 'lastAssessmentDate', 'previous'];
+
+    static NUMERIC_OPERATORS = ['greater_than', 'less_than', 'greater_than_or_equal', 'less_than_or_equal', 'between'];
+    static VALUE_OPERATORS = ['equals', 'not_equals', 'contains', 'not_contains', 'in_list'];
+    static NUMERIC_TYPES = ['number-input', 'rating-scale'];
+    static TEMPORAL_OPERATORS = ['before', 'after', 'within', 'older_than'];
+    static LIST_OPERATORS = ['contains_any', 'contains_all', 'contains_none', 'subset_of', 'superset_of'];
+    static COUNT_OPERATORS = ['count_equals', 'count_at_least', 'count_at_most'];
+    static TREND_OPERATORS = ['increased', 'decreased', 'delta_greater_than', 'delta_less_than'];
+    static TEXT_OPERATORS = ['mentions_any', 'mentions_all', 'mentions_none', 'negates_any', 'similar_to'];
+    static TEXT_TYPES = ['text-input'];
+
+    /**
+     * Lint a set of rules
+     * @param {Array} rules - Rules to check against each other
+     * @param {Object} options - { questions: question definitions (defaults to config.questions),
+     *                             ruleIds: only report issues involving these rules }
+     * @returns {Object} { issues, errorCount, warningCount }
+     */
+    static lint(rules = [], options = {}) {
+        const questions = options.questions || this.getQuestions();
+        const variables = new Set();
+        if (typeof RuleDependencyGraph !== 'undefined') {
+            rules.forEach(rule => RuleDependencyGraph.getWrittenVariables(rule).forEach(name => variables.add(name)));
+        }
+
+        const lintContext = {
+            questions: questions,
+            questionsById: new Map(questions.map(question => [question.id, question])),
+            variables: variables
+        };
+
+        let issues = [];
+        rules.forEach(rule => {
+            issues.push(...this.lintRule(rule, lintContext));
+        });
+        issues.push(...this.findDuplicates(rules));
+        issues.push(...this.findConflicts(rules));
+
+        if (Array.isArray(options.ruleIds)) {
+            issues = issues.filter(issue =>
+                options.ruleIds.includes(issue.ruleId) || options.ruleIds.includes(issue.relatedRuleId)
+            );
+        }
+
+        return {
+            issues: issues,
+            errorCount: issues.filter(issue => issue.severity === 'error').length,
+            warningCount: issues.filter(issue => issue.severity === 'warning').length
+        };
+    }
+
+    /**
+     * Checks that only need the rule itself
+     */
+    static lintRule(rule, lintContext) {
+        const issues = [];
+        const add = (severity, code, message, path = null) => issues.push({
+            severity: severity,
+            code: code,
+            ruleId: rule.id,
+            ruleName: rule.name || rule.id,
+            message: message,
+            path: path
+        });
+
+        this.forEachCondition(rule.conditions, (condition, path) => {
+            this.checkReference(condition, lintContext, add, path);
+        });
+
+        const unsatisfiable = this.findUnsatisfiable(rule.conditions);
+        unsatisfiable.conflicts.forEach(conflict => {
+            add(
+                unsatisfiable.root ? 'error' : 'warning',
+                'unsatisfiable',
+                unsatisfiable.root
+                    ? `Conditions can never all be true: ${conflict.message}`
+                    : `Condition group ${conflict.path} can never be true: ${conflict.message}`,
+                conflict.path || null
+            );
+        });
+
+        (rule.actions || []).forEach((action, index) => {
+            this.checkActionReferences(action, lintContext, message => add('error', 'dead_reference', message, `actions.${index}`));
+        });
+
+        return issues;
+    }
+
+    /**
+     * Check that a condition's question and option values exist and suit the operator
+     */
+    static checkReference(condition, lintContext, add, path) {
+        if (condition.expression || !condition.field) return;
+
+        const field = String(condition.field).replace(/^answers\./, '');
+        const question = lintContext.questionsById.get(field);
+
+        if (!question) {
+            const root = field.split('.')[0];
+            const known = this.CONTEXT_FIELDS.includes(root) || lintContext.variables.has(root);
+            if (!known && lintContext.questions.length > 0) {
+                add('error', 'dead_reference', `Condition refers to unknown question or variable "${condition.field}"`, path);
+            }
+            return;
+        }
+
+        const operator = condition.operator;
+        const isMulti = question.type === 'multi-select';
+        const isNumeric = this.NUMERIC_TYPES.includes(question.type);
+        const options = Array.isArray(question.options) ? question.options : null;
+
+        // Operators that cannot work with the answer type
+        if (this.NUMERIC_OPERATORS.includes(operator)) {
+            const numericOptions = options && options.every(option => !isNaN(parseFloat(option.value)));
+            if (isMulti || question.type === 'text-input' || (options && !numericOptions)) {
+                add('error', 'type_mismatch',
+                    `"${operator}" compares numbers, but "${this.getQuestionLabel(question)}" is a ${question.type} question`, path);
+            }
+        } else if ((operator === 'equals' || operator === 'not_equals') && isMulti) {
+            add('error', 'type_mismatch',
+                `"${operator}" compares a single value, but "${this.getQuestionLabel(question)}" allows several answers; use contains or not_contains`, path);
+        } else if ((operator === 'contains' || operator === 'not_contains') && isNumeric) {
+            add('error', 'type_mismatch',
+                `"${operator}" needs a list or text answer, but "${this.getQuestionLabel(question)}" is a ${question.type} question`, path);
+        } else if (operator === 'regex_match' && (isMulti || isNumeric)) {
+            add('warning', 'type_mismatch',
+                `"regex_match" expects text, but "${this.getQuestionLabel(question)}" is a ${question.type} question`, path);
+        } else if ((this.LIST_OPERATORS.includes(operator) || this.COUNT_OPERATORS.includes(operator)) && !options) {
+            add('error', 'type_mismatch',
+                `"${operator}" compares selected options, but "${this.getQuestionLabel(question)}" is a ${question.type} question`, path);
+        } else if (this.TEMPORAL_OPERATORS.includes(operator) && question.type !== 'date-input') {
+            add('warning', 'type_mismatch',
+                `"${operator}" compares dates, but "${this.getQuestionLabel(question)}" is a ${question.type} question`, path);
+        } else if (this.TEXT_OPERATORS.includes(operator) && !this.TEXT_TYPES.includes(question.type)) {
+            add('warning', 'type_mismatch',
+                `"${operator}" analyses free text, but "${this.getQuestionLabel(question)}" is a ${question.type} question`, path);
+        } else if (this.TREND_OPERATORS.includes(operator) && !options && !isNumeric) {
+            add('warning', 'type_mismatch',
+                `"${operator}" measures movement in scores or numbers, but "${this.getQuestionLabel(question)}" is a ${question.type} question`, path);
+        }
+
+        // Option values that no longer exist
+        const optionValues = this.getOptionValues(condition);
+        if (options && optionValues) {
+            const known = new Set(options.map(option => String(option.value)));
+            const values = optionValues;
+            values
+                .filter(value => value !== undefined && value !== null && value !== '' && !known.has(String(value)))
+                .forEach(value => add('error', 'dead_reference',
+                    `"${this.getQuestionLabel(question)}" has no option "${value}"`, path));
+        }
+    }
+
+    /**
+     * Option values a condition names, or null when its value is not option values
+     */
+    static getOptionValues(condition) {
+        const { operator, value } = condition;
+        if (this.VALUE_OPERATORS.includes(operator)) {
+            return Array.isArray(value) ? value : [value];
+        }
+        if (this.LIST_OPERATORS.includes(operator) || operator === 'changed_from') {
+            return RulesEngine.toValueList(value);
+        }
+        if (this.COUNT_OPERATORS.includes(operator)) {
+            try {
+                return RulesEngine.parseCountValue(value).of;
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check questions named by route and validate actions
+     */
+    static checkActionReferences(action, lintContext, report) {
+        if (lintContext.questions.length === 0) return;
+
+        const params = action.parameters || {};
+        const exists = id => lintContext.questionsById.has(id);
+
+        if (action.type === 'route') {
+            if (params.mode === 'skip_to' && params.target && !exists(params.target)) {
+                report(`Route skips to unknown question "${params.target}"`);
+            }
+            if (params.mode === 'section' && params.target &&
+                !lintContext.questions.some(question => question.category === params.target)) {
+                report(`Route jumps to section "${params.target}", which has no questions`);
+            }
+            if (params.mode === 'insert') {
+                (Array.isArray(params.questions) ? params.questions : [params.questions || params.target])
+                    .filter(id => id && !exists(id))
+                    .forEach(id => report(`Route inserts unknown question "${id}"`));
+            }
+            if (params.after && !exists(params.after)) {
+                report(`Route hangs off unknown question "${params.after}"`);
+            }
+        } else if (action.type === 'validate' && params.field && !exists(params.field)) {
+            report(`Validation targets unknown question "${params.field}"`);
+        }
+    }
+
+    /**
+     * Work out whether a condition tree can never be true
+     * AND groups fail when any member fails or two members on one field clash;
+     * OR groups fail when every member fails. NOT and XOR groups are not analysed.
+     * Returns { root, conflicts } where root is true if the whole tree is unsatisfiable.
+     */
+    static findUnsatisfiable(conditions) {
+        const conflicts = [];
+        const reported = new Set();
+
+        const visit = (group, path) => {
+            const operator = (group?.operator || 'AND').toUpperCase();
+            const members = group?.rules || [];
+            const failing = members.map((member, index) => {
+                const memberPath = path ? `${path}.${index}` : String(index);
+                return member && Array.isArray(member.rules) ? visit(member, memberPath) : false;
+            });
+
+            if (operator === 'AND') {
+                // Nested AND groups are checked on their own first; only report new clashes here
+                const clashes = this.findClashes(this.collectAndLeaves(group))
+                    .filter(message => !reported.has(message));
+                clashes.forEach(message => reported.add(message));
+                clashes.forEach(message => conflicts.push({ path: path, message: message }));
+                return clashes.length > 0 || failing.some(Boolean);
+            }
+            if (operator === 'OR') {
+                return members.length > 0 && failing.every(Boolean);
+            }
+            return false;
+        };
+
+        const root = conditions ? visit(conditions, '') : false;
+        return { root: root, conflicts: conflicts };
+    }
+
+    /**
+     * Leaf conditions of an AND group, including those of AND groups nested in it
+     */
+    static collectAndLeaves(group) {
+        return (group?.rules || []).flatMap(member => {
+            if (!member) return [];
+            if (!Array.isArray(member.rules)) return [member];
+            return (member.operator || 'AND').toUpperCase() === 'AND' ? this.collectAndLeaves(member) : [];
+        });
+    }
+
+    /**
+     * Find pairs of leaf conditions on the same field that cannot both hold
+     */
+    static findClashes(leaves) {
+        const clashes = [];
+        const byField = new Map();
+
+        leaves
+            .filter(condition => condition.field && !condition.expression)
+            .forEach(condition => {
+                const field = String(condition.field).replace(/^answers\./, '');
+                if (!byField.has(field)) byField.set(field, []);
+                byField.get(field).push(condition);
+            });
+
+        byField.forEach((conditions, field) => {
+            const equals = conditions.filter(c => c.operator === 'equals').map(c => c.value);
+            const notEquals = conditions.filter(c => c.operator === 'not_equals').map(c => c.value);
+            const lists = conditions.filter(c => c.operator === 'in_list' && Array.isArray(c.value)).map(c => c.value);
+            const contains = conditions.filter(c => c.operator === 'contains').map(c => c.value);
+            const notContains = conditions.filter(c => c.operator === 'not_contains').map(c => c.value);
+            const same = (a, b) => String(a) === String(b);
+
+            const distinct = equals.filter((value, index) => equals.findIndex(other => same(other, value)) === index);
+            if (distinct.length > 1) {
+                clashes.push(`${field} cannot equal both ${distinct.map(v => JSON.stringify(v)).join(' and ')}`);
+            }
+
+            equals.forEach(value => {
+                if (notEquals.some(other => same(other, value))) {
+                    clashes.push(`${field} cannot both equal and not equal ${JSON.stringify(value)}`);
+                }
+                if (lists.some(list => !list.some(item => same(item, value)))) {
+                    clashes.push(`${field} equals ${JSON.stringify(value)}, which is outside its in_list values`);
+                }
+            });
+
+            contains.forEach(value => {
+                if (notContains.some(other => same(other, value))) {
+                    clashes.push(`${field} cannot both contain and not contain ${JSON.stringify(value)}`);
+                }
+            });
+
+            const operators = conditions.map(c => c.operator);
+            if (operators.includes('is_empty') &&
+                operators.some(op => op !== 'is_empty' && op !== 'not_equals' && op !== 'not_contains')) {
+                clashes.push(`${field} is required to be empty and to have a value`);
+            }
+
+            const range = this.getNumericRange(conditions, equals);
+            if (range && (range.min > range.max || (range.min === range.max && (range.minExclusive || range.maxExclusive)))) {
+                clashes.push(`no number satisfies every bound on ${field}`);
+            }
+        });
+
+        return clashes;
+    }
+
+    /**
+     * Combine numeric bounds (and numeric equals) on one field into a single range
+     */
+    static getNumericRange(conditions, equals) {
+        const range = { min: -Infinity, max: Infinity, minExclusive: false, maxExclusive: false };
+        let bounded = false;
+
+        const raise = (value, exclusive) => {
+            if (value > range.min || (value === range.min && exclusive)) {
+                range.min = value;
+                range.minExclusive = exclusive;
+            }
+            bounded = true;
+        };
+        const lower = (value, exclusive) => {
+            if (value < range.max || (value === range.max && exclusive)) {
+                range.max = value;
+                range.maxExclusive = exclusive;
+            }
+            bounded = true;
+        };
+
+        conditions.forEach(condition => {
+            const value = parseFloat(condition.value);
+            switch (condition.operator) {
+                case 'greater_than': if (!isNaN(value)) raise(value, true); break;
+                case 'greater_than_or_equal': if (!isNaN(value)) raise(value, false); break;
+                case 'less_than': if (!isNaN(value)) lower(value, true); break;
+                case 'less_than_or_equal': if (!isNaN(value)) lower(value, false); break;
+                case 'between':
+                    if (Array.isArray(condition.value) && condition.value.length === 2) {
+                        const min = parseFloat(condition.value[0]);
+                        const max = parseFloat(condition.value[1]);
+                        if (!isNaN(min)) raise(min, false);
+                        if (!isNaN(max)) lower(max, false);
+                    }
+                    break;
+            }
+        });
+
+        if (!bounded) return null;
+
+        equals.map(value => parseFloat(value)).filter(value => !isNaN(value)).forEach(value => {
+            raise(value, false);
+            lower(value, false);
+        });
+
+        return range;
+    }
+
+    /**
+     * Find rules with identical conditions and actions
+     */
+    static findDuplicates(rules) {
+        const issues = [];
+        const seen = new Map();
+
+        rules.forEach(rule => {
+            const key = JSON.stringify([rule.conditions || null, rule.actions || []]);
+            const original = seen.get(key);
+            if (original) {
+                issues.push({
+                    severity: 'warning',
+                    code: 'duplicate_rule',
+                    ruleId: rule.id,
+                    ruleName: rule.name || rule.id,
+                    relatedRuleId: original.id,
+                    message: `Same conditions and actions as rule "${original.name || original.id}"`,
+                    path: null
+                });
+            } else {
+                seen.set(key, rule);
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Find active rules that can match together but recommend the same
+     * template at different priorities
+     */
+    static findConflicts(rules) {
+        const issues = [];
+        const recommending = rules
+            .filter(rule => rule.active !== false)
+            .map(rule => ({
+                rule: rule,
+                recommendations: (rule.actions || [])
+                    .filter(action => action.type === 'recommend' && action.parameters?.template)
+                    .map(action => action.parameters)
+            }))
+            .filter(entry => entry.recommendations.length > 0);
+
+        for (let i = 0; i < recommending.length; i++) {
+            for (let j = i + 1; j < recommending.length; j++) {
+                const a = recommending[i];
+                const b = recommending[j];
+
+                const clash = a.recommendations.find(first => b.recommendations.some(second =>
+                    second.template === first.template &&
+                    (second.priority || 'normal') !== (first.priority || 'normal')
+                ));
+                if (!clash || !this.canMatchTogether(a.rule, b.rule)) continue;
+
+                const other = b.recommendations.find(second => second.template === clash.template);
+                issues.push({
+                    severity: 'warning',
+                    code: 'conflicting_recommendation',
+                    ruleId: b.rule.id,
+                    ruleName: b.rule.name || b.rule.id,
+                    relatedRuleId: a.rule.id,
+                    message: `Recommends template "${clash.template}" at ${other.priority || 'normal'} priority, ` +
+                        `while rule "${a.rule.name || a.rule.id}" recommends it at ${clash.priority || 'normal'} priority for overlapping answers`,
+                    path: null
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Whether two rules' conditions are not provably exclusive
+     */
+    static canMatchTogether(ruleA, ruleB) {
+        if (!ruleA.conditions || !ruleB.conditions) return true;
+        const combined = { operator: 'AND', rules: [ruleA.conditions, ruleB.conditions] };
+        return !this.findUnsatisfiable(combined).root;
+    }
+
+    /**
+     * Visit every leaf condition with its position ("0", "1.0", ...)
+     */
+    static forEachCondition(group, callback, prefix = '') {
+        (group?.rules || []).forEach((condition, index) => {
+            const path = prefix ? `${prefix}.${index}` : String(index);
+            if (condition && Array.isArray(condition.rules)) {
+                this.forEachCondition(condition, callback, path);
+            } else if (condition) {
+                callback(condition, path);
+            }
+        });
+    }
+
+    /**
+     * Get question definitions from application state or storage
+     */
+    static getQuestions() {
+        let questions = null;
+        if (typeof StateManager !== 'undefined') {
+            questions = StateManager.getState('config.questions');
+        }
+        if ((!questions || questions.length === 0) && typeof StorageManager !== 'undefined') {
+            questions = StorageManager.getItem('governance_questions');
+        }
+        return Array.isArray(questions) ? questions : [];
+    }
+
+    /**
+     * Short label for a question in messages
+     */
+    static getQuestionLabel(question) {
+        return question.title || question.id;
+    }
+
+    /**
+     * Format issues as plain text, one per line
+     */
+    static formatIssues(issues) {
+        return issues.map(issue =>
+            `${issue.severity === 'error' ? 'Error' : 'Warning'} – ${issue.ruleName}: ${issue.message}`
+        ).join('\n');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleLinter;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleLinter = RuleLinter;
+}
@@ -0,0 +1,192 @@
+// js/engine/rule-simulator.js - What-if Rule Simulation
+
+/**
+ * Rule Simulator for Data Governance Decision Tool
+ * Runs a draft rule set and the live rule set side by side over completed
+ * assessments and reports, per assessment, what the draft would change.
+ * Simulations are dry runs: nothing is cached, stored or announced.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleSimulator {
+    static STORAGE_KEY = 'completed_assessments';
+
+    /**
+     * Simulate a draft rule set against the live one
+     * @param {Array} draftRules - Rules as they would be after the edit
+     * @param {Object} options - { liveRules, assessments } (default to the engine's rules and stored assessments)
+     */
+    static async simulate(draftRules, options = {}) {
+        if (typeof RecommendationEngine === 'undefined') {
+            throw new Error('Recommendation Engine not available for simulation');
+        }
+
+        const liveRules = options.liveRules || RulesEngine.rules;
+        const assessments = (options.assessments || this.getCompletedAssessments())
+            .filter(assessment => assessment && assessment.answers);
+
+        const results = [];
+        for (const assessment of assessments) {
+            try {
+                const live = await RecommendationEngine.generateRecommendations(assessment, { rules: liveRules, dryRun: true });
+                const draft = await RecommendationEngine.generateRecommendations(assessment, { rules: draftRules, dryRun: true });
+                results.push(this.compare(assessment, live, draft));
+            } catch (error) {
+                results.push({
+                    assessmentId: assessment.id,
+                    completed: assessment.completed || assessment.modified || null,
+                    changed: false,
+                    error: error.message
+                });
+            }
+        }
+
+        const changed = results.filter(result => result.changed);
+        return {
+            generatedAt: new Date().toISOString(),
+            assessmentCount: results.length,
+            changedCount: changed.length,
+            summary: {
+                levelChanges: changed.filter(result => result.levelChanged).length,
+                scoreChanges: changed.filter(result => result.scoreDelta !== 0 || result.ruleScoreDelta !== 0).length,
+                recommendationsGained: changed.reduce((total, result) => total + result.gained.length, 0),
+                recommendationsLost: changed.reduce((total, result) => total + result.lost.length, 0),
+                errors: results.filter(result => result.error).length
+            },
+            assessments: results
+        };
+    }
+
+    /**
+     * Compare the live and draft results for one assessment
+     */
+    static compare(assessment, live, draft) {
+        const liveRecommendations = this.getRecommendationKeys(live);
+        const draftRecommendations = this.getRecommendationKeys(draft);
+        const liveMatched = this.getMatchedRuleIds(live);
+        const draftMatched = this.getMatchedRuleIds(draft);
+
+        const gained = [...draftRecommendations.keys()].filter(key => !liveRecommendations.has(key))
+            .map(key => draftRecommendations.get(key));
+        const lost = [...liveRecommendations.keys()].filter(key => !draftRecommendations.has(key))
+            .map(key => liveRecommendations.get(key));
+
+        const comparison = {
+            assessmentId: assessment.id,
+            completed: assessment.completed || assessment.modified || null,
+            live: this.summarize(live),
+            draft: this.summarize(draft),
+            levelChanged: live.level !== draft.level,
+            scoreDelta: (draft.score || 0) - (live.score || 0),
+            ruleScoreDelta: (draft.ruleScore || 0) - (live.ruleScore || 0),
+            gained: gained,
+            lost: lost,
+            rulesStartedMatching: draftMatched.filter(ruleId => !liveMatched.includes(ruleId)),
+            rulesStoppedMatching: liveMatched.filter(ruleId => !draftMatched.includes(ruleId))
+        };
+
+        comparison.changed = comparison.levelChanged ||
+            comparison.scoreDelta !== 0 ||
+            comparison.ruleScoreDelta !== 0 ||
+            gained.length > 0 ||
+            lost.length > 0;
+
+        return comparison;
+    }
+
+    /**
+     * The figures shown for each side of the comparison
+     */
+    static summarize(result) {
+        return {
+            score: result.score,
+            percentage: result.percentage,
+            ruleScore: result.ruleScore || 0,
+            level: result.level,
+            template: result.template?.id || null
+        };
+    }
+
+    /**
+     * Recommendations keyed by section and text
+     */
+    static getRecommendationKeys(result) {
+        const keys = new Map();
+        Object.entries(result.recommendations?.sections || {}).forEach(([section, items]) => {
+            (items || []).forEach(item => {
+                const text = typeof item === 'string' ? item : item?.description || item?.text || item?.title || JSON.stringify(item);
+                keys.set(`${section}\n${text}`, { section, text });
+            });
+        });
+        return keys;
+    }
+
+    /**
+     * IDs of the rules that matched
+     */
+    static getMatchedRuleIds(result) {
+        return (result.recommendations?.trace || [])
+            .filter(entry => entry.matched)
+            .map(entry => entry.ruleId);
+    }
+
+    /**
+     * Get stored completed assessments
+     */
+    static getCompletedAssessments() {
+        if (typeof StorageManager === 'undefined') {
+            return [];
+        }
+        return StorageManager.getItem(this.STORAGE_KEY, []) || [];
+    }
+
+    /**
+     * Export a simulation report as CSV, one row per assessment
+     */
+    static toCSV(report) {
+        const headers = [
+            'Assessment ID', 'Completed', 'Changed', 'Live Level', 'Draft Level', 'Live Score', 'Draft Score',
+            'Live Rule Score', 'Draft Rule Score', 'Recommendations Gained', 'Recommendations Lost', 'Error'
+        ];
+        const rows = [headers];
+
+        report.assessments.forEach(result => {
+            rows.push([
+                result.assessmentId,
+                result.completed || '',
+                result.changed ? 'yes' : 'no',
+                result.live?.level ?? '',
+                result.draft?.level ?? '',
+                result.live?.score ?? '',
+                result.draft?.score ?? '',
+                result.live?.ruleScore ?? '',
+                result.draft?.ruleScore ?? '',
+                (result.gained || []).map(item => `${item.section}: ${item.text}`).join('; '),
+                (result.lost || []).map(item => `${item.section}: ${item.text}`).join('; '),
+                result.error || ''
+            ]);
+        });
+
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\n');
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     */
+    static escapeCSV(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleSimulator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleSimulator = RuleSimulator;
+}
@@ -0,0 +1,381 @@
+// js/engine/rule-test-runner.js - Rule Test Suites
+
+/**
+ * Rule Test Runner for Data Governance Decision Tool
+ * Stores named test cases (an answer set plus expected outcomes) and runs
+ * them through RulesEngine.testRules, reporting differences per expectation
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleTestRunner {
+    static testCases = [];
+    static isLoaded = false;
+
+    static STORAGE_KEY = 'rule_test_suite';
+
+    /**
+     * Load test cases from storage
+     */
+    static load() {
+        this.testCases = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.STORAGE_KEY, []) || []
+            : [];
+        this.isLoaded = true;
+        return this.testCases;
+    }
+
+    /**
+     * Get all test cases
+     */
+    static getTestCases() {
+        if (!this.isLoaded) {
+            this.load();
+        }
+        return this.testCases;
+    }
+
+    /**
+     * Get a test case by ID
+     */
+    static getTestCase(testCaseId) {
+        return this.getTestCases().find(testCase => testCase.id === testCaseId) || null;
+    }
+
+    /**
+     * Add or update a test case
+     */
+    static saveTestCase(testCase) {
+        const validation = this.validateTestCase(testCase);
+        if (!validation.isValid) {
+            throw new Error('Invalid test case: ' + validation.errors.join(', '));
+        }
+
+        const testCases = this.getTestCases();
+        const now = new Date().toISOString();
+        const normalized = {
+            ...testCase,
+            id: testCase.id || this.generateId(),
+            expected: this.normalizeExpected(testCase.expected),
+            created: testCase.created || now,
+            modified: now
+        };
+
+        const index = testCases.findIndex(existing => existing.id === normalized.id);
+        if (index >= 0) {
+            testCases[index] = normalized;
+        } else {
+            testCases.push(normalized);
+        }
+
+        this.save();
+        return normalized;
+    }
+
+    /**
+     * Delete a test case
+     */
+    static deleteTestCase(testCaseId) {
+        const testCases = this.getTestCases();
+        const index = testCases.findIndex(testCase => testCase.id === testCaseId);
+        if (index < 0) {
+            return false;
+        }
+
+        testCases.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Validate test case structure
+     */
+    static validateTestCase(testCase) {
+        const errors = [];
+
+        if (!testCase?.name || !String(testCase.name).trim()) {
+            errors.push('Test case name is required');
+        }
+        if (!testCase?.answers || typeof testCase.answers !== 'object' || Array.isArray(testCase.answers)) {
+            errors.push('Test case answers must be an object keyed by question ID');
+        }
+
+        const expected = testCase?.expected || {};
+        ['matchedRules', 'unmatchedRules', 'recommendations'].forEach(key => {
+            if (expected[key] !== undefined && !Array.isArray(expected[key])) {
+                errors.push(`Expected ${key} must be a list`);
+            }
+        });
+
+        const score = expected.score;
+        if (score) {
+            const min = score.min;
+            const max = score.max;
+            if ((min !== undefined && min !== null && isNaN(Number(min))) ||
+                (max !== undefined && max !== null && isNaN(Number(max)))) {
+                errors.push('Expected score range must be numeric');
+            } else if (min !== undefined && min !== null && max !== undefined && max !== null &&
+                       Number(min) > Number(max)) {
+                errors.push('Expected score minimum cannot exceed the maximum');
+            }
+        }
+
+        if (expected.variables !== undefined &&
+            (typeof expected.variables !== 'object' || Array.isArray(expected.variables))) {
+            errors.push('Expected variables must be an object');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Fill in defaults for expected outcomes
+     */
+    static normalizeExpected(expected = {}) {
+        const score = expected.score || {};
+        const toNumber = (value) => value === undefined || value === null || value === ''
+            ? null
+            : Number(value);
+
+        return {
+            matchedRules: expected.matchedRules || [],
+            unmatchedRules: expected.unmatchedRules || [],
+            recommendations: expected.recommendations || [],
+            score: {
+                min: toNumber(score.min),
+                max: toNumber(score.max)
+            },
+            variables: expected.variables || {}
+        };
+    }
+
+    /**
+     * Run every saved test case
+     */
+    static runSuite(rules = null, testCases = null) {
+        const results = (testCases || this.getTestCases()).map(testCase => this.runTestCase(testCase, rules));
+        const passed = results.filter(result => result.passed).length;
+
+        const report = {
+            total: results.length,
+            passed: passed,
+            failed: results.length - passed,
+            results: results,
+            runAt: new Date().toISOString()
+        };
+
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit('rules.tests.completed', {
+                total: report.total,
+                passed: report.passed,
+                failed: report.failed
+            });
+        }
+
+        return report;
+    }
+
+    /**
+     * Run a single test case and compare actual against expected outcomes
+     */
+    static runTestCase(testCase, rules = null) {
+        if (typeof RulesEngine === 'undefined') {
+            throw new Error('Rules Engine not available for testing');
+        }
+
+        // Inactive rules never run in a real assessment, so they do not run here either
+        const activeRules = rules ? rules.filter(rule => rule.active !== false) : null;
+        const run = RulesEngine.testRules(testCase.answers || {}, activeRules, { silent: true });
+        const actual = this.collectActual(run, activeRules || RulesEngine.rules);
+        const failures = this.compare(this.normalizeExpected(testCase.expected), actual, run.context);
+
+        run.results.errors.forEach(error => failures.push({
+            check: 'error',
+            expected: 'no evaluation errors',
+            actual: error.error,
+            message: error.ruleId ? `Rule "${error.ruleId}" failed to evaluate: ${error.error}` : error.error
+        }));
+
+        return {
+            testCaseId: testCase.id,
+            name: testCase.name,
+            passed: failures.length === 0,
+            failures: failures,
+            actual: actual
+        };
+    }
+
+    /**
+     * Collect the observable outcome of a test run
+     */
+    static collectActual(run, rules = []) {
+        const variables = {};
+        run.results.actions
+            .filter(action => action.type === 'set_variable' && action.data)
+            .forEach(action => {
+                variables[action.data.variable] = action.data.value;
+            });
+
+        return {
+            matchedRules: run.results.trace
+                .filter(entry => entry.matched)
+                .map(entry => entry.ruleId),
+            evaluatedRules: (rules || []).map(rule => rule.id),
+            recommendations: run.results.recommendations.map(rec => rec.message),
+            score: run.results.score,
+            variables: variables
+        };
+    }
+
+    /**
+     * Compare expected and actual outcomes
+     */
+    static compare(expected, actual, context = {}) {
+        const failures = [];
+
+        expected.matchedRules
+            .filter(ruleId => !actual.matchedRules.includes(ruleId))
+            .forEach(ruleId => failures.push({
+                check: 'matchedRules',
+                expected: ruleId,
+                actual: actual.evaluatedRules.includes(ruleId) ? 'not matched' : 'rule not found',
+                message: `Expected rule "${this.getRuleName(ruleId)}" to match`
+            }));
+
+        expected.unmatchedRules
+            .filter(ruleId => actual.matchedRules.includes(ruleId))
+            .forEach(ruleId => failures.push({
+                check: 'unmatchedRules',
+                expected: ruleId,
+                actual: 'matched',
+                message: `Expected rule "${this.getRuleName(ruleId)}" not to match`
+            }));
+
+        expected.recommendations
+            .filter(message => !actual.recommendations.includes(message))
+            .forEach(message => failures.push({
+                check: 'recommendations',
+                expected: message,
+                actual: actual.recommendations,
+                message: `Missing recommendation "${message}"`
+            }));
+
+        const { min, max } = expected.score;
+        if ((min !== null && actual.score < min) || (max !== null && actual.score > max)) {
+            failures.push({
+                check: 'score',
+                expected: expected.score,
+                actual: actual.score,
+                message: `Expected score between ${min ?? '-∞'} and ${max ?? '∞'}, got ${actual.score}`
+            });
+        }
+
+        Object.entries(expected.variables).forEach(([name, value]) => {
+            const actualValue = Object.prototype.hasOwnProperty.call(actual.variables, name)
+                ? actual.variables[name]
+                : context[name];
+
+            if (!this.valuesEqual(value, actualValue)) {
+                failures.push({
+                    check: 'variables',
+                    expected: { [name]: value },
+                    actual: { [name]: actualValue },
+                    message: `Expected variable "${name}" to be ${JSON.stringify(value)}, got ${JSON.stringify(actualValue)}`
+                });
+            }
+        });
+
+        return failures;
+    }
+
+    /**
+     * Compare values loosely so "5" in the editor matches a computed 5
+     */
+    static valuesEqual(expected, actual) {
+        if (typeof expected === 'object' || typeof actual === 'object') {
+            return JSON.stringify(expected) === JSON.stringify(actual);
+        }
+        return String(expected) === String(actual);
+    }
+
+    /**
+     * Get display name for a rule ID
+     */
+    static getRuleName(ruleId) {
+        const rules = typeof RulesEngine !== 'undefined' ? RulesEngine.rules : [];
+        return rules.find(rule => rule.id === ruleId)?.name || ruleId;
+    }
+
+    /**
+     * Export test cases for inclusion in a rules export
+     */
+    static exportTestCases() {
+        return JSON.parse(JSON.stringify(this.getTestCases()));
+    }
+
+    /**
+     * Import test cases from a rules export
+     */
+    static importTestCases(testCases, options = {}) {
+        const { merge = false } = options;
+
+        if (!Array.isArray(testCases)) {
+            throw new Error('Test suite must be a list of test cases');
+        }
+
+        testCases.forEach(testCase => {
+            const validation = this.validateTestCase(testCase);
+            if (!validation.isValid) {
+                throw new Error(`Invalid test case ${testCase?.name || testCase?.id}: ${validation.errors.join(', ')}`);
+            }
+        });
+
+        const imported = testCases.map(testCase => ({
+            ...testCase,
+            id: testCase.id || this.generateId(),
+            expected: this.normalizeExpected(testCase.expected)
+        }));
+
+        if (merge) {
+            const testCasesById = new Map(this.getTestCases().map(testCase => [testCase.id, testCase]));
+            imported.forEach(testCase => testCasesById.set(testCase.id, testCase));
+            this.testCases = Array.from(testCasesById.values());
+        } else {
+            this.testCases = imported;
+        }
+
+        this.isLoaded = true;
+        this.save();
+        return imported.length;
+    }
+
+    /**
+     * Save test cases to storage
+     */
+    static save() {
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.STORAGE_KEY, this.testCases);
+        }
+    }
+
+    /**
+     * Generate test case ID
+     */
+    static generateId() {
+        return 'test-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleTestRunner;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleTestRunner = RuleTestRunner;
+}
@@ -0,0 +1,329 @@
+// js/engine/rule-version-store.js - Rule Version History
+
+/**
+ * Rule Version Store for Data Governance Decision Tool
+ * Keeps every saved revision of a rule with author and timestamp,
+ * diffs any two revisions and supplies snapshots for rollback
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RuleVersionStore {
+    static history = {};
+    static isLoaded = false;
+
+    static STORAGE_KEY = 'rule_versions';
+
+    // Bookkeeping fields that change on every save and are not part of a rule's behaviour
+    static IGNORED_FIELDS = ['version', 'modified', 'created'];
+
+    /**
+     * Load version history from storage
+     */
+    static load() {
+        const stored = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.STORAGE_KEY, {})
+            : {};
+        this.history = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        this.isLoaded = true;
+        return this.history;
+    }
+
+    /**
+     * Get all versions of a rule, oldest first
+     */
+    static getHistory(ruleId) {
+        if (!this.isLoaded) {
+            this.load();
+        }
+        return this.history[ruleId] || [];
+    }
+
+    /**
+     * Get a specific version of a rule
+     */
+    static getVersion(ruleId, version) {
+        return this.getHistory(ruleId).find(entry => entry.version === Number(version)) || null;
+    }
+
+    /**
+     * Get the latest version of a rule
+     */
+    static getLatest(ruleId) {
+        const history = this.getHistory(ruleId);
+        return history.length > 0 ? history[history.length - 1] : null;
+    }
+
+    /**
+     * Record a new revision of a rule
+     * Sets rule.version to the recorded version number. Saving a rule without
+     * behavioural changes does not create a new version.
+     */
+    static recordVersion(rule, options = {}) {
+        if (!rule?.id) {
+            throw new Error('Cannot version a rule without an ID');
+        }
+
+        const { changeType = 'updated', comment = '', author = this.getCurrentAuthor() } = options;
+        const latest = this.getLatest(rule.id);
+
+        if (latest && changeType !== 'deleted' && this.isSameContent(latest.rule, rule)) {
+            rule.version = latest.version;
+            return latest;
+        }
+
+        const version = latest ? latest.version + 1 : 1;
+        rule.version = version;
+
+        const entry = {
+            ruleId: rule.id,
+            version: version,
+            author: author,
+            timestamp: new Date().toISOString(),
+            changeType: changeType,
+            comment: comment,
+            rule: this.snapshot(rule)
+        };
+
+        if (!this.history[rule.id]) {
+            this.history[rule.id] = [];
+        }
+        this.history[rule.id].push(entry);
+        this.save();
+
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit('rules.version.recorded', {
+                ruleId: rule.id,
+                version: version,
+                changeType: changeType,
+                author: author
+            });
+        }
+
+        return entry;
+    }
+
+    /**
+     * Record a baseline version for rules that have no history yet
+     */
+    static ensureBaseline(rules = []) {
+        let recorded = 0;
+
+        rules.forEach(rule => {
+            if (rule?.id && this.getHistory(rule.id).length === 0) {
+                this.recordVersion(rule, { changeType: 'baseline', author: 'System' });
+                recorded++;
+            }
+        });
+
+        return recorded;
+    }
+
+    /**
+     * Get a copy of a rule as it was at a given version, ready to be saved again
+     */
+    static getRollbackSnapshot(ruleId, version) {
+        const entry = this.getVersion(ruleId, version);
+        if (!entry) {
+            throw new Error(`Version ${version} of rule ${ruleId} not found`);
+        }
+        return this.snapshot(entry.rule);
+    }
+
+    /**
+     * Map rule IDs to their current version numbers
+     */
+    static getVersionMap(rules = []) {
+        return rules.reduce((map, rule) => {
+            map[rule.id] = rule.version || this.getLatest(rule.id)?.version || null;
+            return map;
+        }, {});
+    }
+
+    /**
+     * Rebuild the rule set recorded on an assessment so old results can be reproduced
+     */
+    static getRulesForVersions(versionMap = {}) {
+        const rules = [];
+        const missing = [];
+
+        Object.entries(versionMap).forEach(([ruleId, version]) => {
+            const entry = version ? this.getVersion(ruleId, version) : null;
+            if (entry) {
+                rules.push(this.snapshot(entry.rule));
+            } else {
+                missing.push(ruleId);
+            }
+        });
+
+        return { rules, missing };
+    }
+
+    /**
+     * Compare two versions of a rule
+     */
+    static diffVersions(ruleId, fromVersion, toVersion) {
+        const from = this.getVersion(ruleId, fromVersion);
+        const to = this.getVersion(ruleId, toVersion);
+
+        if (!from || !to) {
+            throw new Error(`Cannot compare versions ${fromVersion} and ${toVersion} of rule ${ruleId}`);
+        }
+
+        return this.diffRules(from.rule, to.rule);
+    }
+
+    /**
+     * Compare two rule objects field by field, with line diffs for conditions and actions
+     */
+    static diffRules(fromRule, toRule) {
+        const fields = ['name', 'description', 'category', 'priority', 'active', 'effectiveFrom', 'effectiveUntil']
+            .filter(field => JSON.stringify(fromRule[field]) !== JSON.stringify(toRule[field]))
+            .map(field => ({ field: field, from: fromRule[field], to: toRule[field] }));
+
+        const conditions = this.diffLines(
+            this.describeConditions(fromRule.conditions),
+            this.describeConditions(toRule.conditions)
+        );
+        const actions = this.diffLines(
+            this.describeActions(fromRule.actions),
+            this.describeActions(toRule.actions)
+        );
+
+        return {
+            fields: fields,
+            conditions: conditions,
+            actions: actions,
+            hasChanges: fields.length > 0 ||
+                conditions.some(row => row.type !== 'same') ||
+                actions.some(row => row.type !== 'same')
+        };
+    }
+
+    /**
+     * Flatten a condition tree into indented lines
+     */
+    static describeConditions(conditions, depth = 0) {
+        if (!conditions) return [];
+
+        const indent = '    '.repeat(depth);
+        const lines = [`${indent}${(conditions.operator || 'AND').toUpperCase()} of:`];
+
+        (conditions.rules || []).forEach(condition => {
+            if (condition && Array.isArray(condition.rules)) {
+                lines.push(...this.describeConditions(condition, depth + 1));
+            } else {
+                const subject = condition.expression ? `[${condition.expression}]` : condition.field;
+                lines.push(`${indent}    ${subject} ${condition.operator} ${JSON.stringify(condition.value)}`);
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Describe actions as one line each
+     */
+    static describeActions(actions = []) {
+        return (actions || []).map(action =>
+            `${action.type} ${JSON.stringify(action.parameters || {})}`
+        );
+    }
+
+    /**
+     * Line diff based on the longest common subsequence
+     * Returns side-by-side rows; removed lines followed by added lines are paired up as changes.
+     */
+    static diffLines(left = [], right = []) {
+        const table = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+
+        for (let i = left.length - 1; i >= 0; i--) {
+            for (let j = right.length - 1; j >= 0; j--) {
+                table[i][j] = left[i] === right[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const rows = [];
+        const unpaired = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < left.length || j < right.length) {
+            if (i < left.length && j < right.length && left[i] === right[j]) {
+                rows.push({ type: 'same', left: left[i++], right: right[j++] });
+                unpaired.length = 0;
+            } else if (i < left.length && (j >= right.length || table[i + 1][j] >= table[i][j + 1])) {
+                const row = { type: 'removed', left: left[i++], right: null };
+                rows.push(row);
+                unpaired.push(row);
+            } else if (unpaired.length > 0) {
+                const row = unpaired.shift();
+                row.type = 'changed';
+                row.right = right[j++];
+            } else {
+                rows.push({ type: 'added', left: null, right: right[j++] });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Check whether two rules differ only in bookkeeping fields
+     */
+    static isSameContent(a, b) {
+        return JSON.stringify(this.stripBookkeeping(a)) === JSON.stringify(this.stripBookkeeping(b));
+    }
+
+    /**
+     * Remove bookkeeping fields from a rule copy
+     */
+    static stripBookkeeping(rule) {
+        const copy = this.snapshot(rule);
+        this.IGNORED_FIELDS.forEach(field => delete copy[field]);
+        return copy;
+    }
+
+    /**
+     * Deep copy a rule
+     */
+    static snapshot(rule) {
+        return JSON.parse(JSON.stringify(rule));
+    }
+
+    /**
+     * Get the name of the person making the change
+     */
+    static getCurrentAuthor() {
+        let profile = null;
+        if (typeof StateManager !== 'undefined') {
+            profile = StateManager.getState('user.profile');
+        }
+        if (!profile && typeof StorageManager !== 'undefined') {
+            profile = StorageManager.getItem('user_profile');
+        }
+        return profile?.name || profile?.email || 'Unknown user';
+    }
+
+    /**
+     * Save version history to storage
+     */
+    static save() {
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.STORAGE_KEY, this.history);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleVersionStore;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RuleVersionStore = RuleVersionStore;
+}
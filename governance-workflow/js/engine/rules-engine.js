@@ -13,6 +13,23 @@ class RulesEngine {
     static isInitialized = false;
     static evaluationContext = {};
     static debugMode = false;
+    static validationEngine = null;
+    static evaluationMode = 'sequential';
+    static maxChainingIterations = 10;
+    static liveEvaluator = null;
+    static liveAssessmentId = null;
+
+    static SETTINGS_KEY = 'rules_engine_settings';
+    static VALIDATION_RULES_KEY = 'validation_rules';
+    static ROUTE_MODES = ['skip_to', 'section', 'insert', 'end'];
+    static SET_OPERATORS = [
+        'contains_any', 'contains_all', 'contains_none', 'subset_of', 'superset_of',
+        'count_equals', 'count_at_least', 'count_at_most', 'score_at_least', 'score_at_most'
+    ];
+    static TEXT_OPERATORS = ['mentions_any', 'mentions_all', 'mentions_none', 'negates_any', 'similar_to'];
+
+    // Actions that only touch the evaluation context; dry runs never notify or start workflows
+    static DRY_RUN_ACTION_TYPES = ['score', 'recommend', 'route', 'validate', 'set_variable'];
 
     /**
      * Initialize rules engine
@@ -23,7 +40,13 @@ class RulesEngine {
         }
 
         this.loadRules();
+        this.loadSettings();
         this.setupEventListeners();
+
+        // Rules saved before versioning existed get a baseline version
+        if (typeof RuleVersionStore !== 'undefined' && RuleVersionStore.ensureBaseline(this.rules) > 0) {
+            this.saveRules();
+        }
         
         this.isInitialized = true;
         console.log('Rules Engine initialized');
@@ -41,6 +64,51 @@ class RulesEngine {
 
         // Sort rules by priority (higher priority first)
         this.rules.sort((a, b) => (b.priority || 1) - (a.priority || 1));
+
+        // The live evaluator indexes the old rules
+        this.liveEvaluator = null;
+
+        // Views derived from the rules, such as the question route, work them out again
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit('rules.updated', { count: this.rules.length });
+        }
+    }
+
+    /**
+     * Load evaluation settings from storage
+     */
+    static loadSettings() {
+        const settings = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.SETTINGS_KEY, {}) || {}
+            : {};
+
+        if (settings.evaluationMode) {
+            this.evaluationMode = settings.evaluationMode;
+        }
+        if (settings.maxChainingIterations) {
+            this.maxChainingIterations = settings.maxChainingIterations;
+        }
+    }
+
+    /**
+     * Set how rules are evaluated
+     * 'sequential' runs one pass in priority order; 'forward_chaining' orders rules
+     * by set_variable dependencies and re-runs them until variables stop changing.
+     */
+    static setEvaluationMode(mode, maxIterations = this.maxChainingIterations) {
+        if (!['sequential', 'forward_chaining'].includes(mode)) {
+            throw new Error(`Unknown evaluation mode: ${mode}`);
+        }
+
+        this.evaluationMode = mode;
+        this.maxChainingIterations = Math.max(1, parseInt(maxIterations) || 10);
+
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.SETTINGS_KEY, {
+                evaluationMode: this.evaluationMode,
+                maxChainingIterations: this.maxChainingIterations
+            });
+        }
     }
 
     /**
@@ -55,38 +123,160 @@ class RulesEngine {
             EventBus.on('rules.evaluate', (data) => {
                 this.evaluateRules(data.context, data.rules);
             });
+
+            // Live results while answers are given; only affected rules re-run
+            EventBus.on('question.answer', (event) => {
+                if (typeof StateManager === 'undefined') return;
+                const { assessmentId = null, questionId, answer } = event.data || {};
+                const answers = { ...(StateManager.getState('assessment.answers') || {}), [questionId]: answer };
+                const results = this.evaluateLive(answers, assessmentId);
+                EventBus.emit('rules.live-evaluated', { assessmentId: assessmentId, questionId: questionId, results: results });
+            });
+
+            EventBus.on('assessment.start', () => {
+                this.liveEvaluator = null;
+            });
+        }
+
+        // Pick up rule edits made in the Rules tab without a reload
+        if (typeof StateManager !== 'undefined') {
+            StateManager.subscribe('config.rules', () => this.loadRules());
         }
     }
 
     /**
      * Evaluate all rules against assessment answers
+     * @param {Object} options - { rules: evaluate these rules instead of the live ones,
+     *                             dryRun: no events, notifications, workflows or global variables }
      */
-    static evaluateAssessment(answers, assessmentId) {
-        const context = {
+    static evaluateAssessment(answers, assessmentId, options = {}) {
+        const { rules = null, dryRun = false, assessment = null } = options;
+        const context = { ...this.buildAssessmentContext(answers, assessmentId, assessment), dryRun: dryRun };
+
+        return this.evaluateRules(
+            context,
+            rules ? rules.filter(rule => rule.active !== false) : null,
+            dryRun ? { actionTypes: this.DRY_RUN_ACTION_TYPES, silent: true } : {}
+        );
+    }
+
+    /**
+     * Build the evaluation context for an assessment
+     * @param {Object} assessment - The assessment record, when known; its
+     *   organization, department and completion date select the previous assessment
+     */
+    static buildAssessmentContext(answers, assessmentId, assessment = null) {
+        return {
             answers: answers,
             assessmentId: assessmentId,
             timestamp: new Date().toISOString(),
             user: StateManager?.getState('user.profile'),
-            questions: StateManager?.getState('config.questions') || []
+            questions: StateManager?.getState('config.questions') || [],
+            lastAssessmentDate: this.getLastAssessmentDate(assessmentId),
+            previous: this.getPreviousAssessment({ ...(assessment || {}), id: assessmentId })
+        };
+    }
+
+    /**
+     * Evaluate rules for answers that are still being given
+     * The first call for an assessment evaluates every active rule; later calls
+     * re-evaluate only the rules that read a changed answer. Live evaluation is
+     * a dry run: no events, notifications, workflows or global variables.
+     */
+    static evaluateLive(answers, assessmentId = null) {
+        if (typeof IncrementalRuleEvaluator === 'undefined') {
+            return this.evaluateAssessment(answers, assessmentId, { dryRun: true });
+        }
+
+        if (!this.liveEvaluator || this.liveAssessmentId !== assessmentId) {
+            this.liveEvaluator = new IncrementalRuleEvaluator(this.rules);
+            this.liveAssessmentId = assessmentId;
+            return this.liveEvaluator.start(this.buildAssessmentContext(answers, assessmentId));
+        }
+
+        return this.liveEvaluator.setAnswers(answers);
+    }
+
+    /**
+     * Get the most recent completed assessment before this one for the same
+     * organization and department
+     * Returns { id, completed, organization, department, answers, score, level } or null.
+     */
+    static getPreviousAssessment(assessment) {
+        if (typeof StorageManager === 'undefined') {
+            return null;
+        }
+
+        const scope = this.getAssessmentScope(assessment);
+        const cutoff = assessment.completed || null;
+        const previous = (StorageManager.getItem('completed_assessments', []) || [])
+            .filter(candidate => candidate.id !== assessment.id && candidate.completed && candidate.answers)
+            .filter(candidate => !cutoff || candidate.completed < cutoff)
+            .filter(candidate => {
+                const candidateScope = this.getAssessmentScope(candidate, false);
+                return candidateScope.organization === scope.organization && candidateScope.department === scope.department;
+            })
+            .sort((a, b) => (a.completed < b.completed ? 1 : -1))[0];
+
+        if (!previous) {
+            return null;
+        }
+
+        return {
+            id: previous.id,
+            completed: previous.completed,
+            organization: previous.organization || '',
+            department: previous.department || '',
+            answers: previous.answers,
+            score: previous.recommendations?.score ?? null,
+            level: previous.recommendations?.level ?? null
         };
+    }
 
-        return this.evaluateRules(context);
+    /**
+     * Organization and department an assessment belongs to
+     * Assessments without them fall back to the current user's (when useProfile is set).
+     */
+    static getAssessmentScope(assessment, useProfile = true) {
+        const profile = useProfile && typeof StateManager !== 'undefined'
+            ? StateManager.getState('user.profile') || {}
+            : {};
+        return {
+            organization: String(assessment?.organization ?? profile.organization ?? '').trim().toLowerCase(),
+            department: String(assessment?.department ?? profile.department ?? '').trim().toLowerCase()
+        };
+    }
+
+    /**
+     * Get the completion date of the most recent other assessment
+     */
+    static getLastAssessmentDate(assessmentId) {
+        if (typeof StorageManager === 'undefined') {
+            return null;
+        }
+
+        const completed = StorageManager.getItem('completed_assessments', []) || [];
+        const dates = completed
+            .filter(assessment => assessment.id !== assessmentId && assessment.completed)
+            .map(assessment => assessment.completed)
+            .sort();
+
+        return dates.length > 0 ? dates[dates.length - 1] : null;
     }
 
     /**
      * Evaluate rules against a context
+     * @param {Object} options - { actionTypes: only apply these action types, silent: skip the rules.evaluated event,
+     *                             mode: 'sequential' | 'forward_chaining' (defaults to evaluationMode) }
      */
-    static evaluateRules(context, rulesToEvaluate = null) {
+    static evaluateRules(context, rulesToEvaluate = null, options = {}) {
         const rules = rulesToEvaluate || this.rules.filter(rule => rule.active !== false);
-        const results = {
-            evaluatedRules: 0,
-            matchedRules: 0,
-            appliedActions: 0,
-            score: 0,
-            recommendations: [],
-            actions: [],
-            errors: []
-        };
+
+        if ((options.mode || this.evaluationMode) === 'forward_chaining') {
+            return this.evaluateRulesChained(context, rules, options);
+        }
+
+        const results = this.createResults();
 
         this.evaluationContext = context;
 
@@ -95,37 +285,7 @@ class RulesEngine {
         }
 
         for (const rule of rules) {
-            try {
-                results.evaluatedRules++;
-                
-                const ruleResult = this.evaluateRule(rule, context);
-                
-                if (ruleResult.matched) {
-                    results.matchedRules++;
-                    
-                    // Apply rule actions
-                    const actionResults = this.applyRuleActions(rule, context, ruleResult);
-                    results.appliedActions += actionResults.length;
-                    results.actions.push(...actionResults);
-                    
-                    // Accumulate score
-                    if (ruleResult.score) {
-                        results.score += ruleResult.score;
-                    }
-                    
-                    // Collect recommendations
-                    if (ruleResult.recommendations) {
-                        results.recommendations.push(...ruleResult.recommendations);
-                    }
-                }
-                
-            } catch (error) {
-                console.error(`Error evaluating rule ${rule.id}:`, error);
-                results.errors.push({
-                    ruleId: rule.id,
-                    error: error.message
-                });
-            }
+            this.collectRuleOutcome(results, this.runRule(rule, context, options.actionTypes));
         }
 
         if (this.debugMode) {
@@ -133,7 +293,7 @@ class RulesEngine {
         }
 
         // Emit results event
-        if (typeof EventBus !== 'undefined') {
+        if (typeof EventBus !== 'undefined' && !options.silent) {
             EventBus.emit('rules.evaluated', {
                 context: context,
                 results: results
@@ -143,6 +303,161 @@ class RulesEngine {
         return results;
     }
 
+    /**
+     * Empty evaluation results
+     */
+    static createResults() {
+        return {
+            evaluatedRules: 0,
+            matchedRules: 0,
+            appliedActions: 0,
+            score: 0,
+            recommendations: [],
+            actions: [],
+            validationErrors: [],
+            trace: [],
+            errors: []
+        };
+    }
+
+    /**
+     * Evaluate one rule and apply its actions if it matched
+     * Returns { rule, ruleResult, actionResults, trace, error }; errors are caught
+     * so one broken rule does not stop the others.
+     */
+    static runRule(rule, context, actionTypes = null) {
+        try {
+            const ruleResult = this.evaluateRule(rule, context);
+            const actionResults = ruleResult.matched
+                ? this.applyRuleActions(rule, context, ruleResult, actionTypes)
+                : [];
+
+            return {
+                rule: rule,
+                ruleResult: ruleResult,
+                actionResults: actionResults,
+                trace: this.buildTraceEntry(rule, ruleResult, actionResults),
+                error: null
+            };
+        } catch (error) {
+            console.error(`Error evaluating rule ${rule.id}:`, error);
+            return {
+                rule: rule,
+                ruleResult: null,
+                actionResults: [],
+                trace: {
+                    ruleId: rule.id,
+                    ruleName: rule.name,
+                    matched: false,
+                    conditions: [],
+                    actions: [],
+                    error: error.message
+                },
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Add a rule outcome from runRule to the evaluation results
+     */
+    static collectRuleOutcome(results, outcome) {
+        const { rule, ruleResult, actionResults } = outcome;
+        results.evaluatedRules++;
+
+        if (outcome.error) {
+            results.errors.push({
+                ruleId: rule.id,
+                error: outcome.error
+            });
+            results.trace.push(outcome.trace);
+            return;
+        }
+
+        if (ruleResult.matched) {
+            results.matchedRules++;
+            results.appliedActions += actionResults.length;
+            results.actions.push(...actionResults);
+
+            // Collect failed validations
+            actionResults
+                .filter(action => action.type === 'validate' && action.data && !action.data.valid)
+                .forEach(action => results.validationErrors.push({
+                    ruleId: rule.id,
+                    field: action.data.field,
+                    rule: action.data.rule,
+                    message: action.data.message
+                }));
+
+            // Accumulate score
+            if (ruleResult.score) {
+                results.score += ruleResult.score;
+            }
+
+            // Collect recommendations
+            if (ruleResult.recommendations) {
+                results.recommendations.push(...ruleResult.recommendations);
+            }
+        }
+
+        results.trace.push(outcome.trace);
+    }
+
+    /**
+     * Forward-chaining evaluation
+     * Rules run with writers before readers. While variables keep changing (which
+     * only happens with dependency cycles) the set_variable actions are re-applied,
+     * up to maxChainingIterations passes. A final pass then applies every action once.
+     */
+    static evaluateRulesChained(context, rules, options = {}) {
+        const graph = typeof RuleDependencyGraph !== 'undefined'
+            ? RuleDependencyGraph.build(rules)
+            : { order: rules.map(rule => rule.id), cycles: [] };
+        const rulesById = new Map(rules.map(rule => [rule.id, rule]));
+        const orderedRules = graph.order.map(id => rulesById.get(id));
+        const maxIterations = options.maxIterations || this.maxChainingIterations;
+        const passOptions = { ...options, mode: 'sequential' };
+
+        let iterations = 0;
+        let converged = graph.cycles.length === 0;
+        let previousVariables = null;
+
+        // Without cycles the ordered final pass already sees every variable it reads
+        while (!converged && iterations < maxIterations) {
+            iterations++;
+            const pass = this.evaluateRules(context, orderedRules, {
+                ...passOptions,
+                actionTypes: ['set_variable'],
+                silent: true
+            });
+
+            const variables = JSON.stringify(pass.actions
+                .filter(action => action.type === 'set_variable' && action.data)
+                .map(action => [action.data.variable, action.data.value]));
+
+            converged = variables === previousVariables;
+            previousVariables = variables;
+        }
+
+        const results = this.evaluateRules(context, orderedRules, passOptions);
+        results.chaining = {
+            mode: 'forward_chaining',
+            order: graph.order,
+            cycles: graph.cycles,
+            iterations: iterations,
+            converged: converged
+        };
+
+        if (!converged) {
+            const message = `Rule variables did not settle after ${iterations} iterations; ` +
+                `check the dependency cycles: ${graph.cycles.map(cycle => [...cycle, cycle[0]].join(' -> ')).join('; ')}`;
+            console.warn(message);
+            results.errors.push({ ruleId: null, error: message });
+        }
+
+        return results;
+    }
+
     /**
      * Evaluate a single rule
      */
@@ -155,6 +470,13 @@ class RulesEngine {
             conditions: []
         };
 
+        // Rules outside their effective window never match
+        const ineffectiveReason = this.getIneffectiveReason(rule, context);
+        if (ineffectiveReason) {
+            result.skipped = ineffectiveReason;
+            return result;
+        }
+
         if (!rule.conditions) {
             return result;
         }
@@ -174,8 +496,58 @@ class RulesEngine {
         return result;
     }
 
+    /**
+     * Build the explanation trace entry for an evaluated rule
+     */
+    static buildTraceEntry(rule, ruleResult, actionResults) {
+        return {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            ruleVersion: rule.version || null,
+            matched: ruleResult.matched,
+            ...(ruleResult.skipped ? { skipped: ruleResult.skipped } : {}),
+            conditions: this.buildConditionTrace(ruleResult.conditions || []),
+            actions: actionResults.map(action => ({
+                type: action.type,
+                success: action.success,
+                data: action.data,
+                error: action.error
+            }))
+        };
+    }
+
+    /**
+     * Convert condition details into trace nodes with actual vs. expected values
+     */
+    static buildConditionTrace(details) {
+        return details.map(detail => {
+            if (detail.details) {
+                return {
+                    type: 'group',
+                    operator: detail.result.operator,
+                    matched: detail.result.matched,
+                    conditions: this.buildConditionTrace(detail.details)
+                };
+            }
+
+            return {
+                type: 'condition',
+                field: detail.condition.field,
+                expression: detail.condition.expression,
+                operator: detail.condition.operator,
+                expected: detail.result.expectedValue,
+                actual: detail.result.value,
+                ...(detail.result.previousValue !== undefined ? { previous: detail.result.previousValue } : {}),
+                matched: detail.result.matched,
+                error: detail.result.error
+            };
+        });
+    }
+
     /**
      * Evaluate rule conditions
+     * Each entry in `rules` is either a leaf condition ({ field, operator, value })
+     * or a nested group ({ operator, rules }) evaluated recursively.
      */
     static evaluateConditions(conditions, context) {
         const result = {
@@ -190,8 +562,22 @@ class RulesEngine {
         const operator = conditions.operator || 'AND';
         const conditionResults = [];
 
-        // Evaluate each condition
+        // Evaluate each condition or nested group
         for (const condition of conditions.rules) {
+            if (this.isConditionGroup(condition)) {
+                const groupResult = this.evaluateConditions(condition, context);
+                conditionResults.push(groupResult);
+                result.details.push({
+                    condition: condition,
+                    result: {
+                        matched: groupResult.matched,
+                        operator: (condition.operator || 'AND').toUpperCase()
+                    },
+                    details: groupResult.details
+                });
+                continue;
+            }
+
             const conditionResult = this.evaluateCondition(condition, context);
             conditionResults.push(conditionResult);
             result.details.push({
@@ -200,26 +586,34 @@ class RulesEngine {
             });
         }
 
-        // Apply logical operator
+        result.matched = this.combineResults(operator, conditionResults);
+
+        return result;
+    }
+
+    /**
+     * Apply a logical operator to a list of condition results
+     */
+    static combineResults(operator, conditionResults) {
         switch (operator.toUpperCase()) {
             case 'AND':
-                result.matched = conditionResults.every(r => r.matched);
-                break;
+                return conditionResults.every(r => r.matched);
             case 'OR':
-                result.matched = conditionResults.some(r => r.matched);
-                break;
+                return conditionResults.some(r => r.matched);
             case 'NOT':
-                result.matched = !conditionResults[0]?.matched;
-                break;
+                return !conditionResults[0]?.matched;
             case 'XOR':
-                const trueCount = conditionResults.filter(r => r.matched).length;
-                result.matched = trueCount === 1;
-                break;
+                return conditionResults.filter(r => r.matched).length === 1;
             default:
-                result.matched = conditionResults.every(r => r.matched);
+                return conditionResults.every(r => r.matched);
         }
+    }
 
-        return result;
+    /**
+     * Check whether a condition node is a nested group
+     */
+    static isConditionGroup(condition) {
+        return !!condition && typeof condition === 'object' && Array.isArray(condition.rules);
     }
 
     /**
@@ -234,8 +628,10 @@ class RulesEngine {
         };
 
         try {
-            // Get the field value from context
-            const fieldValue = this.getFieldValue(condition.field, context);
+            // Get the field value from context, or compute it from an expression
+            const fieldValue = condition.expression
+                ? this.evaluateExpression(condition.expression, context)
+                : this.getFieldValue(condition.field, context);
             result.value = fieldValue;
 
             // Apply operator
@@ -279,6 +675,46 @@ class RulesEngine {
                 case 'is_not_empty':
                     result.matched = !this.isEmpty(fieldValue);
                     break;
+                case 'before':
+                    result.matched = this.compareDates(fieldValue, condition.value, context, '<');
+                    break;
+                case 'after':
+                    result.matched = this.compareDates(fieldValue, condition.value, context, '>');
+                    break;
+                case 'within':
+                    result.matched = this.isWithin(fieldValue, condition.value, context);
+                    break;
+                case 'older_than':
+                    result.matched = this.isOlderThan(fieldValue, condition.value, context);
+                    break;
+                case 'contains_any':
+                case 'contains_all':
+                case 'contains_none':
+                case 'subset_of':
+                case 'superset_of':
+                case 'count_equals':
+                case 'count_at_least':
+                case 'count_at_most':
+                case 'score_at_least':
+                case 'score_at_most':
+                    result.matched = this.evaluateSetOperator(condition.operator, fieldValue, condition.value,
+                        () => this.getAnswerScore(this.findQuestion(condition.field, context), fieldValue));
+                    break;
+                case 'mentions_any':
+                case 'mentions_all':
+                case 'mentions_none':
+                case 'negates_any':
+                case 'similar_to':
+                    result.matched = this.evaluateTextOperator(condition.operator, fieldValue, condition.value);
+                    break;
+                case 'changed_from':
+                case 'increased':
+                case 'decreased':
+                case 'delta_greater_than':
+                case 'delta_less_than':
+                    result.previousValue = this.getPreviousValue(condition, context);
+                    result.matched = this.evaluateRegression(condition, fieldValue, result.previousValue, context);
+                    break;
                 default:
                     console.warn(`Unknown operator: ${condition.operator}`);
                     result.matched = false;
@@ -293,10 +729,25 @@ class RulesEngine {
         return result;
     }
 
+    /**
+     * Evaluate a computed-field expression against the context
+     */
+    static evaluateExpression(expression, context) {
+        if (typeof ExpressionEvaluator === 'undefined') {
+            throw new Error('Expression evaluator not available');
+        }
+        return ExpressionEvaluator.evaluate(expression, context);
+    }
+
     /**
      * Get field value from context
      */
     static getFieldValue(field, context) {
+        // Question IDs (e.g. "question-1") refer to the submitted answers
+        if (context?.answers && Object.prototype.hasOwnProperty.call(context.answers, field)) {
+            return context.answers[field];
+        }
+
         // Handle dot notation for nested fields
         const fieldParts = field.split('.');
         let value = context;
@@ -325,6 +776,13 @@ class RulesEngine {
             const numValue = parseFloat(value2);
             if (!isNaN(numValue)) value2 = numValue;
         }
+        // Values typed into the rule builder arrive as text, e.g. "true" for an expression result
+        if (typeof value1 === 'boolean' && (value2 === 'true' || value2 === 'false')) {
+            value2 = value2 === 'true';
+        }
+        if (typeof value2 === 'boolean' && (value1 === 'true' || value1 === 'false')) {
+            value1 = value1 === 'true';
+        }
 
         switch (operator) {
             case '===': return value1 === value2;
@@ -347,62 +805,473 @@ class RulesEngine {
         if (typeof value === 'string') {
             return value.toLowerCase().includes(String(searchValue).toLowerCase());
         }
-        return false;
+        return false;
+    }
+
+    /**
+     * Check if value is between two values
+     */
+    static isBetween(value, range) {
+        if (!Array.isArray(range) || range.length !== 2) {
+            return false;
+        }
+        const numValue = parseFloat(value);
+        const min = parseFloat(range[0]);
+        const max = parseFloat(range[1]);
+        
+        return !isNaN(numValue) && !isNaN(min) && !isNaN(max) && 
+               numValue >= min && numValue <= max;
+    }
+
+    /**
+     * Check if value is in a list
+     */
+    static isInList(value, list) {
+        if (!Array.isArray(list)) {
+            return false;
+        }
+        return list.includes(value);
+    }
+
+    /**
+     * Check if value matches a regex pattern
+     */
+    static regexMatch(value, pattern) {
+        try {
+            const regex = new RegExp(pattern);
+            return regex.test(String(value));
+        } catch (error) {
+            console.error('Invalid regex pattern:', pattern);
+            return false;
+        }
+    }
+
+    /**
+     * Check if value is empty
+     */
+    static isEmpty(value) {
+        if (value === null || value === undefined) return true;
+        if (typeof value === 'string') return value.trim() === '';
+        if (Array.isArray(value)) return value.length === 0;
+        if (typeof value === 'object') return Object.keys(value).length === 0;
+        return false;
+    }
+
+    /**
+     * Evaluate a text operator on a free-text answer
+     * mentions_any/all/none: keywords or phrases (comma-separated) found on
+     * word stems; a negated mention ("we do not encrypt") does not count.
+     * negates_any: a keyword is only mentioned negated. similar_to: the
+     * answer is at least as similar as the threshold to a reference answer.
+     */
+    static evaluateTextOperator(operator, answer, value) {
+        if (typeof TextAnalyzer === 'undefined') {
+            throw new Error(`Text operator "${operator}" needs the text analyzer`);
+        }
+
+        const text = Array.isArray(answer) ? answer.join(' ') : String(answer ?? '');
+
+        if (operator === 'similar_to') {
+            const { threshold, references } = TextAnalyzer.parseSimilarityValue(value);
+            return TextAnalyzer.similarity(text, references) >= threshold;
+        }
+
+        const terms = this.toValueList(value);
+        const analysis = TextAnalyzer.analyzeTerms(text, terms);
+        switch (operator) {
+            case 'mentions_any':
+                return analysis.mentioned.length > 0;
+            case 'mentions_all':
+                return terms.length > 0 && analysis.mentioned.length === terms.length;
+            case 'mentions_none':
+                return analysis.mentioned.length === 0;
+            case 'negates_any':
+                return analysis.negated.length > 0;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Evaluate an operator comparing an answer with the previous assessment's
+     * changed_from: the previous answer was the value (any value when empty) and
+     * the answer differs now. increased/decreased: the answer moved up/down by
+     * more than 0, or by at least the value. delta_greater_than/delta_less_than:
+     * current minus previous compared with the value. Movement is measured in
+     * option scores (or option order when options have no scores), or numbers.
+     * Never matches without a previous answer.
+     */
+    static evaluateRegression(condition, current, previous, context) {
+        if (previous === undefined || previous === null || previous === '' ||
+            (Array.isArray(previous) && previous.length === 0)) {
+            return false;
+        }
+
+        if (condition.operator === 'changed_from') {
+            const changed = JSON.stringify(this.toAnswerList(previous).sort()) !== JSON.stringify(this.toAnswerList(current).sort());
+            const expected = this.toValueList(condition.value);
+            return changed && (expected.length === 0 || expected.some(value => this.toAnswerList(previous).includes(value)));
+        }
+
+        const question = condition.expression ? null : this.findQuestion(condition.field, context);
+        const before = this.getComparableValue(question, previous);
+        const after = this.getComparableValue(question, current);
+        if (before === null || after === null) {
+            return false;
+        }
+
+        const delta = after - before;
+        const amount = parseFloat(condition.value);
+        switch (condition.operator) {
+            case 'increased':
+                return isNaN(amount) ? delta > 0 : delta >= amount && delta > 0;
+            case 'decreased':
+                return isNaN(amount) ? delta < 0 : -delta >= amount && delta < 0;
+            case 'delta_greater_than':
+                return !isNaN(amount) && delta > amount;
+            case 'delta_less_than':
+                return !isNaN(amount) && delta < amount;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * The previous assessment's value for a condition's field or expression
+     */
+    static getPreviousValue(condition, context) {
+        const previousAnswers = context?.previous?.answers;
+        if (!previousAnswers) {
+            return undefined;
+        }
+
+        if (condition.expression) {
+            return this.evaluateExpression(condition.expression, { ...context, answers: previousAnswers });
+        }
+        return previousAnswers[String(condition.field).replace(/^answers\./, '')];
+    }
+
+    /**
+     * A number to measure an answer's movement by
+     * Options with scores give their score sum; options without scores give
+     * their position; other answers are read as numbers.
+     */
+    static getComparableValue(question, answer) {
+        if (answer === undefined || answer === null || answer === '') {
+            return null;
+        }
+
+        const options = Array.isArray(question?.options) ? question.options : null;
+        if (options && options.some(option => option.score !== undefined)) {
+            return this.getAnswerScore(question, answer);
+        }
+        if (options && !Array.isArray(answer)) {
+            const index = options.findIndex(option => String(option.value) === String(answer));
+            return index >= 0 ? index : null;
+        }
+
+        const number = Array.isArray(answer) ? answer.length : parseFloat(answer);
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * Evaluate a set operator on a (multi-select) answer
+     * List values are arrays or comma-separated text. Count operators take a
+     * number, or "2 of gdpr, hipaa, pci_dss" to count only those options.
+     * Score operators compare the sum of the selected options' scores.
+     * An unanswered question is an empty selection.
+     * @param {Function} getScore - Returns the answer's score sum
+     */
+    static evaluateSetOperator(operator, answer, value, getScore = () => 0) {
+        const selected = this.toAnswerList(answer);
+
+        switch (operator) {
+            case 'contains_any':
+                return this.toValueList(value).some(item => selected.includes(item));
+            case 'contains_all':
+            case 'superset_of':
+                return this.toValueList(value).every(item => selected.includes(item));
+            case 'contains_none':
+                return !this.toValueList(value).some(item => selected.includes(item));
+            case 'subset_of': {
+                const allowed = this.toValueList(value);
+                return selected.every(item => allowed.includes(item));
+            }
+            case 'count_equals':
+            case 'count_at_least':
+            case 'count_at_most': {
+                const { count, of } = this.parseCountValue(value);
+                const actual = of ? selected.filter(item => of.includes(item)).length : selected.length;
+                if (operator === 'count_equals') return actual === count;
+                return operator === 'count_at_least' ? actual >= count : actual <= count;
+            }
+            case 'score_at_least':
+            case 'score_at_most': {
+                const threshold = parseFloat(value);
+                if (isNaN(threshold)) {
+                    throw new Error(`"${operator}" needs a number, got "${value}"`);
+                }
+                return operator === 'score_at_least' ? getScore() >= threshold : getScore() <= threshold;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * An answer as a list of option values (as text)
+     */
+    static toAnswerList(answer) {
+        if (answer === undefined || answer === null || answer === '') return [];
+        return (Array.isArray(answer) ? answer : [answer]).map(item => String(item));
+    }
+
+    /**
+     * A condition value as a list: an array, or comma-separated text
+     */
+    static toValueList(value) {
+        if (Array.isArray(value)) return value.map(item => String(item).trim());
+        if (value === undefined || value === null) return [];
+        return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Parse a count operator value: 2, "2", { count: 2, of: [...] } or "2 of a, b, c"
+     * Returns { count, of } where of is null when every selection counts.
+     */
+    static parseCountValue(value) {
+        let count = value;
+        let of = null;
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            count = value.count;
+            of = value.of !== undefined ? this.toValueList(value.of) : null;
+        } else if (typeof value === 'string') {
+            const match = value.trim().match(/^(\d+)\s+of\s+(.+)$/i);
+            if (match) {
+                count = match[1];
+                of = this.toValueList(match[2]);
+            }
+        }
+
+        const number = parseInt(count, 10);
+        if (isNaN(number)) {
+            throw new Error(`Count operators need a number or "N of a, b, c", got "${typeof value === 'object' ? JSON.stringify(value) : value}"`);
+        }
+        return { count: number, of };
+    }
+
+    /**
+     * Sum the option scores of an answer; answers to questions without options count as numbers
+     */
+    static getAnswerScore(question, answer) {
+        return this.toAnswerList(answer).reduce((total, value) => {
+            const option = question?.options?.find(o => String(o.value) === value);
+            const score = option ? parseFloat(option.score) : parseFloat(value);
+            return total + (isNaN(score) ? 0 : score);
+        }, 0);
+    }
+
+    /**
+     * Find the question a condition field refers to
+     */
+    static findQuestion(field, context) {
+        if (!field) return null;
+        const questionId = String(field).replace(/^answers\./, '');
+        const questions = Array.isArray(context?.questions) && context.questions.length > 0
+            ? context.questions
+            : (typeof StateManager !== 'undefined' ? StateManager.getState('config.questions') || [] : []);
+        return questions.find(question => question.id === questionId) || null;
+    }
+
+    /**
+     * Compare a date answer with a date reference (see resolveDateReference)
+     */
+    static compareDates(value, reference, context, operator) {
+        const date = this.parseDate(value);
+        const target = this.resolveDateReference(reference, context);
+        if (!date || !target) return false;
+        return operator === '<' ? date < target : date > target;
+    }
+
+    /**
+     * Check if a date lies within a duration of now, in the past or the future
+     */
+    static isWithin(value, duration, context) {
+        const date = this.parseDate(value);
+        if (!date) return false;
+        const span = this.requireDuration(duration);
+        const now = this.getReferenceTime(context);
+        return date >= this.addDuration(now, span, -1) && date <= this.addDuration(now, span, 1);
+    }
+
+    /**
+     * Check if a date lies further in the past than a duration
+     */
+    static isOlderThan(value, duration, context) {
+        const date = this.parseDate(value);
+        if (!date) return false;
+        return date < this.addDuration(this.getReferenceTime(context), this.requireDuration(duration), -1);
+    }
+
+    /**
+     * Resolve the date a condition compares against
+     * Accepts a date, "now" or "today" optionally shifted ("now - 12 months",
+     * "today + 30 days"), or the name of an answer or variable holding a date
+     * such as a policy deadline.
+     */
+    static resolveDateReference(reference, context) {
+        const date = this.parseDate(reference);
+        if (date || typeof reference !== 'string' || !reference.trim()) {
+            return date;
+        }
+
+        const relative = reference.trim().match(/^(now|today)\s*(?:([+-])\s*(.+))?$/i);
+        if (relative) {
+            let base = this.getReferenceTime(context);
+            if (relative[1].toLowerCase() === 'today') {
+                base = new Date(base.getFullYear(), base.getMonth(), base.getDate());
+            }
+            return relative[2]
+                ? this.addDuration(base, this.requireDuration(relative[3]), relative[2] === '-' ? -1 : 1)
+                : base;
+        }
+
+        return this.parseDate(this.getFieldValue(reference.trim(), context));
+    }
+
+    /**
+     * Time that "now" means for an evaluation
+     * Contexts may pin it with now (rule tests, replays); otherwise the
+     * evaluation timestamp is used.
+     */
+    static getReferenceTime(context) {
+        return this.parseDate(context?.now) || this.parseDate(context?.timestamp) || new Date();
+    }
+
+    /**
+     * Parse a date value: a Date, a millisecond timestamp or an ISO string
+     * Plain dates ("2025-06-30", as date inputs give them) are local midnight.
+     */
+    static parseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+        if (typeof value === 'number') {
+            return isFinite(value) ? new Date(value) : null;
+        }
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const text = value.trim();
+        const plainDate = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (plainDate) {
+            return new Date(Number(plainDate[1]), Number(plainDate[2]) - 1, Number(plainDate[3]));
+        }
+        if (!/^\d{4}-\d{2}-\d{2}[T ]/.test(text)) {
+            return null;
+        }
+        const time = Date.parse(text);
+        return isNaN(time) ? null : new Date(time);
+    }
+
+    /**
+     * Parse a duration: "30 days", "12 months", "1 year 6 months" or ISO 8601 ("P30D", "P1Y6M", "PT12H")
+     * Returns { years, months, days, hours, minutes } or null; weeks count as 7 days.
+     */
+    static parseDuration(value) {
+        const text = String(value ?? '').trim().toLowerCase();
+        const duration = { years: 0, months: 0, days: 0, hours: 0, minutes: 0 };
+
+        const iso = text.match(/^p(?:(\d+)y)?(?:(\d+)m)?(?:(\d+)w)?(?:(\d+)d)?(?:t(?:(\d+)h)?(?:(\d+)m)?)?$/);
+        if (iso && text !== 'p' && text !== 'pt') {
+            const [, years, months, weeks, days, hours, minutes] = iso.map(part => Number(part) || 0);
+            return { years, months, days: days + weeks * 7, hours, minutes };
+        }
+
+        const units = {
+            year: 'years', month: 'months', week: 'days', day: 'days', hour: 'hours', minute: 'minutes'
+        };
+        const parts = text.split(/\s*(?:,|and)\s*|\s+(?=\d)/).filter(Boolean);
+        if (parts.length === 0) return null;
+
+        for (const part of parts) {
+            const match = part.match(/^(\d+(?:\.\d+)?)\s*(year|month|week|day|hour|minute)s?$/);
+            if (!match) return null;
+            const amount = Number(match[1]) * (match[2] === 'week' ? 7 : 1);
+            duration[units[match[2]]] += amount;
+        }
+        return duration;
     }
 
     /**
-     * Check if value is between two values
+     * Parse a duration or fail with a message naming the bad value
      */
-    static isBetween(value, range) {
-        if (!Array.isArray(range) || range.length !== 2) {
-            return false;
+    static requireDuration(value) {
+        const duration = this.parseDuration(value);
+        if (!duration) {
+            throw new Error(`Invalid duration "${value}"; use e.g. "30 days", "12 months" or "P1Y"`);
         }
-        const numValue = parseFloat(value);
-        const min = parseFloat(range[0]);
-        const max = parseFloat(range[1]);
-        
-        return !isNaN(numValue) && !isNaN(min) && !isNaN(max) && 
-               numValue >= min && numValue <= max;
+        return duration;
     }
 
     /**
-     * Check if value is in a list
+     * Shift a date by a duration (backwards when sign is -1)
+     * Month steps keep the day of month, clamped to the target month's length.
      */
-    static isInList(value, list) {
-        if (!Array.isArray(list)) {
-            return false;
-        }
-        return list.includes(value);
+    static addDuration(date, duration, sign = 1) {
+        const result = new Date(date.getTime());
+        const dayOfMonth = result.getDate();
+
+        result.setDate(1);
+        result.setFullYear(result.getFullYear() + sign * duration.years, result.getMonth() + sign * duration.months);
+        const monthLength = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(dayOfMonth, monthLength) + sign * duration.days);
+        result.setTime(result.getTime() + sign * (duration.hours * 3600000 + duration.minutes * 60000));
+
+        return result;
     }
 
     /**
-     * Check if value matches a regex pattern
+     * Check whether a rule is in effect at the evaluation's reference time
+     * A plain-date effectiveUntil includes the whole of that day.
      */
-    static regexMatch(value, pattern) {
-        try {
-            const regex = new RegExp(pattern);
-            return regex.test(String(value));
-        } catch (error) {
-            console.error('Invalid regex pattern:', pattern);
-            return false;
-        }
+    static isRuleEffective(rule, context) {
+        return !this.getIneffectiveReason(rule, context);
     }
 
     /**
-     * Check if value is empty
+     * Why a rule is not in effect, or null when it is
      */
-    static isEmpty(value) {
-        if (value === null || value === undefined) return true;
-        if (typeof value === 'string') return value.trim() === '';
-        if (Array.isArray(value)) return value.length === 0;
-        if (typeof value === 'object') return Object.keys(value).length === 0;
-        return false;
+    static getIneffectiveReason(rule, context) {
+        if (!rule.effectiveFrom && !rule.effectiveUntil) {
+            return null;
+        }
+
+        const now = this.getReferenceTime(context);
+        const from = this.parseDate(rule.effectiveFrom);
+        if (from && now < from) {
+            return `Not in effect until ${rule.effectiveFrom}`;
+        }
+
+        const until = this.parseDate(rule.effectiveUntil);
+        if (until) {
+            const end = /^\d{4}-\d{2}-\d{2}$/.test(String(rule.effectiveUntil).trim())
+                ? new Date(until.getFullYear(), until.getMonth(), until.getDate() + 1)
+                : until;
+            if (now >= end) {
+                return `Expired on ${rule.effectiveUntil}`;
+            }
+        }
+
+        return null;
     }
 
     /**
      * Apply rule actions
      */
-    static applyRuleActions(rule, context, ruleResult) {
+    static applyRuleActions(rule, context, ruleResult, actionTypes = null) {
         const actionResults = [];
 
         if (!rule.actions || !Array.isArray(rule.actions)) {
@@ -410,6 +1279,10 @@ class RulesEngine {
         }
 
         for (const action of rule.actions) {
+            if (actionTypes && !actionTypes.includes(action.type)) {
+                continue;
+            }
+
             try {
                 const actionResult = this.applyAction(action, context, ruleResult, rule);
                 actionResults.push(actionResult);
@@ -448,7 +1321,7 @@ class RulesEngine {
                 break;
                 
             case 'route':
-                result.data = this.applyRouteAction(action, context, ruleResult);
+                result.data = this.applyRouteAction(action, context, ruleResult, rule);
                 result.success = true;
                 break;
                 
@@ -458,7 +1331,7 @@ class RulesEngine {
                 break;
                 
             case 'notify':
-                result.data = this.applyNotifyAction(action, context, ruleResult);
+                result.data = this.applyNotifyAction(action, context, ruleResult, rule);
                 result.success = true;
                 break;
                 
@@ -466,6 +1339,11 @@ class RulesEngine {
                 result.data = this.applySetVariableAction(action, context, ruleResult);
                 result.success = true;
                 break;
+
+            case 'trigger_workflow':
+                result.data = this.applyTriggerWorkflowAction(action, context, ruleResult);
+                result.success = true;
+                break;
                 
             default:
                 throw new Error(`Unknown action type: ${action.type}`);
@@ -480,7 +1358,9 @@ class RulesEngine {
     static applyScoreAction(action, context, ruleResult) {
         const params = action.parameters || {};
         const operation = params.operation || 'add';
-        const value = params.value || 1;
+        const value = params.expression
+            ? Number(this.evaluateExpression(params.expression, context)) || 0
+            : params.value || 1;
         const weight = params.weight || 1;
 
         let scoreChange = 0;
@@ -513,18 +1393,25 @@ class RulesEngine {
 
     /**
      * Apply recommendation action
+     * Parameters: { template, message, priority, data } plus the optional
+     * recommendation fields title, rationale, effort, impact, ownerRole,
+     * dueWindow, relatedControls and dependsOn (see RecommendationModel)
      */
     static applyRecommendAction(action, context, ruleResult) {
         const params = action.parameters || {};
         const templateId = params.template;
         const message = params.message;
         const priority = params.priority || 'normal';
+        const details = ['title', 'rationale', 'effort', 'impact', 'ownerRole', 'dueWindow', 'relatedControls', 'dependsOn']
+            .filter(field => params[field] !== undefined)
+            .reduce((fields, field) => ({ ...fields, [field]: params[field] }), {});
 
         const recommendation = {
             id: this.generateId(),
             templateId: templateId,
             message: message,
             priority: priority,
+            ...details,
             ruleId: ruleResult.ruleId,
             timestamp: new Date().toISOString(),
             data: params.data || {}
@@ -540,48 +1427,253 @@ class RulesEngine {
 
     /**
      * Apply route action
+     * Parameters: { mode, target, questions, after }. mode is one of
+     * skip_to (target question), section (target category), insert (follow-up
+     * question IDs) or end. Without a mode, a target that names a question
+     * skips to it and any other target jumps to that section. The route takes
+     * effect after the `after` question, by default the last question the
+     * rule's conditions read.
      */
-    static applyRouteAction(action, context, ruleResult) {
+    static applyRouteAction(action, context, ruleResult, rule = null) {
         const params = action.parameters || {};
         const target = params.target;
         const condition = params.condition;
+        const questions = context.questions || [];
+        const mode = params.mode ||
+            (questions.some(question => question.id === target) ? 'skip_to' : 'section');
+
+        if (!this.ROUTE_MODES.includes(mode)) {
+            throw new Error(`Unknown route mode: ${mode}`);
+        }
+        if ((mode === 'skip_to' || mode === 'section') && !target) {
+            throw new Error(`Route mode ${mode} requires a target`);
+        }
+
+        let followUps = [];
+        if (mode === 'insert') {
+            followUps = Array.isArray(params.questions) ? params.questions : [params.questions || target];
+            followUps = followUps.filter(Boolean);
+            if (followUps.length === 0) {
+                throw new Error('Route mode insert requires follow-up questions');
+            }
+        }
 
         return {
+            mode: mode,
             target: target,
+            questions: followUps,
+            after: params.after || this.getRouteAnchor(rule, questions),
+            ruleId: rule?.id || null,
             condition: condition,
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Last question, in questionnaire order, that a rule's conditions read
+     * Returns null when the rule does not depend on any answer.
+     */
+    static getRouteAnchor(rule, questions = []) {
+        if (!rule) {
+            return null;
+        }
+
+        const reads = new Set();
+        const visit = (group) => {
+            (group?.rules || []).forEach(condition => {
+                if (this.isConditionGroup(condition)) {
+                    visit(condition);
+                } else if (condition?.expression) {
+                    if (typeof RuleDependencyGraph !== 'undefined') {
+                        RuleDependencyGraph.getExpressionIdentifiers(condition.expression)
+                            .forEach(name => reads.add(name));
+                    }
+                } else if (condition?.field) {
+                    reads.add(String(condition.field).replace(/^answers\./, ''));
+                }
+            });
+        };
+        visit(rule.conditions);
+
+        const anchors = questions.filter(question => reads.has(question.id));
+        return anchors.length > 0 ? anchors[anchors.length - 1].id : null;
+    }
+
     /**
      * Apply validate action
+     * Runs a named ValidationEngine rule (built-in or added with addCustomRule)
+     * against the target answer. Parameters: { field, rule, params, message }
+     * where rule is a rule name or { name, params, message }.
      */
     static applyValidateAction(action, context, ruleResult) {
         const params = action.parameters || {};
         const field = params.field;
         const rule = params.rule;
-        const message = params.message;
+        const ruleName = typeof rule === 'string' ? rule : rule?.name;
+        const ruleParams = (typeof rule === 'object' && rule?.params) || params.params || [];
+
+        if (!field || !ruleName) {
+            throw new Error('validate action requires a field and a rule');
+        }
+
+        const validator = this.getValidationEngine();
+        if (!validator) {
+            throw new Error('Validation engine not available');
+        }
+
+        if (!validator.rules.has(ruleName) && !validator.customValidators.has(ruleName)) {
+            throw new Error(`Unknown validation rule: ${ruleName}`);
+        }
+
+        // Multi-select answers are valid only when every selected value passes;
+        // a validator that throws (e.g. on a missing answer) counts as a failure
+        const value = this.getFieldValue(field, context);
+        const values = Array.isArray(value) ? value : [value];
+        const valid = values.length > 0 && values.every(item => {
+            try {
+                return validator.executeRule(ruleName, item, ...ruleParams);
+            } catch (error) {
+                return false;
+            }
+        });
+
+        const message = params.message || rule?.message ||
+            validator.getErrorMessage(ruleName, this.getFieldLabel(field, context), ruleParams);
 
-        // This would integrate with ValidationEngine
         return {
             field: field,
-            rule: rule,
+            rule: ruleName,
+            params: ruleParams,
+            value: value,
             message: message,
-            valid: true // Placeholder
+            valid: valid
         };
     }
 
+    /**
+     * Get the ValidationEngine validate actions run on
+     * Defaults to the application's shared instance, so custom rules added to
+     * it apply here too; stored pattern rules are registered on first use.
+     */
+    static getValidationEngine() {
+        if (!this.validationEngine &&
+            typeof ValidationEngine !== 'undefined' &&
+            typeof ValidationEngine.prototype?.executeRule === 'function') {
+            this.setValidationEngine(typeof ValidationEngine.getShared === 'function'
+                ? ValidationEngine.getShared()
+                : new ValidationEngine());
+        }
+        return this.validationEngine;
+    }
+
+    /**
+     * Use a specific ValidationEngine for validate actions
+     */
+    static setValidationEngine(validator) {
+        this.validationEngine = validator;
+        if (validator) {
+            this.getValidationRules().forEach(definition => this.registerValidationRule(validator, definition));
+        }
+    }
+
+    /**
+     * Stored custom validation rules
+     * @returns {Array} [{ name, pattern, flags, message }]
+     */
+    static getValidationRules() {
+        return typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.VALIDATION_RULES_KEY, []) || []
+            : [];
+    }
+
+    /**
+     * Add (or replace) a custom validation rule and store it
+     * Stored rules are patterns an answer must match, so they survive a reload;
+     * validate actions then use them by name like the built-in rules.
+     * @param {Object} definition - { name, pattern, flags, message }
+     * @throws {Error} When the name clashes with a built-in rule or the pattern is invalid
+     */
+    static addValidationRule(definition) {
+        const name = String(definition?.name || '').trim();
+        if (!name || !definition.pattern) {
+            throw new Error('A validation rule needs a name and a pattern');
+        }
+
+        const validator = this.getValidationEngine();
+        if (validator?.rules.has(name)) {
+            throw new Error(`"${name}" is a built-in validation rule`);
+        }
+
+        // Throws a SyntaxError for an invalid pattern or flags
+        new RegExp(definition.pattern, definition.flags || '');
+
+        const stored = { name, pattern: definition.pattern, flags: definition.flags || '', message: definition.message || '' };
+        const rules = this.getValidationRules().filter(rule => rule.name !== name);
+        rules.push(stored);
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.VALIDATION_RULES_KEY, rules);
+        }
+
+        if (validator) {
+            this.registerValidationRule(validator, stored);
+        }
+        return stored;
+    }
+
+    /**
+     * Remove a stored custom validation rule
+     */
+    static removeValidationRule(name) {
+        const rules = this.getValidationRules().filter(rule => rule.name !== name);
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.VALIDATION_RULES_KEY, rules);
+        }
+
+        if (this.validationEngine) {
+            this.validationEngine.customValidators.delete(name);
+            this.validationEngine.errorMessages.delete(name);
+        }
+    }
+
+    /**
+     * Register a stored pattern rule on a ValidationEngine
+     */
+    static registerValidationRule(validator, definition) {
+        // Without g and y the pattern keeps no state between answers
+        const pattern = new RegExp(definition.pattern, (definition.flags || '').replace(/[gy]/g, ''));
+        validator.addCustomRule(
+            definition.name,
+            value => value !== null && value !== undefined && pattern.test(String(value)),
+            definition.message || '{field} is not valid'
+        );
+    }
+
+    /**
+     * Get a readable label for a field
+     */
+    static getFieldLabel(field, context) {
+        const question = (context.questions || []).find(q => q.id === field);
+        return question?.title || field;
+    }
+
     /**
      * Apply notify action
+     * Shows a toast and hands the notification to the notification service,
+     * which delivers it per recipient on the chosen channel (inbox by default).
+     * Subject and message may use {{path}} placeholders over the assessment data.
      */
-    static applyNotifyAction(action, context, ruleResult) {
+    static applyNotifyAction(action, context, ruleResult, rule = null) {
         const params = action.parameters || {};
-        const message = params.message;
         const type = params.type || 'info';
         const recipients = params.recipients || [];
-
-        // Emit notification event
-        if (typeof EventBus !== 'undefined') {
+        const templateData = this.buildNotificationData(context, ruleResult, rule);
+        const render = (text) => typeof NotificationService !== 'undefined'
+            ? NotificationService.renderTemplate(text, templateData)
+            : text;
+        const message = render(params.message);
+
+        // Emit notification event; rule tests only record what would be sent
+        if (typeof EventBus !== 'undefined' && !context.test) {
             EventBus.emit('notification.show', {
                 message: message,
                 type: type,
@@ -590,11 +1682,66 @@ class RulesEngine {
             });
         }
 
-        return {
+        const result = {
             message: message,
             type: type,
+            channel: params.channel || 'inbox',
+            recipients: recipients,
+            queued: false
+        };
+
+        if (context.test || recipients.length === 0) {
+            return result;
+        }
+
+        if (typeof NotificationService === 'undefined') {
+            throw new Error('Notification service not available');
+        }
+
+        const notification = NotificationService.send({
             recipients: recipients,
-            sent: true
+            channel: params.channel,
+            template: params.template,
+            subject: params.subject,
+            message: params.message,
+            type: type,
+            data: templateData,
+            maxAttempts: params.maxAttempts,
+            ruleId: ruleResult.ruleId,
+            assessmentId: context.assessmentId
+        });
+
+        // Deliveries finish asynchronously; their status is tracked by the service
+        return {
+            ...result,
+            message: notification.message,
+            subject: notification.subject,
+            notificationId: notification.id,
+            deliveries: notification.deliveries.map(delivery => ({
+                channel: delivery.channel,
+                recipient: delivery.recipient,
+                status: delivery.status
+            })),
+            queued: true
+        };
+    }
+
+    /**
+     * Data available to notification templates: the context (answers and
+     * variables) plus assessment, rule and score
+     */
+    static buildNotificationData(context, ruleResult, rule) {
+        return {
+            ...context,
+            assessment: {
+                id: context.assessmentId || '',
+                date: context.timestamp ? new Date(context.timestamp).toLocaleDateString() : ''
+            },
+            rule: {
+                id: ruleResult.ruleId,
+                name: rule?.name || ruleResult.ruleId
+            },
+            score: ruleResult.score || 0
         };
     }
 
@@ -604,10 +1751,13 @@ class RulesEngine {
     static applySetVariableAction(action, context, ruleResult) {
         const params = action.parameters || {};
         const variable = params.variable;
-        const value = params.value;
+        const value = params.expression
+            ? this.evaluateExpression(params.expression, context)
+            : params.value;
         const scope = params.scope || 'context';
 
-        if (scope === 'context') {
+        // Dry runs keep global variables in the context so nothing outlives the run
+        if (scope === 'context' || (scope === 'global' && context.dryRun)) {
             context[variable] = value;
         } else if (scope === 'global' && typeof StateManager !== 'undefined') {
             StateManager.setState(`rules.variables.${variable}`, value);
@@ -620,18 +1770,125 @@ class RulesEngine {
         };
     }
 
+    /**
+     * Apply trigger workflow action
+     */
+    static applyTriggerWorkflowAction(action, context, ruleResult) {
+        const params = action.parameters || {};
+        const workflowId = params.workflow;
+
+        if (!workflowId) {
+            throw new Error('trigger_workflow action requires a workflow parameter');
+        }
+
+        // Rule tests must not open real review workflows
+        if (context.test) {
+            return {
+                workflow: workflowId,
+                started: false,
+                reason: 'Skipped in test evaluation'
+            };
+        }
+
+        if (typeof WorkflowEngine === 'undefined') {
+            throw new Error('Workflow engine not available');
+        }
+
+        const instance = WorkflowEngine.startWorkflow(workflowId, {
+            assessmentId: context.assessmentId,
+            ruleId: ruleResult.ruleId,
+            data: params.data || {}
+        });
+
+        return {
+            workflow: workflowId,
+            instanceId: instance.id,
+            started: true
+        };
+    }
+
+    /**
+     * Run rule-driven validations against a set of answers
+     * Only validate actions are applied, so no other side effects occur.
+     */
+    static validateAnswers(answers, assessmentId = null) {
+        const context = {
+            answers: answers,
+            assessmentId: assessmentId,
+            timestamp: new Date().toISOString(),
+            questions: typeof StateManager !== 'undefined'
+                ? StateManager.getState('config.questions') || []
+                : []
+        };
+
+        const rules = this.rules.filter(rule =>
+            rule.active !== false &&
+            Array.isArray(rule.actions) &&
+            rule.actions.some(action => action.type === 'validate')
+        );
+
+        const results = this.evaluateRules(context, rules, {
+            actionTypes: ['validate'],
+            silent: true
+        });
+
+        return {
+            isValid: results.validationErrors.length === 0,
+            errors: results.validationErrors
+        };
+    }
+
+    /**
+     * Evaluate route actions against the answers given so far
+     * Set Variable actions are applied too so routes can depend on computed
+     * variables, as a dry run: global variables stay in the context, so
+     * navigating never writes state. Nothing else runs and no events are emitted.
+     */
+    static getRoutes(answers, assessmentId = null, questions = null) {
+        const context = {
+            answers: answers,
+            assessmentId: assessmentId,
+            timestamp: new Date().toISOString(),
+            questions: questions || (typeof StateManager !== 'undefined'
+                ? StateManager.getState('config.questions') || []
+                : []),
+            dryRun: true
+        };
+
+        const hasRoutes = this.rules.some(rule =>
+            rule.active !== false &&
+            Array.isArray(rule.actions) &&
+            rule.actions.some(action => action.type === 'route')
+        );
+        if (!hasRoutes) {
+            return [];
+        }
+
+        const results = this.evaluateRules(context, null, {
+            actionTypes: ['set_variable', 'route'],
+            silent: true
+        });
+
+        return results.actions
+            .filter(action => action.type === 'route' && action.success && action.data)
+            .map(action => action.data);
+    }
+
     /**
      * Test rules with sample data
      */
-    static testRules(sampleData, rulesToTest = null) {
+    static testRules(sampleData, rulesToTest = null, options = {}) {
         const testContext = {
             answers: sampleData,
             assessmentId: 'test-assessment',
             timestamp: new Date().toISOString(),
+            questions: typeof StateManager !== 'undefined'
+                ? StateManager.getState('config.questions') || []
+                : [],
             test: true
         };
 
-        const results = this.evaluateRules(testContext, rulesToTest);
+        const results = this.evaluateRules(testContext, rulesToTest, options);
         
         return {
             context: testContext,
@@ -662,6 +1919,7 @@ class RulesEngine {
         rule.modified = new Date().toISOString();
         rule.active = rule.active !== false;
 
+        this.recordRuleVersion(rule, { changeType: 'created' });
         this.rules.push(rule);
         this.saveRules();
         
@@ -686,12 +1944,67 @@ class RulesEngine {
             throw new Error('Invalid rule update: ' + validation.errors.join(', '));
         }
 
+        this.recordRuleVersion(updatedRule);
         this.rules[ruleIndex] = updatedRule;
         this.saveRules();
         
         return updatedRule;
     }
 
+    /**
+     * Restore a rule to an earlier version
+     * The restored content is saved as a new version so the history stays linear.
+     */
+    static rollbackRule(ruleId, version, options = {}) {
+        if (typeof RuleVersionStore === 'undefined') {
+            throw new Error('Rule versioning not available');
+        }
+
+        const restoredRule = RuleVersionStore.getRollbackSnapshot(ruleId, version);
+        restoredRule.modified = new Date().toISOString();
+
+        this.recordRuleVersion(restoredRule, {
+            changeType: 'rollback',
+            comment: options.comment || `Rolled back to version ${version}`,
+            author: options.author
+        });
+
+        const ruleIndex = this.rules.findIndex(r => r.id === ruleId);
+        if (ruleIndex >= 0) {
+            this.rules[ruleIndex] = restoredRule;
+        } else {
+            this.rules.push(restoredRule);
+        }
+        this.saveRules();
+
+        return restoredRule;
+    }
+
+    /**
+     * Record a rule revision in the version history
+     */
+    static recordRuleVersion(rule, options = {}) {
+        if (typeof RuleVersionStore === 'undefined') {
+            return null;
+        }
+
+        return RuleVersionStore.recordVersion(rule, options);
+    }
+
+    /**
+     * Get the version of every active rule, for recording on assessments
+     */
+    static getRuleVersions(rules = null) {
+        const rulesToMap = rules || this.rules.filter(rule => rule.active !== false);
+        if (typeof RuleVersionStore !== 'undefined') {
+            return RuleVersionStore.getVersionMap(rulesToMap);
+        }
+        return rulesToMap.reduce((map, rule) => {
+            map[rule.id] = rule.version || null;
+            return map;
+        }, {});
+    }
+
     /**
      * Remove rule
      */
@@ -701,6 +2014,7 @@ class RulesEngine {
             return false;
         }
 
+        this.recordRuleVersion(this.rules[ruleIndex], { changeType: 'deleted' });
         this.rules.splice(ruleIndex, 1);
         this.saveRules();
         return true;
@@ -719,18 +2033,86 @@ class RulesEngine {
 
         if (rule.conditions && !rule.conditions.rules) {
             errors.push('Rule conditions must have rules array');
+        } else if (rule.conditions) {
+            errors.push(...this.validateConditionGroup(rule.conditions));
         }
 
         if (rule.actions && !Array.isArray(rule.actions)) {
             errors.push('Rule actions must be an array');
         }
 
+        ['effectiveFrom', 'effectiveUntil'].forEach(key => {
+            if (rule[key] && !this.parseDate(rule[key])) {
+                errors.push(`${key} must be a date (YYYY-MM-DD)`);
+            }
+        });
+        if (this.parseDate(rule.effectiveFrom) && this.parseDate(rule.effectiveUntil) &&
+            this.parseDate(rule.effectiveUntil) < this.parseDate(rule.effectiveFrom)) {
+            errors.push('effectiveUntil must not be before effectiveFrom');
+        }
+
         return {
             isValid: errors.length === 0,
             errors: errors
         };
     }
 
+    /**
+     * Validate a condition group and its nested groups
+     */
+    static validateConditionGroup(group, path = 'conditions') {
+        const errors = [];
+        const operator = (group.operator || 'AND').toUpperCase();
+        const logicalOperators = ['AND', 'OR', 'NOT', 'XOR'];
+
+        if (!logicalOperators.includes(operator)) {
+            errors.push(`${path}: unknown logical operator "${group.operator}"`);
+        }
+
+        if (!Array.isArray(group.rules)) {
+            errors.push(`${path}: rules must be an array`);
+            return errors;
+        }
+
+        group.rules.forEach((condition, index) => {
+            const conditionPath = `${path}.rules[${index}]`;
+            if (this.isConditionGroup(condition)) {
+                errors.push(...this.validateConditionGroup(condition, conditionPath));
+            } else if (!condition || !(condition.field || condition.expression) || !condition.operator) {
+                errors.push(`${conditionPath}: condition requires a field and an operator`);
+            } else if (condition.expression && typeof ExpressionEvaluator !== 'undefined') {
+                const check = ExpressionEvaluator.validate(condition.expression);
+                if (!check.isValid) {
+                    errors.push(`${conditionPath}: ${check.error}`);
+                }
+            }
+
+            if (['within', 'older_than'].includes(condition?.operator) && !this.parseDuration(condition.value)) {
+                errors.push(`${conditionPath}: "${condition.value}" is not a duration such as "30 days" or "12 months"`);
+            }
+
+            if (condition?.operator === 'similar_to' && typeof TextAnalyzer !== 'undefined') {
+                try {
+                    TextAnalyzer.parseSimilarityValue(condition.value);
+                } catch (error) {
+                    errors.push(`${conditionPath}: ${error.message}`);
+                }
+            } else if (this.TEXT_OPERATORS.includes(condition?.operator) && this.toValueList(condition.value).length === 0) {
+                errors.push(`${conditionPath}: "${condition.operator}" needs at least one keyword or phrase`);
+            }
+
+            if (['count_equals', 'count_at_least', 'count_at_most'].includes(condition?.operator)) {
+                try {
+                    this.parseCountValue(condition.value);
+                } catch (error) {
+                    errors.push(`${conditionPath}: ${error.message}`);
+                }
+            }
+        });
+
+        return errors;
+    }
+
     /**
      * Save rules to storage
      */
@@ -786,15 +2168,48 @@ class RulesEngine {
             rules: this.rules,
             exportDate: new Date().toISOString(),
             version: '1.0.0',
-            stats: this.getStats()
+            stats: this.getStats(),
+            testSuite: typeof RuleTestRunner !== 'undefined' ? RuleTestRunner.exportTestCases() : []
         };
     }
 
+    /**
+     * Export rules as a DMN 1.3 document
+     * Returns { xml, tables, skipped } where skipped lists rules DMN cannot hold.
+     */
+    static exportDMN(rules = null) {
+        if (typeof DMNConverter === 'undefined') {
+            throw new Error('DMN export not available');
+        }
+        return DMNConverter.toXML(rules || this.rules);
+    }
+
     /**
      * Import rules
+     * Accepts exported JSON data or a DMN XML string. Returns { imported, lint,
+     * unsupported } where lint is the RuleLinter report for the imported rules and
+     * unsupported lists DMN constructs that could not be imported.
      */
     static importRules(data, options = {}) {
-        const { merge = false, validate = true } = options;
+        const { merge = false, validate = true, lint = true } = options;
+        let unsupported = [];
+
+        if (typeof data === 'string') {
+            if (typeof DMNConverter === 'undefined') {
+                throw new Error('DMN import not available');
+            }
+            data = DMNConverter.fromXML(data);
+            unsupported = data.unsupported;
+            // An empty import would replace every rule with nothing
+            if (data.rules.length === 0) {
+                throw new Error('No rules could be imported from this DMN document' +
+                    (unsupported.length > 0 ? `:\n${DMNConverter.formatUnsupported(unsupported)}` : ''));
+            }
+            if (unsupported.length > 0) {
+                console.warn(`DMN import left out ${unsupported.length} unsupported construct(s):\n` +
+                    DMNConverter.formatUnsupported(unsupported));
+            }
+        }
 
         if (validate) {
             for (const rule of data.rules) {
@@ -805,6 +2220,13 @@ class RulesEngine {
             }
         }
 
+        // Test suites travel with the rules they cover
+        if (Array.isArray(data.testSuite) && typeof RuleTestRunner !== 'undefined') {
+            RuleTestRunner.importTestCases(data.testSuite, { merge });
+        }
+
+        data.rules.forEach(rule => this.recordRuleVersion(rule, { changeType: 'imported' }));
+
         if (merge) {
             // Merge with existing rules
             for (const importedRule of data.rules) {
@@ -821,7 +2243,26 @@ class RulesEngine {
         }
 
         this.saveRules();
-        return true;
+
+        // Decision tables imported from DMN stay editable as tables
+        if (Array.isArray(data.decisionTables) && typeof DecisionTable !== 'undefined') {
+            data.decisionTables.forEach(table => DecisionTable.saveTable(table));
+        }
+
+        // Imports are not blocked by lint findings; they are reported to the caller
+        const lintReport = lint && typeof RuleLinter !== 'undefined'
+            ? RuleLinter.lint(this.rules, { ruleIds: data.rules.map(rule => rule.id) })
+            : null;
+        if (lintReport && lintReport.issues.length > 0) {
+            console.warn(`Imported rules have ${lintReport.issues.length} lint issue(s):\n` +
+                RuleLinter.formatIssues(lintReport.issues));
+        }
+
+        return {
+            imported: data.rules.length,
+            lint: lintReport,
+            unsupported: unsupported
+        };
     }
 
     /**
@@ -0,0 +1,322 @@
+// js/engine/snippet-library.js - Contextual Recommendation Snippets
+
+/**
+ * Snippet Library for Data Governance Decision Tool
+ * Managed library of contextual recommendation snippets. Each snippet targets
+ * a template section and is added to it when its trigger conditions match the
+ * assessment. Conditions use the rules engine's condition model.
+ *
+ * Snippet: { id, section, conditions: { operator, rules }, priority, tags,
+ *            text: { en: '...', de: '...' }, recommendation, active }
+ *
+ * recommendation holds the structured fields of the recommendation the
+ * snippet produces (priority, effort, impact, ownerRole, dueWindow,
+ * relatedControls, rationale; see RecommendationModel). The snippet's own
+ * priority only orders snippets within a section.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class SnippetLibrary {
+    static STORAGE_KEY = 'recommendation_snippets';
+    static DEFAULT_LOCALE = 'en';
+    static SECTIONS = ['placement', 'controls', 'sharing', 'compliance', 'automation', 'monitoring'];
+
+    static snippets = null;
+
+    /**
+     * Get all snippets, loading them on first use
+     */
+    static getSnippets() {
+        if (!this.snippets) {
+            this.load();
+        }
+        return this.snippets;
+    }
+
+    /**
+     * Load snippets from storage, or the defaults when none are stored
+     */
+    static load() {
+        const stored = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.STORAGE_KEY)
+            : null;
+
+        this.snippets = Array.isArray(stored) ? stored : this.getDefaultSnippets();
+    }
+
+    /**
+     * Persist the library
+     */
+    static save() {
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.STORAGE_KEY, this.snippets);
+        }
+
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit('snippets.updated', { count: this.snippets.length });
+        }
+    }
+
+    /**
+     * Get a snippet by ID
+     */
+    static getSnippet(id) {
+        return this.getSnippets().find(snippet => snippet.id === id) || null;
+    }
+
+    /**
+     * Add or replace a snippet
+     * @throws {Error} When the snippet is invalid
+     */
+    static saveSnippet(snippet) {
+        const normalized = this.normalizeSnippet(snippet);
+        const errors = this.validateSnippet(normalized);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const snippets = this.getSnippets();
+        const index = snippets.findIndex(existing => existing.id === normalized.id);
+        if (index >= 0) {
+            snippets[index] = { ...normalized, created: snippets[index].created, modified: new Date().toISOString() };
+        } else {
+            snippets.push({ ...normalized, created: new Date().toISOString(), modified: new Date().toISOString() });
+        }
+
+        this.save();
+        return this.getSnippet(normalized.id);
+    }
+
+    /**
+     * Delete a snippet
+     */
+    static deleteSnippet(id) {
+        this.snippets = this.getSnippets().filter(snippet => snippet.id !== id);
+        this.save();
+    }
+
+    /**
+     * Fill in defaults and an ID
+     */
+    static normalizeSnippet(snippet) {
+        const text = typeof snippet.text === 'string'
+            ? { [this.DEFAULT_LOCALE]: snippet.text }
+            : { ...(snippet.text || {}) };
+
+        return {
+            id: snippet.id || this.generateId(),
+            section: snippet.section,
+            conditions: snippet.conditions || { operator: 'AND', rules: [] },
+            priority: Number(snippet.priority) || 0,
+            tags: Array.isArray(snippet.tags) ? snippet.tags : [],
+            text: text,
+            recommendation: { ...(snippet.recommendation || {}) },
+            active: snippet.active !== false,
+            ...(snippet.created ? { created: snippet.created } : {})
+        };
+    }
+
+    /**
+     * Check a snippet before saving
+     * @returns {Array} Error messages
+     */
+    static validateSnippet(snippet) {
+        const errors = [];
+
+        if (!snippet.section) {
+            errors.push('A snippet needs a target section');
+        }
+        if (!Object.values(snippet.text || {}).some(text => String(text || '').trim())) {
+            errors.push('A snippet needs text in at least one language');
+        }
+        if (!snippet.conditions || !Array.isArray(snippet.conditions.rules)) {
+            errors.push('Snippet conditions must be a condition group');
+        } else if (typeof RulesEngine !== 'undefined') {
+            errors.push(...RulesEngine.validateConditionGroup(snippet.conditions));
+        }
+        if (typeof RecommendationModel !== 'undefined') {
+            errors.push(...RecommendationModel.validate(snippet.recommendation));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Snippets for a section whose conditions match, highest priority first
+     * A snippet with no conditions always matches.
+     * @param {Object} context - Rules engine evaluation context
+     * @param {Object} options - { locale }
+     * @returns {Array} [{ snippet, text, trace }]
+     */
+    static match(section, context, options = {}) {
+        const locale = options.locale || this.getLocale();
+
+        return this.getSnippets()
+            .map((snippet, index) => ({ snippet, index }))
+            .filter(({ snippet }) => snippet.active !== false && snippet.section === section)
+            .sort((a, b) => ((b.snippet.priority || 0) - (a.snippet.priority || 0)) || (a.index - b.index))
+            .map(({ snippet }) => {
+                const rules = snippet.conditions?.rules || [];
+                if (rules.length === 0) {
+                    return { snippet, text: this.getText(snippet, locale), trace: [] };
+                }
+
+                try {
+                    const result = RulesEngine.evaluateConditions(snippet.conditions, context);
+                    return result.matched
+                        ? { snippet, text: this.getText(snippet, locale), trace: RulesEngine.buildConditionTrace(result.details) }
+                        : null;
+                } catch (error) {
+                    console.warn(`Snippet ${snippet.id} could not be evaluated:`, error.message);
+                    return null;
+                }
+            })
+            .filter(matched => matched && matched.text);
+    }
+
+    /**
+     * A snippet's text in a locale, falling back to the language, the default
+     * locale and then any text it has
+     */
+    static getText(snippet, locale = this.DEFAULT_LOCALE) {
+        const text = snippet.text || {};
+        if (typeof text === 'string') return text;
+
+        const language = String(locale).split('-')[0];
+        return text[locale] || text[language] || text[this.DEFAULT_LOCALE] || Object.values(text).find(Boolean) || '';
+    }
+
+    /**
+     * The current user's language
+     */
+    static getLocale() {
+        const preferences = typeof StateManager !== 'undefined' ? StateManager.getState('user.preferences') : null;
+        return preferences?.language || this.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Export the library
+     */
+    static exportData() {
+        return {
+            snippets: this.getSnippets(),
+            exportDate: new Date().toISOString(),
+            version: '1.0.0'
+        };
+    }
+
+    /**
+     * Import snippets from exported data
+     * @param {Object} data - { snippets: [...] }
+     * @param {Object} options - { replace: drop existing snippets first }
+     * @returns {Object} { imported, updated, errors }
+     */
+    static importData(data, options = {}) {
+        if (!data || !Array.isArray(data.snippets)) {
+            throw new Error('Invalid snippet library file format');
+        }
+
+        const snippets = options.replace ? [] : [...this.getSnippets()];
+        const result = { imported: 0, updated: 0, errors: [] };
+
+        data.snippets.forEach((raw, index) => {
+            const snippet = this.normalizeSnippet(raw);
+            const errors = this.validateSnippet(snippet);
+            if (errors.length > 0) {
+                result.errors.push(`Snippet ${raw.id || index + 1}: ${errors.join('; ')}`);
+                return;
+            }
+
+            const existing = snippets.findIndex(item => item.id === snippet.id);
+            if (existing >= 0) {
+                snippets[existing] = { ...snippet, modified: new Date().toISOString() };
+                result.updated++;
+            } else {
+                snippets.push(snippet);
+                result.imported++;
+            }
+        });
+
+        this.snippets = snippets;
+        this.save();
+        return result;
+    }
+
+    /**
+     * Restore the built-in snippets
+     */
+    static resetToDefaults() {
+        this.snippets = this.getDefaultSnippets();
+        this.save();
+    }
+
+    /**
+     * Generate a snippet ID
+     */
+    static generateId() {
+        return 'snippet-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Built-in snippets
+     */
+    static getDefaultSnippets() {
+        const snippet = (id, section, priority, tags, text, rules, recommendation) => ({
+            id,
+            section,
+            priority,
+            tags,
+            text: { en: text },
+            conditions: { operator: 'AND', rules },
+            recommendation,
+            active: true
+        });
+
+        return [
+            snippet('financial-data-storage', 'placement', 10, ['financial', 'encryption'],
+                'Use dedicated encrypted storage for financial data with geographic restrictions',
+                [{ field: 'question-1', operator: 'equals', value: 'financial_data' }],
+                { priority: 'high', effort: 'medium', impact: 'high', ownerRole: 'Data Platform Lead', relatedControls: ['Encryption at rest', 'Data residency'] }),
+            snippet('enterprise-multi-region', 'placement', 5, ['enterprise', 'resilience'],
+                'Implement multi-region data placement strategy for disaster recovery',
+                [{ field: 'question-5', operator: 'equals', value: 'enterprise' }],
+                { priority: 'medium', effort: 'high', impact: 'medium', ownerRole: 'Infrastructure Architect', dueWindow: '12 months', relatedControls: ['Disaster recovery'] }),
+            snippet('open-access-controls', 'controls', 20, ['access', 'risk'],
+                'Implement immediate access controls - current open access poses significant risk',
+                [{ field: 'question-4', operator: 'equals', value: 'open_access' }],
+                { priority: 'critical', effort: 'medium', impact: 'high', ownerRole: 'Security Officer', rationale: 'Open access lets anyone read sensitive data', relatedControls: ['Access control', 'Least privilege'] }),
+            snippet('sox-audit-controls', 'controls', 10, ['sox', 'audit'],
+                'Implement SOX-compliant audit controls with detailed logging',
+                [{ field: 'question-3', operator: 'contains', value: 'sox' }],
+                { priority: 'high', effort: 'medium', impact: 'high', ownerRole: 'Compliance Officer', relatedControls: ['SOX ITGC', 'Audit logging'] }),
+            snippet('basic-approval-workflows', 'sharing', 5, ['maturity'],
+                'Start with simple approval workflows before implementing complex sharing protocols',
+                [{ field: 'question-2', operator: 'equals', value: 'basic' }],
+                { priority: 'medium', effort: 'low', impact: 'medium', ownerRole: 'Data Governance Lead', relatedControls: ['Data sharing approval'] }),
+            snippet('gdpr-data-mapping', 'compliance', 10, ['gdpr', 'privacy'],
+                'Implement GDPR-specific data mapping and consent management',
+                [{ field: 'question-3', operator: 'contains', value: 'gdpr' }],
+                { priority: 'high', effort: 'high', impact: 'high', ownerRole: 'Data Protection Officer', relatedControls: ['GDPR Art. 30 records', 'Consent management'] }),
+            snippet('hipaa-encryption-audit', 'compliance', 10, ['hipaa', 'encryption', 'audit'],
+                'Deploy HIPAA-compliant encryption and access audit systems',
+                [{ field: 'question-3', operator: 'contains', value: 'hipaa' }],
+                { priority: 'high', effort: 'high', impact: 'high', ownerRole: 'Security Officer', relatedControls: ['HIPAA 164.312 technical safeguards'] }),
+            snippet('sox-financial-controls', 'compliance', 10, ['sox', 'financial'],
+                'Establish SOX-compliant financial data controls and reporting',
+                [{ field: 'question-3', operator: 'contains', value: 'sox' }],
+                { priority: 'high', effort: 'medium', impact: 'high', ownerRole: 'Finance Controller', relatedControls: ['SOX 404 internal controls'], dependsOn: ['sox-audit-controls'] })
+        ];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnippetLibrary;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SnippetLibrary = SnippetLibrary;
+}
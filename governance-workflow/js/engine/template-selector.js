@@ -0,0 +1,165 @@
+// js/engine/template-selector.js - Recommendation Template Selection
+
+/**
+ * Template Selector for Data Governance Decision Tool
+ * Chooses the recommendation template for an assessment from the selection
+ * criteria each template declares: { priority, conditions }, where conditions
+ * use the rules engine's condition model. The highest-priority template whose
+ * conditions match wins; a template with no conditions always matches.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class TemplateSelector {
+    static FALLBACK_TEMPLATE_ID = 'basic_governance_template';
+
+    // Criteria for the built-in templates saved before templates declared their own
+    static LEGACY_SELECTION = {
+        high_security_template: {
+            priority: 40,
+            conditions: {
+                operator: 'OR',
+                rules: [
+                    { field: 'question-1', operator: 'equals', value: 'financial_data' },
+                    { field: 'question-3', operator: 'contains_any', value: ['hipaa'] }
+                ]
+            }
+        },
+        simplified_governance_template: {
+            priority: 30,
+            conditions: { operator: 'AND', rules: [{ field: 'question-5', operator: 'equals', value: 'small' }] }
+        },
+        advanced_governance_template: {
+            priority: 20,
+            conditions: { operator: 'AND', rules: [{ field: 'question-2', operator: 'in_list', value: ['defined', 'managed'] }] }
+        },
+        basic_governance_template: {
+            priority: 0,
+            conditions: { operator: 'AND', rules: [] }
+        }
+    };
+
+    /**
+     * Select a template and explain the choice
+     * @param {Array} templates - Candidate templates
+     * @param {Object} context - Rules engine evaluation context (answers, score, level, ...)
+     * @param {Object} options - { questions: for readable reasons }
+     * @returns {Object} { template, templateId, reason, fallback, candidates: [{ templateId, name,
+     *   priority, hasCriteria, matched, selected, reasons: [{ text, matched }], error }] }
+     */
+    static select(templates = [], context = {}, options = {}) {
+        const questions = options.questions || context.questions || [];
+        const candidates = templates
+            .map((template, index) => ({ template, index, ...this.evaluateTemplate(template, context, questions) }))
+            .sort((a, b) => ((b.priority ?? -Infinity) - (a.priority ?? -Infinity)) || (a.index - b.index));
+
+        const winner = candidates.find(candidate => candidate.matched) || null;
+        const template = winner?.template
+            || templates.find(t => t.id === this.FALLBACK_TEMPLATE_ID)
+            || null;
+
+        return {
+            template,
+            templateId: template?.id || null,
+            fallback: !winner,
+            reason: this.describeChoice(winner, template),
+            candidates: candidates.map(({ template: candidate, index, ...details }) => ({
+                templateId: candidate.id,
+                name: candidate.name || candidate.id,
+                ...details,
+                selected: !!template && candidate.id === template.id
+            }))
+        };
+    }
+
+    /**
+     * Evaluate one template's selection criteria
+     */
+    static evaluateTemplate(template, context, questions) {
+        const selection = this.getSelection(template);
+        if (!selection) {
+            return { priority: null, hasCriteria: false, matched: false, reasons: [] };
+        }
+
+        const priority = Number(selection.priority) || 0;
+        const conditions = selection.conditions || { operator: 'AND', rules: [] };
+        if (!Array.isArray(conditions.rules) || conditions.rules.length === 0) {
+            return { priority, hasCriteria: true, matched: true, reasons: [{ text: 'no conditions (matches every assessment)', matched: true }] };
+        }
+
+        try {
+            const result = RulesEngine.evaluateConditions(conditions, context);
+            const trace = RulesEngine.buildConditionTrace(result.details);
+            return { priority, hasCriteria: true, matched: result.matched, reasons: this.describeTrace(trace, questions) };
+        } catch (error) {
+            return { priority, hasCriteria: true, matched: false, reasons: [], error: error.message };
+        }
+    }
+
+    /**
+     * A template's selection criteria, or null when it is only chosen by hand
+     */
+    static getSelection(template) {
+        // An explicit null means the template is only chosen by hand
+        if (template && Object.prototype.hasOwnProperty.call(template, 'selection')) {
+            return template.selection || null;
+        }
+        return this.LEGACY_SELECTION[template?.id] || null;
+    }
+
+    /**
+     * Flatten a condition trace into readable lines with their outcome
+     */
+    static describeTrace(nodes, questions) {
+        return nodes.flatMap(node => {
+            if (node.type === 'group') {
+                return this.describeTrace(node.conditions || [], questions);
+            }
+            const text = typeof ExplanationBuilder !== 'undefined'
+                ? ExplanationBuilder.describeCondition(node, questions)
+                : `${node.expression || node.field} ${node.operator} ${JSON.stringify(node.expected)}`;
+            return [{ text: node.error ? `${text} (${node.error})` : text, matched: node.matched }];
+        });
+    }
+
+    /**
+     * One-line summary of why a template was chosen
+     */
+    static describeChoice(winner, template) {
+        if (winner) {
+            return `"${winner.template.name || winner.template.id}" has the highest priority (${winner.priority}) among templates whose criteria match`;
+        }
+        if (template) {
+            return `No template's criteria match; using the fallback template "${template.name || template.id}"`;
+        }
+        return 'No template\'s criteria match and there is no fallback template; using the built-in default';
+    }
+
+    /**
+     * Check selection criteria before saving
+     * @returns {Array} Error messages
+     */
+    static validateSelection(selection) {
+        if (!selection) return [];
+
+        const errors = [];
+        if (selection.priority !== undefined && isNaN(Number(selection.priority))) {
+            errors.push('Selection priority must be a number');
+        }
+        if (selection.conditions) {
+            errors.push(...RulesEngine.validateConditionGroup(selection.conditions, 'selection.conditions'));
+        }
+        return errors;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateSelector;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TemplateSelector = TemplateSelector;
+}
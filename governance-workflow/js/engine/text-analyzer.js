@@ -0,0 +1,287 @@
+// js/engine/text-analyzer.js - Free-Text Answer Analysis
+
+/**
+ * Text Analyzer for Data Governance Decision Tool
+ * Local, dependency-free analysis of free-text answers: keyword and phrase
+ * matching on word stems, negation awareness ("we do not encrypt backups")
+ * and similarity to reference answers. Used by the rules engine's text
+ * operators and by the text-input scoring methods.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class TextAnalyzer {
+    // Words that negate the words following them in the same clause
+    static NEGATIONS = ['not', 'no', 'never', 'none', 'nor', 'neither', 'without', 'cannot', 'lack', 'lacks', 'lacking', 'nobody', 'nothing'];
+    static NEGATION_WINDOW = 3;
+
+    // Words that end the reach of a negation ("we do not log access, but we encrypt")
+    static CLAUSE_BREAKS = ['but', 'however', 'although', 'though', 'except', 'whereas', 'yet'];
+
+    static STOP_WORDS = [
+        'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from', 'as',
+        'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those',
+        'we', 'our', 'us', 'i', 'you', 'they', 'their', 'have', 'has', 'had', 'do', 'does', 'did',
+        'all', 'any', 'some', 'so', 'very', 'also', 'currently', 'which', 'who', 'there', 'here'
+    ];
+
+    static DEFAULT_SIMILARITY_THRESHOLD = 0.5;
+    static SCORING_METHODS = ['length', 'keywords', 'similarity'];
+
+    /**
+     * Split text into words with their stems, clause numbers and negation flags
+     * @returns {Array} [{ word, stem, clause, negated }]
+     */
+    static tokenize(text) {
+        const parts = String(text ?? '').toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?|[.;:!?,()]/g) || [];
+        const tokens = [];
+        let clause = 0;
+        let negationLeft = 0;
+
+        for (const part of parts) {
+            if (/^[.;:!?,()]$/.test(part) || this.CLAUSE_BREAKS.includes(part)) {
+                clause++;
+                negationLeft = 0;
+                continue;
+            }
+
+            if (this.isNegation(part)) {
+                negationLeft = this.NEGATION_WINDOW;
+                continue;
+            }
+
+            const word = part.replace(/'s$/, '');
+            tokens.push({ word, stem: this.stem(word), clause, negated: negationLeft > 0 });
+            if (negationLeft > 0) negationLeft--;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Whether a word negates what follows it
+     */
+    static isNegation(word) {
+        return this.NEGATIONS.includes(word) || /n't$/.test(word);
+    }
+
+    /**
+     * Reduce a word to its stem so "encrypt", "encrypted" and "encryption" match
+     * A light suffix stripper: it only has to treat text and terms the same way.
+     */
+    static stem(word) {
+        let stem = String(word).toLowerCase();
+        if (stem.length <= 3 || /^\d+$/.test(stem)) return stem;
+
+        // Plurals
+        if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+        else if (stem.endsWith('ies')) stem = stem.slice(0, -3) + 'i';
+        else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us') && !stem.endsWith('is')) stem = stem.slice(0, -1);
+
+        // Derivational endings
+        const endings = [
+            ['ational', 'ate'], ['ification', 'ify'], ['ization', 'ize'], ['isation', 'ize'], ['ation', 'ate'], ['ition', 'it'],
+            ['ption', 'pt'], ['ction', 'ct'], ['ssion', 'ss'], ['ement', ''], ['ment', ''], ['ness', ''],
+            ['ful', ''], ['ably', ''], ['ibly', ''], ['ally', 'al'], ['ly', ''], ['ity', '']
+        ];
+        for (const [ending, replacement] of endings) {
+            if (stem.endsWith(ending) && stem.length - ending.length + replacement.length >= 4) {
+                stem = stem.slice(0, -ending.length) + replacement;
+                break;
+            }
+        }
+
+        // Verb forms
+        const verbEnding = ['ing', 'ed'].find(ending => stem.endsWith(ending));
+        if (verbEnding && /[aeiouy]/.test(stem.slice(0, -verbEnding.length)) && stem.length - verbEnding.length >= 3) {
+            stem = stem.slice(0, -verbEnding.length);
+            if (/([^aeiouylsz])\1$/.test(stem)) stem = stem.slice(0, -1);
+        }
+
+        // Endings that verb forms and derivations leave behind differently
+        stem = stem.replace(/(ate|ize|ise|e)$/, '').replace(/y$/, 'i');
+        return stem.length >= 3 ? stem : String(word).toLowerCase();
+    }
+
+    /**
+     * Find a keyword or phrase in text
+     * @param {string|Array} text - The text, or tokens from tokenize()
+     * @returns {string} 'mentioned' (at least once without negation),
+     *   'negated' (only ever negated) or 'missing'
+     */
+    static findTerm(text, term) {
+        const tokens = Array.isArray(text) ? text : this.tokenize(text);
+        const termStems = this.tokenize(term).map(token => token.stem);
+        if (termStems.length === 0) return 'missing';
+
+        let found = false;
+        for (let i = 0; i + termStems.length <= tokens.length; i++) {
+            const match = termStems.every((stem, offset) =>
+                tokens[i + offset].stem === stem && tokens[i + offset].clause === tokens[i].clause);
+            if (!match) continue;
+
+            if (!tokens[i].negated) return 'mentioned';
+            found = true;
+        }
+
+        return found ? 'negated' : 'missing';
+    }
+
+    /**
+     * Sort terms by how the text mentions them
+     * @returns {Object} { mentioned, negated, missing } - lists of the given terms
+     */
+    static analyzeTerms(text, terms) {
+        const tokens = this.tokenize(text);
+        const result = { mentioned: [], negated: [], missing: [] };
+
+        terms.forEach(term => {
+            result[this.findTerm(tokens, term)].push(term);
+        });
+
+        return result;
+    }
+
+    /**
+     * Similarity of text to the closest reference answer, from 0 to 1
+     * Cosine similarity of word-stem counts; stop words are ignored and
+     * negated words count as different words ("not encrypt" vs "encrypt").
+     */
+    static similarity(text, references) {
+        const vector = this.toVector(text);
+        const list = Array.isArray(references) ? references : [references];
+
+        return list.reduce((best, reference) => Math.max(best, this.cosine(vector, this.toVector(reference))), 0);
+    }
+
+    /**
+     * Count the meaningful word stems in text
+     */
+    static toVector(text) {
+        const vector = new Map();
+        this.tokenize(text)
+            .filter(token => !this.STOP_WORDS.includes(token.word))
+            .forEach(token => {
+                const key = token.negated ? `not_${token.stem}` : token.stem;
+                vector.set(key, (vector.get(key) || 0) + 1);
+            });
+        return vector;
+    }
+
+    /**
+     * Cosine similarity of two count vectors
+     */
+    static cosine(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+
+        let dot = 0;
+        a.forEach((count, key) => {
+            dot += count * (b.get(key) || 0);
+        });
+        const norm = vector => Math.sqrt([...vector.values()].reduce((sum, count) => sum + count * count, 0));
+        return dot / (norm(a) * norm(b));
+    }
+
+    /**
+     * Parse a similarity condition value
+     * Accepts { references, threshold }, a list of references, or text such as
+     * "0.6: we encrypt all data at rest | backups are encrypted"
+     * @returns {Object} { threshold, references }
+     */
+    static parseSimilarityValue(value) {
+        let threshold = this.DEFAULT_SIMILARITY_THRESHOLD;
+        let references = [];
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            threshold = value.threshold ?? threshold;
+            references = Array.isArray(value.references) ? value.references : [value.references];
+        } else if (Array.isArray(value)) {
+            references = value;
+        } else if (value !== undefined && value !== null) {
+            let text = String(value);
+            const prefix = text.match(/^\s*(\d*\.?\d+)\s*:\s*/);
+            if (prefix) {
+                threshold = parseFloat(prefix[1]);
+                text = text.slice(prefix[0].length);
+            }
+            references = text.split(/\s*\|\s*|\n/);
+        }
+
+        threshold = Number(threshold);
+        if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+            throw new Error(`Similarity threshold "${threshold}" must be between 0 and 1`);
+        }
+
+        references = references.map(reference => String(reference ?? '').trim()).filter(Boolean);
+        if (references.length === 0) {
+            throw new Error('Similarity condition needs at least one reference answer');
+        }
+
+        return { threshold, references };
+    }
+
+    /**
+     * Parse keyword scoring lines ("encrypt = 3", "manual process = -2", "audit")
+     * @returns {Array} [{ term, score }]
+     */
+    static parseKeywords(keywords) {
+        const list = Array.isArray(keywords) ? keywords : String(keywords ?? '').split('\n');
+
+        return list
+            .map(entry => {
+                if (entry && typeof entry === 'object') {
+                    return { term: String(entry.term ?? '').trim(), score: Number(entry.score ?? 1) };
+                }
+                const [term, score] = String(entry).split('=');
+                return { term: term.trim(), score: score === undefined ? 1 : parseFloat(score) };
+            })
+            .filter(keyword => keyword.term && !isNaN(keyword.score));
+    }
+
+    /**
+     * Score a text answer with the question's scoring method, from 0 to 10
+     * question.scoring: { method: 'length' | 'keywords' | 'similarity', keywords, references }
+     * Keywords earn their score when mentioned without negation; the total is
+     * scaled against the sum of the positive keyword scores.
+     * @returns {number|null} null when the question has no text scoring method
+     */
+    static scoreAnswer(question, answer) {
+        const scoring = question?.scoring;
+        if (!scoring || !scoring.method || scoring.method === 'length') return null;
+
+        const text = String(answer ?? '').trim();
+        if (!text) return 0;
+
+        if (scoring.method === 'keywords') {
+            const keywords = this.parseKeywords(scoring.keywords);
+            const available = keywords.reduce((sum, keyword) => sum + Math.max(0, keyword.score), 0);
+            if (available === 0) return 0;
+
+            const tokens = this.tokenize(text);
+            const earned = keywords
+                .filter(keyword => this.findTerm(tokens, keyword.term) === 'mentioned')
+                .reduce((sum, keyword) => sum + keyword.score, 0);
+            return Math.round(Math.max(0, Math.min(1, earned / available)) * 10);
+        }
+
+        if (scoring.method === 'similarity') {
+            const references = (Array.isArray(scoring.references) ? scoring.references : String(scoring.references ?? '').split('\n'))
+                .map(reference => String(reference).trim())
+                .filter(Boolean);
+            return references.length > 0 ? Math.round(this.similarity(text, references) * 10) : 0;
+        }
+
+        return null;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextAnalyzer;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TextAnalyzer = TextAnalyzer;
+}
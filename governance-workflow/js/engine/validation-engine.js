@@ -5,6 +5,19 @@
  */
 
 class ValidationEngine {
+    static shared = null;
+
+    /**
+     * The application's shared instance
+     * Custom rules added to it also apply to rule-driven validate actions.
+     */
+    static getShared() {
+        if (!ValidationEngine.shared) {
+            ValidationEngine.shared = new ValidationEngine();
+        }
+        return ValidationEngine.shared;
+    }
+
     constructor() {
         this.rules = new Map();
         this.customValidators = new Map();
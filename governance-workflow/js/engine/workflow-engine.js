@@ -0,0 +1,350 @@
+// js/engine/workflow-engine.js - Assessment Workflow Engine
+
+/**
+ * Workflow Engine for Data Governance Decision Tool
+ * Runs named, multi-step review workflows started by rules
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class WorkflowEngine {
+    static definitions = {};
+    static instances = [];
+    static isInitialized = false;
+
+    static DEFINITIONS_KEY = 'workflow_definitions';
+    static INSTANCES_KEY = 'workflow_instances';
+
+    /**
+     * Initialize workflow engine
+     */
+    static init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.loadDefinitions();
+        this.loadInstances();
+        this.setupEventListeners();
+
+        this.isInitialized = true;
+        console.log('Workflow Engine initialized');
+    }
+
+    /**
+     * Load workflow definitions from storage
+     */
+    static loadDefinitions() {
+        const stored = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.DEFINITIONS_KEY)
+            : null;
+
+        const definitions = Array.isArray(stored) && stored.length > 0
+            ? stored
+            : this.getDefaultDefinitions();
+
+        this.definitions = {};
+        definitions.forEach(definition => {
+            this.definitions[definition.id] = definition;
+        });
+    }
+
+    /**
+     * Load workflow instances from storage
+     */
+    static loadInstances() {
+        this.instances = typeof StorageManager !== 'undefined'
+            ? StorageManager.getItem(this.INSTANCES_KEY, []) || []
+            : [];
+    }
+
+    /**
+     * Setup event listeners
+     * Steps are advanced through events so other modules can drive or observe them.
+     */
+    static setupEventListeners() {
+        if (typeof EventBus !== 'undefined') {
+            EventBus.on('workflow.start', (event) => {
+                const { workflowId, ...options } = event.data || {};
+                this.startWorkflow(workflowId, options);
+            });
+
+            EventBus.on('workflow.step.complete', (event) => {
+                this.completeStep(event.data || {});
+            });
+
+            EventBus.on('workflow.step.reject', (event) => {
+                this.rejectStep(event.data || {});
+            });
+        }
+    }
+
+    /**
+     * Register or replace a workflow definition
+     */
+    static registerWorkflow(definition) {
+        const validation = this.validateDefinition(definition);
+        if (!validation.isValid) {
+            throw new Error(`Invalid workflow: ${validation.errors.join(', ')}`);
+        }
+
+        this.definitions[definition.id] = definition;
+        this.saveDefinitions();
+        return definition;
+    }
+
+    /**
+     * Validate a workflow definition
+     */
+    static validateDefinition(definition) {
+        const errors = [];
+
+        if (!definition?.id) errors.push('Workflow ID is required');
+        if (!definition?.name) errors.push('Workflow name is required');
+        if (!Array.isArray(definition?.steps) || definition.steps.length === 0) {
+            errors.push('Workflow must have at least one step');
+        } else if (definition.steps.some(step => !step.id || !step.name)) {
+            errors.push('Each workflow step requires an id and a name');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Get a workflow definition by ID or name
+     */
+    static getDefinition(workflowId) {
+        if (this.definitions[workflowId]) {
+            return this.definitions[workflowId];
+        }
+        return Object.values(this.definitions).find(definition => definition.name === workflowId) || null;
+    }
+
+    /**
+     * Start a workflow for an assessment
+     */
+    static startWorkflow(workflowId, options = {}) {
+        const definition = this.getDefinition(workflowId);
+        if (!definition) {
+            throw new Error(`Unknown workflow: ${workflowId}`);
+        }
+
+        // A rule re-firing for the same assessment must not open a second review
+        const existing = this.instances.find(instance =>
+            instance.workflowId === definition.id &&
+            instance.assessmentId === options.assessmentId &&
+            instance.status === 'active'
+        );
+        if (existing) {
+            return existing;
+        }
+
+        const now = new Date().toISOString();
+        const instance = {
+            id: this.generateId(),
+            workflowId: definition.id,
+            name: definition.name,
+            assessmentId: options.assessmentId || null,
+            ruleId: options.ruleId || null,
+            data: options.data || {},
+            status: 'active',
+            currentStep: 0,
+            steps: definition.steps.map((step, index) => ({
+                id: step.id,
+                name: step.name,
+                role: step.role || null,
+                description: step.description || '',
+                status: index === 0 ? 'active' : 'pending',
+                completedBy: null,
+                completedAt: null,
+                comment: ''
+            })),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.instances.push(instance);
+        this.saveInstances();
+
+        this.emit('workflow.started', { instance });
+        this.emit('workflow.step.activated', { instance, step: instance.steps[0] });
+        this.emit('workflow.updated', { instance });
+
+        return instance;
+    }
+
+    /**
+     * Complete the active step of a workflow instance
+     */
+    static completeStep({ instanceId, stepId = null, user = null, comment = '' }) {
+        const { instance, step } = this.getActiveStep(instanceId, stepId);
+
+        step.status = 'completed';
+        step.completedBy = user || this.getCurrentUserName();
+        step.completedAt = new Date().toISOString();
+        step.comment = comment || '';
+
+        this.emit('workflow.step.completed', { instance, step });
+
+        const nextStep = instance.steps[instance.currentStep + 1];
+        if (nextStep) {
+            instance.currentStep++;
+            nextStep.status = 'active';
+            this.emit('workflow.step.activated', { instance, step: nextStep });
+        } else {
+            instance.status = 'completed';
+            this.emit('workflow.completed', { instance });
+        }
+
+        instance.updatedAt = new Date().toISOString();
+        this.saveInstances();
+        this.emit('workflow.updated', { instance });
+
+        return instance;
+    }
+
+    /**
+     * Reject the active step, which stops the workflow
+     */
+    static rejectStep({ instanceId, stepId = null, user = null, comment = '' }) {
+        const { instance, step } = this.getActiveStep(instanceId, stepId);
+
+        step.status = 'rejected';
+        step.completedBy = user || this.getCurrentUserName();
+        step.completedAt = new Date().toISOString();
+        step.comment = comment || '';
+
+        instance.status = 'rejected';
+        instance.updatedAt = new Date().toISOString();
+        this.saveInstances();
+
+        this.emit('workflow.rejected', { instance, step });
+        this.emit('workflow.updated', { instance });
+
+        return instance;
+    }
+
+    /**
+     * Resolve an instance and its active step
+     */
+    static getActiveStep(instanceId, stepId) {
+        const instance = this.instances.find(i => i.id === instanceId);
+        if (!instance) {
+            throw new Error(`Workflow instance not found: ${instanceId}`);
+        }
+        if (instance.status !== 'active') {
+            throw new Error(`Workflow "${instance.name}" is already ${instance.status}`);
+        }
+
+        const step = instance.steps[instance.currentStep];
+        if (stepId && step.id !== stepId) {
+            throw new Error(`Step "${stepId}" is not the active step of "${instance.name}"`);
+        }
+
+        return { instance, step };
+    }
+
+    /**
+     * Get workflow instances, optionally filtered
+     */
+    static getInstances(filter = {}) {
+        return this.instances.filter(instance =>
+            (!filter.assessmentId || instance.assessmentId === filter.assessmentId) &&
+            (!filter.status || instance.status === filter.status)
+        );
+    }
+
+    /**
+     * Save workflow definitions
+     */
+    static saveDefinitions() {
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.DEFINITIONS_KEY, Object.values(this.definitions));
+        }
+    }
+
+    /**
+     * Save workflow instances
+     */
+    static saveInstances() {
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.setItem(this.INSTANCES_KEY, this.instances);
+        }
+    }
+
+    /**
+     * Emit workflow event
+     */
+    static emit(eventName, data) {
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit(eventName, data);
+        }
+    }
+
+    /**
+     * Get the name of the current user
+     */
+    static getCurrentUserName() {
+        if (typeof StateManager !== 'undefined') {
+            return StateManager.getState('user.profile')?.name || 'Unknown user';
+        }
+        return 'Unknown user';
+    }
+
+    /**
+     * Get default workflow definitions
+     */
+    static getDefaultDefinitions() {
+        return [
+            {
+                id: 'dpo_review',
+                name: 'DPO Review',
+                description: 'Privacy review followed by security sign-off',
+                steps: [
+                    {
+                        id: 'dpo_review',
+                        name: 'DPO review',
+                        role: 'Data Protection Officer',
+                        description: 'Review the assessment for privacy and regulatory impact'
+                    },
+                    {
+                        id: 'security_signoff',
+                        name: 'Security sign-off',
+                        role: 'Security Officer',
+                        description: 'Confirm the proposed security controls'
+                    }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Generate unique instance ID
+     */
+    static generateId() {
+        return 'workflow-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Reset workflow engine
+     */
+    static reset() {
+        this.definitions = {};
+        this.instances = [];
+        this.isInitialized = false;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkflowEngine;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.WorkflowEngine = WorkflowEngine;
+}
@@ -7,10 +7,11 @@
 class EmailIntegration {
     /**
      * Send assessment report via email
-     * @param {Object} options - { to, subject, body, attachments: [{ filename, blob }] }
+     * @param {Object} options - { to, subject, body, attachments: [{ filename, blob }], quiet }
+     *   quiet: for automated sends - no alerts or mail client, failures are thrown
      * @returns {Promise<void>}
      */
-    static async sendEmail({ to, subject, body, attachments = [] }) {
+    static async sendEmail({ to, subject, body, attachments = [], quiet = false }) {
         // This implementation uses the mailto: protocol for basic email, or EmailJS for advanced use
         if (window.emailjs) {
             // Example using EmailJS (https://www.emailjs.com/)
@@ -24,10 +25,14 @@ class EmailIntegration {
                     formData.append('attachments', att.blob, att.filename);
                 }
                 await window.emailjs.sendForm('YOUR_SERVICE_ID', 'YOUR_TEMPLATE_ID', formData, 'YOUR_USER_ID');
-                alert('Email sent successfully!');
+                if (!quiet) alert('Email sent successfully!');
             } catch (err) {
+                if (quiet) throw err;
                 alert('Failed to send email: ' + err.message);
             }
+        } else if (quiet) {
+            // Opening the mail client needs a user at the keyboard
+            throw new Error('No email service configured');
         } else {
             // Fallback: open mail client with mailto (attachments not supported)
             const mailto = `mailto:${encodeURIComponent(to)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
@@ -4,26 +4,77 @@
  * Version: 1.0.0
  */
 
+/* global RecommendationModel */
+
 class ExcelGenerator {
     constructor() {
         this.XLSX = null;
-        this.loadXLSX();
+        this.loading = null;
+        this.loadXLSX().catch(error => console.warn(error.message));
     }
 
     /**
      * Load SheetJS (xlsx) library dynamically
+     * Resolves once the library is available, so callers can await it.
      */
-    async loadXLSX() {
-        if (typeof window.XLSX === 'undefined') {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
-            script.onload = () => {
-                this.XLSX = window.XLSX;
-            };
-            document.head.appendChild(script);
-        } else {
+    loadXLSX() {
+        if (typeof window.XLSX !== 'undefined') {
             this.XLSX = window.XLSX;
+            return Promise.resolve(this.XLSX);
+        }
+
+        if (!this.loading) {
+            this.loading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
+                script.onload = () => {
+                    this.XLSX = window.XLSX;
+                    resolve(this.XLSX);
+                };
+                script.onerror = () => {
+                    this.loading = null;
+                    script.remove();
+                    reject(new Error('Failed to load the SheetJS library'));
+                };
+                document.head.appendChild(script);
+            });
         }
+
+        return this.loading;
+    }
+
+    /**
+     * Build a workbook from rows of cells
+     * @param {Object} sheets - Sheet name to array of rows
+     * @returns {Promise<Blob>} Generated Excel file as blob
+     */
+    async generateWorkbook(sheets) {
+        if (!this.XLSX) await this.loadXLSX();
+
+        const wb = this.XLSX.utils.book_new();
+        Object.entries(sheets).forEach(([name, rows]) => {
+            // Sheet names are limited to 31 characters
+            this.XLSX.utils.book_append_sheet(wb, this.XLSX.utils.aoa_to_sheet(rows), name.slice(0, 31));
+        });
+
+        const wbout = this.XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+        return new Blob([wbout], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+
+    /**
+     * Read every sheet of an uploaded workbook as rows of text cells
+     * @param {File|Blob} file - XLSX file
+     * @returns {Promise<Object>} Sheet name to array of rows
+     */
+    async readWorkbook(file) {
+        if (!this.XLSX) await this.loadXLSX();
+
+        const data = await file.arrayBuffer();
+        const wb = this.XLSX.read(data, { type: 'array' });
+        return wb.SheetNames.reduce((sheets, name) => {
+            sheets[name] = this.XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, raw: false, defval: '' });
+            return sheets;
+        }, {});
     }
 
     /**
@@ -33,6 +84,10 @@ class ExcelGenerator {
      * @returns {Promise<Blob>} Generated Excel file as blob
      */
     async generateAssessmentReport(assessmentData, options = {}) {
+        // Recommendations are flattened and dated by the recommendation model
+        if (typeof RecommendationModel === 'undefined') {
+            throw new Error('Recommendation model not available');
+        }
         if (!this.XLSX) await this.loadXLSX();
 
         // Prepare sheets
@@ -44,6 +99,11 @@ class ExcelGenerator {
         // Recommendations Sheet
         sheets['Recommendations'] = this.generateRecommendationsSheet(assessmentData);
 
+        // Roadmap Sheet
+        if (assessmentData.roadmap) {
+            sheets['Roadmap'] = this.generateRoadmapSheet(assessmentData.roadmap);
+        }
+
         // Raw Data Sheet (optional)
         if (options.includeRawData) {
             sheets['Raw Data'] = this.generateRawDataSheet(assessmentData);
@@ -82,19 +142,75 @@ class ExcelGenerator {
 
     /**
      * Generate recommendations sheet
+     * data.recommendations may be a recommendation list or a recommendation
+     * engine result; plain-text entries are migrated first.
      */
     generateRecommendationsSheet(data) {
-        const recs = data.recommendations || [];
+        const recs = RecommendationModel.flatten(data.recommendations || []);
+        const start = data.timestamp || new Date();
         const rows = [
-            ['#', 'Title', 'Priority', 'Effort', 'Description', 'Benefits'],
-            ...recs.map((rec, i) => [
-                i + 1,
-                rec.title,
-                rec.priority,
-                rec.effort,
-                rec.description,
-                rec.benefits
-            ])
+            ['#', 'Section', 'Title', 'Priority', 'Effort', 'Impact', 'Owner', 'Due Within', 'Due Date',
+                'Related Controls', 'Source', 'Description', 'Rationale', 'ID'],
+            ...recs.map((rec, i) => {
+                const dueDate = RecommendationModel.getDueDate(rec, start);
+                return [
+                    i + 1,
+                    rec.section || '',
+                    rec.title,
+                    rec.priority,
+                    rec.effort,
+                    rec.impact,
+                    rec.ownerRole,
+                    rec.dueWindow,
+                    dueDate ? dueDate.toISOString().slice(0, 10) : '',
+                    rec.relatedControls.join(', '),
+                    rec.source,
+                    rec.description,
+                    rec.rationale,
+                    rec.id
+                ];
+            })
+        ];
+        return this.XLSX.utils.aoa_to_sheet(rows);
+    }
+
+    /**
+     * Generate roadmap sheet: one row per scheduled recommendation, then the
+     * effort estimate per phase and owner role
+     */
+    generateRoadmapSheet(roadmap) {
+        const date = value => new Date(value).toISOString().slice(0, 10);
+        const phaseNames = Object.fromEntries(roadmap.phases.map(phase => [phase.id, phase.name]));
+        const titles = Object.fromEntries(roadmap.items.map(item => [item.recommendationId, item.title]));
+        const rows = [
+            ['Phase', 'Title', 'Section', 'Priority', 'Effort', 'Impact', 'Owner', 'Start', 'End', 'Depends On', 'Scheduling Reason'],
+            ...roadmap.items.map(item => [
+                phaseNames[item.phase] || item.phase,
+                item.title,
+                item.section || '',
+                item.priority,
+                item.effort,
+                item.impact,
+                item.ownerRole || '',
+                date(item.start),
+                date(item.end),
+                item.dependsOn.map(id => titles[id] || id).join(', '),
+                item.reason
+            ]),
+            [],
+            ['Phase', 'Start', 'End', 'Recommendations', `Estimated Effort (${roadmap.budget.unit})`],
+            ...roadmap.phases.map((phase, index) => [
+                phase.name,
+                date(phase.start),
+                date(phase.end),
+                phase.items.length,
+                roadmap.budget.phases[index].personWeeks
+            ]),
+            ['Total', '', '', roadmap.items.length, roadmap.budget.totalPersonWeeks],
+            [],
+            ['Owner', `Estimated Effort (${roadmap.budget.unit})`],
+            ...Object.entries(roadmap.budget.byOwner).map(([owner, weeks]) => [owner, weeks]),
+            ...(roadmap.warnings.length > 0 ? [[], ['Scheduling Notes'], ...roadmap.warnings.map(warning => [warning])] : [])
         ];
         return this.XLSX.utils.aoa_to_sheet(rows);
     }
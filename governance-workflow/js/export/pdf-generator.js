@@ -4,9 +4,12 @@
  * Version: 1.0.0
  */
 
+/* global RecommendationModel */
+
 class PDFGenerator {
     constructor() {
         this.jsPDF = null;
+        this.loading = null;
         this.currentY = 20;
         this.pageHeight = 297; // A4 height in mm
         this.pageWidth = 210; // A4 width in mm
@@ -27,28 +30,37 @@ class PDFGenerator {
             text: '#374151',
             lightGray: '#f3f4f6'
         };
-        this.loadJsPDF();
+        this.loadJsPDF().catch(error => console.warn(error.message));
     }
 
     /**
      * Load jsPDF library dynamically
+     * Resolves once the library is available, so callers can await it.
      */
-    async loadJsPDF() {
-        if (typeof window.jsPDF === 'undefined') {
-            try {
-                // Load jsPDF from CDN if not already loaded
+    loadJsPDF() {
+        if (typeof window.jspdf !== 'undefined') {
+            this.jsPDF = window.jspdf.jsPDF;
+            return Promise.resolve(this.jsPDF);
+        }
+
+        if (!this.loading) {
+            this.loading = new Promise((resolve, reject) => {
                 const script = document.createElement('script');
                 script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
                 script.onload = () => {
                     this.jsPDF = window.jspdf.jsPDF;
+                    resolve(this.jsPDF);
+                };
+                script.onerror = () => {
+                    this.loading = null;
+                    script.remove();
+                    reject(new Error('Failed to load the jsPDF library'));
                 };
                 document.head.appendChild(script);
-            } catch (error) {
-                console.error('Failed to load jsPDF:', error);
-            }
-        } else {
-            this.jsPDF = window.jspdf.jsPDF;
+            });
         }
+
+        return this.loading;
     }
 
     /**
@@ -58,6 +70,12 @@ class PDFGenerator {
      * @returns {Promise<Blob>} Generated PDF as blob
      */
     async generateAssessmentReport(assessmentData, options = {}) {
+        // Recommendations are flattened and dated by the recommendation model
+        if (typeof RecommendationModel === 'undefined') {
+            throw new Error('Recommendation model not available');
+        }
+        if (!this.jsPDF) await this.loadJsPDF();
+
         const doc = new this.jsPDF();
         this.currentY = this.margins.top;
 
@@ -79,6 +97,12 @@ class PDFGenerator {
         this.addNewPage(doc);
         this.addRecommendations(doc, assessmentData);
 
+        // Add the implementation roadmap
+        if (assessmentData.roadmap) {
+            this.addNewPage(doc);
+            this.addRoadmap(doc, assessmentData.roadmap);
+        }
+
         // Add charts and visualizations
         if (options.includeCharts) {
             this.addNewPage(doc);
@@ -224,7 +248,7 @@ class PDFGenerator {
         this.addSubheading(doc, 'Priority Recommendations');
         const priorityRecs = data.priorityRecommendations || this.extractPriorityRecommendations(data);
         priorityRecs.slice(0, 5).forEach((rec, index) => {
-            this.addNumberedPoint(doc, `${rec.title}: ${rec.summary}`, index + 1);
+            this.addNumberedPoint(doc, `${rec.title}: ${rec.summary || rec.description}`, index + 1);
         });
 
         // Risk assessment
@@ -232,6 +256,78 @@ class PDFGenerator {
         this.addRiskAssessment(doc, data);
     }
 
+    /**
+     * Critical and high-priority recommendations, most urgent first
+     * @param {Object} data - Assessment data
+     * @returns {Array} Recommendations
+     */
+    extractPriorityRecommendations(data) {
+        return RecommendationModel.flatten(data.recommendations || [])
+            .filter(rec => rec.priority === 'critical' || rec.priority === 'high');
+    }
+
+    /**
+     * Key findings from the category scores and recommendations
+     * @param {Object} data - Assessment data
+     * @returns {Array} Findings
+     */
+    generateKeyFindings(data) {
+        const findings = Object.entries(data.categoryScores || {})
+            .sort(([, a], [, b]) => a.percentage - b.percentage)
+            .slice(0, 3)
+            .map(([category, result]) => `${category}: ${result.percentage}% of the maximum score`);
+
+        const urgent = this.extractPriorityRecommendations(data).filter(rec => rec.priority === 'critical');
+        if (urgent.length > 0) {
+            findings.push(`${urgent.length} critical recommendation${urgent.length === 1 ? '' : 's'} to address within ${urgent[0].dueWindow}`);
+        }
+        return findings.length > 0 ? findings : ['No findings recorded'];
+    }
+
+    /**
+     * Add risk assessment text
+     * @param {jsPDF} doc - PDF document
+     * @param {Object} data - Assessment data
+     */
+    addRiskAssessment(doc, data) {
+        this.addText(doc, data.riskLevel
+            ? `Governance maturity level: ${data.riskLevel}. Maturity score: ${data.maturityScore || 'N/A'}.`
+            : 'No risk level was determined for this assessment.');
+    }
+
+    /**
+     * Describe the assessment scope
+     * @param {Object} data - Assessment data
+     * @returns {string} Scope text
+     */
+    generateScopeText(data) {
+        const categories = new Set((data.responses || []).map(response => response.category));
+        return `${data.responses?.length || 0} questions answered across ${categories.size} categories` +
+            (data.organization ? ` for ${data.organization}` : '') +
+            (data.department ? ` (${data.department})` : '') + '.';
+    }
+
+    /**
+     * Results per category, scored out of 5
+     * @param {Object} data - Assessment data
+     * @returns {Object} Category to { score, status, summary }
+     */
+    groupResponsesByCategory(data) {
+        const categories = {};
+        (data.responses || []).forEach(response => {
+            categories[response.category] = (categories[response.category] || 0) + 1;
+        });
+
+        return Object.fromEntries(Object.entries(categories).map(([category, answered]) => {
+            const percentage = data.categoryScores?.[category]?.percentage ?? 0;
+            return [category, {
+                score: Math.round(percentage / 20 * 10) / 10,
+                status: percentage >= 70 ? 'Strong' : percentage >= 40 ? 'Developing' : 'Needs attention',
+                summary: `${answered} question${answered === 1 ? '' : 's'} answered`
+            }];
+        }));
+    }
+
     /**
      * Add assessment details section
      * @param {jsPDF} doc - PDF document
@@ -270,10 +366,10 @@ class PDFGenerator {
             }
 
             this.setFont(doc, 'body');
-            doc.setFontStyle('bold');
+            doc.setFont('helvetica', 'bold');
             this.addText(doc, `${category}:`);
             
-            doc.setFontStyle('normal');
+            doc.setFont('helvetica', 'normal');
             this.addText(doc, `Score: ${results.score}/5 | Status: ${results.status}`);
             this.addText(doc, results.summary);
             this.currentY += 5;
@@ -288,7 +384,9 @@ class PDFGenerator {
     addRecommendations(doc, data) {
         this.addSectionHeader(doc, 'Detailed Recommendations');
 
-        const recommendations = data.recommendations || [];
+        // A recommendation list or a recommendation engine result
+        const recommendations = RecommendationModel.flatten(data.recommendations || []);
+        const start = data.timestamp || new Date();
         
         recommendations.forEach((rec, index) => {
             if (this.currentY > this.pageHeight - 80) {
@@ -306,7 +404,20 @@ class PDFGenerator {
             // Description
             this.setFont(doc, 'body');
             doc.setTextColor(this.colors.text);
-            this.addText(doc, rec.description);
+            if (rec.description !== rec.title) {
+                this.addText(doc, rec.description);
+            }
+
+            // Ownership and timing
+            const dueDate = RecommendationModel.getDueDate(rec, start);
+            this.addText(doc, `Owner: ${rec.ownerRole || 'Unassigned'} | Due within ${rec.dueWindow}` +
+                (dueDate ? ` (by ${dueDate.toLocaleDateString()})` : '') + ` | Source: ${rec.source}`);
+            if (rec.relatedControls.length > 0) {
+                this.addText(doc, `Related Controls: ${rec.relatedControls.join(', ')}`);
+            }
+            if (rec.rationale) {
+                this.addText(doc, `Rationale: ${rec.rationale}`);
+            }
 
             // Implementation steps
             if (rec.steps && rec.steps.length > 0) {
@@ -321,6 +432,17 @@ class PDFGenerator {
                 this.addText(doc, `Expected Benefits: ${rec.benefits}`);
             }
 
+            // Why the recommendation was made
+            const recorded = rec.explanation || (typeof RecommendationEngine !== 'undefined'
+                ? RecommendationEngine.getExplanation(data.recommendations, rec.section, rec)
+                : null);
+            if (recorded) {
+                const explanation = typeof ExplanationBuilder !== 'undefined'
+                    ? ExplanationBuilder.toText(recorded)
+                    : (recorded.summary || recorded);
+                this.addText(doc, `Why? ${explanation}`);
+            }
+
             this.currentY += 10;
         });
     }
@@ -343,8 +465,14 @@ class PDFGenerator {
 
         // Effort badge
         if (recommendation.effort) {
-            this.addBadge(doc, `${recommendation.effort} EFFORT`, badgeX, this.currentY, this.colors.secondary);
-            badgeX += 35;
+            this.addBadge(doc, `${recommendation.effort.toUpperCase()} EFFORT`, badgeX, this.currentY, this.colors.secondary);
+            badgeX += 30;
+        }
+
+        // Impact badge
+        if (recommendation.impact) {
+            this.addBadge(doc, `${recommendation.impact.toUpperCase()} IMPACT`, badgeX, this.currentY, this.colors.primary);
+            badgeX += 30;
         }
 
         this.currentY += 15;
@@ -379,6 +507,7 @@ class PDFGenerator {
      */
     getPriorityColor(priority) {
         const colors = {
+            critical: this.colors.danger,
             high: this.colors.danger,
             medium: this.colors.warning,
             low: this.colors.success
@@ -390,12 +519,75 @@ class PDFGenerator {
      * Add charts section
      * @param {jsPDF} doc - PDF document
      * @param {Object} data - Assessment data
-     * /async addCharts(doc, data) {
-        this.addSectionHeader(doc, 'Visualizations and Charts
-');
+     */
+    async addCharts(doc, data) {
+        this.addSectionHeader(doc, 'Visualizations and Charts');
         // Placeholder for chart generation logic
         this.addText(doc, 'Charts and visualizations will be added here.');
     }
+
+    /**
+     * Add the implementation roadmap as a Gantt chart with effort per phase
+     * @param {jsPDF} doc - PDF document
+     * @param {Object} roadmap - Roadmap from RoadmapGenerator
+     */
+    addRoadmap(doc, roadmap) {
+        this.addSectionHeader(doc, 'Implementation Roadmap');
+
+        const labelWidth = 60;
+        const chartX = this.margins.left + labelWidth;
+        const chartWidth = this.pageWidth - this.margins.right - chartX;
+        const rowHeight = 7;
+        const totalDays = roadmap.totalDays || 365;
+        const x = day => chartX + (day / totalDays) * chartWidth;
+        const priorityColors = {
+            critical: this.colors.danger,
+            high: this.colors.warning,
+            medium: this.colors.primary,
+            low: this.colors.secondary
+        };
+
+        const drawPhaseHeader = () => {
+            this.setFont(doc, 'small');
+            doc.setTextColor(this.colors.text);
+            roadmap.phases.forEach(phase => {
+                doc.setDrawColor('#d1d5db');
+                doc.line(x(phase.startDay), this.currentY - 4, x(phase.startDay), this.currentY + 2);
+                doc.text(phase.name, x(phase.startDay) + 1, this.currentY);
+            });
+            this.currentY += rowHeight;
+        };
+
+        drawPhaseHeader();
+        roadmap.items.forEach(item => {
+            if (this.currentY > this.pageHeight - 30) {
+                this.addNewPage(doc);
+                drawPhaseHeader();
+            }
+
+            const label = item.title.length > 34 ? item.title.slice(0, 33) + '…' : item.title;
+            this.setFont(doc, 'small');
+            doc.setTextColor(this.colors.text);
+            doc.text(label, this.margins.left, this.currentY);
+            doc.setFillColor(priorityColors[item.priority] || this.colors.secondary);
+            doc.rect(x(item.startDay), this.currentY - 3.5, Math.max(x(item.endDay) - x(item.startDay), 1), 4.5, 'F');
+            this.currentY += rowHeight;
+        });
+
+        // Effort per phase
+        this.currentY += 5;
+        this.addSubheading(doc, 'Estimated Effort by Phase');
+        roadmap.phases.forEach((phase, index) => {
+            const budget = roadmap.budget.phases[index];
+            this.addBulletPoint(doc, `${phase.name} (${new Date(phase.start).toLocaleDateString()} - ${new Date(phase.end).toLocaleDateString()}): ` +
+                `${budget.items} recommendations, about ${budget.personWeeks} ${roadmap.budget.unit}`);
+        });
+
+        if (roadmap.warnings.length > 0) {
+            this.addSubheading(doc, 'Scheduling Notes');
+            roadmap.warnings.forEach(warning => this.addBulletPoint(doc, warning));
+        }
+    }
     /**
      * Add raw data section
      * @param {jsPDF} doc - PDF document
@@ -512,4 +704,14 @@ class PDFGenerator {
             doc.text(footerText, this.pageWidth / 2, this.pageHeight - 10, { align: 'center' });
         }
     }
-}
\ No newline at end of file
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFGenerator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.PDFGenerator = PDFGenerator;
+}
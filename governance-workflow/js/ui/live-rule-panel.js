@@ -0,0 +1,111 @@
+// js/ui/live-rule-panel.js - Live Rule Results Panel
+
+/**
+ * Live Rule Panel for Data Governance Decision Tool
+ * Shows the rule results for the answers given so far on the Assessment tab,
+ * refreshed from the rules engine's live evaluation after every answer
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class LiveRulePanel {
+    static containerId = 'live-rule-panel';
+    static isInitialized = false;
+    static results = null;
+
+    /**
+     * Initialize live rule panel
+     */
+    static init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.setupEventListeners();
+        this.render();
+
+        this.isInitialized = true;
+        console.log('Live Rule Panel initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    static setupEventListeners() {
+        if (typeof EventBus !== 'undefined') {
+            EventBus.on('rules.live-evaluated', (event) => {
+                this.results = event.data.results;
+                this.render();
+            });
+
+            EventBus.on('assessment.start', () => {
+                this.results = null;
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Render the current live results
+     */
+    static render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const results = this.results;
+        if (!results || results.evaluatedRules === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const recommendations = results.recommendations || [];
+        const validationErrors = results.validationErrors || [];
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <h3>Live Rule Results</h3>
+            <div class="live-rule-summary">
+                ${results.matchedRules} of ${results.evaluatedRules} rules match
+                &middot; Rule score ${results.score}
+                ${results.errors?.length > 0 ? `&middot; ${results.errors.length} rule errors` : ''}
+            </div>
+            ${validationErrors.length > 0 ? `
+                <ul class="live-rule-errors">
+                    ${validationErrors.map(error => `<li>${this.escapeHTML(error.message)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${recommendations.length > 0 ? `
+                <ul class="live-rule-recommendations">
+                    ${recommendations.map(recommendation => `
+                        <li>
+                            <span class="priority-badge priority-${this.escapeHTML(recommendation.priority)}">${this.escapeHTML(recommendation.priority)}</span>
+                            ${this.escapeHTML(recommendation.title || recommendation.message || recommendation.templateId)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="live-rule-empty">No rule recommendations yet.</p>'}
+        `;
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveRulePanel;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.LiveRulePanel = LiveRulePanel;
+}
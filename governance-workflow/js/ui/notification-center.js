@@ -0,0 +1,439 @@
+// js/ui/notification-center.js - Notification Center
+
+/**
+ * Notification Center for Data Governance Decision Tool
+ * Shows the current user's inbox, the delivery status of every notification
+ * sent by rules (with manual retry), the testing outbox and message templates
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class NotificationCenter {
+    static modal = null;
+    static view = 'inbox';
+    static isInitialized = false;
+
+    static VIEWS = {
+        inbox: 'Inbox',
+        deliveries: 'Deliveries',
+        outbox: 'Outbox',
+        templates: 'Templates'
+    };
+
+    /**
+     * Initialize notification center
+     */
+    static init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (typeof EventBus !== 'undefined') {
+            EventBus.on('notification.updated', () => this.refresh());
+            EventBus.on('notification.inbox.updated', () => this.refresh());
+        }
+        this.updateUnreadCount();
+
+        this.isInitialized = true;
+        console.log('Notification Center initialized');
+    }
+
+    /**
+     * Open the modal
+     */
+    static open(view = 'inbox') {
+        if (typeof NotificationService === 'undefined') {
+            alert('Notifications not available');
+            return;
+        }
+
+        this.close();
+        this.view = view;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal show notification-center-modal';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Notifications</h2>
+                    <button class="modal-close" onclick="NotificationCenter.close()">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    /**
+     * Close the modal
+     */
+    static close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Re-render after a change, if open
+     */
+    static refresh() {
+        this.updateUnreadCount();
+        if (this.modal && this.view !== 'templates') {
+            this.render();
+        }
+    }
+
+    /**
+     * Switch view
+     */
+    static showView(view) {
+        this.view = view;
+        this.render();
+    }
+
+    /**
+     * Render the current view
+     */
+    static render() {
+        const body = this.modal?.querySelector('.modal-body');
+        if (!body) return;
+
+        const renderers = {
+            inbox: () => this.renderInbox(),
+            deliveries: () => this.renderDeliveries(),
+            outbox: () => this.renderOutbox(),
+            templates: () => this.renderTemplates()
+        };
+
+        body.innerHTML = `
+            <div class="notification-center-tabs">
+                ${Object.entries(this.VIEWS).map(([view, label]) => `
+                    <button type="button" class="btn btn-sm ${view === this.view ? 'btn-primary' : 'btn-secondary'}"
+                            onclick="NotificationCenter.showView('${view}')">${label}</button>
+                `).join('')}
+            </div>
+            ${renderers[this.view]()}
+        `;
+    }
+
+    /**
+     * Render the current user's inbox
+     */
+    static renderInbox() {
+        const items = NotificationService.getInbox(this.getCurrentUser())
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        if (items.length === 0) {
+            return '<p class="notification-empty">Your inbox is empty.</p>';
+        }
+
+        const unread = items.filter(item => !item.read);
+        return `
+            ${unread.length > 0 ? `
+                <div class="notification-toolbar">
+                    <button type="button" class="btn btn-secondary btn-sm"
+                            onclick="NotificationCenter.markAllRead()">Mark all as read</button>
+                </div>
+            ` : ''}
+            <ul class="notification-list">
+                ${items.map(item => `
+                    <li class="notification-item notification-${this.escapeHTML(item.type)} ${item.read ? '' : 'notification-unread'}">
+                        <div class="notification-item-header">
+                            <strong>${this.escapeHTML(item.subject)}</strong>
+                            <span class="notification-meta">${new Date(item.createdAt).toLocaleString()}</span>
+                        </div>
+                        <div>${this.escapeHTML(item.message)}</div>
+                        <div class="notification-meta">
+                            ${item.assessmentId ? `Assessment ${this.escapeHTML(item.assessmentId)} &middot; ` : ''}
+                            To ${this.escapeHTML(item.recipient)}
+                            ${item.read ? '' : `&middot; <a href="#" onclick="NotificationCenter.markRead('${item.id}'); return false;">Mark as read</a>`}
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render notifications with per-recipient delivery status
+     */
+    static renderDeliveries() {
+        const notifications = NotificationService.getNotifications();
+
+        if (notifications.length === 0) {
+            return '<p class="notification-empty">No notifications have been sent.</p>';
+        }
+
+        return `
+            <ul class="notification-list">
+                ${notifications.map(notification => `
+                    <li class="notification-item">
+                        <div class="notification-item-header">
+                            <strong>${this.escapeHTML(notification.subject)}</strong>
+                            <span class="notification-status notification-status-${NotificationService.getStatus(notification)}">
+                                ${this.getStatusLabel(NotificationService.getStatus(notification))}
+                            </span>
+                        </div>
+                        <div class="notification-meta">
+                            ${new Date(notification.createdAt).toLocaleString()}
+                            ${notification.ruleId ? `&middot; Rule ${this.escapeHTML(notification.ruleId)}` : ''}
+                            ${notification.assessmentId ? `&middot; Assessment ${this.escapeHTML(notification.assessmentId)}` : ''}
+                        </div>
+                        <table class="notification-deliveries">
+                            ${notification.deliveries.map(delivery => this.renderDelivery(notification, delivery)).join('')}
+                        </table>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render one recipient's delivery
+     */
+    static renderDelivery(notification, delivery) {
+        const canRetry = delivery.status === 'failed' || delivery.status === 'retrying';
+
+        return `
+            <tr>
+                <td>${this.escapeHTML(NotificationService.getChannel(delivery.channel)?.name || delivery.channel)}</td>
+                <td>${this.escapeHTML(delivery.recipient)}</td>
+                <td>
+                    <span class="notification-status notification-status-${delivery.status}">${this.getStatusLabel(delivery.status)}</span>
+                    <span class="notification-meta">
+                        ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}
+                        ${delivery.status === 'retrying' && delivery.nextAttemptAt ? `&middot; next ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : ''}
+                    </span>
+                    ${delivery.lastError ? `<div class="notification-error">${this.escapeHTML(delivery.lastError)}</div>` : ''}
+                </td>
+                <td>
+                    ${canRetry ? `
+                        <button type="button" class="btn btn-secondary btn-sm"
+                                onclick="NotificationCenter.retry('${notification.id}', '${delivery.id}')">Retry</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render the testing outbox
+     */
+    static renderOutbox() {
+        const outbox = NotificationService.getOutbox().slice().reverse();
+
+        return `
+            <p class="notification-meta">
+                Notifications sent on the <code>outbox</code> channel are written here instead of being delivered.
+            </p>
+            <div class="notification-toolbar">
+                <button type="button" class="btn btn-secondary btn-sm" onclick="NotificationCenter.exportOutbox()"
+                        ${outbox.length === 0 ? 'disabled' : ''}>Export JSON</button>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="NotificationCenter.clearOutbox()"
+                        ${outbox.length === 0 ? 'disabled' : ''}>Clear</button>
+            </div>
+            ${outbox.length === 0 ? '<p class="notification-empty">The outbox is empty.</p>' : `
+                <ul class="notification-list">
+                    ${outbox.map(entry => `
+                        <li class="notification-item">
+                            <div class="notification-item-header">
+                                <strong>${this.escapeHTML(entry.subject)}</strong>
+                                <span class="notification-meta">${new Date(entry.writtenAt).toLocaleString()}</span>
+                            </div>
+                            <div>${this.escapeHTML(entry.message)}</div>
+                            <div class="notification-meta">To ${this.escapeHTML(entry.recipient)}</div>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        `;
+    }
+
+    /**
+     * Render the message template editor
+     */
+    static renderTemplates() {
+        const templates = NotificationService.getTemplates();
+
+        return `
+            <p class="notification-meta">
+                Use a template with <code>"template": "id"</code> in a notify action. Placeholders such as
+                <code>{{assessment.id}}</code>, <code>{{rule.name}}</code>, <code>{{answers.question_id}}</code>,
+                <code>{{user.name}}</code> or a rule variable are filled in from the assessment.
+            </p>
+            ${templates.map(template => this.renderTemplateForm(template)).join('')}
+            ${this.renderTemplateForm({ id: '', name: '', subject: '', message: '' }, true)}
+        `;
+    }
+
+    /**
+     * Render a template form
+     */
+    static renderTemplateForm(template, isNew = false) {
+        const key = isNew ? 'new' : this.escapeHTML(template.id);
+
+        return `
+            <div class="notification-template" data-template="${key}">
+                <h4>${isNew ? 'New template' : this.escapeHTML(template.name || template.id)}</h4>
+                <div class="notification-template-fields">
+                    <input type="text" class="form-input" data-field="id" placeholder="Template ID"
+                           value="${this.escapeHTML(template.id)}" ${isNew ? '' : 'readonly'}>
+                    <input type="text" class="form-input" data-field="name" placeholder="Name"
+                           value="${this.escapeHTML(template.name)}">
+                    <input type="text" class="form-input" data-field="subject" placeholder="Subject"
+                           value="${this.escapeHTML(template.subject)}">
+                    <textarea class="form-input" data-field="message" rows="2" placeholder="Message">${this.escapeHTML(template.message)}</textarea>
+                </div>
+                <div class="notification-toolbar">
+                    <button type="button" class="btn btn-primary btn-sm"
+                            onclick="NotificationCenter.saveTemplate('${key}')">${isNew ? 'Add' : 'Save'}</button>
+                    ${isNew ? '' : `
+                        <button type="button" class="btn btn-danger btn-sm"
+                                onclick="NotificationCenter.deleteTemplate('${key}')">Delete</button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Save a template from its form
+     */
+    static saveTemplate(key) {
+        const form = this.modal?.querySelector(`.notification-template[data-template="${key}"]`);
+        if (!form) return;
+
+        const template = {};
+        form.querySelectorAll('[data-field]').forEach(input => {
+            template[input.dataset.field] = input.value.trim();
+        });
+
+        if (key === 'new' && NotificationService.getTemplate(template.id)) {
+            alert(`A template with ID "${template.id}" already exists`);
+            return;
+        }
+
+        try {
+            NotificationService.saveTemplate(template);
+            this.render();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Delete a template
+     */
+    static deleteTemplate(id) {
+        if (!confirm(`Delete template "${id}"? Rules using it will fail to notify.`)) return;
+        NotificationService.deleteTemplate(id);
+        this.render();
+    }
+
+    /**
+     * Retry a delivery
+     */
+    static retry(notificationId, deliveryId) {
+        NotificationService.retryDelivery(notificationId, deliveryId);
+    }
+
+    /**
+     * Mark an inbox item as read
+     */
+    static markRead(itemId) {
+        NotificationService.markRead(itemId);
+    }
+
+    /**
+     * Mark the current user's inbox as read
+     */
+    static markAllRead() {
+        const ids = NotificationService.getInbox(this.getCurrentUser())
+            .filter(item => !item.read)
+            .map(item => item.id);
+        NotificationService.markRead(ids);
+    }
+
+    /**
+     * Download the outbox as JSON
+     */
+    static exportOutbox() {
+        const blob = new Blob([JSON.stringify(NotificationService.getOutbox(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `notification-outbox-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Empty the outbox
+     */
+    static clearOutbox() {
+        if (!confirm('Clear all outbox entries?')) return;
+        NotificationService.clearOutbox();
+        this.render();
+    }
+
+    /**
+     * Show the unread count in the user menu
+     */
+    static updateUnreadCount() {
+        const badge = document.getElementById('notification-count');
+        if (!badge || typeof NotificationService === 'undefined') return;
+
+        const unread = NotificationService.getInbox(this.getCurrentUser()).filter(item => !item.read).length;
+        badge.textContent = unread;
+        badge.classList.toggle('hidden', unread === 0);
+    }
+
+    /**
+     * Get the current user profile
+     */
+    static getCurrentUser() {
+        if (typeof StateManager !== 'undefined' && StateManager.getState('user.profile')) {
+            return StateManager.getState('user.profile');
+        }
+        return typeof StorageManager !== 'undefined' ? StorageManager.getItem('user_profile') : null;
+    }
+
+    /**
+     * Get display label for a status
+     */
+    static getStatusLabel(status) {
+        const labels = {
+            pending: 'Pending',
+            retrying: 'Retrying',
+            sent: 'Sent',
+            failed: 'Failed',
+            partial: 'Partly sent'
+        };
+        return labels[status] || status;
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationCenter;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.NotificationCenter = NotificationCenter;
+}
@@ -15,6 +15,8 @@ class QuestionRenderer {
     static assessment = null;
     static container = null;
     static isInitialized = false;
+    static history = [];
+    static questionPathCache = null;
 
     /**
      * Initialize question renderer
@@ -61,7 +63,10 @@ class QuestionRenderer {
         if (typeof EventBus !== 'undefined') {
             EventBus.on('question.next', () => this.nextQuestion());
             EventBus.on('question.previous', () => this.previousQuestion());
-            EventBus.on('question.answer', (data) => this.handleAnswer(data.questionId, data.answer));
+
+            // The route depends on the answers and on the route rules
+            EventBus.on('question.answer', () => this.invalidateQuestionPath());
+            EventBus.on('rules.updated', () => this.invalidateQuestionPath());
         }
 
         // Handle form submission
@@ -511,6 +516,26 @@ class QuestionRenderer {
             case 'is_not_empty':
                 return answer && answer !== '' && (!Array.isArray(answer) || answer.length > 0);
             default:
+                // Set operators (contains_any, count_at_least, score_at_least, ...) share the rules engine's semantics
+                if (typeof RulesEngine !== 'undefined' && RulesEngine.SET_OPERATORS.includes(operator)) {
+                    const question = this.questions.find(q => q.id === questionId);
+                    try {
+                        return RulesEngine.evaluateSetOperator(operator, answer, value,
+                            () => RulesEngine.getAnswerScore(question, answer));
+                    } catch (error) {
+                        console.warn(`Invalid condition on ${questionId}:`, error.message);
+                        return false;
+                    }
+                }
+                // Text operators (mentions_any, similar_to, ...) likewise
+                if (typeof RulesEngine !== 'undefined' && RulesEngine.TEXT_OPERATORS.includes(operator)) {
+                    try {
+                        return RulesEngine.evaluateTextOperator(operator, answer, value);
+                    } catch (error) {
+                        console.warn(`Invalid condition on ${questionId}:`, error.message);
+                        return false;
+                    }
+                }
                 return false;
         }
     }
@@ -556,26 +581,7 @@ class QuestionRenderer {
      * Navigate to previous question
      */
     static previousQuestion() {
-        // Find previous visible question
-        let prevIndex = this.currentQuestionIndex - 1;
-        while (prevIndex >= 0) {
-            const prevQuestion = this.questions[prevIndex];
-            if (this.shouldShowQuestion(prevQuestion)) {
-                break;
-            }
-            prevIndex--;
-        }
-
-        if (prevIndex >= 0) {
-            this.currentQuestionIndex = prevIndex;
-            
-            if (typeof StateManager !== 'undefined') {
-                StateManager.setState('assessment.currentQuestion', prevIndex);
-            }
-            
-            this.renderCurrentQuestion();
-            this.updateNavigation();
-        }
+        this.prevQuestion();
     }
 
     /**
@@ -1977,12 +1983,21 @@ class QuestionRenderer {
     }
     /**
      * Set answer for a question
+     * Emits question.answer, which the rules engine re-evaluates live rule results on.
      */
     static setAnswer(questionId, answer) {
         this.answers[questionId] = answer;
         if (typeof StateManager !== 'undefined') {
             StateManager.setState(`assessment.answers.${questionId}`, answer);
         }
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit('question.answer', {
+                assessmentId: this.assessment?.id || null,
+                questionId,
+                answer,
+                timestamp: new Date().toISOString()
+            });
+        }
     }
     /**
      * Render current question
@@ -2191,12 +2206,12 @@ class QuestionRenderer {
     /**
      * Determine if a question should be shown based on conditions
      */
-    static shouldShowQuestion(question) {
+    static shouldShowQuestion(question, answers = this.answers) {
         if (!question.conditions || question.conditions.length === 0) {
             return true; // No conditions, always show
         }
         return question.conditions.every(condition => {
-            const targetAnswer = this.answers[condition.questionId];
+            const targetAnswer = answers[condition.questionId];
             switch (condition.operator) {
                 case 'equals':
                     return targetAnswer === condition.value;
@@ -2222,52 +2237,216 @@ class QuestionRenderer {
     /**
      * Start a new assessment
      */
-    static startNewAssessment() {
-        this.currentQuestionIndex = 0;
+    static startNewAssessment(assessment = null) {
+        this.assessment = assessment;
         this.answers = {};
+        this.history = [];
+        this.currentQuestionIndex = this.getQuestionPath().path[0] ?? 0;
         if (typeof StateManager !== 'undefined') {
             StateManager.setState('assessment.answers', {});
-            StateManager.setState('assessment.currentQuestion', 0);
+            StateManager.setState('assessment.currentQuestion', this.currentQuestionIndex);
+        }
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit('assessment.start', {
+                assessmentId: assessment?.id || null,
+                totalQuestions: this.questions.length
+            });
         }
         this.renderCurrentQuestion();
         this.updateProgress();
         this.updateNavigation();
     }   
+    /**
+     * Work out the questions on the respondent's route for the answers so far
+     * Starts from the visible questions in order (follow-up questions only
+     * appear when inserted) and applies route actions from the rules engine:
+     * skip_to and section jump forward, insert adds follow-ups right after the
+     * question the route hangs off, and end stops the questionnaire there.
+     * Returns question indexes in the order they are asked. The route for the
+     * current answers is cached until an answer or the rules change.
+     */
+    static getQuestionPath(answers = this.answers) {
+        const cache = this.questionPathCache;
+        const isCurrent = answers === this.answers;
+        if (isCurrent && cache && cache.answers === answers && cache.questions === this.questions &&
+            cache.assessmentId === this.assessment?.id) {
+            return cache.questionPath;
+        }
+
+        const questionPath = this.buildQuestionPath(answers);
+        if (isCurrent) {
+            this.questionPathCache = {
+                answers: answers,
+                questions: this.questions,
+                assessmentId: this.assessment?.id,
+                questionPath: questionPath
+            };
+        }
+        return questionPath;
+    }
+
+    /**
+     * Forget the cached route so the next getQuestionPath() call works it out again
+     */
+    static invalidateQuestionPath() {
+        this.questionPathCache = null;
+    }
+
+    /**
+     * Work out the route for a set of answers; see getQuestionPath()
+     */
+    static buildQuestionPath(answers) {
+        const questions = this.questions;
+        const indexById = new Map(questions.map((question, index) => [question.id, index]));
+        const isAsked = index => index !== undefined && this.shouldShowQuestion(questions[index], answers);
+        const nextInOrder = from => {
+            for (let index = from + 1; index < questions.length; index++) {
+                if (!questions[index].followUp && isAsked(index)) return index;
+            }
+            return null;
+        };
+        const firstFrom = from => isAsked(from) ? from : nextInOrder(from);
+
+        const routes = typeof RulesEngine !== 'undefined'
+            ? RulesEngine.getRoutes(answers, this.assessment?.id, questions)
+            : [];
+        const routesAfter = new Map();
+        routes.forEach(route => {
+            const key = route.after || null;
+            if (!routesAfter.has(key)) routesAfter.set(key, []);
+            routesAfter.get(key).push(route);
+        });
+
+        const path = [];
+        const visited = new Set();
+        let queue = [];
+        let anchor = -1;
+        let jump = null;
+        let ended = false;
+
+        const applyRoutes = (questionId) => {
+            (routesAfter.get(questionId) || []).forEach(route => {
+                if (route.mode === 'end' && questionId !== null) {
+                    ended = true;
+                } else if (route.mode === 'insert') {
+                    queue.push(...route.questions.map(id => indexById.get(id)).filter(isAsked));
+                } else if (jump === null && (route.mode === 'skip_to' || route.mode === 'section')) {
+                    const target = route.mode === 'skip_to'
+                        ? indexById.get(route.target)
+                        : questions.findIndex((question, index) => index > anchor &&
+                            !question.followUp && question.category === route.target);
+                    // Only jump forward so a route can never loop back on itself
+                    if (target !== undefined && target > anchor) {
+                        jump = firstFrom(target);
+                    }
+                }
+            });
+        };
+
+        // Routes that do not depend on any answer apply before the first question
+        applyRoutes(null);
+        while (!ended) {
+            let current;
+            if (queue.length > 0) {
+                current = queue.shift();
+            } else if (jump !== null) {
+                current = jump;
+                anchor = current;
+                jump = null;
+            } else {
+                current = nextInOrder(anchor);
+                if (current === null) break;
+                anchor = current;
+            }
+
+            if (visited.has(current)) continue;
+            visited.add(current);
+            path.push(current);
+
+            const inserted = queue;
+            queue = [];
+            applyRoutes(questions[current].id);
+            queue = [...queue, ...inserted];
+        }
+
+        return { path, ended, routes };
+    }
+    /**
+     * Answers for the questions on the current route
+     * Answers left behind on questions a route now skips are not submitted.
+     */
+    static getRoutedAnswers(questionPath = this.getQuestionPath()) {
+        const routed = {};
+        questionPath.path.forEach(index => {
+            const id = this.questions[index].id;
+            if (Object.prototype.hasOwnProperty.call(this.answers, id)) {
+                routed[id] = this.answers[id];
+            }
+        });
+        return routed;
+    }
     /**
      * Navigate to the previous question
+     * Retraces the questions actually visited; if an earlier answer changed the
+     * route, questions no longer on it are skipped.
      */
     static prevQuestion() {
-        if (this.currentQuestionIndex > 0) {
-            this.currentQuestionIndex--;
+        const { path } = this.getQuestionPath();
+        let prevIndex = null;
+        while (this.history.length > 0 && prevIndex === null) {
+            const candidate = this.history.pop();
+            if (path.includes(candidate) && candidate !== this.currentQuestionIndex) {
+                prevIndex = candidate;
+            }
+        }
+        if (prevIndex === null) {
+            const position = path.indexOf(this.currentQuestionIndex);
+            prevIndex = position > 0 ? path[position - 1] : null;
+        }
+        if (prevIndex !== null) {
+            this.currentQuestionIndex = prevIndex;
             this.renderCurrentQuestion();
             this.updateNavigation();
         }
     }
     /**
-     * Navigate to the next question
+     * Navigate to the next question on the route
      */
     static nextQuestion() {
-        if (this.currentQuestionIndex < this.questions.length - 1) {
-            this.currentQuestionIndex++;
+        const nextIndex = this.getNextQuestionIndex();
+        if (nextIndex !== null) {
+            this.history.push(this.currentQuestionIndex);
+            this.currentQuestionIndex = nextIndex;
             this.renderCurrentQuestion();
             this.updateNavigation();
         }
     }
+    /**
+     * Index of the question that follows the current one on the route, or null at the end
+     */
+    static getNextQuestionIndex(questionPath = this.getQuestionPath()) {
+        const { path } = questionPath;
+        const position = path.indexOf(this.currentQuestionIndex);
+        if (position >= 0) {
+            return position < path.length - 1 ? path[position + 1] : null;
+        }
+        // The current question dropped off the route; continue with the next one after it
+        return path.find(index => index > this.currentQuestionIndex) ?? null;
+    }
     /**
      * Submit the assessment
      */
     static submitAssessment() {
         // Validate all questions before submission
         const errors = [];
-        this.questions.forEach(question => {
-            if (this.shouldShowQuestion(question)) {
-                const isValid = this.validateQuestion(question);
-                if (!isValid) {
-                    errors.push({
-                        questionTitle: question.title,
-                        errors: this.validateAnswer(question, this.answers[question.id]).errors
-                    });
-                }
+        const routedQuestions = this.getQuestionPath().path.map(index => this.questions[index]);
+        routedQuestions.forEach(question => {
+            const isValid = this.validateQuestion(question);
+            if (!isValid) {
+                errors.push({
+                    questionTitle: question.title,
+                    errors: this.validateAnswer(question, this.answers[question.id]).errors
+                });
             }
         });
         if (errors.length > 0) {
@@ -2278,24 +2457,35 @@ class QuestionRenderer {
         }
         // Emit event with answers
         if (typeof EventBus !== 'undefined') {
-            EventBus.emit('assessment.submitted', { assessmentId: this.assessment?.id, answers: this.answers });
+            EventBus.emit('assessment.submitted', { assessmentId: this.assessment?.id, answers: this.getRoutedAnswers() });
         }
         this.renderCompletionState();
     }
+    /**
+     * Go to a question and show errors raised outside the question form, such as rule validations
+     */
+    static showQuestionError(questionId, errors) {
+        const index = this.questions.findIndex(q => q.id === questionId);
+        if (index < 0) {
+            return;
+        }
+        this.currentQuestionIndex = index;
+        this.renderCurrentQuestion();
+        this.updateNavigation();
+        this.showValidationError(questionId, errors);
+    }
     /**
      * Go to the first question with an error
      */
     static goToFirstError() {
-        for (let i = 0; i < this.questions.length; i++) {   
+        for (const i of this.getQuestionPath().path) {
             const question = this.questions[i];
-            if (this.shouldShowQuestion(question)) {
-                const validation = this.validateAnswer(question, this.answers[question.id]);
-                if (!validation.isValid) {
-                    this.currentQuestionIndex = i;
-                    this.renderCurrentQuestion();
-                    this.updateNavigation();
-                    return;
-                }
+            const validation = this.validateAnswer(question, this.answers[question.id]);
+            if (!validation.isValid) {
+                this.currentQuestionIndex = i;
+                this.renderCurrentQuestion();
+                this.updateNavigation();
+                return;
             }
         }
     }       
@@ -2303,8 +2493,10 @@ class QuestionRenderer {
      * Update progress bar and text
      */
     static updateProgress() {
-        const totalQuestions = this.questions.filter(q => this.shouldShowQuestion(q)).length;
-        const answeredQuestions = Object.keys(this.answers).length;
+        // Only questions on the current route count, so skipped questions never hold progress back
+        const questionPath = this.getQuestionPath();
+        const totalQuestions = questionPath.path.length;
+        const answeredQuestions = Object.keys(this.getRoutedAnswers(questionPath)).length;
         const progress = totalQuestions > 0 ? (answeredQuestions / totalQuestions) * 100 : 0;
         const progressFill = document.querySelector('.progress-fill');
         const progressText = document.querySelector('.progress-text');  
@@ -2323,10 +2515,11 @@ class QuestionRenderer {
         const prevBtn = document.getElementById('prev-question');
         const nextBtn = document.getElementById('next-question');
         const submitBtn = document.getElementById('submit-assessment'); 
+        const questionPath = this.getQuestionPath();
         if (prevBtn) {
-            prevBtn.disabled = this.currentQuestionIndex === 0;
+            prevBtn.disabled = this.history.length === 0 && questionPath.path.indexOf(this.currentQuestionIndex) <= 0;
         }
-        const isLastQuestion = this.currentQuestionIndex === this.questions.length - 1;
+        const isLastQuestion = this.getNextQuestionIndex(questionPath) === null;
         if (nextBtn && submitBtn) { 
             if (isLastQuestion) {
                 nextBtn.classList.add('hidden');
@@ -2473,8 +2666,9 @@ class QuestionRenderer {
             return;
         }
         this.assessment = assessment || null;
-        this.currentQuestionIndex = 0;
         this.answers = {};
+        this.history = [];
+        this.currentQuestionIndex = this.getQuestionPath().path[0] ?? 0;
         if (typeof StateManager !== 'undefined') {
             StateManager.setState('assessment.questions', this.questions);
             StateManager.setState('assessment.containerId', containerId);
@@ -2498,3 +2692,13 @@ class QuestionRenderer {
     }
 }          
 
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionRenderer;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionRenderer = QuestionRenderer;
+}
@@ -0,0 +1,118 @@
+// js/ui/radar-chart.js - Maturity Radar Chart
+
+/**
+ * Radar Chart for Data Governance Decision Tool
+ * Draws a gap analysis (see GapAnalyzer) as an SVG radar chart with one axis
+ * per category on the 1-5 maturity scale: the target profile as a dashed
+ * outline and the current maturity as a filled polygon. Colours are inline
+ * so the chart also works in exported HTML reports.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RadarChart {
+    static WIDTH = 600;
+    static HEIGHT = 380;
+    static RADIUS = 140;
+    static LABEL_OFFSET = 22;
+    static LEVEL_COUNT = 5;
+
+    static COLORS = {
+        current: '#2563eb',
+        target: '#f59e0b',
+        grid: '#e5e7eb',
+        axis: '#d1d5db',
+        text: '#374151',
+        muted: '#6b7280'
+    };
+
+    /**
+     * Render a gap analysis as an SVG string
+     */
+    static renderSVG(gapAnalysis) {
+        const categories = [...(gapAnalysis?.categories || [])].sort((a, b) => a.name.localeCompare(b.name));
+        if (categories.length < 3) {
+            return '<p class="radar-empty">A radar chart needs at least three categories with targets.</p>';
+        }
+
+        const centerX = this.WIDTH / 2;
+        const centerY = this.HEIGHT / 2;
+        const angle = index => (Math.PI * 2 * index) / categories.length - Math.PI / 2;
+        const point = (index, level) => {
+            const distance = (Math.max(0, level) / this.LEVEL_COUNT) * this.RADIUS;
+            return [centerX + Math.cos(angle(index)) * distance, centerY + Math.sin(angle(index)) * distance];
+        };
+        const polygon = levels => levels.map((level, index) => point(index, level).map(value => value.toFixed(1)).join(',')).join(' ');
+
+        const gridSVG = Array.from({ length: this.LEVEL_COUNT }, (_, i) => i + 1).map(level => `
+            <polygon points="${polygon(categories.map(() => level))}" fill="none" stroke="${this.COLORS.grid}"></polygon>
+            <text x="${centerX + 3}" y="${(centerY - (level / this.LEVEL_COUNT) * this.RADIUS + 10).toFixed(1)}" font-size="9" fill="${this.COLORS.muted}">${level}</text>
+        `).join('');
+
+        const axesSVG = categories.map((entry, index) => {
+            const [x, y] = point(index, this.LEVEL_COUNT);
+            const [labelX, labelY] = point(index, this.LEVEL_COUNT * (this.RADIUS + this.LABEL_OFFSET) / this.RADIUS);
+            const anchor = Math.abs(labelX - centerX) < 1 ? 'middle' : (labelX > centerX ? 'start' : 'end');
+            return `
+                <line x1="${centerX}" y1="${centerY}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}" stroke="${this.COLORS.axis}"></line>
+                <text x="${labelX.toFixed(1)}" y="${(labelY + 4).toFixed(1)}" text-anchor="${anchor}" font-size="11" font-weight="600" fill="${this.COLORS.text}">${this.escapeHTML(entry.name)}</text>
+            `;
+        }).join('');
+
+        const pointsSVG = categories.map((entry, index) => {
+            const [x, y] = point(index, entry.current);
+            return `
+                <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3.5" fill="${this.COLORS.current}">
+                    <title>${this.escapeHTML(`${entry.name}: level ${entry.current} of target ${entry.target} (gap ${entry.gap})`)}</title>
+                </circle>
+            `;
+        }).join('');
+
+        return `
+            <svg class="radar-svg" width="${this.WIDTH}" height="${this.HEIGHT}" viewBox="0 0 ${this.WIDTH} ${this.HEIGHT}"
+                 xmlns="http://www.w3.org/2000/svg" font-family="Arial, sans-serif" role="img"
+                 aria-label="Current versus target maturity by category">
+                ${gridSVG}
+                ${axesSVG}
+                <polygon points="${polygon(categories.map(entry => entry.target))}" fill="${this.COLORS.target}" fill-opacity="0.08"
+                         stroke="${this.COLORS.target}" stroke-width="2" stroke-dasharray="6 4"></polygon>
+                <polygon points="${polygon(categories.map(entry => entry.current))}" fill="${this.COLORS.current}" fill-opacity="0.25"
+                         stroke="${this.COLORS.current}" stroke-width="2"></polygon>
+                ${pointsSVG}
+            </svg>
+        `;
+    }
+
+    /**
+     * Legend for the current and target series
+     */
+    static renderLegend() {
+        return `
+            <div class="radar-legend">
+                <span><span class="radar-swatch" style="background:${this.COLORS.current}"></span>Current</span>
+                <span><span class="radar-swatch" style="background:${this.COLORS.target}"></span>Target</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RadarChart;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RadarChart = RadarChart;
+}
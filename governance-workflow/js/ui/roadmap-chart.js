@@ -0,0 +1,129 @@
+// js/ui/roadmap-chart.js - Implementation Roadmap Chart
+
+/**
+ * Roadmap Chart for Data Governance Decision Tool
+ * Draws a generated roadmap (see RoadmapGenerator) as a Gantt-style SVG:
+ * one shaded column per phase, one bar per recommendation coloured by
+ * priority, and connectors from each dependency to the work waiting on it.
+ * Colours are inline so the chart also works in exported HTML reports.
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class RoadmapChart {
+    static LABEL_WIDTH = 240;
+    static CHART_WIDTH = 560;
+    static HEADER_HEIGHT = 36;
+    static ROW_HEIGHT = 24;
+    static BAR_HEIGHT = 14;
+    static PADDING = 12;
+
+    static PRIORITY_COLORS = {
+        critical: '#ef4444',
+        high: '#f59e0b',
+        medium: '#2563eb',
+        low: '#64748b'
+    };
+    static PHASE_COLORS = ['#fef2f2', '#fffbeb', '#eff6ff', '#f8fafc'];
+
+    /**
+     * Render a roadmap as an SVG string
+     */
+    static renderSVG(roadmap) {
+        const items = roadmap?.items || [];
+        if (items.length === 0) {
+            return '<p class="roadmap-empty">No recommendations to schedule.</p>';
+        }
+
+        const totalDays = roadmap.totalDays || 365;
+        const x = day => this.LABEL_WIDTH + (day / totalDays) * this.CHART_WIDTH;
+        const rowY = index => this.HEADER_HEIGHT + index * this.ROW_HEIGHT;
+        const width = this.LABEL_WIDTH + this.CHART_WIDTH + this.PADDING;
+        const height = rowY(items.length) + this.PADDING;
+        const rows = new Map(items.map((item, index) => [item.recommendationId, index]));
+
+        const phasesSVG = roadmap.phases.map((phase, index) => `
+            <rect x="${x(phase.startDay)}" y="0" width="${x(phase.endDay) - x(phase.startDay)}" height="${height}"
+                  fill="${this.PHASE_COLORS[index % this.PHASE_COLORS.length]}"></rect>
+            <text x="${x(phase.startDay) + 4}" y="14" font-size="11" font-weight="600" fill="#374151">${this.escapeHTML(phase.name)}</text>
+            <text x="${x(phase.startDay) + 4}" y="28" font-size="10" fill="#6b7280">${this.formatDate(phase.start)}</text>
+            <line x1="${x(phase.startDay)}" y1="0" x2="${x(phase.startDay)}" y2="${height}" stroke="#d1d5db"></line>
+        `).join('');
+
+        const connectorsSVG = items.flatMap((item, index) => item.dependsOn
+            .filter(id => rows.has(id))
+            .map(id => {
+                const dependency = items[rows.get(id)];
+                const x1 = x(dependency.endDay);
+                const y1 = rowY(rows.get(id)) + this.ROW_HEIGHT / 2;
+                const x2 = x(item.startDay);
+                const y2 = rowY(index) + this.ROW_HEIGHT / 2;
+                return `<path d="M ${x1} ${y1} C ${x1 + 12} ${y1}, ${x2 - 12} ${y2}, ${x2} ${y2}" fill="none" stroke="#9ca3af" stroke-dasharray="3 2"></path>`;
+            })).join('');
+
+        const barsSVG = items.map((item, index) => {
+            const y = rowY(index);
+            const label = item.title.length > 36 ? item.title.slice(0, 35) + '…' : item.title;
+            return `
+                <g class="roadmap-item">
+                    <title>${this.escapeHTML(`${item.title} (${item.priority} priority, ${item.effort} effort): ${this.formatDate(item.start)} – ${this.formatDate(item.end)}. ${item.reason}`)}</title>
+                    <text x="${this.PADDING}" y="${y + this.ROW_HEIGHT / 2 + 4}" font-size="11" fill="#374151">${this.escapeHTML(label)}</text>
+                    <rect x="${x(item.startDay)}" y="${y + (this.ROW_HEIGHT - this.BAR_HEIGHT) / 2}"
+                          width="${Math.max(x(item.endDay) - x(item.startDay), 3)}" height="${this.BAR_HEIGHT}" rx="3"
+                          fill="${this.PRIORITY_COLORS[item.priority] || this.PRIORITY_COLORS.medium}"></rect>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="roadmap-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+                 xmlns="http://www.w3.org/2000/svg" font-family="Arial, sans-serif" role="img"
+                 aria-label="Implementation roadmap">
+                ${phasesSVG}
+                ${connectorsSVG}
+                ${barsSVG}
+            </svg>
+        `;
+    }
+
+    /**
+     * Legend of priority colours
+     */
+    static renderLegend() {
+        return `
+            <div class="roadmap-legend">
+                ${Object.entries(this.PRIORITY_COLORS).map(([priority, color]) => `
+                    <span><span class="roadmap-swatch" style="background:${color}"></span>${priority}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Short date for chart labels
+     */
+    static formatDate(value) {
+        return new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (str === undefined || str === null || str === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoadmapChart;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RoadmapChart = RoadmapChart;
+}
@@ -0,0 +1,188 @@
+// js/ui/workflow-panel.js - Assessment Workflow Panel
+
+/**
+ * Workflow Panel for Data Governance Decision Tool
+ * Shows review workflows started by rules on the Assessment tab
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+class WorkflowPanel {
+    static containerId = 'workflow-panel';
+    static isInitialized = false;
+
+    /**
+     * Initialize workflow panel
+     */
+    static init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.setupEventListeners();
+        this.render();
+
+        this.isInitialized = true;
+        console.log('Workflow Panel initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    static setupEventListeners() {
+        if (typeof EventBus !== 'undefined') {
+            EventBus.on('workflow.updated', () => this.render());
+        }
+    }
+
+    /**
+     * Render workflow instances
+     */
+    static render() {
+        const container = document.getElementById(this.containerId);
+        if (!container || typeof WorkflowEngine === 'undefined') return;
+
+        // Finished workflows stay visible until newer ones push them out
+        const instances = [...WorkflowEngine.getInstances()]
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .filter((instance, index) => instance.status === 'active' || index < 10);
+
+        if (instances.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <h3>Review Workflows</h3>
+            <div class="workflow-list">
+                ${instances.map(instance => this.renderInstance(instance)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single workflow instance
+     */
+    static renderInstance(instance) {
+        return `
+            <div class="workflow-item workflow-${instance.status}" data-instance-id="${instance.id}">
+                <div class="workflow-item-header">
+                    <div class="workflow-item-title">${this.escapeHTML(instance.name)}</div>
+                    <div class="workflow-item-status">${this.getStatusLabel(instance.status)}</div>
+                </div>
+                <div class="workflow-item-meta">
+                    Assessment: ${this.escapeHTML(instance.assessmentId || 'n/a')}
+                    &middot; Started ${new Date(instance.createdAt).toLocaleDateString()}
+                </div>
+                <ol class="workflow-steps">
+                    ${instance.steps.map(step => this.renderStep(instance, step)).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a workflow step
+     */
+    static renderStep(instance, step) {
+        const isActionable = instance.status === 'active' && step.status === 'active';
+
+        return `
+            <li class="workflow-step workflow-step-${step.status}">
+                <div class="workflow-step-name">
+                    ${this.escapeHTML(step.name)}
+                    ${step.role ? `<span class="workflow-step-role">${this.escapeHTML(step.role)}</span>` : ''}
+                </div>
+                ${step.completedAt ? `
+                    <div class="workflow-step-meta">
+                        ${this.getStatusLabel(step.status)} by ${this.escapeHTML(step.completedBy || '')}
+                        on ${new Date(step.completedAt).toLocaleString()}
+                        ${step.comment ? `&mdash; ${this.escapeHTML(step.comment)}` : ''}
+                    </div>
+                ` : ''}
+                ${isActionable ? `
+                    <div class="workflow-step-actions">
+                        <button type="button" class="btn btn-success btn-sm"
+                                onclick="WorkflowPanel.completeStep('${instance.id}', '${step.id}')">Complete</button>
+                        <button type="button" class="btn btn-danger btn-sm"
+                                onclick="WorkflowPanel.rejectStep('${instance.id}', '${step.id}')">Reject</button>
+                    </div>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Complete a step
+     */
+    static completeStep(instanceId, stepId) {
+        const comment = prompt('Optional comment for this step:');
+        if (comment === null) return;
+
+        this.emitStepEvent('workflow.step.complete', instanceId, stepId, comment);
+    }
+
+    /**
+     * Reject a step
+     */
+    static rejectStep(instanceId, stepId) {
+        const comment = prompt('Reason for rejecting this step:');
+        if (comment === null) return;
+
+        this.emitStepEvent('workflow.step.reject', instanceId, stepId, comment);
+    }
+
+    /**
+     * Emit a step event for the workflow engine
+     */
+    static emitStepEvent(eventName, instanceId, stepId, comment) {
+        try {
+            if (typeof EventBus !== 'undefined') {
+                EventBus.emit(eventName, { instanceId, stepId, comment });
+            } else if (eventName === 'workflow.step.complete') {
+                WorkflowEngine.completeStep({ instanceId, stepId, comment });
+            } else {
+                WorkflowEngine.rejectStep({ instanceId, stepId, comment });
+            }
+        } catch (error) {
+            console.error('Failed to update workflow step:', error);
+            alert('Failed to update workflow step: ' + error.message);
+        }
+    }
+
+    /**
+     * Get display label for a status
+     */
+    static getStatusLabel(status) {
+        const labels = {
+            active: 'In progress',
+            pending: 'Pending',
+            completed: 'Completed',
+            rejected: 'Rejected'
+        };
+        return labels[status] || status;
+    }
+
+    /**
+     * Escape HTML
+     */
+    static escapeHTML(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkflowPanel;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.WorkflowPanel = WorkflowPanel;
+}
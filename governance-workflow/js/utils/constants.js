@@ -68,7 +68,20 @@ export const STORAGE_CONFIG = {
         STORAGE_ANALYTICS: 'storage_analytics',
         STORAGE_ERRORS: 'storage_errors',
         USER_PREFERENCES: 'user_preferences',
-        CUSTOM_THEMES: 'custom_themes'
+        CUSTOM_THEMES: 'custom_themes',
+        WORKFLOW_DEFINITIONS: 'workflow_definitions',
+        WORKFLOW_INSTANCES: 'workflow_instances',
+        RULE_TEST_SUITE: 'rule_test_suite',
+        RULE_VERSIONS: 'rule_versions',
+        DECISION_TABLES: 'decision_tables',
+        NOTIFICATION_DELIVERIES: 'notification_deliveries',
+        NOTIFICATION_INBOX: 'notification_inbox',
+        NOTIFICATION_OUTBOX: 'notification_outbox',
+        NOTIFICATION_TEMPLATES: 'notification_templates',
+        RECOMMENDATION_SNIPPETS: 'recommendation_snippets',
+        MATURITY_TARGETS: 'maturity_targets',
+        RULES_ENGINE_SETTINGS: 'rules_engine_settings',
+        VALIDATION_RULES: 'validation_rules'
     }
 };
 
@@ -139,7 +152,7 @@ export const QUESTION_TYPES = {
         name: 'Text Input',
         description: 'Free-form text entry',
         icon: '📝',
-        configFields: ['placeholder', 'validation', 'maxLength'],
+        configFields: ['placeholder', 'validation', 'maxLength', 'scoring'],
         validation: {
             required: ['title'],
             maxLength: 500
@@ -216,6 +229,42 @@ export const RULE_CONFIG = {
             IN_LIST: 'in_list',
             REGEX_MATCH: 'regex_match',
             IS_EMPTY: 'is_empty'
+        },
+
+        SET: {
+            CONTAINS_ANY: 'contains_any',
+            CONTAINS_ALL: 'contains_all',
+            CONTAINS_NONE: 'contains_none',
+            SUBSET_OF: 'subset_of',
+            SUPERSET_OF: 'superset_of',
+            COUNT_EQUALS: 'count_equals',
+            COUNT_AT_LEAST: 'count_at_least',
+            COUNT_AT_MOST: 'count_at_most',
+            SCORE_AT_LEAST: 'score_at_least',
+            SCORE_AT_MOST: 'score_at_most'
+        },
+
+        TEMPORAL: {
+            BEFORE: 'before',
+            AFTER: 'after',
+            WITHIN: 'within',
+            OLDER_THAN: 'older_than'
+        },
+
+        TREND: {
+            CHANGED_FROM: 'changed_from',
+            INCREASED: 'increased',
+            DECREASED: 'decreased',
+            DELTA_GREATER_THAN: 'delta_greater_than',
+            DELTA_LESS_THAN: 'delta_less_than'
+        },
+
+        TEXT: {
+            MENTIONS_ANY: 'mentions_any',
+            MENTIONS_ALL: 'mentions_all',
+            MENTIONS_NONE: 'mentions_none',
+            NEGATES_ANY: 'negates_any',
+            SIMILAR_TO: 'similar_to'
         }
     },
     
@@ -228,6 +277,26 @@ export const RULE_CONFIG = {
         SET_VARIABLE: 'set_variable',
         TRIGGER_WORKFLOW: 'trigger_workflow'
     },
+
+    EVALUATION_MODES: {
+        SEQUENTIAL: 'sequential',
+        FORWARD_CHAINING: 'forward_chaining'
+    },
+
+    MAX_CHAINING_ITERATIONS: 10,
+
+    ROUTE_MODES: {
+        SKIP_TO: 'skip_to',
+        SECTION: 'section',
+        INSERT: 'insert',
+        END: 'end'
+    },
+
+    HIT_POLICIES: {
+        FIRST: 'first',
+        UNIQUE: 'unique',
+        COLLECT: 'collect'
+    },
     
     PRIORITIES: {
         CRITICAL: 1,
@@ -399,6 +468,20 @@ export const TEMPLATE_CONFIG = {
         RISK_MANAGEMENT: 'risk_management',
         MONITORING: 'monitoring'
     },
+
+    // Structured recommendation fields (see RecommendationModel)
+    RECOMMENDATION_PRIORITIES: {
+        CRITICAL: 'critical',
+        HIGH: 'high',
+        MEDIUM: 'medium',
+        LOW: 'low'
+    },
+
+    RECOMMENDATION_SOURCES: {
+        TEMPLATE: 'template',
+        CONTEXTUAL: 'contextual',
+        RULE: 'rule'
+    },
     
     INDUSTRIES: {
         HEALTHCARE: 'healthcare',
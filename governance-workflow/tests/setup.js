@@ -0,0 +1,41 @@
+// tests/setup.js - Jest Setup
+
+/**
+ * Loads the application scripts the specs use as globals, in the order
+ * index.html loads them, so modules find each other as in the browser
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+global.EventBus = require('../js/core/event-bus');
+global.QuestionRenderer = require('../js/ui/question-renderer');
+global.LiveRulePanel = require('../js/ui/live-rule-panel');
+global.RoadmapChart = require('../js/ui/roadmap-chart');
+global.RadarChart = require('../js/ui/radar-chart');
+global.RuleBuilder = require('../js/config/rule-builder');
+global.RuleHistoryViewer = require('../js/config/rule-history-viewer');
+global.ExpressionEvaluator = require('../js/engine/expression-evaluator');
+global.TextAnalyzer = require('../js/engine/text-analyzer');
+global.RulesEngine = require('../js/engine/rules-engine');
+global.TemplateSelector = require('../js/engine/template-selector');
+global.SnippetLibrary = require('../js/engine/snippet-library');
+global.RecommendationModel = require('../js/engine/recommendation-model');
+global.RoadmapGenerator = require('../js/engine/roadmap-generator');
+global.GapAnalyzer = require('../js/engine/gap-analyzer');
+global.RuleTestRunner = require('../js/engine/rule-test-runner');
+global.RuleVersionStore = require('../js/engine/rule-version-store');
+global.RuleDependencyGraph = require('../js/engine/rule-dependency-graph');
+global.RuleCoverageAnalyzer = require('../js/engine/rule-coverage-analyzer');
+global.RuleLinter = require('../js/engine/rule-linter');
+global.DecisionTable = require('../js/engine/decision-table');
+global.DMNConverter = require('../js/engine/dmn-converter');
+global.RuleSimulator = require('../js/engine/rule-simulator');
+global.IncrementalRuleEvaluator = require('../js/engine/incremental-rule-evaluator');
+global.ExplanationBuilder = require('../js/engine/explanation-builder');
+global.RecommendationEngine = require('../js/engine/recommendation-engine');
+global.WorkflowEngine = require('../js/engine/workflow-engine');
+global.NotificationService = require('../js/engine/notification-service');
+global.ValidationEngine = require('../js/engine/validation-engine');
+global.PDFGenerator = require('../js/export/pdf-generator');
+global.ExcelGenerator = require('../js/export/excel-generator');
@@ -0,0 +1,113 @@
+// tests/unit/decision-table.test.js - Decision Table Specs
+
+/* global DecisionTable, RulesEngine */
+
+/**
+ * CSV import and export, and compiling tables into rules
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const questions = [
+  { id: 'q-size', type: 'single-select' },
+  { id: 'q-records', type: 'number-input' },
+  { id: 'q-controls', type: 'multi-select' },
+];
+
+const CSV = [
+  'Decision Table,Data Placement',
+  'Hit Policy,first',
+  'Category,placement',
+  '',
+  'Rule,q-size,q-records,q-controls,Score,Recommendation,var:tier',
+  'Large,large,> 1000,-,10,cloud-warehouse,gold',
+  'Sensitive,-,-,"encryption, masking",5,"secure-enclave",silver',
+  'Fallback,-,-,-,1,,bronze',
+].join('\n');
+
+const evaluate = (rules, answers) => RulesEngine.evaluateRules({ answers }, rules, { silent: true, mode: 'sequential' });
+
+describe('DecisionTable', () => {
+  describe('fromCSV', () => {
+    test('reads metadata, input columns, outputs and variables', () => {
+      const table = DecisionTable.fromCSV(CSV);
+
+      expect(table).toEqual(expect.objectContaining({ name: 'Data Placement', hitPolicy: 'first', category: 'placement' }));
+      expect(table.inputs.map((input) => input.questionId)).toEqual(['q-size', 'q-records', 'q-controls']);
+      expect(table.variables).toEqual(['tier']);
+      expect(table.rows).toHaveLength(3);
+      expect(table.rows[1]).toEqual(expect.objectContaining({
+        label: 'Sensitive',
+        inputs: ['-', '-', 'encryption, masking'],
+        score: '5',
+        recommendation: 'secure-enclave',
+        variables: { tier: 'silver' },
+      }));
+    });
+
+    test('round-trips through toCSV', () => {
+      const table = DecisionTable.fromCSV(CSV);
+      const copy = DecisionTable.fromCSV(DecisionTable.toCSV(table));
+
+      const cells = ({ rows }) => rows.map((row) => [row.label, ...row.inputs, row.variables]);
+
+      expect(cells(copy)).toEqual(cells(table));
+    });
+
+    test('rejects rows without a header', () => {
+      expect(() => DecisionTable.fromCSV('a,b\n1,2')).toThrow('No header row starting with "Rule" found');
+    });
+  });
+
+  describe('compile', () => {
+    test('turns cells into conditions for the question type', () => {
+      expect(DecisionTable.parseCell('> 1000', 'q-records')).toEqual({ field: 'q-records', operator: 'greater_than', value: 1000 });
+      expect(DecisionTable.parseCell('[5..10]', 'q-records')).toEqual({ field: 'q-records', operator: 'between', value: [5, 10] });
+      expect(DecisionTable.parseCell('not small', 'q-size', questions[0]))
+        .toEqual({ field: 'q-size', operator: 'not_equals', value: 'small' });
+      expect(DecisionTable.parseCell('encryption, masking', 'q-controls', questions[2])).toEqual({
+        operator: 'OR',
+        rules: [
+          { field: 'q-controls', operator: 'contains', value: 'encryption' },
+          { field: 'q-controls', operator: 'contains', value: 'masking' },
+        ],
+      });
+      expect(DecisionTable.parseCell('-', 'q-size')).toBeNull();
+    });
+
+    test('fires only the first matching row under the first hit policy', () => {
+      const rules = DecisionTable.compile(DecisionTable.fromCSV(CSV), questions);
+      const results = evaluate(rules, { 'q-size': 'large', 'q-records': 5000, 'q-controls': ['masking'] });
+
+      expect(rules).toHaveLength(3);
+      expect(results.matchedRules).toBe(1);
+      expect(results.score).toBe(10);
+      expect(results.recommendations.map((recommendation) => recommendation.templateId)).toEqual(['cloud-warehouse']);
+    });
+
+    test('falls through to later rows and sets row variables', () => {
+      const rules = DecisionTable.compile(DecisionTable.fromCSV(CSV), questions);
+      const context = { answers: { 'q-size': 'small', 'q-records': 10, 'q-controls': [] } };
+      const results = RulesEngine.evaluateRules(context, rules, { silent: true, mode: 'sequential' });
+
+      expect(results.matchedRules).toBe(1);
+      expect(results.score).toBe(1);
+      expect(context.tier).toBe('bronze');
+    });
+
+    test('fires every matching row under the collect hit policy', () => {
+      const table = { ...DecisionTable.fromCSV(CSV), hitPolicy: 'collect' };
+      const results = evaluate(DecisionTable.compile(table, questions), { 'q-size': 'large', 'q-records': 5000, 'q-controls': ['masking'] });
+
+      expect(results.matchedRules).toBe(3);
+      expect(results.score).toBe(16);
+    });
+
+    test('refuses overlapping rows under the unique hit policy', () => {
+      const table = { ...DecisionTable.fromCSV(CSV), hitPolicy: 'unique' };
+
+      expect(() => DecisionTable.compile(table, questions)).toThrow(/Hit policy unique: Large and Sensitive/);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// tests/unit/dmn-converter.test.js - DMN Converter Specs
+
+/* global DecisionTable, DMNConverter, RulesEngine */
+
+/**
+ * Rules travel through DMN 1.3 decision tables and report what DMN cannot hold
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const questions = [
+  { id: 'q-size', title: 'Organization size', type: 'single-select' },
+  { id: 'q-records', title: 'Records held', type: 'number-input' },
+  { id: 'q-controls', title: 'Security controls', type: 'multi-select' },
+];
+
+const rules = [
+  {
+    id: 'rule-large',
+    name: 'Large organizations',
+    category: 'scope',
+    priority: 5,
+    conditions: {
+      operator: 'AND',
+      rules: [
+        { field: 'q-size', operator: 'equals', value: 'large' },
+        { field: 'q-records', operator: 'greater_than', value: 1000 },
+      ],
+    },
+    actions: [
+      { type: 'score', parameters: { operation: 'add', value: 10 } },
+      { type: 'recommend', parameters: { template: 'dpo' } },
+      { type: 'set_variable', parameters: { variable: 'tier', value: 'gold' } },
+    ],
+  },
+  {
+    id: 'rule-unencrypted',
+    name: 'No encryption',
+    category: 'scope',
+    priority: 5,
+    conditions: { operator: 'AND', rules: [{ field: 'q-controls', operator: 'not_contains', value: 'encryption' }] },
+    actions: [{ type: 'score', parameters: { operation: 'add', value: 3 } }],
+  },
+  {
+    id: 'rule-expression',
+    name: 'Computed risk',
+    conditions: { operator: 'AND', rules: [{ expression: 'count(answer("q-controls")) > 2', operator: 'equals', value: true }] },
+    actions: [{ type: 'score', parameters: { operation: 'add', value: 1 } }],
+  },
+];
+
+const dmn = (body) => `<definitions xmlns="${DMNConverter.DMN_NAMESPACE}" name="Imported">${body}</definitions>`;
+
+const scoreFor = (ruleSet, answers) => RulesEngine
+  .evaluateRules({ answers }, ruleSet, { silent: true })
+  .score;
+
+describe('DMNConverter', () => {
+  beforeEach(() => {
+    DecisionTable.tables = [];
+    DecisionTable.isLoaded = true;
+  });
+
+  test('exports rules as FEEL decision tables grouped by category and priority', () => {
+    const { xml, tables, skipped } = DMNConverter.toXML(rules, { questions });
+
+    expect(tables.map((table) => table.id)).toEqual(['rules-scope-p5']);
+    expect(skipped).toEqual([expect.objectContaining({ ruleId: 'rule-expression' })]);
+    expect(xml).toContain('<decisionTable id="rules-scope-p5-table" hitPolicy="COLLECT">');
+    expect(xml).toContain('<inputExpression id="rules-scope-p5-input-1-expression" typeRef="number">');
+    expect(xml).toContain('<text>&gt; 1000</text>');
+    expect(xml).toContain('<text>not(list contains(?, &quot;encryption&quot;))</text>');
+  });
+
+  test('imports the exported document as rules that score the same', () => {
+    const { xml } = DMNConverter.toXML(rules, { questions });
+
+    const imported = DMNConverter.fromXML(xml, { questions });
+
+    expect(imported.unsupported).toEqual([]);
+    expect(imported.decisionTables[0]).toEqual(expect.objectContaining({ category: 'scope', priority: 5 }));
+    [
+      { 'q-size': 'large', 'q-records': 5000, 'q-controls': [] },
+      { 'q-size': 'large', 'q-records': 10, 'q-controls': ['encryption'] },
+      { 'q-size': 'small', 'q-records': 5000, 'q-controls': ['audit'] },
+    ].forEach((answers) => {
+      expect(scoreFor(imported.rules, answers)).toBe(scoreFor(rules.slice(0, 2), answers));
+    });
+  });
+
+  test('reports decisions, rules and outputs it cannot import', () => {
+    const xml = dmn(`
+      <inputData id="input-size" name="Size"/>
+      <decision id="literal" name="Literal"><literalExpression><text>1</text></literalExpression></decision>
+      <decision id="priority" name="Priority"><decisionTable hitPolicy="PRIORITY"/></decision>
+      <decision id="sizes" name="Sizes">
+        <decisionTable hitPolicy="FIRST">
+          <input><inputExpression><text>q-size</text></inputExpression></input>
+          <output name="score"/>
+          <rule id="sizes-r1"><inputEntry><text>"large", "medium"</text></inputEntry><outputEntry><text>5</text></outputEntry></rule>
+          <rule id="sizes-r2"><inputEntry><text>date("2020-01-01")</text></inputEntry><outputEntry><text>1</text></outputEntry></rule>
+        </decisionTable>
+      </decision>`);
+
+    const imported = DMNConverter.fromXML(xml, { questions });
+
+    expect(imported.rules.map((rule) => rule.id)).toEqual(['sizes-r1']);
+    expect(imported.rules[0].conditions.rules[0]).toEqual(expect.objectContaining({ operator: 'in_list', value: ['large', 'medium'] }));
+    expect(DMNConverter.formatUnsupported(imported.unsupported).split('\n')).toEqual([
+      '- <decision> "Literal": <literalExpression> decision logic is not supported; only decision tables are',
+      '- <decision> "Priority": hit policy PRIORITY is not supported',
+      '- <rule> "sizes-r2" in "Sizes": FEEL test "date("2020-01-01")" is not supported',
+    ]);
+  });
+
+  test('rejects documents that are not DMN', () => {
+    expect(() => DMNConverter.fromXML('<rules/>')).toThrow('Not a DMN document: root element is <rules>');
+  });
+});
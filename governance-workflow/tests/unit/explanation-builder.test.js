@@ -0,0 +1,100 @@
+// tests/unit/explanation-builder.test.js - Explanation Builder Specs
+
+/* global ExplanationBuilder, RulesEngine */
+
+/**
+ * Rule traces read back as plain-language reasons for a recommendation
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const questions = [
+  {
+    id: 'q-size',
+    title: 'Organization size',
+    options: [{ value: 'large', title: 'Large (1000+)' }, { value: 'small', title: 'Small' }],
+  },
+  { id: 'q-records', title: 'Records held' },
+  { id: 'q-controls', title: 'Security controls' },
+];
+
+const rule = {
+  id: 'rule-dpo',
+  name: 'Appoint a DPO',
+  version: 3,
+  conditions: {
+    operator: 'AND',
+    rules: [
+      { field: 'q-size', operator: 'equals', value: 'large' },
+      {
+        operator: 'OR',
+        rules: [
+          { field: 'q-records', operator: 'greater_than', value: 10000 },
+          { field: 'q-controls', operator: 'contains', value: 'encryption' },
+        ],
+      },
+    ],
+  },
+  actions: [{ type: 'recommend', parameters: { recommendation: 'Appoint a data protection officer' } }],
+};
+
+const traceFor = (answers) => RulesEngine
+  .evaluateRules({ answers, questions }, [rule], { silent: true })
+  .trace[0];
+
+describe('ExplanationBuilder', () => {
+  test('records actual and expected values in the rule trace', () => {
+    const trace = traceFor({ 'q-size': 'large', 'q-records': 50000, 'q-controls': [] });
+
+    expect(trace).toEqual(expect.objectContaining({ ruleId: 'rule-dpo', ruleVersion: 3, matched: true }));
+    expect(trace.conditions[0]).toEqual(expect.objectContaining({
+      type: 'condition', field: 'q-size', expected: 'large', actual: 'large', matched: true,
+    }));
+    expect(trace.conditions[1]).toEqual(expect.objectContaining({ type: 'group', operator: 'OR', matched: true }));
+    expect(trace.actions[0]).toEqual(expect.objectContaining({ type: 'recommend', success: true }));
+  });
+
+  test('explains a recommendation with the branches that matched', () => {
+    const explanation = ExplanationBuilder.fromRuleTrace(
+      traceFor({ 'q-size': 'large', 'q-records': 50000, 'q-controls': [] }),
+      questions,
+    );
+
+    expect(explanation.reasons).toEqual([
+      'your answer to "Organization size" is "Large (1000+)"',
+      'your answer to "Records held" is greater than "10000" (your answer: "50000")',
+    ]);
+    expect(ExplanationBuilder.toText(explanation)).toBe(
+      'Recommended by the rule "Appoint a DPO" because: your answer to "Organization size" is "Large (1000+)"; '
+        + 'your answer to "Records held" is greater than "10000" (your answer: "50000").',
+    );
+  });
+
+  test('describes negated groups and unanswered questions', () => {
+    const reasons = ExplanationBuilder.describeTraceNodes([
+      {
+        type: 'group',
+        operator: 'NOT',
+        conditions: [{
+          type: 'condition', field: 'q-controls', operator: 'is_empty', actual: [], matched: true,
+        }],
+      },
+      {
+        type: 'condition', field: 'q-records', operator: 'less_than', expected: 10, matched: true,
+      },
+    ], 'AND', questions);
+
+    expect(reasons).toEqual([
+      'it is not the case that "Security controls" was left empty',
+      'your answer to "Records held" is less than "10" (your answer: no answer)',
+    ]);
+  });
+
+  test('falls back to the template when no rule is involved', () => {
+    const explanation = ExplanationBuilder.fromTemplate({ id: 'tpl-gdpr', name: 'GDPR' }, 'Managed');
+
+    expect(ExplanationBuilder.toText(explanation))
+      .toBe('Standard guidance from the "GDPR" template, which was selected for organizations at the Managed governance level.');
+  });
+});
@@ -0,0 +1,80 @@
+// tests/unit/expression-evaluator.test.js - Expression Evaluator Specs
+
+/* global ExpressionEvaluator */
+
+/**
+ * Computed-field expressions evaluate over answers without reaching outside the data
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const context = {
+  now: '2025-06-15T12:00:00.000Z',
+  answers: {
+    'q-controls': ['encryption', 'audit'],
+    'q-records': '250',
+    'q-owner': '  Data Office ',
+    lastReview: '2024-06-15T12:00:00.000Z',
+  },
+  questions: [
+    {
+      id: 'q-controls',
+      category: 'security',
+      options: [{ value: 'encryption', score: 3 }, { value: 'masking', score: 2 }, { value: 'audit', score: 1 }],
+    },
+    { id: 'q-records', category: 'scope' },
+  ],
+  threshold: 100,
+};
+
+const evaluate = (expression) => ExpressionEvaluator.evaluate(expression, context);
+
+describe('ExpressionEvaluator', () => {
+  test('reads answers, option scores and context values', () => {
+    expect(evaluate('count(answer("q-controls"))')).toBe(2);
+    expect(evaluate('score("q-controls")')).toBe(4);
+    expect(evaluate('category_score("security") * 2')).toBe(8);
+    expect(evaluate('number(answer("q-records")) > threshold')).toBe(true);
+    expect(evaluate('lastReview')).toBe('2024-06-15T12:00:00.000Z');
+  });
+
+  test('follows operator precedence and short-circuits logic', () => {
+    expect(evaluate('1 + 2 * 3 - -1')).toBe(8);
+    expect(evaluate('(1 + 2) * 3 % 4')).toBe(1);
+    expect(evaluate('not false and 2 >= 2 || missing.value')).toBe(true);
+    expect(evaluate('missing and missing.value')).toBeUndefined();
+    expect(evaluate('10 / 0')).toBeNull();
+  });
+
+  test('provides string, list and date functions', () => {
+    expect(evaluate('upper(trim(answer("q-owner")))')).toBe('DATA OFFICE');
+    expect(evaluate('contains(answer("q-controls"), "audit")')).toBe(true);
+    expect(evaluate('coalesce(missing, "", "fallback")')).toBe('fallback');
+    expect(evaluate('round(avg([1, 2, 2]), 2)')).toBe(1.67);
+    expect(evaluate('days_since(lastReview) > 365')).toBe(false);
+    expect(evaluate('days_between(lastReview, add_days(lastReview, 30))')).toBe(30);
+    expect(evaluate('year(now())')).toBe(2025);
+  });
+
+  test('rejects unknown functions and blocked properties', () => {
+    expect(() => evaluate('eval("1")')).toThrow('Unknown function "eval"');
+    expect(() => evaluate('answers.constructor')).toThrow('Access to "constructor" is not allowed');
+    expect(() => evaluate('answers["__proto__"]')).toThrow('Access to "__proto__" is not allowed');
+  });
+
+  test('reports parse errors with their position', () => {
+    expect(ExpressionEvaluator.validate('count(answer("q-controls")')).toEqual({
+      isValid: false,
+      error: 'Expected ")" but found end of expression',
+    });
+    expect(ExpressionEvaluator.validate('1 + ; 2').error).toBe('Unexpected character ";" at position 4');
+    expect(ExpressionEvaluator.validate('"open').error).toBe('Unterminated string at position 0');
+    expect(ExpressionEvaluator.validate('score("q-controls") > 3')).toEqual({ isValid: true, error: null });
+  });
+
+  test('lists the identifiers an expression reads', () => {
+    expect(ExpressionEvaluator.getIdentifiers('if(riskLevel > limits.max, answer("q-records"), fallback)'))
+      .toEqual(['riskLevel', 'limits', 'fallback']);
+  });
+});
@@ -0,0 +1,115 @@
+// tests/unit/gap-analyzer.test.js - Gap Analyzer Specs
+
+/* global EventBus, GapAnalyzer, RadarChart, RecommendationModel */
+
+/**
+ * Maturity gaps against a target profile, ranked by size times category weight
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const scoreResult = {
+  breakdown: {
+    data_classification: { percentage: 50 },
+    governance_maturity: { percentage: 25 },
+    compliance: { percentage: 75 },
+    access_control: { percentage: 0 },
+    organization_size: { percentage: 0 },
+  },
+};
+
+const targets = {
+  source: 'assessment',
+  categories: {
+    dataClassification: 4, governance_maturity: 5, compliance: 3, organization_size: null,
+  },
+};
+
+describe('GapAnalyzer', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.StorageManager = {
+      getItem: jest.fn((key) => (key in storage ? storage[key] : null)),
+      setItem: jest.fn((key, value) => { storage[key] = value; }),
+    };
+  });
+
+  afterEach(() => {
+    delete global.StorageManager;
+    EventBus.events.clear();
+  });
+
+  test('ranks categories by gap size times category weight', () => {
+    const analysis = GapAnalyzer.analyze(scoreResult, targets);
+
+    const gaps = analysis.categories
+      .map((entry) => [entry.category, entry.current, entry.target, entry.gap, entry.weightedGap]);
+    expect(gaps).toEqual([
+      ['governance_maturity', 2, 5, 3, 0.9],
+      ['access_control', 1, 3, 2, 0.3],
+      ['data_classification', 3, 4, 1, 0.25],
+      ['compliance', 4, 3, 0, 0],
+    ]);
+    expect(analysis.focus).toEqual(['governance_maturity', 'access_control', 'data_classification']);
+    expect(analysis.totalWeightedGap).toBe(1.45);
+  });
+
+  test('focuses recommendations in the sections that address the biggest gaps', () => {
+    const analysis = GapAnalyzer.analyze(scoreResult, targets);
+    const recommendations = {
+      sections: {
+        controls: [
+          RecommendationModel.create({ title: 'Review policies', priority: 'medium', section: 'controls' }),
+          RecommendationModel.create({ title: 'Lock down access', priority: 'critical', section: 'controls' }),
+        ],
+        compliance: [RecommendationModel.create({ title: 'Map GDPR duties', priority: 'medium', section: 'compliance' })],
+      },
+    };
+
+    const focused = GapAnalyzer.focusRecommendations(recommendations, analysis);
+
+    const controls = focused.sections.controls
+      .map((rec) => [rec.title, rec.priority, rec.focus.category]);
+    expect(controls).toEqual([
+      ['Lock down access', 'critical', 'governance_maturity'],
+      ['Review policies', 'high', 'governance_maturity'],
+    ]);
+    expect(focused.sections.controls[1].rationale).toBe('Addresses the Governance Maturity gap (level 2 of target 5)');
+    expect(focused.sections.compliance[0]).toEqual(expect.objectContaining({ priority: 'medium', focus: null }));
+  });
+
+  test('looks up targets for the assessment, then its organization, then the default', () => {
+    const listener = jest.fn();
+    EventBus.on('maturity-targets.updated', listener);
+    GapAnalyzer.saveTargets('', { compliance: 4 });
+    GapAnalyzer.saveTargets('Acme', { compliance: 5 });
+
+    expect(GapAnalyzer.getTargets({ organization: 'ACME ', targetProfile: { categories: { compliance: 2 } } }))
+      .toEqual({ source: 'assessment', organization: 'ACME ', categories: { compliance: 2 } });
+    expect(GapAnalyzer.getTargets({ organization: 'acme' }))
+      .toEqual({ source: 'organization', organization: 'acme', categories: { compliance: 5 } });
+    expect(GapAnalyzer.getTargets({ organization: 'Globex' }).categories).toEqual({ compliance: 4 });
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    GapAnalyzer.deleteTargets('Acme');
+
+    expect(GapAnalyzer.getTargets({ organization: 'Acme' }).source).toBe('default');
+  });
+
+  test('rejects targets outside the maturity scale', () => {
+    expect(() => GapAnalyzer.saveTargets('Acme', { access_control: 6 }))
+      .toThrow('Target for Access Control must be a level from 1 to 5, not "6"');
+    expect(storage).toEqual({});
+  });
+
+  test('draws current and target maturity on a radar chart', () => {
+    document.body.innerHTML = RadarChart.renderSVG(GapAnalyzer.analyze(scoreResult, targets));
+
+    expect(document.querySelectorAll('circle')).toHaveLength(4);
+    expect(document.querySelector('circle title').textContent).toBe('Access Control: level 1 of target 3 (gap 2)');
+    expect(RadarChart.renderSVG({ categories: [] })).toContain('needs at least three categories');
+  });
+});
@@ -0,0 +1,102 @@
+// tests/unit/incremental-rule-evaluator.test.js - Incremental Rule Evaluator Specs
+
+/* global IncrementalRuleEvaluator, RulesEngine */
+
+/**
+ * Incremental updates match a full evaluation and only re-run affected rules
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const rules = [
+  {
+    id: 'size-risk',
+    conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: 'large' }] },
+    actions: [
+      { type: 'score', parameters: { operation: 'add', value: 5 } },
+      { type: 'set_variable', parameters: { variable: 'riskLevel', value: 'high' } },
+    ],
+  },
+  {
+    id: 'risk-review',
+    conditions: { operator: 'AND', rules: [{ field: 'riskLevel', operator: 'equals', value: 'high' }] },
+    actions: [{ type: 'recommend', parameters: { template: 'risk-review', priority: 'high' } }],
+  },
+  {
+    id: 'encryption',
+    conditions: { operator: 'AND', rules: [{ field: 'q-controls', operator: 'contains_none', value: 'encryption' }] },
+    actions: [{ type: 'score', parameters: { operation: 'add', value: 3 } }],
+  },
+  {
+    id: 'computed',
+    conditions: { operator: 'AND', rules: [{ expression: 'count(answer("q-controls")) >= 2', operator: 'equals', value: true }] },
+    actions: [{ type: 'recommend', parameters: { template: 'control-review' } }],
+  },
+];
+
+const summarize = (results) => ({
+  matchedRules: results.matchedRules,
+  score: results.score,
+  recommendations: results.recommendations.map((recommendation) => recommendation.templateId),
+  trace: results.trace.map((entry) => [entry.ruleId, entry.matched]),
+});
+
+const fullEvaluation = (answers) => RulesEngine.evaluateRules(
+  { answers: { ...answers }, dryRun: true },
+  rules,
+  { actionTypes: RulesEngine.DRY_RUN_ACTION_TYPES, silent: true, mode: 'sequential' },
+);
+
+describe('IncrementalRuleEvaluator', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new IncrementalRuleEvaluator(rules, { mode: 'sequential' });
+  });
+
+  test('indexes rules by the answers and variables they read', () => {
+    expect(Array.from(evaluator.index.byName.get('q-size'))).toEqual(['size-risk']);
+    expect(Array.from(evaluator.index.byName.get('riskLevel'))).toEqual(['risk-review']);
+    expect(Array.from(evaluator.index.byName.get('q-controls'))).toEqual(['encryption', 'computed']);
+  });
+
+  test('matches a full evaluation after every change', () => {
+    const steps = [
+      { 'q-size': 'small', 'q-controls': [] },
+      { 'q-size': 'large', 'q-controls': [] },
+      { 'q-size': 'large', 'q-controls': ['encryption', 'audit'] },
+      { 'q-size': 'small', 'q-controls': ['encryption', 'audit'] },
+      { 'q-controls': ['audit'] },
+    ];
+
+    evaluator.start({ answers: steps[0] });
+    steps.slice(1).forEach((answers) => {
+      const results = evaluator.setAnswers(answers);
+      expect(summarize(results)).toEqual(summarize(fullEvaluation(answers)));
+    });
+  });
+
+  test('re-evaluates only the rules that read a changed name', () => {
+    evaluator.start({ answers: { 'q-size': 'small', 'q-controls': [] } });
+
+    const controlsChange = evaluator.update({ 'q-controls': ['audit'] });
+    expect(controlsChange.incremental).toEqual({ reevaluated: 2, total: 4, changed: ['q-controls'] });
+
+    // The size rule now sets riskLevel, so the rule reading it re-runs too
+    const sizeChange = evaluator.update({ 'q-size': 'large' });
+    expect(sizeChange.incremental.reevaluated).toBe(2);
+    expect(sizeChange.recommendations.map((recommendation) => recommendation.templateId)).toContain('risk-review');
+  });
+
+  test('returns the previous results when nothing changed', () => {
+    const first = evaluator.start({ answers: { 'q-size': 'large' } });
+
+    expect(evaluator.update({ 'q-size': 'large' })).toBe(first);
+    expect(evaluator.stats).toEqual({
+      fullEvaluations: 1,
+      incrementalUpdates: 0,
+      rulesReevaluated: 4,
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// tests/unit/live-rule-panel.test.js - Live Rule Panel Specs
+
+/* global EventBus, LiveRulePanel, RulesEngine */
+
+/**
+ * Answers re-run the rules live and the panel shows the results
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const rules = [{
+  id: 'large-review',
+  conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: 'large' }] },
+  actions: [
+    { type: 'score', parameters: { operation: 'add', value: 5 } },
+    { type: 'recommend', parameters: { template: 'capacity-review', priority: 'high' } },
+  ],
+}];
+
+describe('LiveRulePanel', () => {
+  let state;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="live-rule-panel" class="hidden"></div>';
+    state = { 'assessment.answers': {}, 'config.rules': rules, 'config.questions': [] };
+    global.StateManager = {
+      getState: jest.fn((path) => state[path]),
+      setState: jest.fn(),
+      subscribe: jest.fn(),
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    RulesEngine.rules = rules;
+    RulesEngine.liveEvaluator = null;
+    RulesEngine.setupEventListeners();
+    LiveRulePanel.results = null;
+    LiveRulePanel.isInitialized = false;
+    LiveRulePanel.init();
+  });
+
+  afterEach(() => {
+    EventBus.events.clear();
+    delete global.StateManager;
+    jest.restoreAllMocks();
+  });
+
+  const panel = () => document.getElementById('live-rule-panel');
+
+  test('renders the results of a live evaluation', () => {
+    EventBus.emit('rules.live-evaluated', {
+      assessmentId: 'a-1',
+      results: {
+        evaluatedRules: 2, matchedRules: 1, score: 5, recommendations: [{ priority: 'high', title: 'Review capacity' }],
+      },
+    });
+
+    expect(panel().classList.contains('hidden')).toBe(false);
+    expect(panel().querySelector('.live-rule-summary').textContent).toMatch(/1 of 2 rules match\s+· Rule score 5/);
+    expect(panel().querySelector('.live-rule-recommendations').textContent).toContain('Review capacity');
+  });
+
+  test('re-evaluates the rules with the answer just given', () => {
+    EventBus.emit('question.answer', { assessmentId: 'a-1', questionId: 'q-size', answer: 'large' });
+
+    expect(LiveRulePanel.results).toEqual(expect.objectContaining({ matchedRules: 1, score: 5 }));
+    expect(panel().querySelector('.live-rule-summary').textContent).toContain('1 of 1 rules match');
+  });
+
+  test('hides again when a new assessment starts', () => {
+    EventBus.emit('question.answer', { assessmentId: 'a-1', questionId: 'q-size', answer: 'large' });
+    EventBus.emit('assessment.start', { assessmentId: 'a-2' });
+
+    expect(panel().classList.contains('hidden')).toBe(true);
+    expect(panel().innerHTML).toBe('');
+  });
+});
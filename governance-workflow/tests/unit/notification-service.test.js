@@ -0,0 +1,120 @@
+// tests/unit/notification-service.test.js - Notification Service Specs
+
+/* global EventBus, NotificationService, RulesEngine */
+
+/**
+ * Notify actions reach each recipient through its channel, with retries for failed deliveries
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const notifyRule = (parameters) => ({
+  id: 'rule-review',
+  name: 'Large organizations need a review',
+  conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: 'large' }] },
+  actions: [{ type: 'notify', parameters }],
+});
+
+describe('NotificationService', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.StorageManager = {
+      getItem: jest.fn((key, fallback = null) => (key in storage ? storage[key] : fallback)),
+      setItem: jest.fn((key, value) => { storage[key] = value; }),
+    };
+    NotificationService.reset();
+    NotificationService.registerDefaultChannels();
+    NotificationService.loadTemplates();
+  });
+
+  afterEach(() => {
+    NotificationService.reset();
+    delete global.StorageManager;
+    EventBus.events.clear();
+    jest.useRealTimers();
+  });
+
+  test('delivers a rule notification to each recipient on its channel', async () => {
+    const results = RulesEngine.evaluateRules({ answers: { 'q-size': 'large' }, assessmentId: 'assessment-7' }, [
+      notifyRule({
+        template: 'review_required',
+        recipients: ['Data Protection Officer', 'email:not-an-address', { channel: 'outbox', address: 'audit-log' }],
+      }),
+    ], { silent: true });
+    const [notification] = NotificationService.getNotifications({ ruleId: 'rule-review' });
+    await new Promise(process.nextTick);
+
+    expect(results.actions[0].data).toEqual(expect.objectContaining({ queued: true }));
+    expect(notification.subject).toBe('Review required for assessment assessment-7');
+    const outcomes = notification.deliveries
+      .map((delivery) => [delivery.channel, delivery.status, delivery.lastError]);
+    expect(outcomes).toEqual([
+      ['inbox', 'sent', null],
+      ['email', 'failed', '"not-an-address" is not an email address'],
+      ['outbox', 'sent', null],
+    ]);
+    expect(NotificationService.getStatus(notification)).toBe('partial');
+    expect(NotificationService.getInbox({ role: 'data protection officer' })).toEqual([
+      expect.objectContaining({ subject: notification.subject, read: false }),
+    ]);
+    expect(NotificationService.getOutbox()).toEqual([expect.objectContaining({ recipient: 'audit-log', ruleId: 'rule-review' })]);
+  });
+
+  test('only records notifications while testing rules', () => {
+    RulesEngine.testRules({ 'q-size': 'large' }, [notifyRule({ message: 'Review {{rule.name}}', recipients: ['dpo'] })]);
+
+    expect(NotificationService.notifications).toEqual([]);
+  });
+
+  test('retries failed deliveries with a growing delay', async () => {
+    jest.useFakeTimers();
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('Service unavailable'))
+      .mockRejectedValueOnce(new Error('Service unavailable'))
+      .mockResolvedValueOnce();
+    NotificationService.registerChannel('chat', { send });
+
+    const notification = NotificationService.send({ channel: 'chat', recipients: 'governance-team', message: 'Hello' });
+    const [delivery] = notification.deliveries;
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(delivery).toEqual(expect.objectContaining({ status: 'retrying', attempts: 1, lastError: 'Service unavailable' }));
+
+    await jest.advanceTimersByTimeAsync(NotificationService.RETRY_DELAY);
+    expect(delivery.attempts).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(NotificationService.RETRY_DELAY * 2 - 1);
+    expect(delivery.status).toBe('retrying');
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(delivery).toEqual(expect.objectContaining({ status: 'sent', attempts: 3, lastError: null }));
+  });
+
+  test('gives up after the last attempt until retried by hand', async () => {
+    const send = jest.fn().mockRejectedValueOnce(new Error('Timeout')).mockResolvedValueOnce();
+    NotificationService.registerChannel('chat', { send });
+
+    const notification = NotificationService.send({
+      channel: 'chat', recipients: 'governance-team', message: 'Hello', maxAttempts: 1,
+    });
+    const [delivery] = notification.deliveries;
+    await Promise.resolve();
+
+    expect(delivery).toEqual(expect.objectContaining({ status: 'failed', lastError: 'Timeout' }));
+
+    await NotificationService.retryDelivery(notification.id, delivery.id);
+
+    expect(delivery).toEqual(expect.objectContaining({ status: 'sent', attempts: 2 }));
+  });
+
+  test('renders template placeholders from dotted paths', () => {
+    expect(NotificationService.renderTemplate(
+      'Assessment {{ assessment.id }} selected {{answers.q-controls}}{{missing.value}}',
+      { assessment: { id: 'a-1' }, answers: { 'q-controls': ['audit', 'masking'] } },
+    )).toBe('Assessment a-1 selected audit, masking');
+    expect(() => NotificationService.send({ template: 'unknown' })).toThrow('Unknown notification template: unknown');
+  });
+});
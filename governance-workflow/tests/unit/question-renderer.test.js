@@ -0,0 +1,152 @@
+// tests/unit/question-renderer.test.js - Question Renderer Specs
+
+/* global EventBus, QuestionRenderer, RulesEngine */
+
+/**
+ * Answer changes are stored, announced and validated
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const question = {
+  id: 'q-purpose',
+  type: 'text-input',
+  title: 'Purpose of processing',
+  minLength: 10,
+};
+
+describe('QuestionRenderer', () => {
+  let answerListener;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="question-container"></div>';
+    QuestionRenderer.container = document.getElementById('question-container');
+    QuestionRenderer.questions = [question];
+    QuestionRenderer.answers = {};
+    QuestionRenderer.history = [];
+    QuestionRenderer.currentQuestionIndex = 0;
+    QuestionRenderer.renderCurrentQuestion();
+
+    answerListener = jest.fn();
+    EventBus.on('question.answer', answerListener);
+  });
+
+  afterEach(() => {
+    EventBus.events.clear();
+  });
+
+  const changeAnswer = (value) => {
+    const input = QuestionRenderer.container.querySelector('textarea');
+    input.value = value;
+    input.dispatchEvent(new Event('change'));
+  };
+
+  test('validates the answer after announcing it', () => {
+    changeAnswer('Audit');
+
+    const error = QuestionRenderer.container.querySelector('.question-validation-error');
+    expect(answerListener).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'question.answer',
+      data: expect.objectContaining({ questionId: 'q-purpose', answer: 'Audit' }),
+    }));
+    expect(QuestionRenderer.answers['q-purpose']).toBe('Audit');
+    expect(error.classList.contains('hidden')).toBe(false);
+    expect(error.textContent).toContain('Minimum length is 10 characters');
+  });
+
+  test('still validates when a listener fails', () => {
+    EventBus.on('question.answer', () => {
+      throw new Error('listener failed');
+    });
+
+    changeAnswer('Audit');
+
+    expect(QuestionRenderer.container.querySelector('.question-validation-error').textContent)
+      .toContain('Minimum length is 10 characters');
+  });
+
+  test('returns the listener results from emit', () => {
+    const result = EventBus.emit('question.answer', { questionId: 'q-purpose', answer: 'Audit logging' });
+
+    expect(result).toEqual(expect.objectContaining({ eventName: 'question.answer', success: true, errors: [] }));
+    expect(result.results).toHaveLength(1);
+  });
+
+  test('shows errors from outside the form on their question', () => {
+    QuestionRenderer.questions = [{ id: 'q-intro', type: 'text-input', title: 'Intro' }, question];
+
+    QuestionRenderer.showQuestionError('q-purpose', ['Purpose is required for audits']);
+
+    expect(QuestionRenderer.currentQuestionIndex).toBe(1);
+    expect(QuestionRenderer.container.querySelector('.question-validation-error').textContent)
+      .toContain('Purpose is required for audits');
+  });
+
+  test('leaves rule validations to the application on submit', () => {
+    const validateAnswers = jest.spyOn(RulesEngine, 'validateAnswers');
+    global.alert = jest.fn();
+    QuestionRenderer.answers = { 'q-purpose': 'Audit logging' };
+
+    QuestionRenderer.submitAssessment();
+
+    expect(validateAnswers).not.toHaveBeenCalled();
+    validateAnswers.mockRestore();
+    delete global.alert;
+  });
+
+  describe('question path', () => {
+    const routed = [
+      { id: 'q-size', type: 'single-select', title: 'Size' },
+      { id: 'q-records', type: 'number-input', title: 'Records' },
+      { id: 'q-end', type: 'text-input', title: 'Anything else?' },
+    ];
+    let getRoutes;
+
+    beforeEach(() => {
+      QuestionRenderer.questions = routed;
+      QuestionRenderer.answers = {};
+      QuestionRenderer.invalidateQuestionPath();
+      QuestionRenderer.setupEventListeners();
+      RulesEngine.rules = [{
+        id: 'small-skip',
+        conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: 'small' }] },
+        actions: [{ type: 'route', parameters: { target: 'q-end' } }],
+      }];
+      getRoutes = jest.spyOn(RulesEngine, 'getRoutes');
+    });
+
+    afterEach(() => {
+      getRoutes.mockRestore();
+      RulesEngine.rules = [];
+    });
+
+    test('is worked out once until an answer changes', () => {
+      QuestionRenderer.updateProgress();
+      QuestionRenderer.updateNavigation();
+      expect(QuestionRenderer.getQuestionPath().path).toEqual([0, 1, 2]);
+      expect(getRoutes).toHaveBeenCalledTimes(1);
+
+      QuestionRenderer.setAnswer('q-size', 'small');
+
+      expect(QuestionRenderer.getQuestionPath().path).toEqual([0, 2]);
+      expect(getRoutes).toHaveBeenCalledTimes(2);
+    });
+
+    test('is worked out again when the rules change', () => {
+      QuestionRenderer.setAnswer('q-size', 'small');
+      expect(QuestionRenderer.getQuestionPath().path).toEqual([0, 2]);
+
+      global.StateManager = { getState: jest.fn(() => []) };
+      RulesEngine.loadRules();
+      delete global.StateManager;
+
+      expect(QuestionRenderer.getQuestionPath().path).toEqual([0, 1, 2]);
+    });
+
+    test('is not cached for other answers', () => {
+      expect(QuestionRenderer.getQuestionPath({ 'q-size': 'small' }).path).toEqual([0, 2]);
+      expect(QuestionRenderer.getQuestionPath().path).toEqual([0, 1, 2]);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/unit/recommendation-model.test.js - Recommendation Model Specs
+
+/* global ExcelGenerator, PDFGenerator, RecommendationEngine, RecommendationModel */
+
+/**
+ * Structured recommendations, their migration from plain text and their
+ * use by the PDF and Excel exports
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const result = {
+  recommendations: {
+    sections: {
+      immediate: ['PRIORITY: Appoint a data protection officer. Report to the board.'],
+      rules: [{
+        title: 'Encrypt backups', priority: 'urgent', effort: 'low', impact: 'high', ownerRole: 'IT Security',
+      }],
+      longTerm: [{ description: 'Review retention schedules', priority: 'low', relatedControls: 'RET-1, RET-2' }],
+    },
+  },
+};
+
+describe('RecommendationModel', () => {
+  test('fills in defaults and normalizes levels', () => {
+    const recommendation = RecommendationModel.create({ description: 'Classify data', priority: 'minor', effort: 'huge' });
+
+    expect(recommendation).toEqual(expect.objectContaining({
+      title: 'Classify data',
+      priority: 'low',
+      effort: 'medium',
+      impact: 'medium',
+      dueWindow: '12 months',
+      source: 'template',
+      relatedControls: [],
+    }));
+    expect(RecommendationModel.create({ description: 'Classify data' }).id).toBe(recommendation.id);
+  });
+
+  test('migrates plain text, marking PRIORITY text as critical', () => {
+    expect(RecommendationModel.normalize('PRIORITY: Appoint a data protection officer. Report to the board.'))
+      .toEqual(expect.objectContaining({
+        title: 'Appoint a data protection officer',
+        description: 'Appoint a data protection officer. Report to the board.',
+        priority: 'critical',
+        dueWindow: '30 days',
+      }));
+    expect(RecommendationModel.normalize(null)).toBeNull();
+  });
+
+  test('flattens engine results by priority and impact with their section and source', () => {
+    const flat = RecommendationModel.flatten(result);
+
+    expect(flat.map((rec) => [rec.title, rec.priority, rec.section, rec.source])).toEqual([
+      ['Encrypt backups', 'critical', 'rules', 'rule'],
+      ['Appoint a data protection officer', 'critical', 'immediate', 'template'],
+      ['Review retention schedules', 'low', 'longTerm', 'template'],
+    ]);
+    expect(flat[2].relatedControls).toEqual(['RET-1', 'RET-2']);
+    expect(RecommendationModel.flatten(result.recommendations)).toEqual(flat);
+    expect(RecommendationModel.flatten(['Write a policy'])[0].section).toBeNull();
+  });
+
+  test('dates a recommendation from its due window', () => {
+    const due = RecommendationModel.getDueDate({ dueWindow: '90 days' }, '2026-01-01T00:00:00.000Z');
+
+    expect(due.toISOString().slice(0, 10)).toBe('2026-04-01');
+    expect(RecommendationModel.getDueDate({ dueWindow: '' })).toBeNull();
+  });
+
+  test('reports invalid fields', () => {
+    expect(RecommendationModel.validate({ priority: 'someday', effort: 'huge', dueWindow: 'soon' })).toEqual([
+      'Unknown priority "someday"; use critical, high, medium, low',
+      'Unknown effort "huge"; use low, medium, high',
+      'Due window "soon" is not a duration; use e.g. "90 days" or "6 months"',
+    ]);
+  });
+
+  describe('in the recommendation engine', () => {
+    beforeEach(() => {
+      global.StateManager = { getState: jest.fn(() => undefined), setState: jest.fn() };
+    });
+
+    afterEach(() => {
+      delete global.StateManager;
+    });
+
+    test('migrates template text and rule recommendations and sorts each section', () => {
+      const templateRecommendations = {
+        sections: {
+          immediate: [
+            RecommendationModel.normalize('Document data owners'),
+            RecommendationModel.normalize({ title: 'Quick fix', priority: 'high', effort: 'low' }),
+            RecommendationModel.normalize({ title: 'Big project', priority: 'high', effort: 'high' }),
+          ],
+        },
+      };
+      const rulesResults = {
+        recommendations: [{
+          id: 'rec-rule', ruleId: 'rule-pii', message: 'Mask personal data', priority: 'urgent',
+        }],
+        trace: [{ ruleId: 'rule-pii', ruleName: 'Personal data' }],
+      };
+
+      const merged = RecommendationEngine
+        .mergeRecommendations(templateRecommendations, rulesResults, {});
+
+      expect(merged.sections.immediate.map((rec) => rec.title))
+        .toEqual(['Quick fix', 'Big project', 'Document data owners']);
+      expect(merged.sections.rules).toEqual([expect.objectContaining({
+        description: 'Mask personal data',
+        priority: 'critical',
+        rationale: 'Raised by the rule "Personal data"',
+        source: 'rule',
+        sourceId: 'rule-pii',
+      })]);
+    });
+  });
+
+  describe('exports', () => {
+    test('list the flattened recommendations in the Excel sheet', () => {
+      const excel = Object.create(ExcelGenerator.prototype);
+      excel.XLSX = { utils: { aoa_to_sheet: (rows) => rows } };
+
+      const rows = excel.generateRecommendationsSheet({ ...result, timestamp: '2026-01-01T00:00:00.000Z' });
+
+      expect(rows.slice(1).map((row) => [row[2], row[3], row[8]])).toEqual([
+        ['Encrypt backups', 'critical', '2026-01-31'],
+        ['Appoint a data protection officer', 'critical', '2026-01-31'],
+        ['Review retention schedules', 'low', '2027-01-01'],
+      ]);
+    });
+
+    test('pick the same priority recommendations for the PDF summary', () => {
+      const pdf = Object.create(PDFGenerator.prototype);
+
+      const critical = RecommendationModel.flatten(result).slice(0, 2);
+
+      expect(pdf.extractPriorityRecommendations(result)).toEqual(critical);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// tests/unit/roadmap-generator.test.js - Roadmap Generator Specs
+
+/* global ExcelGenerator, RoadmapChart, RoadmapGenerator */
+
+/**
+ * Recommendations are scheduled into phases by priority, effort and dependencies
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const start = '2026-01-01T00:00:00.000Z';
+
+const recommendations = [
+  {
+    id: 'rec-lock',
+    title: 'Lock down access',
+    section: 'controls',
+    priority: 'critical',
+    effort: 'medium',
+    impact: 'high',
+    ownerRole: 'Security Officer',
+  },
+  {
+    id: 'rec-share', title: 'Approve sharing', section: 'sharing', priority: 'high', effort: 'low', impact: 'medium',
+  },
+  {
+    id: 'rec-tag', title: 'Tag datasets', section: 'placement', priority: 'medium', effort: 'low', impact: 'high',
+  },
+  {
+    id: 'rec-audit',
+    title: 'Automate audits',
+    section: 'monitoring',
+    priority: 'low',
+    effort: 'high',
+    impact: 'medium',
+    dependsOn: ['rec-tag'],
+  },
+];
+
+describe('RoadmapGenerator', () => {
+  test('places recommendations in phases by priority, effort and dependencies', () => {
+    const roadmap = RoadmapGenerator.generate(recommendations, { start });
+
+    const phases = roadmap.phases
+      .map((phase) => [phase.id, phase.items.map((item) => item.recommendationId)]);
+    expect(phases).toEqual([
+      ['quick_wins', ['rec-lock', 'rec-tag']],
+      ['days_90', ['rec-share']],
+      ['months_6', []],
+      ['months_12', ['rec-audit']],
+    ]);
+    const days = roadmap.items.map((item) => [item.recommendationId, item.startDay, item.endDay]);
+    expect(days).toEqual([
+      ['rec-lock', 0, 30],
+      ['rec-tag', 0, 14],
+      ['rec-share', 30, 44],
+      ['rec-audit', 182, 272],
+    ]);
+    expect(roadmap.warnings).toEqual([]);
+  });
+
+  test('explains each placement and dependency', () => {
+    const { items } = RoadmapGenerator.generate(recommendations, { start });
+    const byId = Object.fromEntries(items.map((item) => [item.recommendationId, item]));
+
+    expect(byId['rec-tag'].reason).toBe('Low effort, high impact');
+    expect(byId['rec-share']).toEqual(expect.objectContaining({
+      dependsOn: ['rec-lock'],
+      reason: 'High priority, low effort, due within 90 days; Waits for "Lock down access"',
+      start: '2026-01-31T00:00:00.000Z',
+    }));
+    expect(byId['rec-audit'].dependsOn).toEqual(['rec-tag', 'rec-lock']);
+  });
+
+  test('estimates the effort per phase and owner', () => {
+    const { budget } = RoadmapGenerator.generate(recommendations, { start });
+
+    expect(budget.phases.map((phase) => phase.personWeeks)).toEqual([8, 2, 0, 16]);
+    expect(budget.byOwner).toEqual({ 'Security Officer': 6, Unassigned: 20 });
+    expect(budget.totalPersonWeeks).toBe(26);
+  });
+
+  test('warns about cycles and work pushed past its due window', () => {
+    const roadmap = RoadmapGenerator.generate([
+      {
+        id: 'rec-a', title: 'First', priority: 'medium', effort: 'low', dependsOn: ['rec-b'],
+      },
+      {
+        id: 'rec-b', title: 'Second', priority: 'medium', effort: 'low', dependsOn: ['rec-a'],
+      },
+      {
+        id: 'rec-urgent', title: 'Urgent', priority: 'critical', effort: 'low', dependsOn: ['rec-big'],
+      },
+      {
+        id: 'rec-big', title: 'Big', priority: 'low', effort: 'high',
+      },
+    ], { start });
+
+    expect(roadmap.warnings).toEqual([
+      '"Urgent" is scheduled after its due window (30 days) because of its dependencies',
+      '"First" is part of a dependency cycle; its order is arbitrary',
+    ]);
+  });
+
+  describe('output', () => {
+    const roadmap = RoadmapGenerator.generate(recommendations, { start });
+
+    test('draws one bar per recommendation and one connector per dependency', () => {
+      document.body.innerHTML = RoadmapChart.renderSVG(roadmap);
+
+      expect(document.querySelectorAll('.roadmap-item')).toHaveLength(4);
+      expect(document.querySelectorAll('path')).toHaveLength(3);
+      expect(RoadmapChart.renderSVG({ items: [] })).toContain('No recommendations to schedule.');
+    });
+
+    test('lists the schedule and budget in the Excel export', () => {
+      const excel = Object.create(ExcelGenerator.prototype);
+      excel.XLSX = { utils: { aoa_to_sheet: (rows) => rows } };
+
+      const rows = excel.generateRoadmapSheet(roadmap);
+
+      expect(rows[3]).toEqual([
+        '90 Days', 'Approve sharing', 'sharing', 'high', 'low', 'medium', '', '2026-01-31', '2026-02-14',
+        'Lock down access', 'High priority, low effort, due within 90 days; Waits for "Lock down access"',
+      ]);
+      expect(rows).toContainEqual(['Total', '', '', 4, 26]);
+    });
+  });
+});
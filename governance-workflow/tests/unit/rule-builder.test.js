@@ -0,0 +1,208 @@
+// tests/unit/rule-builder.test.js - Rule Builder Specs
+
+/* global RuleBuilder, RulesEngine, RuleTestRunner, RuleVersionStore */
+
+/**
+ * Conditions survive a round trip through the rule editor form
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const roundTrip = (conditions) => {
+  const container = document.getElementById('conditions-container');
+  container.innerHTML = RuleBuilder.renderConditions(conditions);
+  return RuleBuilder.collectConditions(container);
+};
+
+describe('RuleBuilder', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="conditions-container"></div>';
+  });
+
+  describe('condition values', () => {
+    test('keep ranges, counts, lists and structured values', () => {
+      const conditions = [
+        { field: 'q-records', operator: 'between', value: [5, 10] },
+        { field: 'q-controls', operator: 'count_at_least', value: { count: 2, of: ['gdpr', 'hipaa'] } },
+        { field: 'q-controls', operator: 'count_equals', value: 0 },
+        { field: 'q-size', operator: 'in_list', value: ['small', 'medium'] },
+        { field: 'q-records', operator: 'in_list', value: [100, 200] },
+        { field: 'q-controls', operator: 'contains_any', value: ['encryption', 'masking'] },
+        { field: 'q-records', operator: 'greater_than', value: 0 },
+        {
+          operator: 'OR',
+          rules: [{ field: 'q-size', operator: 'equals', value: 'large' }],
+        },
+      ];
+
+      expect(roundTrip(conditions)).toEqual([
+        {
+          field: 'q-records', operator: 'between', value: [5, 10], weight: 1,
+        },
+        {
+          field: 'q-controls', operator: 'count_at_least', value: { count: 2, of: ['gdpr', 'hipaa'] }, weight: 1,
+        },
+        {
+          field: 'q-controls', operator: 'count_equals', value: 0, weight: 1,
+        },
+        {
+          field: 'q-size', operator: 'in_list', value: ['small', 'medium'], weight: 1,
+        },
+        {
+          field: 'q-records', operator: 'in_list', value: [100, 200], weight: 1,
+        },
+        {
+          field: 'q-controls', operator: 'contains_any', value: ['encryption', 'masking'], weight: 1,
+        },
+        {
+          field: 'q-records', operator: 'greater_than', value: '0', weight: 1,
+        },
+        {
+          operator: 'OR',
+          rules: [{
+            field: 'q-size', operator: 'equals', value: 'large', weight: 1,
+          }],
+        },
+      ]);
+    });
+
+    test('renders separate inputs for ranges and counts', () => {
+      const container = document.getElementById('conditions-container');
+      container.innerHTML = RuleBuilder.renderConditions([
+        { field: 'q-records', operator: 'between', value: [5, 10] },
+        { field: 'q-controls', operator: 'count_at_most', value: '1 of audit, masking' },
+      ]);
+
+      const [range, count] = container.querySelectorAll('.condition-item');
+      expect(range.querySelector('.condition-value-min').value).toBe('5');
+      expect(range.querySelector('.condition-value-max').value).toBe('10');
+      expect(count.querySelector('.condition-value-count').value).toBe('1');
+      expect(count.querySelector('.condition-value-of').value).toBe('audit, masking');
+      expect(container.innerHTML).not.toContain('[object Object]');
+    });
+
+    test('switches the inputs when the operator changes in the editor', () => {
+      document.body.innerHTML = '<div id="rule-editor"></div>';
+      RuleBuilder.currentRule = {
+        id: 'rule-records',
+        name: 'Records',
+        conditions: { operator: 'AND', rules: [{ field: 'q-records', operator: 'equals', value: '5' }] },
+        actions: [],
+      };
+      RuleBuilder.renderRuleEditor();
+      const container = document.getElementById('conditions-container');
+      const operator = container.querySelector('.condition-operator');
+
+      operator.value = 'between';
+      operator.dispatchEvent(new Event('change', { bubbles: true }));
+      container.querySelector('.condition-value-max').value = '10';
+
+      expect(RuleBuilder.collectConditions(container)).toEqual([
+        {
+          field: 'q-records', operator: 'between', value: [5, 10], weight: 1,
+        },
+      ]);
+    });
+  });
+
+  describe('importing rules', () => {
+    const rule = (id, name, value = 'large') => ({
+      id,
+      name,
+      conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value }] },
+      actions: [{ type: 'score', parameters: { operation: 'add', value: 5 } }],
+    });
+    const file = (name, content) => ({ name, text: () => Promise.resolve(content) });
+    let state;
+
+    beforeEach(() => {
+      state = { 'config.rules': [rule('rule-existing', 'Existing rule', 'small')], 'config.questions': [] };
+      global.StateManager = {
+        getState: jest.fn((path) => state[path]),
+        setState: jest.fn(),
+        setRules: jest.fn((rules) => { state['config.rules'] = rules; }),
+      };
+      global.alert = jest.fn();
+      RulesEngine.rules = state['config.rules'];
+      RuleVersionStore.history = {};
+      RuleVersionStore.isLoaded = true;
+      RuleTestRunner.testCases = [];
+      RuleBuilder.loadRules();
+    });
+
+    afterEach(() => {
+      delete global.StateManager;
+      delete global.alert;
+      delete global.confirm;
+    });
+
+    test('replaces the rules through the rules engine', async () => {
+      global.confirm = jest.fn(() => true);
+      const data = {
+        rules: [rule('rule-large', 'Large organizations')],
+        testSuite: [{ id: 'case-large', name: 'Large', answers: { 'q-size': 'large' } }],
+      };
+
+      await RuleBuilder.processRulesImport(file('rules.json', JSON.stringify(data)));
+
+      expect(RuleBuilder.rules.map((imported) => imported.id)).toEqual(['rule-large']);
+      expect(RuleVersionStore.getLatest('rule-large').changeType).toBe('imported');
+      expect(RuleTestRunner.testCases.map((testCase) => testCase.id)).toEqual(['case-large']);
+      expect(global.alert).toHaveBeenCalledWith('Imported 1 rules');
+    });
+
+    test('merges into the existing rules and reports lint issues', async () => {
+      global.confirm = jest.fn(() => false);
+      const data = { rules: [rule('rule-copy', 'Copy', 'small')] };
+
+      await RuleBuilder.processRulesImport(file('rules.json', JSON.stringify(data)));
+
+      expect(RuleBuilder.rules.map((imported) => imported.id)).toEqual(['rule-existing', 'rule-copy']);
+      expect(global.alert.mock.calls[0][0]).toMatch(/^Imported 1 rules\n\nThe rule check found \d+ issue\(s\):\n.*Copy/);
+    });
+
+    test('imports DMN documents through the rules engine', async () => {
+      global.confirm = jest.fn(() => true);
+      const { xml } = RulesEngine.exportDMN([rule('rule-large', 'Large organizations')]);
+
+      await RuleBuilder.processRulesImport(file('rules.dmn', xml));
+
+      expect(RuleBuilder.rules).toHaveLength(1);
+      expect(RuleBuilder.rules[0].conditions.rules[0]).toEqual(expect.objectContaining({ field: 'q-size', value: 'large' }));
+      expect(global.alert).toHaveBeenCalledWith('Imported 1 rules');
+    });
+
+    test('keeps the rules when a DMN document has none', async () => {
+      global.confirm = jest.fn(() => true);
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const xml = '<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" id="empty" name="Empty"/>';
+
+      await RuleBuilder.processRulesImport(file('empty.dmn', xml));
+
+      expect(global.alert.mock.calls[0][0]).toMatch(/^Failed to import rules: No rules could be imported/);
+      expect(RuleBuilder.rules.map((existing) => existing.id)).toEqual(['rule-existing']);
+      consoleError.mockRestore();
+    });
+
+    test('exports DMN through the rules engine', () => {
+      jest.spyOn(RulesEngine, 'exportDMN').mockReturnValue({ xml: '', tables: [], skipped: [] });
+
+      RuleBuilder.exportDMN();
+
+      expect(RulesEngine.exportDMN).toHaveBeenCalledWith(RuleBuilder.rules);
+      expect(global.alert).toHaveBeenCalledWith('None of the rules can be exported as DMN decision tables');
+      RulesEngine.exportDMN.mockRestore();
+    });
+
+    test('rejects files without rules', async () => {
+      global.confirm = jest.fn();
+
+      await RuleBuilder.processRulesImport(file('rules.json', '{"templates": []}'));
+
+      expect(global.confirm).not.toHaveBeenCalled();
+      expect(global.alert).toHaveBeenCalledWith('Invalid rules file format');
+      expect(RuleBuilder.rules.map((existing) => existing.id)).toEqual(['rule-existing']);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// tests/unit/rule-dependency-graph.test.js - Rule Dependency Graph Specs
+
+/* global RuleDependencyGraph, RulesEngine */
+
+/**
+ * Forward chaining runs rules that set variables before the rules that read them
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const setVariable = (variable, parameters) => ({ type: 'set_variable', parameters: { variable, ...parameters } });
+
+const recommendRule = {
+  id: 'rule-recommend',
+  priority: 10,
+  conditions: { operator: 'AND', rules: [{ field: 'riskTier', operator: 'equals', value: 'high' }] },
+  actions: [{ type: 'recommend', parameters: { message: 'Run a DPIA' } }],
+};
+const scoreRule = {
+  id: 'rule-score',
+  priority: 5,
+  conditions: { operator: 'AND', rules: [] },
+  actions: [setVariable('riskScore', { expression: 'count(answer("q-data")) * 10' })],
+};
+const tierRule = {
+  id: 'rule-tier',
+  priority: 1,
+  conditions: { operator: 'AND', rules: [{ expression: 'riskScore >= 20', operator: 'equals', value: true }] },
+  actions: [setVariable('riskTier', { value: 'high' })],
+};
+const rules = [recommendRule, scoreRule, tierRule];
+const answers = { 'q-data': ['health', 'biometric'] };
+
+describe('RuleDependencyGraph', () => {
+  test('orders writers before readers', () => {
+    const graph = RuleDependencyGraph.build(rules);
+
+    expect(graph.order).toEqual(['rule-score', 'rule-tier', 'rule-recommend']);
+    expect(graph.edges).toEqual([
+      { from: 'rule-tier', to: 'rule-recommend', variable: 'riskTier' },
+      { from: 'rule-score', to: 'rule-tier', variable: 'riskScore' },
+    ]);
+    expect(graph.variables.riskTier).toEqual({ writers: ['rule-tier'], readers: ['rule-recommend'] });
+    expect(graph.cycles).toEqual([]);
+    expect(RuleDependencyGraph.getLevels(graph).get('rule-recommend')).toBe(2);
+  });
+
+  test('lets forward chaining see variables set by later rules', () => {
+    const sequential = RulesEngine.evaluateRules({ answers }, rules, { silent: true, mode: 'sequential' });
+    const chained = RulesEngine.evaluateRules({ answers }, rules, { silent: true, mode: 'forward_chaining' });
+
+    expect(sequential.recommendations).toEqual([]);
+    expect(chained.recommendations.map((recommendation) => recommendation.message)).toEqual(['Run a DPIA']);
+    expect(chained.chaining).toEqual(expect.objectContaining({ iterations: 0, converged: true }));
+  });
+
+  test('reports cycles that never settle', () => {
+    const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const cyclic = [
+      { id: 'rule-a', conditions: { operator: 'AND', rules: [] }, actions: [setVariable('a', { expression: 'number(b) + 1' })] },
+      { id: 'rule-b', conditions: { operator: 'AND', rules: [] }, actions: [setVariable('b', { expression: 'number(a) + 1' })] },
+    ];
+
+    const results = RulesEngine.evaluateRules({ answers: {} }, cyclic, {
+      silent: true, mode: 'forward_chaining', maxIterations: 3,
+    });
+
+    expect(results.chaining).toEqual(expect.objectContaining({
+      cycles: [['rule-a', 'rule-b']], iterations: 3, converged: false,
+    }));
+    expect(results.errors[0].error)
+      .toBe('Rule variables did not settle after 3 iterations; check the dependency cycles: rule-a -> rule-b -> rule-a');
+    consoleWarn.mockRestore();
+  });
+});
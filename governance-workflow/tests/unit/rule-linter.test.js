@@ -0,0 +1,119 @@
+// tests/unit/rule-linter.test.js - Rule Linter Specs
+
+/* global RuleLinter */
+
+/**
+ * Static checks flag contradictions, dead references and overlapping rules
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const questions = [
+  {
+    id: 'q-size',
+    title: 'Organization size',
+    type: 'single-select',
+    options: [{ value: 'small' }, { value: 'large' }],
+  },
+  { id: 'q-records', title: 'Records held', type: 'number-input' },
+  {
+    id: 'q-controls',
+    title: 'Security controls',
+    type: 'multi-select',
+    options: [{ value: 'encryption' }, { value: 'audit' }],
+  },
+];
+
+const rule = (id, conditions, actions = []) => ({
+  id, name: id, conditions: { operator: 'AND', rules: conditions }, actions,
+});
+
+const codes = (report) => report.issues
+  .map((issue) => [issue.ruleId, issue.severity, issue.code, issue.path]);
+
+describe('RuleLinter', () => {
+  test('finds conditions that can never be true', () => {
+    const report = RuleLinter.lint([
+      rule('rule-sizes', [
+        { field: 'q-size', operator: 'equals', value: 'small' },
+        { field: 'q-size', operator: 'equals', value: 'large' },
+      ]),
+      rule('rule-range', [
+        { field: 'q-records', operator: 'greater_than', value: 100 },
+        { field: 'q-records', operator: 'less_than_or_equal', value: 100 },
+      ]),
+      rule('rule-branch', [{
+        operator: 'OR',
+        rules: [
+          { operator: 'AND', rules: [{ field: 'q-controls', operator: 'contains', value: 'audit' }, { field: 'q-controls', operator: 'not_contains', value: 'audit' }] },
+          { field: 'q-size', operator: 'equals', value: 'large' },
+        ],
+      }]),
+    ], { questions });
+
+    expect(codes(report)).toEqual([
+      ['rule-sizes', 'error', 'unsatisfiable', null],
+      ['rule-range', 'error', 'unsatisfiable', null],
+      ['rule-branch', 'warning', 'unsatisfiable', '0.0'],
+    ]);
+    expect(report.issues[0].message).toBe('Conditions can never all be true: q-size cannot equal both "small" and "large"');
+    expect(report.issues[1].message).toBe('Conditions can never all be true: no number satisfies every bound on q-records');
+    expect(report).toEqual(expect.objectContaining({ errorCount: 2, warningCount: 1 }));
+  });
+
+  test('finds dead references and operators that do not suit the answer', () => {
+    const report = RuleLinter.lint([
+      rule('rule-refs', [
+        { field: 'q-retired', operator: 'equals', value: 'yes' },
+        { field: 'q-size', operator: 'equals', value: 'medium' },
+        { field: 'q-controls', operator: 'equals', value: 'audit' },
+        { field: 'q-records', operator: 'contains', value: 5 },
+        { field: 'riskTier', operator: 'equals', value: 'high' },
+      ], [{ type: 'route', parameters: { mode: 'skip_to', target: 'q-gone' } }]),
+      rule('rule-tier', [], [{ type: 'set_variable', parameters: { variable: 'riskTier', value: 'high' } }]),
+    ], { questions });
+
+    expect(codes(report)).toEqual([
+      ['rule-refs', 'error', 'dead_reference', '0'],
+      ['rule-refs', 'error', 'dead_reference', '1'],
+      ['rule-refs', 'error', 'type_mismatch', '2'],
+      ['rule-refs', 'error', 'type_mismatch', '3'],
+      ['rule-refs', 'error', 'dead_reference', 'actions.0'],
+    ]);
+    expect(report.issues.map((issue) => issue.message).slice(0, 2)).toEqual([
+      'Condition refers to unknown question or variable "q-retired"',
+      '"Organization size" has no option "medium"',
+    ]);
+  });
+
+  test('finds duplicates and overlapping rules that disagree on priority', () => {
+    // rule-d cannot match together with rule-a or rule-b and agrees with rule-c
+    const recommend = (priority) => [{ type: 'recommend', parameters: { template: 'dpo', priority } }];
+    const large = { field: 'q-size', operator: 'equals', value: 'large' };
+    const report = RuleLinter.lint([
+      rule('rule-a', [large], recommend('high')),
+      rule('rule-b', [large], recommend('high')),
+      rule('rule-c', [{ field: 'q-records', operator: 'greater_than', value: 10 }], recommend('low')),
+      rule('rule-d', [{ field: 'q-size', operator: 'equals', value: 'small' }], recommend('low')),
+    ], { questions });
+
+    expect(report.issues.map((issue) => [issue.code, issue.ruleId, issue.relatedRuleId])).toEqual([
+      ['duplicate_rule', 'rule-b', 'rule-a'],
+      ['conflicting_recommendation', 'rule-c', 'rule-a'],
+      ['conflicting_recommendation', 'rule-c', 'rule-b'],
+    ]);
+  });
+
+  test('reports only issues involving the requested rules', () => {
+    const rules = [
+      rule('rule-a', [{ field: 'q-retired', operator: 'equals', value: 'yes' }]),
+      rule('rule-b', [{ field: 'q-gone', operator: 'equals', value: 'yes' }]),
+    ];
+
+    const report = RuleLinter.lint(rules, { questions, ruleIds: ['rule-b'] });
+
+    expect(RuleLinter.formatIssues(report.issues))
+      .toBe('Error – rule-b: Condition refers to unknown question or variable "q-gone"');
+  });
+});
@@ -0,0 +1,91 @@
+// tests/unit/rule-simulator.test.js - Rule Simulator Specs
+
+/* global EventBus, RecommendationEngine, RuleSimulator */
+
+/**
+ * Draft rules replayed against completed assessments show what an edit would change
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const dpoRule = (size) => ({
+  id: 'rule-dpo',
+  name: 'Appoint a DPO',
+  conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: size }] },
+  actions: [
+    { type: 'score', parameters: { operation: 'add', value: 5 } },
+    { type: 'recommend', parameters: { message: 'Appoint a data protection officer' } },
+  ],
+});
+
+const assessments = [
+  { id: 'a-large', completed: '2025-03-01T00:00:00.000Z', answers: { 'q-size': 'large' } },
+  { id: 'a-small', completed: '2025-04-01T00:00:00.000Z', answers: { 'q-size': 'small' } },
+  { id: 'a-medium', completed: '2025-05-01T00:00:00.000Z', answers: { 'q-size': 'medium' } },
+];
+
+const recommendation = { section: 'rules', text: 'Appoint a data protection officer' };
+
+describe('RuleSimulator', () => {
+  let report;
+  let evaluated;
+
+  beforeEach(async () => {
+    global.StateManager = { getState: jest.fn(), setState: jest.fn() };
+    RecommendationEngine.recommendationCache.clear();
+    evaluated = jest.fn();
+    EventBus.on('rules.evaluated', evaluated);
+
+    report = await RuleSimulator.simulate([dpoRule('small')], { liveRules: [dpoRule('large')], assessments });
+  });
+
+  afterEach(() => {
+    delete global.StateManager;
+    EventBus.events.clear();
+  });
+
+  test('reports what the draft changes for each assessment', () => {
+    const [large, small, medium] = report.assessments;
+
+    expect(large).toEqual(expect.objectContaining({
+      changed: true, ruleScoreDelta: -5, gained: [], lost: [recommendation], rulesStoppedMatching: ['rule-dpo'],
+    }));
+    expect(small).toEqual(expect.objectContaining({
+      changed: true, ruleScoreDelta: 5, gained: [recommendation], lost: [], rulesStartedMatching: ['rule-dpo'],
+    }));
+    expect(medium.changed).toBe(false);
+    expect(report).toEqual(expect.objectContaining({ assessmentCount: 3, changedCount: 2 }));
+    expect(report.summary).toEqual({
+      levelChanges: 0, scoreChanges: 2, recommendationsGained: 1, recommendationsLost: 1, errors: 0,
+    });
+  });
+
+  test('leaves no trace of the dry runs', () => {
+    expect(evaluated).not.toHaveBeenCalled();
+    expect(RecommendationEngine.recommendationCache.size).toBe(0);
+  });
+
+  test('exports one row per assessment', () => {
+    const lines = RuleSimulator.toCSV(report).split('\n');
+
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toMatch(/^a-large,2025-03-01T00:00:00.000Z,yes,.*,5,0,,rules: Appoint a data protection officer,$/);
+    expect(lines[3]).toMatch(/^a-medium,.*,no,/);
+  });
+
+  test('records assessments that fail to replay', async () => {
+    const generate = jest.spyOn(RecommendationEngine, 'generateRecommendations')
+      .mockRejectedValueOnce(new Error('Template missing'));
+
+    const failed = await RuleSimulator.simulate([], {
+      liveRules: [], assessments: assessments.slice(0, 1),
+    });
+
+    expect(failed.assessments[0]).toEqual(expect.objectContaining({
+      assessmentId: 'a-large', changed: false, error: 'Template missing',
+    }));
+    expect(failed.summary.errors).toBe(1);
+    generate.mockRestore();
+  });
+});
@@ -0,0 +1,123 @@
+// tests/unit/rule-test-runner.test.js - Rule Test Runner Specs
+
+/* global EventBus, RuleTestRunner */
+
+/**
+ * Saved test cases check rules against their expected outcomes
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const rules = [
+  {
+    id: 'rule-large',
+    name: 'Large organizations',
+    conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: 'large' }] },
+    actions: [
+      { type: 'score', parameters: { operation: 'add', value: 10 } },
+      { type: 'recommend', parameters: { message: 'Appoint a data protection officer' } },
+      { type: 'set_variable', parameters: { variable: 'riskTier', value: 'high' } },
+    ],
+  },
+  {
+    id: 'rule-small',
+    name: 'Small organizations',
+    conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: 'small' }] },
+    actions: [{ type: 'score', parameters: { operation: 'add', value: 2 } }],
+  },
+  {
+    id: 'rule-retired',
+    name: 'Retired rule',
+    active: false,
+    conditions: { operator: 'AND', rules: [] },
+    actions: [{ type: 'score', parameters: { operation: 'add', value: 100 } }],
+  },
+];
+
+const largeCase = {
+  id: 'case-large',
+  name: 'Large organization',
+  answers: { 'q-size': 'large' },
+  expected: {
+    matchedRules: ['rule-large'],
+    unmatchedRules: ['rule-small', 'rule-retired'],
+    recommendations: ['Appoint a data protection officer'],
+    score: { min: 5, max: '10' },
+    variables: { riskTier: 'high' },
+  },
+};
+
+describe('RuleTestRunner', () => {
+  beforeEach(() => {
+    RuleTestRunner.testCases = [];
+    RuleTestRunner.isLoaded = true;
+  });
+
+  afterEach(() => {
+    EventBus.events.clear();
+  });
+
+  test('passes when every expected outcome is met', () => {
+    const result = RuleTestRunner.runTestCase(largeCase, rules);
+
+    expect(result.failures).toEqual([]);
+    expect(result.passed).toBe(true);
+    expect(result.actual).toEqual(expect.objectContaining({
+      matchedRules: ['rule-large'], score: 10, variables: { riskTier: 'high' },
+    }));
+  });
+
+  test('lists each unmet expectation', () => {
+    const result = RuleTestRunner.runTestCase({
+      ...largeCase,
+      answers: { 'q-size': 'small' },
+      expected: { ...largeCase.expected, matchedRules: ['rule-large', 'rule-missing'], unmatchedRules: ['rule-small'] },
+    }, rules);
+
+    expect(result.passed).toBe(false);
+    expect(result.failures.map((failure) => [failure.check, failure.actual])).toEqual([
+      ['matchedRules', 'not matched'],
+      ['matchedRules', 'rule not found'],
+      ['unmatchedRules', 'matched'],
+      ['recommendations', []],
+      ['score', 2],
+      ['variables', { riskTier: undefined }],
+    ]);
+    expect(result.failures[4].message).toBe('Expected score between 5 and 10, got 2');
+  });
+
+  test('runs the saved suite and reports the totals', () => {
+    const completed = jest.fn();
+    EventBus.on('rules.tests.completed', completed);
+    RuleTestRunner.saveTestCase(largeCase);
+    RuleTestRunner.saveTestCase({ name: 'Small organization', answers: { 'q-size': 'small' }, expected: { score: { max: 1 } } });
+
+    const report = RuleTestRunner.runSuite(rules);
+
+    expect(report).toEqual(expect.objectContaining({ total: 2, passed: 1, failed: 1 }));
+    expect(completed).toHaveBeenCalledWith(expect.objectContaining({
+      data: { total: 2, passed: 1, failed: 1 },
+    }));
+  });
+
+  test('rejects malformed test cases', () => {
+    expect(() => RuleTestRunner.saveTestCase({ name: ' ', answers: [], expected: { score: { min: 5, max: 1 } } }))
+      .toThrow('Invalid test case: Test case name is required, Test case answers must be an object keyed by question ID, '
+        + 'Expected score minimum cannot exceed the maximum');
+    expect(() => RuleTestRunner.importTestCases([{ name: 'Bad', answers: {}, expected: { matchedRules: 'rule-large' } }]))
+      .toThrow('Invalid test case Bad: Expected matchedRules must be a list');
+  });
+
+  test('merges imported test cases by ID', () => {
+    RuleTestRunner.saveTestCase(largeCase);
+
+    RuleTestRunner.importTestCases([
+      { id: 'case-large', name: 'Large, renamed', answers: { 'q-size': 'large' } },
+      { id: 'case-small', name: 'Small', answers: { 'q-size': 'small' } },
+    ], { merge: true });
+
+    expect(RuleTestRunner.getTestCases().map((testCase) => testCase.name)).toEqual(['Large, renamed', 'Small']);
+    expect(RuleTestRunner.getTestCase('case-small').expected.score).toEqual({ min: null, max: null });
+  });
+});
@@ -0,0 +1,162 @@
+// tests/unit/rule-version-store.test.js - Rule Version Store Specs
+
+/* global RuleBuilder, RuleHistoryViewer, RulesEngine, RuleVersionStore */
+
+/**
+ * Revisions are recorded per rule and compared field by field
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const rule = {
+  id: 'rule-encryption',
+  name: 'Encryption at rest',
+  category: 'compliance',
+  priority: 5,
+  active: true,
+  conditions: { operator: 'AND', rules: [{ field: 'q-controls', operator: 'contains_none', value: 'encryption' }] },
+  actions: [{ type: 'score', parameters: { operation: 'add', value: 3 } }],
+};
+
+describe('RuleVersionStore', () => {
+  beforeEach(() => {
+    RuleVersionStore.history = {};
+    RuleVersionStore.isLoaded = true;
+  });
+
+  describe('recording', () => {
+    test('numbers revisions and skips saves without behavioural changes', () => {
+      const draft = { ...rule };
+
+      RuleVersionStore.recordVersion(draft, { changeType: 'created', author: 'Ana' });
+      RuleVersionStore.recordVersion({ ...draft, modified: '2026-02-01T00:00:00.000Z' }, { author: 'Ana' });
+      const edit = RuleVersionStore.recordVersion({ ...draft, priority: 8 }, { author: 'Ben', comment: 'Raise priority' });
+
+      expect(draft.version).toBe(1);
+      expect(RuleVersionStore.getHistory(rule.id).map((entry) => entry.version)).toEqual([1, 2]);
+      expect(edit).toEqual(expect.objectContaining({
+        version: 2, author: 'Ben', changeType: 'updated', comment: 'Raise priority',
+      }));
+      expect(RuleVersionStore.diffVersions(rule.id, 1, 2).fields).toEqual([{ field: 'priority', from: 5, to: 8 }]);
+    });
+
+    test('diffs conditions and actions line by line', () => {
+      const diff = RuleVersionStore.diffRules(rule, {
+        ...rule,
+        conditions: {
+          operator: 'AND',
+          rules: [
+            { field: 'q-controls', operator: 'contains_none', value: 'encryption' },
+            { operator: 'OR', rules: [{ field: 'q-size', operator: 'equals', value: 'large' }] },
+          ],
+        },
+        actions: [{ type: 'score', parameters: { operation: 'add', value: 5 } }],
+      });
+
+      expect(diff.conditions).toEqual([
+        { type: 'same', left: 'AND of:', right: 'AND of:' },
+        { type: 'same', left: '    q-controls contains_none "encryption"', right: '    q-controls contains_none "encryption"' },
+        { type: 'added', left: null, right: '    OR of:' },
+        { type: 'added', left: null, right: '        q-size equals "large"' },
+      ]);
+      expect(diff.actions).toEqual([{
+        type: 'changed',
+        left: 'score {"operation":"add","value":3}',
+        right: 'score {"operation":"add","value":5}',
+      }]);
+      expect(diff.hasChanges).toBe(true);
+      expect(() => RuleVersionStore.diffVersions(rule.id, 1, 2))
+        .toThrow('Cannot compare versions 1 and 2 of rule rule-encryption');
+    });
+
+    test('rebuilds the rule set recorded on an assessment', () => {
+      RuleVersionStore.recordVersion({ ...rule }, { author: 'Ana' });
+      RuleVersionStore.recordVersion({ ...rule, priority: 8 }, { author: 'Ana' });
+
+      const { rules, missing } = RuleVersionStore.getRulesForVersions({ [rule.id]: 1, 'rule-gone': 3 });
+
+      expect(rules).toEqual([expect.objectContaining({ id: rule.id, priority: 5 })]);
+      expect(missing).toEqual(['rule-gone']);
+    });
+  });
+
+  describe('rollback', () => {
+    let state;
+
+    beforeEach(() => {
+      state = { 'config.rules': [], 'config.questions': [] };
+      global.StateManager = {
+        getState: jest.fn((path) => state[path]),
+        setState: jest.fn(),
+        setRules: jest.fn((rules) => { state['config.rules'] = rules; }),
+      };
+      global.confirm = jest.fn(() => true);
+      document.body.innerHTML = '<div id="rules-list"></div><div id="rule-editor"></div>';
+    });
+
+    afterEach(() => {
+      RuleHistoryViewer.close();
+      delete global.StateManager;
+      delete global.confirm;
+    });
+
+    test('restores a version through the rules engine and shows it in the rule builder', () => {
+      RulesEngine.rules = [];
+      RulesEngine.addRule({ ...rule });
+      RulesEngine.updateRule(rule.id, { priority: 8 });
+      RuleBuilder.loadRules();
+      [RuleBuilder.currentRule] = RuleBuilder.rules;
+
+      RuleHistoryViewer.open(rule.id);
+      RuleHistoryViewer.rollback(1);
+
+      expect(RuleVersionStore.getLatest(rule.id)).toEqual(expect.objectContaining({
+        version: 3, changeType: 'rollback', comment: 'Rolled back to version 1',
+      }));
+      expect(RulesEngine.rules[0].priority).toBe(5);
+      expect(RuleBuilder.rules[0].priority).toBe(5);
+      expect(RuleBuilder.currentRule).toBeNull();
+      expect(document.querySelector('.rule-history-note').textContent).toBe('v1 and v3 are identical.');
+    });
+
+    test('records rule builder edits through the rules engine', () => {
+      const recordRuleVersion = jest.spyOn(RulesEngine, 'recordRuleVersion');
+      RuleBuilder.rules = [{ ...rule }];
+
+      RuleBuilder.toggleRule(rule.id);
+
+      expect(recordRuleVersion).toHaveBeenCalledWith(RuleBuilder.rules[0], { changeType: 'updated' });
+      expect(RuleVersionStore.getLatest(rule.id)).toEqual(expect.objectContaining({ version: 1, changeType: 'updated' }));
+      recordRuleVersion.mockRestore();
+    });
+  });
+
+  describe('effective dates', () => {
+    const scheduled = { ...rule, effectiveFrom: '2026-01-01', effectiveUntil: '2026-12-31' };
+
+    test('count as a change between revisions', () => {
+      const diff = RuleVersionStore.diffRules(rule, scheduled);
+
+      expect(diff.hasChanges).toBe(true);
+      expect(diff.fields).toEqual([
+        { field: 'effectiveFrom', from: undefined, to: '2026-01-01' },
+        { field: 'effectiveUntil', from: undefined, to: '2026-12-31' },
+      ]);
+    });
+
+    test('show in the history viewer', () => {
+      RuleVersionStore.recordVersion({ ...rule }, { changeType: 'created', author: 'Ana' });
+      RuleVersionStore.recordVersion({ ...scheduled }, { author: 'Ana' });
+      document.body.innerHTML = '';
+
+      RuleHistoryViewer.open(rule.id);
+
+      const body = document.getElementById('rule-history-body');
+      expect(body.querySelector('.rule-history-table tbody tr').textContent).toContain('2026-01-01 – 2026-12-31');
+      expect(Array.from(body.querySelectorAll('.rule-diff-changed td:first-child'), (cell) => cell.textContent))
+        .toEqual(['Effective From', 'Effective Until']);
+      RuleHistoryViewer.close();
+    });
+  });
+});
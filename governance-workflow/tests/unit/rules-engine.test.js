@@ -0,0 +1,363 @@
+// tests/unit/rules-engine.test.js - Rules Engine Specs
+
+/* global RuleBuilder, RulesEngine, ValidationEngine */
+
+/**
+ * Condition operators, nested groups and question routing
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const NOW = '2025-06-15T12:00:00.000Z';
+
+const questions = [
+  { id: 'q-size', type: 'single-select', options: [{ value: 'small' }, { value: 'medium' }, { value: 'large' }] },
+  {
+    id: 'q-controls',
+    type: 'multi-select',
+    options: [
+      { value: 'encryption', score: 3 },
+      { value: 'masking', score: 2 },
+      { value: 'audit', score: 1 },
+    ],
+  },
+  {
+    id: 'q-maturity',
+    type: 'single-select',
+    options: [{ value: 'initial', score: 1 }, { value: 'managed', score: 3 }, { value: 'optimized', score: 5 }],
+  },
+  { id: 'q-review', type: 'date-input' },
+  { id: 'q-notes', type: 'text-input' },
+  { id: 'q-end', type: 'single-select', category: 'closing' },
+];
+
+const matches = (condition, answers, extra = {}) => RulesEngine.evaluateCondition(
+  condition,
+  {
+    answers, questions, now: NOW, ...extra,
+  },
+).matched;
+
+describe('RulesEngine', () => {
+  beforeEach(() => {
+    RulesEngine.rules = [];
+    RulesEngine.evaluationMode = 'sequential';
+  });
+
+  describe('nested condition groups', () => {
+    const answers = { 'q-size': 'large', 'q-controls': ['audit'] };
+
+    test('evaluates groups inside groups', () => {
+      const conditions = {
+        operator: 'AND',
+        rules: [
+          { field: 'q-size', operator: 'equals', value: 'large' },
+          {
+            operator: 'OR',
+            rules: [
+              { field: 'q-controls', operator: 'contains', value: 'encryption' },
+              { field: 'q-controls', operator: 'contains', value: 'audit' },
+            ],
+          },
+        ],
+      };
+
+      const result = RulesEngine.evaluateConditions(conditions, { answers });
+
+      expect(result.matched).toBe(true);
+      expect(result.details[1].result).toEqual({ matched: true, operator: 'OR' });
+      expect(result.details[1].details).toHaveLength(2);
+    });
+
+    test('supports NOT and XOR groups', () => {
+      const notLarge = { operator: 'NOT', rules: [{ field: 'q-size', operator: 'equals', value: 'large' }] };
+      const exactlyOne = {
+        operator: 'XOR',
+        rules: [
+          { field: 'q-size', operator: 'equals', value: 'large' },
+          { field: 'q-controls', operator: 'contains', value: 'audit' },
+        ],
+      };
+
+      expect(RulesEngine.evaluateConditions({ operator: 'AND', rules: [notLarge] }, { answers }).matched).toBe(false);
+      expect(RulesEngine.evaluateConditions(exactlyOne, { answers }).matched).toBe(false);
+      expect(RulesEngine.evaluateConditions(exactlyOne, { answers: { 'q-size': 'small', 'q-controls': ['audit'] } }).matched)
+        .toBe(true);
+    });
+  });
+
+  describe('expression conditions', () => {
+    const answers = { 'q-controls': ['encryption', 'audit'] };
+
+    test('compare boolean results with values typed as text', () => {
+      const expression = 'count(answer("q-controls")) >= 2';
+
+      expect(matches({ expression, operator: 'equals', value: 'true' }, answers)).toBe(true);
+      expect(matches({ expression, operator: 'equals', value: 'false' }, answers)).toBe(false);
+      expect(matches({ expression, operator: 'not_equals', value: 'false' }, answers)).toBe(true);
+      expect(matches({ expression, operator: 'equals', value: true }, answers)).toBe(true);
+    });
+
+    test('match a condition saved from the rule builder', () => {
+      document.body.innerHTML = '<div id="conditions-container"></div>';
+      const container = document.getElementById('conditions-container');
+      container.innerHTML = RuleBuilder.renderConditions([{ expression: 'count(answer("q-controls")) >= 2', operator: 'equals', value: true }]);
+
+      const [condition] = RuleBuilder.collectConditions(container);
+
+      expect(condition.value).toBe('true');
+      expect(matches(condition, answers)).toBe(true);
+    });
+  });
+
+  describe('date operators', () => {
+    test('compares with dates and relative references', () => {
+      expect(matches({ field: 'q-review', operator: 'before', value: '2025-01-01' }, { 'q-review': '2024-12-31' })).toBe(true);
+      expect(matches({ field: 'q-review', operator: 'before', value: 'now - 12 months' }, { 'q-review': '2024-07-01' }))
+        .toBe(false);
+      expect(matches(
+        { field: 'q-review', operator: 'after', value: 'deadline' },
+        { 'q-review': '2025-03-02' },
+        { deadline: '2025-03-01' },
+      )).toBe(true);
+    });
+
+    test('measures within and older_than from the context reference time', () => {
+      expect(matches({ field: 'q-review', operator: 'within', value: '30 days' }, { 'q-review': '2025-07-01' })).toBe(true);
+      expect(matches({ field: 'q-review', operator: 'within', value: 'P1W' }, { 'q-review': '2025-07-01' })).toBe(false);
+      expect(matches({ field: 'q-review', operator: 'older_than', value: '1 year' }, { 'q-review': '2024-06-01' })).toBe(true);
+      expect(matches({ field: 'q-review', operator: 'older_than', value: '1 year' }, { 'q-review': '2024-07-01' })).toBe(false);
+    });
+
+    test('reports an invalid duration as a condition error', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const result = RulesEngine.evaluateCondition(
+        { field: 'q-review', operator: 'within', value: 'soon' },
+        { answers: { 'q-review': '2025-06-01' }, now: NOW },
+      );
+
+      expect(result.matched).toBe(false);
+      expect(result.error).toMatch(/Invalid duration "soon"/);
+      consoleError.mockRestore();
+    });
+
+    test('parses plain and ISO 8601 durations', () => {
+      expect(RulesEngine.parseDuration('1 year 6 months')).toEqual({
+        years: 1, months: 6, days: 0, hours: 0, minutes: 0,
+      });
+      expect(RulesEngine.parseDuration('P2W')).toEqual({
+        years: 0, months: 0, days: 14, hours: 0, minutes: 0,
+      });
+      expect(RulesEngine.parseDuration('later')).toBeNull();
+    });
+  });
+
+  describe('set operators', () => {
+    const answers = { 'q-controls': ['encryption', 'audit'] };
+
+    test('compares the selection with a list', () => {
+      expect(matches({ field: 'q-controls', operator: 'contains_any', value: 'masking, audit' }, answers)).toBe(true);
+      expect(matches({ field: 'q-controls', operator: 'contains_all', value: ['encryption', 'masking'] }, answers)).toBe(false);
+      expect(matches({ field: 'q-controls', operator: 'contains_none', value: 'masking' }, answers)).toBe(true);
+      expect(matches({ field: 'q-controls', operator: 'subset_of', value: 'encryption, masking, audit' }, answers)).toBe(true);
+    });
+
+    test('counts selections, optionally among listed options', () => {
+      expect(matches({ field: 'q-controls', operator: 'count_equals', value: 2 }, answers)).toBe(true);
+      expect(matches({ field: 'q-controls', operator: 'count_at_least', value: '2 of encryption, masking' }, answers))
+        .toBe(false);
+      expect(matches({ field: 'q-controls', operator: 'count_at_most', value: { count: 1, of: ['audit'] } }, answers))
+        .toBe(true);
+    });
+
+    test('sums option scores and treats an unanswered question as empty', () => {
+      expect(matches({ field: 'q-controls', operator: 'score_at_least', value: 4 }, answers)).toBe(true);
+      expect(matches({ field: 'q-controls', operator: 'score_at_most', value: 3 }, answers)).toBe(false);
+      expect(matches({ field: 'q-controls', operator: 'count_equals', value: 0 }, {})).toBe(true);
+    });
+  });
+
+  describe('regression operators', () => {
+    const previous = (answers) => ({ previous: { answers } });
+
+    test('measures movement in option scores or option order', () => {
+      expect(matches(
+        { field: 'q-maturity', operator: 'decreased' },
+        { 'q-maturity': 'initial' },
+        previous({ 'q-maturity': 'managed' }),
+      )).toBe(true);
+      expect(matches(
+        { field: 'q-maturity', operator: 'increased', value: 3 },
+        { 'q-maturity': 'optimized' },
+        previous({ 'q-maturity': 'managed' }),
+      )).toBe(false);
+      expect(matches(
+        { field: 'q-size', operator: 'increased' },
+        { 'q-size': 'large' },
+        previous({ 'q-size': 'small' }),
+      )).toBe(true);
+    });
+
+    test('compares deltas and changes from a value', () => {
+      expect(matches(
+        { field: 'q-maturity', operator: 'delta_greater_than', value: 1 },
+        { 'q-maturity': 'optimized' },
+        previous({ 'q-maturity': 'managed' }),
+      )).toBe(true);
+      expect(matches(
+        { field: 'q-size', operator: 'changed_from', value: 'small' },
+        { 'q-size': 'medium' },
+        previous({ 'q-size': 'small' }),
+      )).toBe(true);
+      expect(matches(
+        { field: 'q-size', operator: 'changed_from', value: '' },
+        { 'q-size': 'small' },
+        previous({ 'q-size': 'small' }),
+      )).toBe(false);
+    });
+
+    test('never matches without a previous answer', () => {
+      expect(matches({ field: 'q-maturity', operator: 'decreased' }, { 'q-maturity': 'initial' })).toBe(false);
+      expect(matches({ field: 'q-maturity', operator: 'decreased' }, { 'q-maturity': 'initial' }, previous({}))).toBe(false);
+    });
+  });
+
+  describe('text operators', () => {
+    test('matches mentioned keywords by stem and skips negated ones', () => {
+      const answers = { 'q-notes': 'We encrypt backups but do not mask test data.' };
+
+      expect(matches({ field: 'q-notes', operator: 'mentions_any', value: 'encryption' }, answers)).toBe(true);
+      expect(matches({ field: 'q-notes', operator: 'mentions_all', value: 'encryption, masking' }, answers)).toBe(false);
+      expect(matches({ field: 'q-notes', operator: 'negates_any', value: 'masking' }, answers)).toBe(true);
+      expect(matches({ field: 'q-notes', operator: 'mentions_none', value: 'masking' }, answers)).toBe(true);
+    });
+
+    test('compares similarity with reference answers', () => {
+      const answers = { 'q-notes': 'All customer data is encrypted at rest' };
+
+      expect(matches({ field: 'q-notes', operator: 'similar_to', value: '0.5: customer data encrypted at rest' }, answers))
+        .toBe(true);
+      expect(matches({ field: 'q-notes', operator: 'similar_to', value: '0.5: we have no data retention policy' }, answers))
+        .toBe(false);
+    });
+  });
+
+  describe('validate action', () => {
+    const validateRule = (parameters) => ({
+      id: `rule-${parameters.field}`,
+      conditions: { operator: 'AND', rules: [] },
+      actions: [{ type: 'validate', parameters }],
+    });
+
+    beforeEach(() => {
+      RulesEngine.setValidationEngine(new ValidationEngine());
+    });
+
+    afterEach(() => {
+      RulesEngine.setValidationEngine(null);
+    });
+
+    test('runs ValidationEngine rules on the answers', () => {
+      RulesEngine.rules = [
+        validateRule({ field: 'q-records', rule: 'positive', message: 'Record count must be positive' }),
+        validateRule({ field: 'q-owner', rule: { name: 'minLength', params: [3] }, message: 'Name the owner' }),
+      ];
+
+      expect(RulesEngine.validateAnswers({ 'q-records': 250, 'q-owner': 'Data office' })).toEqual({ isValid: true, errors: [] });
+      expect(RulesEngine.validateAnswers({ 'q-records': -1, 'q-owner': 'DO' }, 'assessment-1').errors).toEqual([
+        {
+          ruleId: 'rule-q-records', field: 'q-records', rule: 'positive', message: 'Record count must be positive',
+        },
+        {
+          ruleId: 'rule-q-owner', field: 'q-owner', rule: 'minLength', message: 'Name the owner',
+        },
+      ]);
+    });
+
+    test('checks every selected value with stored pattern rules', () => {
+      RulesEngine.addValidationRule({ name: 'isoCountry', pattern: '^[A-Z]{2}$', message: '{field} must list country codes' });
+      RulesEngine.rules = [validateRule({ field: 'q-countries', rule: 'isoCountry' })];
+
+      expect(RulesEngine.validateAnswers({ 'q-countries': ['DE', 'FR'] }).isValid).toBe(true);
+      expect(RulesEngine.validateAnswers({ 'q-countries': ['DE', 'France'] }).isValid).toBe(false);
+      expect(RulesEngine.validateAnswers({}).isValid).toBe(false);
+      expect(() => RulesEngine.addValidationRule({ name: 'email', pattern: '@' }))
+        .toThrow('"email" is a built-in validation rule');
+    });
+
+    test('reports unknown validation rules as failed actions', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const results = RulesEngine.evaluateRules(
+        { answers: { 'q-records': 5 } },
+        [validateRule({ field: 'q-records', rule: 'prime' })],
+        { silent: true },
+      );
+
+      expect(results.validationErrors).toEqual([]);
+      expect(results.actions).toEqual([{ type: 'validate', success: false, error: 'Unknown validation rule: prime' }]);
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('getRoutes', () => {
+    afterEach(() => {
+      delete global.StateManager;
+    });
+
+    test('returns routes anchored after the last question the rule reads', () => {
+      RulesEngine.rules = [{
+        id: 'route-small',
+        conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: 'small' }] },
+        actions: [{ type: 'route', parameters: { target: 'q-end' } }],
+      }, {
+        id: 'route-section',
+        conditions: { operator: 'AND', rules: [{ field: 'q-controls', operator: 'is_empty' }] },
+        actions: [{ type: 'route', parameters: { target: 'closing' } }],
+      }];
+
+      const routes = RulesEngine.getRoutes({ 'q-size': 'small', 'q-controls': [] }, null, questions);
+
+      expect(routes).toEqual([
+        expect.objectContaining({
+          mode: 'skip_to', target: 'q-end', after: 'q-size', ruleId: 'route-small',
+        }),
+        expect.objectContaining({
+          mode: 'section', target: 'closing', after: 'q-controls', ruleId: 'route-section',
+        }),
+      ]);
+    });
+
+    test('routes on global variables without writing them to state', () => {
+      global.StateManager = { getState: jest.fn(() => questions), setState: jest.fn() };
+      RulesEngine.rules = [{
+        id: 'set-risk',
+        conditions: { operator: 'AND', rules: [{ field: 'q-size', operator: 'equals', value: 'large' }] },
+        actions: [{ type: 'set_variable', parameters: { variable: 'riskLevel', value: 'high', scope: 'global' } }],
+      }, {
+        id: 'route-risk',
+        conditions: { operator: 'AND', rules: [{ field: 'riskLevel', operator: 'equals', value: 'high' }] },
+        actions: [
+          { type: 'route', parameters: { mode: 'insert', questions: ['q-notes'], after: 'q-size' } },
+          { type: 'notify', parameters: { message: 'High risk' } },
+        ],
+      }];
+
+      const routes = RulesEngine.getRoutes({ 'q-size': 'large' });
+
+      expect(routes).toEqual([expect.objectContaining({ mode: 'insert', questions: ['q-notes'], after: 'q-size' })]);
+      expect(global.StateManager.setState).not.toHaveBeenCalled();
+    });
+
+    test('returns nothing when no active rule routes', () => {
+      RulesEngine.rules = [{
+        id: 'inactive-route',
+        active: false,
+        conditions: { operator: 'AND', rules: [] },
+        actions: [{ type: 'route', parameters: { mode: 'end' } }],
+      }];
+
+      expect(RulesEngine.getRoutes({}, null, questions)).toEqual([]);
+    });
+  });
+});
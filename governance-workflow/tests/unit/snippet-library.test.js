@@ -0,0 +1,128 @@
+// tests/unit/snippet-library.test.js - Snippet Library Specs
+
+/* global EventBus, RecommendationEngine, SnippetLibrary */
+
+/**
+ * Contextual recommendations come from a managed, localized snippet library
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const snippet = (id, priority, rules, text = { en: `Advice ${id}`, de: `Empfehlung ${id}` }) => ({
+  id,
+  section: 'controls',
+  priority,
+  tags: ['test'],
+  text,
+  conditions: { operator: 'AND', rules },
+  recommendation: { priority: 'high', ownerRole: 'Security Officer' },
+});
+
+describe('SnippetLibrary', () => {
+  let storage;
+  let preferences;
+
+  beforeEach(() => {
+    storage = {};
+    preferences = null;
+    global.StorageManager = {
+      getItem: jest.fn((key) => (key in storage ? storage[key] : null)),
+      setItem: jest.fn((key, value) => { storage[key] = value; }),
+    };
+    global.StateManager = {
+      getState: jest.fn((path) => (path === 'user.preferences' ? preferences : undefined)),
+      setState: jest.fn(),
+    };
+    SnippetLibrary.snippets = null;
+  });
+
+  afterEach(() => {
+    SnippetLibrary.snippets = null;
+    delete global.StorageManager;
+    delete global.StateManager;
+    EventBus.events.clear();
+  });
+
+  test('starts from the built-in snippets', () => {
+    expect(SnippetLibrary.getSnippet('sox-audit-controls').text.en)
+      .toBe('Implement SOX-compliant audit controls with detailed logging');
+  });
+
+  test('matches snippets for a section by their conditions, highest priority first', () => {
+    SnippetLibrary.snippets = [
+      snippet('always', 1, []),
+      snippet('open-access', 20, [{ field: 'q-access', operator: 'equals', value: 'open' }]),
+      snippet('restricted', 30, [{ field: 'q-access', operator: 'equals', value: 'restricted' }]),
+      { ...snippet('inactive', 40, []), active: false },
+      { ...snippet('sharing', 50, []), section: 'sharing' },
+    ];
+
+    const matches = SnippetLibrary.match('controls', { answers: { 'q-access': 'open' } });
+
+    expect(matches.map((match) => match.text)).toEqual(['Advice open-access', 'Advice always']);
+    expect(matches[0].trace).toEqual([expect.objectContaining({ field: 'q-access', matched: true })]);
+  });
+
+  test('uses the user\'s language, falling back to English', () => {
+    preferences = { language: 'de-AT' };
+    SnippetLibrary.snippets = [snippet('localized', 1, []), snippet('english', 0, [], { en: 'English only' })];
+
+    expect(SnippetLibrary.match('controls', { answers: {} }).map((match) => match.text))
+      .toEqual(['Empfehlung localized', 'English only']);
+  });
+
+  test('saves valid snippets and announces the change', () => {
+    const listener = jest.fn();
+    EventBus.on('snippets.updated', listener);
+
+    const saved = SnippetLibrary.saveSnippet({ section: 'controls', text: 'Rotate keys yearly' });
+
+    expect(saved).toEqual(expect.objectContaining({ text: { en: 'Rotate keys yearly' }, active: true }));
+    expect(storage[SnippetLibrary.STORAGE_KEY]).toContainEqual(saved);
+    expect(listener).toHaveBeenCalled();
+    expect(() => SnippetLibrary.saveSnippet({ section: '', text: {} }))
+      .toThrow('A snippet needs a target section; A snippet needs text in at least one language');
+  });
+
+  test('imports snippets, updating existing ones and reporting invalid ones', () => {
+    SnippetLibrary.snippets = [snippet('existing', 1, [])];
+    const data = {
+      snippets: [snippet('existing', 5, []), snippet('added', 1, []), { id: 'broken', section: 'controls' }],
+    };
+
+    const result = SnippetLibrary.importData(data);
+
+    expect(result).toEqual({
+      imported: 1,
+      updated: 1,
+      errors: ['Snippet broken: A snippet needs text in at least one language'],
+    });
+    expect(SnippetLibrary.getSnippet('existing').priority).toBe(5);
+    expect(SnippetLibrary.exportData().snippets.map((item) => item.id)).toEqual(['existing', 'added']);
+    expect(() => SnippetLibrary.importData({ rules: [] })).toThrow('Invalid snippet library file format');
+  });
+
+  test('feeds contextual recommendations to the recommendation engine', () => {
+    SnippetLibrary.snippets = [snippet('open-access', 20, [{ field: 'q-access', operator: 'equals', value: 'open' }])];
+    const explanations = [];
+
+    const recommendations = RecommendationEngine.getContextualRecommendations(
+      'controls',
+      { id: 'a-1', answers: {} },
+      { totalScore: 0, maxScore: 100, breakdown: {} },
+      explanations,
+      { answers: { 'q-access': 'open' } },
+    );
+
+    expect(recommendations).toEqual([expect.objectContaining({
+      id: 'open-access-controls',
+      description: 'Advice open-access',
+      priority: 'high',
+      ownerRole: 'Security Officer',
+      source: 'contextual',
+      sourceId: 'open-access',
+    })]);
+    expect(explanations).toEqual([expect.objectContaining({ recommendationId: 'open-access-controls' })]);
+  });
+});
@@ -0,0 +1,109 @@
+// tests/unit/template-selector.test.js - Template Selector Specs
+
+/* global RecommendationEngine, TemplateSelector */
+
+/**
+ * Templates are chosen by the selection criteria they declare
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const template = (id, selection) => ({ id, name: id, selection });
+const when = (field, operator, value, priority) => ({
+  priority,
+  conditions: { operator: 'AND', rules: [{ field, operator, value }] },
+});
+
+const templates = [
+  template('basic_governance_template', { priority: 0, conditions: { operator: 'AND', rules: [] } }),
+  template('healthcare_template', when('q-sector', 'equals', 'healthcare', 50)),
+  template('small_template', when('q-size', 'equals', 'small', 30)),
+  template('board_template', null),
+];
+
+describe('TemplateSelector', () => {
+  test('picks the highest-priority template whose criteria match', () => {
+    const selection = TemplateSelector.select(templates, { answers: { 'q-sector': 'healthcare', 'q-size': 'small' } });
+
+    expect(selection.templateId).toBe('healthcare_template');
+    expect(selection.fallback).toBe(false);
+    expect(selection.reason).toBe('"healthcare_template" has the highest priority (50) among templates whose criteria match');
+    const outcomes = selection.candidates
+      .map((candidate) => [candidate.templateId, candidate.matched, candidate.selected]);
+    expect(outcomes).toEqual([
+      ['healthcare_template', true, true],
+      ['small_template', true, false],
+      ['basic_governance_template', true, false],
+      ['board_template', false, false],
+    ]);
+    expect(selection.candidates[3].hasCriteria).toBe(false);
+  });
+
+  test('explains each condition of a candidate', () => {
+    const selection = TemplateSelector.select(templates, { answers: { 'q-size': 'large' } });
+    const small = selection.candidates.find((candidate) => candidate.templateId === 'small_template');
+
+    expect(selection.templateId).toBe('basic_governance_template');
+    expect(small.reasons).toEqual([expect.objectContaining({ matched: false })]);
+    expect(small.reasons[0].text).toContain('q-size');
+  });
+
+  test('falls back to the basic template when no criteria match', () => {
+    const selection = TemplateSelector.select(templates.slice(1), { answers: {} });
+
+    expect(selection).toEqual(expect.objectContaining({
+      template: null, templateId: null, fallback: true,
+    }));
+    expect(selection.reason).toBe('No template\'s criteria match and there is no fallback template; using the built-in default');
+  });
+
+  test('keeps the built-in criteria for templates saved without any', () => {
+    const legacy = [{ id: 'basic_governance_template' }, { id: 'simplified_governance_template' }];
+
+    expect(TemplateSelector.select(legacy, { answers: { 'question-5': 'small' } }).templateId)
+      .toBe('simplified_governance_template');
+    expect(TemplateSelector.select(legacy, { answers: { 'question-5': 'large' } }).templateId)
+      .toBe('basic_governance_template');
+  });
+
+  test('rejects invalid criteria', () => {
+    expect(TemplateSelector.validateSelection({ priority: 'high' })).toEqual(['Selection priority must be a number']);
+    expect(TemplateSelector.validateSelection({
+      priority: 1,
+      conditions: { operator: 'AND', rules: [{ field: 'q-size', value: 'small' }] },
+    })).toEqual(['selection.conditions.rules[0]: condition requires a field and an operator']);
+    expect(TemplateSelector.validateSelection(null)).toEqual([]);
+  });
+
+  describe('in the recommendation engine', () => {
+    beforeEach(() => {
+      global.StateManager = { getState: jest.fn(() => undefined), setState: jest.fn() };
+    });
+
+    afterEach(() => {
+      delete global.StateManager;
+    });
+
+    test('can select on the assessment level', () => {
+      const candidates = [
+        templates[0],
+        template('level_template', when('level', 'in_list', ['basic', 'developing', 'defined', 'managed', 'optimized'], 10)),
+      ];
+      const scoreResult = { totalScore: 10, maxScore: 100, breakdown: {} };
+
+      const selection = RecommendationEngine.explainTemplateSelection({ id: 'a-1', answers: {} }, scoreResult, 'basic', candidates);
+
+      expect(selection.templateId).toBe('level_template');
+    });
+
+    test('uses the built-in default when nothing matches', () => {
+      const scoreResult = { totalScore: 10, maxScore: 100, breakdown: {} };
+
+      const selection = RecommendationEngine.explainTemplateSelection({ id: 'a-1', answers: {} }, scoreResult, 'basic', []);
+
+      expect(selection.template).toEqual(RecommendationEngine.getDefaultTemplate());
+      expect(selection.fallback).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// tests/unit/workflow-engine.test.js - Workflow Engine Specs
+
+/* global EventBus, RulesEngine, WorkflowEngine */
+
+/**
+ * Review workflows started by rules move step by step to an outcome
+ *
+ * @version 1.0.0
+ * @author System Administrator
+ */
+
+const reviewRule = {
+  id: 'rule-health-data',
+  name: 'Health data needs a DPO review',
+  conditions: { operator: 'AND', rules: [{ field: 'q-data', operator: 'contains', value: 'health' }] },
+  actions: [{ type: 'trigger_workflow', parameters: { workflow: 'DPO Review' } }],
+};
+
+describe('WorkflowEngine', () => {
+  beforeEach(() => {
+    WorkflowEngine.reset();
+    WorkflowEngine.loadDefinitions();
+  });
+
+  afterEach(() => {
+    EventBus.events.clear();
+  });
+
+  test('starts a workflow from a rule once per assessment', () => {
+    const context = { answers: { 'q-data': ['health'] }, assessmentId: 'assessment-1' };
+
+    const results = RulesEngine.evaluateRules(context, [reviewRule], { silent: true });
+    RulesEngine.evaluateRules(context, [reviewRule], { silent: true });
+
+    const [instance] = WorkflowEngine.getInstances({ assessmentId: 'assessment-1' });
+    expect(WorkflowEngine.instances).toHaveLength(1);
+    expect(instance).toEqual(expect.objectContaining({
+      workflowId: 'dpo_review', ruleId: 'rule-health-data', status: 'active', currentStep: 0,
+    }));
+    expect(instance.steps.map((step) => step.status)).toEqual(['active', 'pending']);
+    expect(results.errors).toEqual([]);
+  });
+
+  test('does not start workflows while testing rules', () => {
+    const context = { answers: { 'q-data': ['health'] }, assessmentId: 'assessment-1', test: true };
+
+    RulesEngine.evaluateRules(context, [reviewRule], { silent: true });
+
+    expect(WorkflowEngine.instances).toEqual([]);
+  });
+
+  test('completes steps in order and announces the outcome', () => {
+    const completed = jest.fn();
+    WorkflowEngine.setupEventListeners();
+    EventBus.on('workflow.completed', completed);
+    const instance = WorkflowEngine.startWorkflow('dpo_review', { assessmentId: 'assessment-1' });
+
+    EventBus.emit('workflow.step.complete', { instanceId: instance.id, user: 'Dana', comment: 'Fine' });
+    expect(instance.steps[1].status).toBe('active');
+
+    WorkflowEngine.completeStep({ instanceId: instance.id, stepId: 'security_signoff', user: 'Sam' });
+
+    expect(instance.status).toBe('completed');
+    expect(instance.steps.map((step) => step.completedBy)).toEqual(['Dana', 'Sam']);
+    expect(completed).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops the workflow when a step is rejected', () => {
+    const instance = WorkflowEngine.startWorkflow('dpo_review');
+
+    WorkflowEngine.rejectStep({ instanceId: instance.id, user: 'Dana', comment: 'Missing DPIA' });
+
+    expect(instance.status).toBe('rejected');
+    expect(instance.steps[0]).toEqual(expect.objectContaining({ status: 'rejected', comment: 'Missing DPIA' }));
+    expect(() => WorkflowEngine.completeStep({ instanceId: instance.id }))
+      .toThrow('Workflow "DPO Review" is already rejected');
+  });
+
+  test('only completes the active step', () => {
+    const instance = WorkflowEngine.startWorkflow('dpo_review');
+
+    expect(() => WorkflowEngine.completeStep({ instanceId: instance.id, stepId: 'security_signoff' }))
+      .toThrow('Step "security_signoff" is not the active step of "DPO Review"');
+  });
+
+  test('rejects definitions without steps', () => {
+    expect(() => WorkflowEngine.registerWorkflow({ id: 'empty', name: 'Empty', steps: [] }))
+      .toThrow('Invalid workflow: Workflow must have at least one step');
+    expect(() => WorkflowEngine.startWorkflow('empty')).toThrow('Unknown workflow: empty');
+  });
+});